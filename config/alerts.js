@@ -0,0 +1,56 @@
+/**
+ * Alert Configuration
+ * Alert types and the built-in rules used where no alert rule is configured
+ */
+
+const ALERT_TYPES = [
+  "out_of_stock",
+  "low_stock",
+  "expiring_lot",
+  "low_credit",
+  "high_value_transaction",
+];
+
+const ALERT_SEVERITIES = ["critical", "warning", "info"];
+
+// Statuses of an alert whose condition still holds
+const ACTIVE_ALERT_STATUSES = ["open", "acknowledged"];
+
+// Alert types about products; their rules may be scoped to a product or
+// category. Other rules apply everywhere.
+const PRODUCT_ALERT_TYPES = [
+  "out_of_stock",
+  "low_stock",
+  "expiring_lot",
+  "high_value_transaction",
+];
+
+/**
+ * Built-in rule per alert type. The meaning of threshold depends on the
+ * type:
+ * - low_stock: available quantity at or below which to alert (null uses
+ *   each product's lowStockThreshold)
+ * - expiring_lot: days before expiry
+ * - low_credit: supplier credit limit below which to alert
+ * - high_value_transaction: transaction value (quantity x unit cost) at or
+ *   above which to alert, for transactions in the last windowDays days
+ */
+const DEFAULT_ALERT_RULES = {
+  out_of_stock: { severity: "critical", threshold: null },
+  low_stock: { severity: "warning", threshold: null },
+  expiring_lot: { severity: "critical", threshold: 30 },
+  low_credit: { severity: "warning", threshold: 5000 },
+  high_value_transaction: {
+    severity: "info",
+    threshold: 1000,
+    windowDays: 7,
+  },
+};
+
+module.exports = {
+  ALERT_TYPES,
+  ALERT_SEVERITIES,
+  ACTIVE_ALERT_STATUSES,
+  PRODUCT_ALERT_TYPES,
+  DEFAULT_ALERT_RULES,
+};
@@ -0,0 +1,80 @@
+/**
+ * Transaction Approval Configuration
+ * Rules deciding which inventory transactions must be approved before they
+ * are applied to stock
+ */
+
+// Load environment variables
+require("dotenv").config();
+
+/**
+ * Parse a comma-separated environment value into a list
+ * @param {string} value - Raw environment value
+ * @returns {Array<string>} Trimmed, non-empty entries
+ */
+function parseList(value) {
+  if (!value) return [];
+  return value
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse a numeric environment value
+ * @param {string} value - Raw environment value
+ * @returns {number|null} Parsed number or null when unset/invalid
+ */
+function parseThreshold(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+/**
+ * Get approval rules from environment variables
+ * @returns {Object} Approval rules
+ */
+function getApprovalRules() {
+  return {
+    // Transaction types that always need approval (e.g. "adjustment,damaged")
+    types: parseList(process.env.APPROVAL_REQUIRED_TYPES),
+    // Absolute quantity at or above which approval is needed
+    quantityThreshold: parseThreshold(process.env.APPROVAL_QUANTITY_THRESHOLD),
+    // Absolute value (quantity × unit cost) at or above which approval is needed
+    valueThreshold: parseThreshold(process.env.APPROVAL_VALUE_THRESHOLD),
+  };
+}
+
+/**
+ * Decide whether a transaction needs approval
+ * @param {Object} transaction - Transaction data (type, quantity, unitCost)
+ * @param {Object} rules - Approval rules
+ * @returns {string|null} Reason approval is required, or null
+ */
+function getApprovalReason(transaction, rules = getApprovalRules()) {
+  const quantity = Math.abs(transaction.quantity || 0);
+
+  if (rules.types.includes(transaction.type)) {
+    return `${transaction.type} transactions require approval`;
+  }
+
+  if (rules.quantityThreshold && quantity >= rules.quantityThreshold) {
+    return `Quantity ${quantity} reaches approval threshold of ${rules.quantityThreshold}`;
+  }
+
+  if (rules.valueThreshold && transaction.unitCost) {
+    const value = quantity * transaction.unitCost;
+    if (value >= rules.valueThreshold) {
+      return `Value ${value.toFixed(2)} reaches approval threshold of ${
+        rules.valueThreshold
+      }`;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  getApprovalRules,
+  getApprovalReason,
+};
@@ -0,0 +1,30 @@
+/**
+ * Authentication Configuration
+ * JWT and password hashing settings
+ */
+
+// Load environment variables
+require("dotenv").config();
+
+// Roles a user or API key can hold, from least to most privileged
+const ROLES = ["viewer", "clerk", "manager", "admin"];
+
+/**
+ * Get authentication settings from environment variables
+ * @returns {Object} Authentication settings
+ */
+function getAuthConfig() {
+  return {
+    jwtSecret: process.env.JWT_SECRET,
+    // Lifetime of access tokens sent as "Authorization: Bearer <token>"
+    accessTokenExpire: process.env.JWT_EXPIRE || "1h",
+    // Lifetime of refresh tokens exchanged at /api/auth/refresh
+    refreshTokenExpire: process.env.JWT_REFRESH_EXPIRE || "30d",
+    saltRounds: parseInt(process.env.BCRYPT_SALT_ROUNDS) || 10,
+  };
+}
+
+module.exports = {
+  ROLES,
+  getAuthConfig,
+};
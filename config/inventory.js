@@ -0,0 +1,95 @@
+/**
+ * Inventory Configuration
+ * Stock location, replenishment, reservation, valuation, ABC
+ * classification and returns settings
+ */
+
+// Load environment variables
+require("dotenv").config();
+
+const { VALUATION_METHODS } = require("../utils/valuation");
+
+/**
+ * Get the warehouse used when a transaction names no location
+ * @returns {string} Default warehouse code
+ */
+function getDefaultWarehouse() {
+  return (process.env.DEFAULT_WAREHOUSE || "MAIN").trim().toUpperCase();
+}
+
+/**
+ * Get the warehouse customer returns are held in until inspected
+ * @returns {string} Quarantine warehouse code
+ */
+function getQuarantineWarehouse() {
+  return (process.env.RETURNS_QUARANTINE_WAREHOUSE || "QUARANTINE")
+    .trim()
+    .toUpperCase();
+}
+
+/**
+ * Parse a positive numeric environment value
+ * @param {string} value - Raw environment value
+ * @param {number} fallback - Value used when unset/invalid
+ * @returns {number} Parsed number
+ */
+function parsePositive(value, fallback) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+}
+
+/**
+ * Get replenishment defaults for products without their own settings
+ * @returns {Object} Replenishment defaults
+ */
+function getReplenishmentDefaults() {
+  return {
+    // Days of consumption history used to measure velocity
+    velocityDays: parsePositive(process.env.REORDER_VELOCITY_DAYS, 30),
+    // Supplier lead time when the product sets none
+    leadTimeDays: parsePositive(process.env.REORDER_LEAD_TIME_DAYS, 7),
+    // Days of consumption a reorder should cover beyond the lead time
+    daysOfCover: parsePositive(process.env.REORDER_DAYS_OF_COVER, 30),
+  };
+}
+
+/**
+ * Get how long a reservation holds stock before it expires
+ * @returns {number} Reservation lifetime in hours
+ */
+function getReservationTtlHours() {
+  return parsePositive(process.env.RESERVATION_TTL_HOURS, 48);
+}
+
+/**
+ * Get the valuation method used to cost outflows as they are posted
+ * @returns {string} Valuation method (fifo, lifo or average)
+ */
+function getValuationMethod() {
+  const method = (process.env.VALUATION_METHOD || "").trim().toLowerCase();
+  return VALUATION_METHODS.includes(method) ? method : "fifo";
+}
+
+/**
+ * Get ABC classification settings
+ * Products are ranked by consumption value over the analysis window. The
+ * products making up the first classAPercent of that value are class A,
+ * those up to classBPercent class B, and the rest class C.
+ * @returns {Object} ABC classification settings
+ */
+function getAbcSettings() {
+  return {
+    days: parsePositive(process.env.ABC_ANALYSIS_DAYS, 90),
+    classAPercent: parsePositive(process.env.ABC_CLASS_A_PERCENT, 80),
+    classBPercent: parsePositive(process.env.ABC_CLASS_B_PERCENT, 95),
+  };
+}
+
+module.exports = {
+  getDefaultWarehouse,
+  getQuarantineWarehouse,
+  getReplenishmentDefaults,
+  getReservationTtlHours,
+  getValuationMethod,
+  getAbcSettings,
+};
@@ -0,0 +1,70 @@
+/**
+ * Permission Configuration
+ * Maps each permission to the roles allowed to use it
+ */
+const { ROLES } = require("./auth");
+
+/**
+ * Roles at or above a given role
+ * @param {string} role - Least privileged role allowed
+ * @returns {Array<string>} Allowed roles
+ */
+function atLeast(role) {
+  return ROLES.slice(ROLES.indexOf(role));
+}
+
+const PERMISSIONS = {
+  // Reading products, stock, suppliers, categories and transactions
+  "inventory:read": atLeast("viewer"),
+  "reports:read": atLeast("viewer"),
+  // Own API keys
+  "apikeys:manage": atLeast("viewer"),
+
+  // Day-to-day stock handling
+  "products:write": atLeast("clerk"),
+  "stock:write": atLeast("clerk"),
+  "categories:write": atLeast("clerk"),
+  "suppliers:review": atLeast("clerk"),
+  "purchasing:write": atLeast("clerk"),
+  "purchasing:receive": atLeast("clerk"),
+  "sales:write": atLeast("clerk"),
+  "stocktake:count": atLeast("clerk"),
+  "returns:write": atLeast("clerk"),
+  "alerts:manage": atLeast("clerk"),
+
+  // Destructive, bulk and financial operations
+  "products:delete": atLeast("manager"),
+  "products:import": atLeast("manager"),
+  "transactions:approve": atLeast("manager"),
+  "transactions:export": atLeast("manager"),
+  "categories:delete": atLeast("manager"),
+  "suppliers:write": atLeast("manager"),
+  "suppliers:finance": atLeast("manager"),
+  "purchasing:approve": atLeast("manager"),
+  "stocktake:post": atLeast("manager"),
+  "alerts:configure": atLeast("manager"),
+
+  // Administration
+  "suppliers:delete": atLeast("admin"),
+  "users:manage": atLeast("admin"),
+  "webhooks:manage": atLeast("admin"),
+};
+
+/**
+ * Check whether a role holds a permission
+ * @param {string} role - User or API key role
+ * @param {string} permission - Permission name
+ * @returns {boolean} True when allowed
+ */
+function hasPermission(role, permission) {
+  const roles = PERMISSIONS[permission];
+  if (!roles) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  return roles.includes(role);
+}
+
+module.exports = {
+  PERMISSIONS,
+  hasPermission,
+};
@@ -0,0 +1,39 @@
+/**
+ * Webhook Configuration
+ * Delivery timeout and retry schedule for outgoing webhooks
+ */
+
+// Load environment variables
+require("dotenv").config();
+
+/**
+ * Parse a positive integer environment value
+ * @param {string} value - Raw environment value
+ * @param {number} fallback - Value used when unset/invalid
+ * @returns {number} Parsed integer
+ */
+function parsePositiveInt(value, fallback) {
+  const number = parseInt(value);
+  return Number.isInteger(number) && number > 0 ? number : fallback;
+}
+
+/**
+ * Get webhook delivery settings
+ * A failed delivery is retried after retryBaseSeconds, doubling after each
+ * further failure, until maxAttempts attempts have been made.
+ * @returns {Object} Webhook delivery settings
+ */
+function getWebhookSettings() {
+  return {
+    maxAttempts: parsePositiveInt(process.env.WEBHOOK_MAX_ATTEMPTS, 8),
+    retryBaseSeconds: parsePositiveInt(
+      process.env.WEBHOOK_RETRY_BASE_SECONDS,
+      30
+    ),
+    timeoutMs: parsePositiveInt(process.env.WEBHOOK_TIMEOUT_MS, 10000),
+  };
+}
+
+module.exports = {
+  getWebhookSettings,
+};
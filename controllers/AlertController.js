@@ -0,0 +1,332 @@
+const { alertDAO, alertRuleDAO } = require("../daos");
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Alert Controller
+ * Handles stored alerts, the actions users take on them and alert rules
+ */
+class AlertController {
+  /**
+   * Get alerts; active, unsnoozed alerts unless a status is given
+   * GET /api/alerts?status=&type=&severity=&assignedTo=&product=&includeSnoozed=
+   */
+  async getAlerts(req, res) {
+    try {
+      const {
+        page = 1,
+        limit = 50,
+        status,
+        type,
+        severity,
+        assignedTo,
+        product,
+        includeSnoozed,
+      } = req.query;
+
+      const filters = {
+        status,
+        type,
+        severity,
+        product,
+        includeSnoozed: includeSnoozed === "true",
+      };
+      if (assignedTo === "me") {
+        filters.assignedTo = req.user.id;
+      } else if (assignedTo === "none") {
+        filters.assignedTo = null;
+      } else if (assignedTo) {
+        filters.assignedTo = assignedTo;
+      }
+
+      const result = await alertDAO.getAlerts(filters, {
+        limit: parseInt(limit),
+        skip: (parseInt(page) - 1) * parseInt(limit),
+      });
+
+      res.json({
+        success: true,
+        data: {
+          alerts: result.documents,
+          pagination: result.pagination,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching alerts:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Get an alert by ID
+   * GET /api/alerts/:id
+   */
+  async getAlertById(req, res) {
+    try {
+      const alert = await alertDAO.findById(req.params.id);
+
+      if (!alert) {
+        return res.status(404).json({
+          success: false,
+          error: "Alert not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        data: alert,
+      });
+    } catch (error) {
+      console.error("Error fetching alert:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Acknowledge an open alert
+   * POST /api/alerts/:id/acknowledge
+   */
+  async acknowledgeAlert(req, res) {
+    try {
+      const alert = await alertDAO.acknowledge(req.params.id, req.user);
+
+      res.json({
+        success: true,
+        data: alert,
+        message: "Alert acknowledged",
+      });
+    } catch (error) {
+      console.error("Error acknowledging alert:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Snooze an alert until a time, or for a number of minutes
+   * POST /api/alerts/:id/snooze
+   */
+  async snoozeAlert(req, res) {
+    try {
+      const { until, minutes } = req.body;
+
+      if (!until && !minutes) {
+        return res.status(400).json({
+          success: false,
+          error: "Either until or minutes is required",
+        });
+      }
+
+      const snoozeUntil = until
+        ? until
+        : new Date(Date.now() + parseFloat(minutes) * MINUTE_MS);
+      const alert = await alertDAO.snooze(req.params.id, snoozeUntil, req.user);
+
+      res.json({
+        success: true,
+        data: alert,
+        message: `Alert snoozed until ${alert.snoozedUntil.toISOString()}`,
+      });
+    } catch (error) {
+      console.error("Error snoozing alert:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Assign an alert to a user; a null userId unassigns it
+   * POST /api/alerts/:id/assign
+   */
+  async assignAlert(req, res) {
+    try {
+      const { userId } = req.body;
+
+      if (userId === undefined) {
+        return res.status(400).json({
+          success: false,
+          error: "userId is required (null to unassign)",
+        });
+      }
+
+      const alert = await alertDAO.assign(req.params.id, userId, req.user);
+
+      res.json({
+        success: true,
+        data: alert,
+        message: userId ? "Alert assigned" : "Alert unassigned",
+      });
+    } catch (error) {
+      console.error("Error assigning alert:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Evaluate alert conditions now instead of waiting for the job
+   * POST /api/alerts/evaluate
+   */
+  async evaluateAlerts(req, res) {
+    try {
+      const result = await alertDAO.evaluateAlerts();
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      console.error("Error evaluating alerts:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Get alert rules
+   * GET /api/alert-rules?type=
+   */
+  async getAlertRules(req, res) {
+    try {
+      const { page = 1, limit = 50, type } = req.query;
+
+      const filter = {};
+      if (type) filter.type = type;
+
+      const result = await alertRuleDAO.find(filter, {
+        limit: parseInt(limit),
+        skip: (parseInt(page) - 1) * parseInt(limit),
+        sort: { type: 1, createdAt: -1 },
+      });
+
+      res.json({
+        success: true,
+        data: {
+          rules: result.documents,
+          pagination: result.pagination,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching alert rules:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Create an alert rule, globally or for a product or category
+   * POST /api/alert-rules
+   */
+  async createAlertRule(req, res) {
+    try {
+      const rule = await alertRuleDAO.createRule(req.body, req.user);
+
+      res.status(201).json({
+        success: true,
+        data: rule,
+        message: "Alert rule created successfully",
+      });
+    } catch (error) {
+      console.error("Error creating alert rule:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Update an alert rule's settings
+   * PATCH /api/alert-rules/:id
+   */
+  async updateAlertRule(req, res) {
+    try {
+      const rule = await alertRuleDAO.updateRule(req.params.id, req.body);
+
+      if (!rule) {
+        return res.status(404).json({
+          success: false,
+          error: "Alert rule not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        data: rule,
+        message: "Alert rule updated successfully",
+      });
+    } catch (error) {
+      console.error("Error updating alert rule:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Delete an alert rule; the next broader rule applies again
+   * DELETE /api/alert-rules/:id
+   */
+  async deleteAlertRule(req, res) {
+    try {
+      const rule = await alertRuleDAO.deleteById(req.params.id);
+
+      if (!rule) {
+        return res.status(404).json({
+          success: false,
+          error: "Alert rule not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Alert rule deleted successfully",
+      });
+    } catch (error) {
+      console.error("Error deleting alert rule:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+}
+
+module.exports = new AlertController();
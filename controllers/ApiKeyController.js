@@ -0,0 +1,116 @@
+const { apiKeyDAO } = require("../daos");
+const { ROLES } = require("../config/auth");
+
+/**
+ * API Key Controller
+ * Handles API keys owned by the authenticated user
+ */
+class ApiKeyController {
+  /**
+   * Get the current user's API keys
+   * GET /api/api-keys
+   */
+  async getApiKeys(req, res) {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+
+      const result = await apiKeyDAO.getByUser(req.user.id, {
+        limit: parseInt(limit),
+        skip: (parseInt(page) - 1) * parseInt(limit),
+      });
+
+      res.json({
+        success: true,
+        data: {
+          apiKeys: result.documents,
+          pagination: result.pagination,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching API keys:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Create an API key; the key is only returned in this response
+   * POST /api/api-keys
+   */
+  async createApiKey(req, res) {
+    try {
+      const { name, role = req.user.role, expiresAt } = req.body;
+
+      if (req.user.authType === "api_key") {
+        return res.status(403).json({
+          success: false,
+          error: "API keys cannot create other API keys",
+        });
+      }
+
+      if (ROLES.indexOf(role) > ROLES.indexOf(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          error: "API key role cannot exceed your own role",
+        });
+      }
+
+      const result = await apiKeyDAO.createKey(
+        { name, role, expiresAt },
+        req.user.id
+      );
+
+      res.status(201).json({
+        success: true,
+        data: result,
+        message: "API key created. Store it now; it will not be shown again",
+      });
+    } catch (error) {
+      console.error("Error creating API key:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Revoke an API key
+   * DELETE /api/api-keys/:id
+   */
+  async revokeApiKey(req, res) {
+    try {
+      const { id } = req.params;
+      const apiKey = await apiKeyDAO.revokeKey(id, req.user.id);
+
+      if (!apiKey) {
+        return res.status(404).json({
+          success: false,
+          error: "API key not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        data: apiKey,
+        message: "API key revoked successfully",
+      });
+    } catch (error) {
+      console.error("Error revoking API key:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+}
+
+module.exports = new ApiKeyController();
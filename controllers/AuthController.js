@@ -0,0 +1,113 @@
+const { userDAO } = require("../daos");
+
+/**
+ * Auth Controller
+ * Handles login, token refresh and the current identity
+ */
+class AuthController {
+  /**
+   * Log in with email and password
+   * POST /api/auth/login
+   */
+  async login(req, res) {
+    try {
+      const { email, password } = req.body;
+
+      if (!email || !password) {
+        return res.status(400).json({
+          success: false,
+          error: "Email and password are required",
+        });
+      }
+
+      const user = await userDAO.authenticate(email, password);
+
+      res.json({
+        success: true,
+        data: {
+          user: user.toIdentity(),
+          ...userDAO.issueTokens(user),
+        },
+      });
+    } catch (error) {
+      console.error("Error logging in:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Exchange a refresh token for new tokens
+   * POST /api/auth/refresh
+   */
+  async refresh(req, res) {
+    try {
+      const { refreshToken } = req.body;
+
+      if (!refreshToken) {
+        return res.status(400).json({
+          success: false,
+          error: "Refresh token is required",
+        });
+      }
+
+      const { user, tokens } = await userDAO.refreshTokens(refreshToken);
+
+      res.json({
+        success: true,
+        data: {
+          user: user.toIdentity(),
+          ...tokens,
+        },
+      });
+    } catch (error) {
+      console.error("Error refreshing token:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Revoke the current user's refresh tokens
+   * POST /api/auth/logout
+   */
+  async logout(req, res) {
+    try {
+      await userDAO.revokeTokens(req.user.id);
+
+      res.json({
+        success: true,
+        message: "Logged out successfully",
+      });
+    } catch (error) {
+      console.error("Error logging out:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Get the authenticated identity
+   * GET /api/auth/me
+   */
+  async getCurrentUser(req, res) {
+    res.json({
+      success: true,
+      data: req.user,
+    });
+  }
+}
+
+module.exports = new AuthController();
@@ -34,8 +34,8 @@ class CategoryController {
   async getCategoryStatistics(req, res) {
     try {
       const { id } = req.params;
-      // Dummy: trả về object rỗng, hoặc có thể lấy từ DAO nếu có
-      res.json({ success: true, data: { id, statistics: {} } });
+      const statistics = await categoryDAO.getProductStatistics(id);
+      res.json({ success: true, data: { id, statistics } });
     } catch (error) {
       console.error("Error fetching category statistics:", error);
       const statusCode = error.statusCode || 500;
@@ -3,6 +3,10 @@ const {
   supplierDAO,
   categoryDAO,
   inventoryTransactionDAO,
+  inventorySnapshotDAO,
+  purchaseOrderDAO,
+  alertDAO,
+  valuationDAO,
 } = require("../daos");
 
 /**
@@ -10,6 +14,17 @@ const {
  * Handles analytics, statistics, and dashboard data endpoints
  */
 class DashboardController {
+  constructor() {
+    // Routes pass handlers unbound; bind them so helper methods resolve
+    for (const name of Object.getOwnPropertyNames(
+      DashboardController.prototype
+    )) {
+      if (name !== "constructor") {
+        this[name] = this[name].bind(this);
+      }
+    }
+  }
+
   /**
    * Get overall dashboard statistics
    * GET /api/dashboard/stats
@@ -178,68 +193,16 @@ class DashboardController {
   }
 
   /**
-   * Get alerts and notifications
+   * Get open alerts grouped by severity
    * GET /api/dashboard/alerts
    */
   async getAlerts(req, res) {
     try {
       const { severity = "all", limit = 50 } = req.query;
 
-      const [
-        lowStockAlerts,
-        outOfStockAlerts,
-        lowCreditSuppliers,
-        recentHighValueTransactions,
-        expiringSoonProducts,
-      ] = await Promise.all([
-        productDAO.getLowStockProducts({ limit: parseInt(limit) }),
-        productDAO.getOutOfStockProducts({ limit: parseInt(limit) }),
-        supplierDAO.getLowCredit(5000, { limit: parseInt(limit) }),
-        this._getHighValueTransactions(7),
-        this._getExpiringSoonProducts(30),
-      ]);
-
-      const alerts = {
-        critical: [
-          ...(outOfStockAlerts.documents?.map((p) => ({
-            type: "out_of_stock",
-            severity: "critical",
-            message: `Product "${p.name}" is out of stock`,
-            productId: p._id,
-            createdAt: new Date(),
-          })) || []),
-          ...expiringSoonProducts.map((p) => ({
-            type: "expiring_soon",
-            severity: "critical",
-            message: `Product "${p.name}" expires in ${p.daysUntilExpiry} days`,
-            productId: p._id,
-            createdAt: new Date(),
-          })),
-        ],
-        warning: [
-          ...(lowStockAlerts.documents?.map((p) => ({
-            type: "low_stock",
-            severity: "warning",
-            message: `Product "${p.name}" is running low (${p.quantity} left)`,
-            productId: p._id,
-            createdAt: new Date(),
-          })) || []),
-          ...(lowCreditSuppliers.documents?.map((s) => ({
-            type: "low_credit",
-            severity: "warning",
-            message: `Supplier "${s.name}" has low credit limit ($${s.creditLimit})`,
-            supplierId: s._id,
-            createdAt: new Date(),
-          })) || []),
-        ],
-        info: recentHighValueTransactions.map((t) => ({
-          type: "high_value_transaction",
-          severity: "info",
-          message: `High value ${t.type} transaction: ${t.quantity} units`,
-          transactionId: t._id,
-          createdAt: t.createdAt,
-        })),
-      };
+      const { alerts, summary } = await alertDAO.getDashboardAlerts(
+        parseInt(limit)
+      );
 
       // Filter by severity if specified
       let filteredAlerts = alerts;
@@ -251,15 +214,7 @@ class DashboardController {
         success: true,
         data: {
           alerts: filteredAlerts,
-          summary: {
-            critical: alerts.critical.length,
-            warning: alerts.warning.length,
-            info: alerts.info.length,
-            total:
-              alerts.critical.length +
-              alerts.warning.length +
-              alerts.info.length,
-          },
+          summary,
         },
       });
     } catch (error) {
@@ -327,6 +282,7 @@ class DashboardController {
         period = "30",
         metrics = "inventory,sales,suppliers",
         granularity = "day",
+        category,
       } = req.query;
 
       const days = parseInt(period);
@@ -335,7 +291,9 @@ class DashboardController {
       const trends = {};
 
       if (metricsArray.includes("inventory")) {
-        trends.inventory = await this._getInventoryTrend(days, granularity);
+        trends.inventory = await this._getInventoryTrend(days, granularity, {
+          category,
+        });
       }
 
       if (metricsArray.includes("sales")) {
@@ -372,27 +330,26 @@ class DashboardController {
 
   // Helper methods for complex calculations
 
+  // Stock at cost from the live cost layers, alongside its selling value
   async _calculateInventoryValue() {
     try {
-      const products = await productDAO.findAll({ status: "active" });
-      let total = 0;
-      let totalItems = 0;
-
-      products.forEach((product) => {
-        const value = product.quantity * product.price;
-        total += value;
-        totalItems += product.quantity;
-      });
+      const [cost, stats] = await Promise.all([
+        valuationDAO.getCurrentCost(),
+        productDAO.getInventoryStats(),
+      ]);
 
       return {
-        total: Math.round(total * 100) / 100,
-        totalItems,
+        total: cost.value,
+        retailValue: stats.totalValue,
+        totalItems: stats.totalQuantity,
         averageItemValue:
-          totalItems > 0 ? Math.round((total / totalItems) * 100) / 100 : 0,
+          cost.quantity > 0
+            ? Math.round((cost.value / cost.quantity) * 100) / 100
+            : 0,
       };
     } catch (error) {
       console.error("Error calculating inventory value:", error);
-      return { total: 0, totalItems: 0, averageItemValue: 0 };
+      return { total: 0, retailValue: 0, totalItems: 0, averageItemValue: 0 };
     }
   }
 
@@ -668,59 +625,6 @@ class DashboardController {
     }
   }
 
-  async _getHighValueTransactions(days) {
-    try {
-      const startDate = new Date();
-      startDate.setDate(startDate.getDate() - days);
-
-      const transactions = await inventoryTransactionDAO.getByDateRange(
-        { startDate, endDate: new Date() },
-        {},
-        { limit: 100, sort: { createdAt: -1 } }
-      );
-
-      const docs = transactions.documents || transactions;
-
-      return docs
-        .filter((t) => {
-          const value = Math.abs(t.quantity) * (t.unitCost || 0);
-          return value > 1000; // Transactions over $1000
-        })
-        .slice(0, 10);
-    } catch (error) {
-      console.error("Error getting high value transactions:", error);
-      return [];
-    }
-  }
-
-  async _getExpiringSoonProducts(days) {
-    try {
-      const products = await productDAO.findAll({ status: "active" });
-      const currentDate = new Date();
-      const thresholdDate = new Date();
-      thresholdDate.setDate(currentDate.getDate() + days);
-
-      return products
-        .filter((product) => {
-          if (!product.expiryDate) return false;
-          const expiryDate = new Date(product.expiryDate);
-          const daysUntilExpiry = Math.ceil(
-            (expiryDate - currentDate) / (1000 * 60 * 60 * 24)
-          );
-
-          if (daysUntilExpiry <= days && daysUntilExpiry > 0) {
-            product.daysUntilExpiry = daysUntilExpiry;
-            return true;
-          }
-          return false;
-        })
-        .slice(0, 20);
-    } catch (error) {
-      console.error("Error getting expiring products:", error);
-      return [];
-    }
-  }
-
   async _getSupplierStatistics(days) {
     try {
       const suppliers = await supplierDAO.findAll({ status: "active" });
@@ -757,14 +661,25 @@ class DashboardController {
   }
 
   async _getDeliveryPerformance(days) {
-    // Placeholder for delivery performance analysis
-    // This would typically integrate with shipping/logistics data
-    return {
-      onTimeDeliveries: 85,
-      averageDeliveryTime: "3.2 days",
-      totalDeliveries: 124,
-      performanceScore: 4.2,
+    // Without deliveries in the period, or if they cannot be read, report
+    // no data rather than a figure
+    const noData = {
+      hasData: false,
+      totalDeliveries: null,
+      onTimeDeliveries: null,
+      onTimeRate: null,
+      averageDeliveryDays: null,
+      averageDeliveryTime: null,
     };
+
+    try {
+      const performance = await purchaseOrderDAO.getDeliveryPerformance(days);
+      if (!performance.totalDeliveries) return noData;
+      return { hasData: true, ...performance };
+    } catch (error) {
+      console.error("Error getting delivery performance:", error);
+      return noData;
+    }
   }
 
   async _getPaymentTermsAnalysis() {
@@ -788,22 +703,11 @@ class DashboardController {
     }
   }
 
-  async _getInventoryTrend(days, granularity) {
+  async _getInventoryTrend(days, granularity, filters = {}) {
     try {
-      // This would track inventory levels over time
-      // For now, return placeholder data
-      const trend = [];
-      for (let i = days; i >= 0; i--) {
-        const date = new Date();
-        date.setDate(date.getDate() - i);
-
-        trend.push({
-          date: date.toISOString().substring(0, 10),
-          totalValue: Math.random() * 100000 + 50000, // Placeholder
-          totalItems: Math.floor(Math.random() * 1000 + 500), // Placeholder
-        });
-      }
-      return trend;
+      // Daily snapshots are captured by the inventory-snapshot job and can
+      // be rebuilt from the ledger with scripts/backfill-inventory-snapshots
+      return await inventorySnapshotDAO.getTrend(days, granularity, filters);
     } catch (error) {
       console.error("Error getting inventory trend:", error);
       return [];
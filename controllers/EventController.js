@@ -0,0 +1,110 @@
+const mongoose = require("mongoose");
+const {
+  subscribeLiveEvents,
+  liveEventMatches,
+  formatSseEvent,
+  getLiveEventsMode,
+} = require("../utils/liveEvents");
+
+// Comment lines sent this often keep proxies from closing idle streams
+const HEARTBEAT_MS = 25 * 1000;
+
+// Milliseconds browsers wait before reconnecting a dropped stream
+const RECONNECT_MS = 5000;
+
+/**
+ * Split a comma-separated query value into a list
+ * @param {string} value - Raw query value
+ * @returns {Array<string>} Trimmed, non-empty entries
+ */
+function toList(value) {
+  if (!value) return [];
+  return String(value)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Event Controller
+ * Streams live stock, transaction and alert events to dashboards
+ */
+class EventController {
+  /**
+   * Stream live events as Server-Sent Events
+   * GET /api/events/stream?product=&category=&warehouse=
+   */
+  async stream(req, res) {
+    try {
+      const filters = {
+        products: toList(req.query.product),
+        categories: toList(req.query.category),
+        warehouses: toList(req.query.warehouse).map((warehouse) =>
+          warehouse.toUpperCase()
+        ),
+      };
+
+      const details = [
+        ...filters.products.map((value) => ({ field: "product", value })),
+        ...filters.categories.map((value) => ({ field: "category", value })),
+      ]
+        .filter(({ value }) => !mongoose.isValidObjectId(value))
+        .map((detail) => ({
+          ...detail,
+          message: `Invalid ${detail.field} ID`,
+        }));
+      if (details.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid event stream filters",
+          details,
+        });
+      }
+
+      res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        // Stop nginx from buffering the stream
+        "X-Accel-Buffering": "no",
+      });
+      res.flushHeaders();
+      res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+      const unsubscribe = subscribeLiveEvents((event) => {
+        if (liveEventMatches(event, filters)) {
+          res.write(formatSseEvent(event));
+        }
+      });
+      const heartbeat = setInterval(
+        () => res.write(": ping\n\n"),
+        HEARTBEAT_MS
+      );
+
+      res.write(
+        `event: ready\ndata: ${JSON.stringify({
+          source: getLiveEventsMode(),
+          filters,
+        })}\n\n`
+      );
+
+      req.on("close", () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+      });
+    } catch (error) {
+      console.error("Error opening event stream:", error);
+      if (res.headersSent) {
+        return res.end();
+      }
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+}
+
+module.exports = new EventController();
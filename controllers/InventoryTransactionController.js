@@ -1,5 +1,43 @@
+const { pipeline } = require("stream");
 const { inventoryTransactionDAO } = require("../daos");
 
+/**
+ * Split a comma-separated query value into a list
+ * Repeated parameters arrive as arrays; both shapes are accepted.
+ * @param {string|Array<string>} value - Raw query value
+ * @returns {Array<string>|null} Trimmed, non-empty entries, or null
+ */
+function toList(value) {
+  if (!value) return null;
+  const values = String(value)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+  return values.length > 0 ? values : null;
+}
+
+/**
+ * Build transaction data from a client request
+ * The performer is always the authenticated caller. Reservations are only
+ * consumed through sales order fulfilment, return links are only written by
+ * the returns workflow, purchase order links by receiving and stocktake
+ * links by posting a stocktake.
+ * @param {Object} body - Transaction fields from the request
+ * @param {Object} user - Authenticated caller
+ * @returns {Object} Transaction data
+ */
+function toTransactionInput(body, user) {
+  const {
+    reservation,
+    returnAuthorization,
+    purchaseOrder,
+    purchaseOrderLine,
+    stocktake,
+    ...data
+  } = body;
+  return { ...data, performedBy: user };
+}
+
 /**
  * Inventory Transaction Controller
  * Handles all inventory transaction-related API endpoints
@@ -108,13 +146,16 @@ class InventoryTransactionController {
   async createTransaction(req, res) {
     try {
       const transaction = await inventoryTransactionDAO.createTransaction(
-        req.body
+        toTransactionInput(req.body, req.user)
       );
 
       res.status(201).json({
         success: true,
         data: transaction,
-        message: "Transaction created successfully",
+        message:
+          transaction.status === "pending"
+            ? "Transaction submitted for approval"
+            : "Transaction created successfully",
       });
     } catch (error) {
       console.error("Error creating transaction:", error);
@@ -484,18 +525,11 @@ class InventoryTransactionController {
   async approveTransaction(req, res) {
     try {
       const { id } = req.params;
-      const { approvedBy, approvalNotes } = req.body;
-
-      if (!approvedBy) {
-        return res.status(400).json({
-          success: false,
-          error: "Approved by information is required",
-        });
-      }
+      const { approvalNotes } = req.body;
 
       const result = await inventoryTransactionDAO.approveTransaction(
         id,
-        approvedBy,
+        req.user,
         approvalNotes
       );
 
@@ -522,18 +556,18 @@ class InventoryTransactionController {
   async rejectTransaction(req, res) {
     try {
       const { id } = req.params;
-      const { rejectedBy, rejectionReason } = req.body;
+      const { rejectionReason } = req.body;
 
-      if (!rejectedBy || !rejectionReason) {
+      if (!rejectionReason) {
         return res.status(400).json({
           success: false,
-          error: "Rejected by and rejection reason are required",
+          error: "Rejection reason is required",
         });
       }
 
       const result = await inventoryTransactionDAO.rejectTransaction(
         id,
-        rejectedBy,
+        req.user,
         rejectionReason
       );
 
@@ -569,7 +603,9 @@ class InventoryTransactionController {
       }
 
       const result = await inventoryTransactionDAO.bulkCreateTransactions(
-        transactions
+        transactions.map((transaction) =>
+          toTransactionInput(transaction, req.user)
+        )
       );
 
       res.status(201).json({
@@ -589,28 +625,46 @@ class InventoryTransactionController {
   }
 
   /**
-   * Export transactions to CSV
+   * Export transactions as CSV, NDJSON or JSON
    * GET /api/transactions/export
    */
   async exportTransactions(req, res) {
     try {
-      const { startDate, endDate, type, product, format = "csv" } = req.query;
+      const {
+        startDate,
+        endDate,
+        type,
+        product,
+        status,
+        columns,
+        format = "csv",
+      } = req.query;
 
       // Build filters
       const filters = {};
       if (type) filters.type = type;
       if (product) filters.product = product;
+      if (status) filters.status = status;
       if (startDate || endDate) {
         filters.dateRange = {};
         if (startDate) filters.dateRange.startDate = new Date(startDate);
         if (endDate) filters.dateRange.endDate = new Date(endDate);
       }
 
-      const exportData = await inventoryTransactionDAO.exportTransactions(
+      // Filters are validated before any header is sent, so bad ones get a
+      // 400 instead of a broken download
+      const exportStream = await inventoryTransactionDAO.exportTransactions(
         filters,
-        format
+        format,
+        toList(columns)
       );
 
+      const contentTypes = {
+        csv: "text/csv; charset=utf-8",
+        ndjson: "application/x-ndjson",
+        json: "application/json",
+      };
+
       // Set appropriate headers for file download
       const filename = `inventory_transactions_${
         new Date().toISOString().split("T")[0]
@@ -619,12 +673,15 @@ class InventoryTransactionController {
         "Content-Disposition",
         `attachment; filename="${filename}"`
       );
-      res.setHeader(
-        "Content-Type",
-        format === "csv" ? "text/csv" : "application/json"
-      );
-
-      res.send(exportData);
+      res.setHeader("Content-Type", contentTypes[format]);
+
+      // Headers are already sent if the stream fails, so just log and
+      // close it
+      pipeline(exportStream, res, (error) => {
+        if (error) {
+          console.error("Error streaming transaction export:", error);
+        }
+      });
     } catch (error) {
       console.error("Error exporting transactions:", error);
       const statusCode = error.statusCode || 500;
@@ -0,0 +1,112 @@
+const { pipeline } = require("stream");
+const { productDAO } = require("../daos");
+const {
+  LABEL_SHEETS,
+  renderLabelSvg,
+  renderLabelPdf,
+} = require("../utils/labels");
+
+const SHEETS = [...Object.keys(LABEL_SHEETS), "roll"];
+
+/**
+ * Stream a label PDF as a download
+ * @param {Object} res - Express response
+ * @param {Array<Object>} labels - Labels to render
+ * @param {string} sheet - Sheet layout (letter, a4 or roll)
+ * @param {string} filename - Download file name
+ */
+function sendPdf(res, labels, sheet, filename) {
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `inline; filename="${filename}"`);
+
+  // Headers are already sent if the stream fails, so just close it
+  pipeline(renderLabelPdf(labels, { sheet }), res, (error) => {
+    if (error) {
+      console.error("Error streaming labels:", error);
+    }
+  });
+}
+
+/**
+ * Label Controller
+ * Handles barcode and shelf label printing
+ */
+class LabelController {
+  /**
+   * Render a product's label as SVG, or as a PDF of one label per page
+   * GET /api/products/:id/label
+   */
+  async getProductLabel(req, res) {
+    try {
+      const { id } = req.params;
+      const { format = "svg", copies = 1 } = req.query;
+
+      if (!["svg", "pdf"].includes(format)) {
+        return res.status(400).json({
+          success: false,
+          error: "Format must be svg or pdf",
+        });
+      }
+
+      const labels = await productDAO.getLabels({
+        products: [{ product: id, copies: Number(copies) }],
+      });
+
+      if (format === "pdf") {
+        return sendPdf(res, labels, "roll", `label_${labels[0].sku}.pdf`);
+      }
+
+      res.setHeader("Content-Type", "image/svg+xml");
+      res.send(renderLabelSvg(labels[0]));
+    } catch (error) {
+      console.error("Error rendering product label:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Render labels for selected products or a purchase order receipt as a
+   * printable PDF, multi-up on a sheet or one label per page ("roll")
+   * POST /api/labels
+   */
+  async createLabels(req, res) {
+    try {
+      const { products, purchaseOrder, receipt, sheet = "letter" } = req.body;
+
+      if (!SHEETS.includes(sheet)) {
+        return res.status(400).json({
+          success: false,
+          error: `Sheet must be one of: ${SHEETS.join(", ")}`,
+        });
+      }
+
+      const labels = await productDAO.getLabels({
+        products,
+        purchaseOrder,
+        receipt,
+      });
+
+      sendPdf(
+        res,
+        labels,
+        sheet,
+        `labels_${new Date().toISOString().split("T")[0]}.pdf`
+      );
+    } catch (error) {
+      console.error("Error rendering labels:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+}
+
+module.exports = new LabelController();
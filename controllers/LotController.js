@@ -0,0 +1,66 @@
+const { lotDAO } = require("../daos");
+
+/**
+ * Lot Controller
+ * Handles lot/batch endpoints
+ */
+class LotController {
+  /**
+   * Get the lots of a product in FEFO order
+   * GET /api/products/:id/lots
+   */
+  async getProductLots(req, res) {
+    try {
+      const { id } = req.params;
+      const { warehouse, includeEmpty } = req.query;
+
+      const lots = await lotDAO.getByProduct(id, {
+        warehouse,
+        includeEmpty: includeEmpty === "true",
+      });
+
+      res.json({
+        success: true,
+        data: lots,
+      });
+    } catch (error) {
+      console.error("Error fetching product lots:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Get stocked lots expiring soon
+   * GET /api/lots/expiring
+   */
+  async getExpiringLots(req, res) {
+    try {
+      const { days = 30, warehouse, limit = 50 } = req.query;
+
+      const lots = await lotDAO.getExpiring(parseInt(days), {
+        warehouse,
+        limit: parseInt(limit),
+      });
+
+      res.json({
+        success: true,
+        data: lots,
+      });
+    } catch (error) {
+      console.error("Error fetching expiring lots:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+}
+
+module.exports = new LotController();
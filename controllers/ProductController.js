@@ -1,4 +1,19 @@
-const { productDAO, inventoryTransactionDAO } = require("../daos");
+const { productDAO, stockLevelDAO } = require("../daos");
+const { parseCsv } = require("../utils/csv");
+
+/**
+ * Split a comma-separated query value into a list
+ * @param {string} value - Query value
+ * @returns {Array<string>|undefined} Values, or undefined when empty
+ */
+function toList(value) {
+  if (!value) return undefined;
+  const values = String(value)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+  return values.length > 0 ? values : undefined;
+}
 
 /**
  * Product Controller
@@ -92,27 +107,115 @@ class ProductController {
     }
   }
 
+  /**
+   * Get product stock per warehouse
+   * GET /api/products/:id/stock
+   */
+  async getProductStock(req, res) {
+    try {
+      const { id } = req.params;
+      const product = await productDAO.findById(id);
+
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          error: "Product not found",
+        });
+      }
+
+      const locations = await stockLevelDAO.getByProduct(id);
+
+      res.json({
+        success: true,
+        data: {
+          productId: product._id,
+          sku: product.sku,
+          totalQuantity: product.quantity,
+          locations: locations.map((level) => ({
+            warehouse: level.warehouse,
+            quantity: level.quantity,
+            updatedAt: level.updatedAt,
+          })),
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching product stock:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Get the variants of a product
+   * GET /api/products/:id/variants
+   */
+  async getProductVariants(req, res) {
+    try {
+      const { id } = req.params;
+      const { page = 1, limit = 50 } = req.query;
+
+      const result = await productDAO.getVariants(id, {
+        limit: parseInt(limit),
+        skip: (parseInt(page) - 1) * parseInt(limit),
+      });
+
+      res.json({
+        success: true,
+        data: {
+          variants: result.documents,
+          pagination: result.pagination,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching product variants:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Generate a variant per combination of attribute values
+   * POST /api/products/:id/variants
+   */
+  async generateProductVariants(req, res) {
+    try {
+      const { id } = req.params;
+      const result = await productDAO.generateVariants(id, req.body);
+
+      res.status(201).json({
+        success: true,
+        data: result,
+        message: `${result.variants.length} variants created`,
+      });
+    } catch (error) {
+      console.error("Error generating product variants:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
   /**
    * Create new product
    * POST /api/products
    */
   async createProduct(req, res) {
     try {
-      const product = await productDAO.create(req.body);
-
-      // Create inventory transaction for initial stock
-      if (product.quantity > 0) {
-        await inventoryTransactionDAO.createTransaction({
-          product: product._id,
-          type: "stock_in",
-          quantity: product.quantity,
-          previousQuantity: 0,
-          newQuantity: product.quantity,
-          reason: "Initial stock",
-          performedBy: req.user?.name || "System",
-          unitCost: product.price,
-        });
-      }
+      const product = await productDAO.createWithInitialStock(
+        req.body,
+        req.user
+      );
 
       res.status(201).json({
         success: true,
@@ -146,21 +249,15 @@ class ProductController {
         });
       }
 
-      const previousQuantity = existingProduct.quantity;
-      const updatedProduct = await productDAO.updateById(id, req.body);
-
-      // Create inventory transaction if quantity changed
-      if (previousQuantity !== updatedProduct.quantity) {
-        await inventoryTransactionDAO.createTransaction({
-          product: updatedProduct._id,
-          type: "adjustment",
-          quantity: updatedProduct.quantity - previousQuantity,
-          previousQuantity,
-          newQuantity: updatedProduct.quantity,
-          reason: "Product update",
-          performedBy: req.user?.name || "User",
-        });
-      }
+      const { quantityReason, ...updateData } = req.body;
+      const updatedProduct = await productDAO.updateWithQuantity(
+        id,
+        updateData,
+        {
+          reason: quantityReason || "Product update",
+          performedBy: req.user,
+        }
+      );
 
       res.json({
         success: true,
@@ -252,16 +349,91 @@ class ProductController {
     }
   }
 
+  /**
+   * Search products with facet counts for a filter sidebar
+   * GET /api/products/faceted-search
+   * List filters take comma-separated values; attribute filters are passed
+   * as attr.<name> (e.g. attr.Size=M,L).
+   */
+  async facetedSearch(req, res) {
+    try {
+      const {
+        q,
+        page = 1,
+        limit = 20,
+        category,
+        supplier,
+        status,
+        stockStatus,
+        tags,
+        minPrice,
+        maxPrice,
+        priceBuckets,
+        sortBy,
+        sortOrder = "desc",
+      } = req.query;
+
+      const attributes = {};
+      for (const [key, value] of Object.entries(req.query)) {
+        const values = key.startsWith("attr.") && toList(value);
+        if (values) attributes[key.slice("attr.".length)] = values;
+      }
+
+      const filters = {
+        q: q && q.trim() ? q.trim() : undefined,
+        category: toList(category),
+        supplier: toList(supplier),
+        status: toList(status),
+        stockStatus: toList(stockStatus),
+        tags: toList(tags),
+        minPrice: minPrice ? parseFloat(minPrice) : undefined,
+        maxPrice: maxPrice ? parseFloat(maxPrice) : undefined,
+        attributes,
+      };
+
+      const options = {
+        limit: parseInt(limit),
+        skip: (parseInt(page) - 1) * parseInt(limit),
+        ...(sortBy && { sort: { [sortBy]: sortOrder === "desc" ? -1 : 1 } }),
+        ...(priceBuckets && {
+          priceBoundaries: toList(priceBuckets)
+            .map(Number)
+            .sort((a, b) => a - b),
+        }),
+      };
+
+      const result = await productDAO.facetedSearch(filters, options);
+
+      res.json({
+        success: true,
+        data: {
+          products: result.documents,
+          pagination: result.pagination,
+          facets: result.facets,
+        },
+      });
+    } catch (error) {
+      console.error("Error running faceted search:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
   /**
    * Get low stock products
    * GET /api/products/low-stock
    */
   async getLowStockProducts(req, res) {
     try {
-      const { limit = 50, page = 1 } = req.query;
+      const { limit = 50, page = 1, warehouse } = req.query;
       const options = {
         limit: parseInt(limit),
         skip: (parseInt(page) - 1) * parseInt(limit),
+        warehouse,
       };
 
       const result = await productDAO.getLowStockProducts(options);
@@ -290,10 +462,11 @@ class ProductController {
    */
   async getOutOfStockProducts(req, res) {
     try {
-      const { limit = 50, page = 1 } = req.query;
+      const { limit = 50, page = 1, warehouse } = req.query;
       const options = {
         limit: parseInt(limit),
         skip: (parseInt(page) - 1) * parseInt(limit),
+        warehouse,
       };
 
       const result = await productDAO.getOutOfStockProducts(options);
@@ -424,7 +597,7 @@ class ProductController {
   async updateProductQuantity(req, res) {
     try {
       const { id } = req.params;
-      const { quantity, reason = "Manual adjustment" } = req.body;
+      const { quantity, reason = "Manual adjustment", warehouse } = req.body;
 
       if (typeof quantity !== "number" || quantity < 0) {
         return res.status(400).json({
@@ -433,7 +606,20 @@ class ProductController {
         });
       }
 
-      const result = await productDAO.updateQuantity(id, quantity, reason);
+      if (!Number.isInteger(quantity)) {
+        return res.status(400).json({
+          success: false,
+          error: "Quantity must be an integer",
+        });
+      }
+
+      const result = await productDAO.updateQuantity(
+        id,
+        quantity,
+        reason,
+        req.user,
+        { warehouse }
+      );
 
       res.json({
         success: true,
@@ -466,7 +652,7 @@ class ProductController {
         });
       }
 
-      const result = await productDAO.bulkUpdateQuantities(updates);
+      const result = await productDAO.bulkUpdateQuantities(updates, req.user);
 
       res.json({
         success: true,
@@ -483,6 +669,71 @@ class ProductController {
       });
     }
   }
+
+  /**
+   * Import products from CSV or NDJSON
+   * POST /api/products/import
+   */
+  async importProducts(req, res) {
+    try {
+      const { dryRun = "false", format } = req.query;
+      const contentType = req.get("Content-Type") || "";
+      const importFormat =
+        format || (contentType.includes("ndjson") ? "ndjson" : "csv");
+
+      if (typeof req.body !== "string" || req.body.trim() === "") {
+        return res.status(400).json({
+          success: false,
+          error: "Import file content is required",
+        });
+      }
+
+      let records;
+      if (importFormat === "ndjson") {
+        records = [];
+        const lines = req.body.split(/\r?\n/);
+        for (const [index, line] of lines.entries()) {
+          if (line.trim() === "") continue;
+          try {
+            records.push(JSON.parse(line));
+          } catch (parseError) {
+            return res.status(400).json({
+              success: false,
+              error: `Invalid JSON on line ${index + 1}: ${parseError.message}`,
+            });
+          }
+        }
+      } else if (importFormat === "csv") {
+        records = parseCsv(req.body);
+      } else {
+        return res.status(400).json({
+          success: false,
+          error: "Format must be csv or ndjson",
+        });
+      }
+
+      const report = await productDAO.importProducts(records, {
+        dryRun: dryRun === "true",
+        performedBy: req.user,
+      });
+
+      res.json({
+        success: true,
+        data: report,
+        message: report.dryRun
+          ? "Import validated (dry run, nothing saved)"
+          : "Product import completed",
+      });
+    } catch (error) {
+      console.error("Error importing products:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
 }
 
 module.exports = new ProductController();
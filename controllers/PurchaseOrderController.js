@@ -0,0 +1,294 @@
+const { purchaseOrderDAO } = require("../daos");
+
+/**
+ * Purchase Order Controller
+ * Handles purchase order endpoints
+ */
+class PurchaseOrderController {
+  /**
+   * Get all purchase orders with filtering and pagination
+   * GET /api/purchase-orders
+   */
+  async getAllPurchaseOrders(req, res) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        status,
+        supplier,
+        startDate,
+        endDate,
+        sortBy = "createdAt",
+        sortOrder = "desc",
+      } = req.query;
+
+      const filters = {};
+      if (status) filters.status = status;
+      if (supplier) filters.supplier = supplier;
+      if (startDate || endDate) {
+        filters.dateRange = {};
+        if (startDate) filters.dateRange.startDate = new Date(startDate);
+        if (endDate) filters.dateRange.endDate = new Date(endDate);
+      }
+
+      const result = await purchaseOrderDAO.getOrders(filters, {
+        limit: parseInt(limit),
+        skip: (parseInt(page) - 1) * parseInt(limit),
+        sort: { [sortBy]: sortOrder === "desc" ? -1 : 1 },
+      });
+
+      res.json({
+        success: true,
+        data: {
+          purchaseOrders: result.documents,
+          pagination: result.pagination,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching purchase orders:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Get single purchase order by ID
+   * GET /api/purchase-orders/:id
+   */
+  async getPurchaseOrderById(req, res) {
+    try {
+      const { id } = req.params;
+      const purchaseOrder = await purchaseOrderDAO.findById(id, [
+        { path: "supplier", select: "name code paymentTerms creditLimit" },
+        { path: "lines.product", select: "name sku" },
+      ]);
+
+      if (!purchaseOrder) {
+        return res.status(404).json({
+          success: false,
+          error: "Purchase order not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        data: purchaseOrder,
+      });
+    } catch (error) {
+      console.error("Error fetching purchase order:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Create a draft purchase order
+   * POST /api/purchase-orders
+   */
+  async createPurchaseOrder(req, res) {
+    try {
+      const purchaseOrder = await purchaseOrderDAO.createOrder(
+        req.body,
+        req.user
+      );
+
+      res.status(201).json({
+        success: true,
+        data: purchaseOrder,
+        message: "Purchase order created successfully",
+      });
+    } catch (error) {
+      console.error("Error creating purchase order:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Update a draft purchase order
+   * PUT /api/purchase-orders/:id
+   */
+  async updatePurchaseOrder(req, res) {
+    try {
+      const { id } = req.params;
+      const purchaseOrder = await purchaseOrderDAO.updateDraft(id, req.body);
+
+      res.json({
+        success: true,
+        data: purchaseOrder,
+        message: "Purchase order updated successfully",
+      });
+    } catch (error) {
+      console.error("Error updating purchase order:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Delete a draft purchase order
+   * DELETE /api/purchase-orders/:id
+   */
+  async deletePurchaseOrder(req, res) {
+    try {
+      const { id } = req.params;
+      await purchaseOrderDAO.deleteDraft(id);
+
+      res.json({
+        success: true,
+        message: "Purchase order deleted successfully",
+      });
+    } catch (error) {
+      console.error("Error deleting purchase order:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Submit a draft purchase order to the supplier
+   * PATCH /api/purchase-orders/:id/submit
+   */
+  async submitPurchaseOrder(req, res) {
+    try {
+      const { id } = req.params;
+      const purchaseOrder = await purchaseOrderDAO.submitOrder(id, req.user);
+
+      res.json({
+        success: true,
+        data: purchaseOrder,
+        message: "Purchase order submitted successfully",
+      });
+    } catch (error) {
+      console.error("Error submitting purchase order:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Receive goods against a purchase order
+   * POST /api/purchase-orders/:id/receive
+   */
+  async receivePurchaseOrder(req, res) {
+    try {
+      const { id } = req.params;
+      const { items, warehouse } = req.body;
+
+      const result = await purchaseOrderDAO.receiveOrder(id, items, req.user, {
+        warehouse,
+      });
+
+      let message =
+        result.purchaseOrder.status === "received"
+          ? "Purchase order fully received"
+          : "Purchase order partially received";
+      if (result.transactions.some((t) => t.status === "pending")) {
+        message = "Receipt recorded; some lines are awaiting approval";
+      }
+
+      res.json({
+        success: true,
+        data: result,
+        message,
+      });
+    } catch (error) {
+      console.error("Error receiving purchase order:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Close a received purchase order
+   * PATCH /api/purchase-orders/:id/close
+   */
+  async closePurchaseOrder(req, res) {
+    try {
+      const { id } = req.params;
+      const purchaseOrder = await purchaseOrderDAO.closeOrder(id, req.user);
+
+      res.json({
+        success: true,
+        data: purchaseOrder,
+        message: "Purchase order closed successfully",
+      });
+    } catch (error) {
+      console.error("Error closing purchase order:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Cancel a purchase order
+   * PATCH /api/purchase-orders/:id/cancel
+   */
+  async cancelPurchaseOrder(req, res) {
+    try {
+      const { id } = req.params;
+      const { reason } = req.body;
+
+      if (!reason) {
+        return res.status(400).json({
+          success: false,
+          error: "Cancellation reason is required",
+        });
+      }
+
+      const purchaseOrder = await purchaseOrderDAO.cancelOrder(
+        id,
+        reason,
+        req.user
+      );
+
+      res.json({
+        success: true,
+        data: purchaseOrder,
+        message: "Purchase order cancelled successfully",
+      });
+    } catch (error) {
+      console.error("Error cancelling purchase order:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+}
+
+module.exports = new PurchaseOrderController();
@@ -0,0 +1,76 @@
+const { replenishmentDAO } = require("../daos");
+
+/**
+ * Read suggestion options from a query string or request body
+ * @param {Object} source - Query or body
+ * @returns {Object} Options for the replenishment DAO
+ */
+function parseSuggestionOptions(source) {
+  const { warehouse, supplier, category, days } = source;
+  return {
+    warehouse,
+    supplier,
+    category,
+    velocityDays: days ? parseInt(days) : undefined,
+  };
+}
+
+/**
+ * Replenishment Controller
+ * Handles reorder suggestion endpoints
+ */
+class ReplenishmentController {
+  /**
+   * Get reorder suggestions grouped by supplier
+   * GET /api/replenishment/suggestions
+   */
+  async getSuggestions(req, res) {
+    try {
+      const suggestions = await replenishmentDAO.getSuggestions(
+        parseSuggestionOptions(req.query)
+      );
+
+      res.json({
+        success: true,
+        data: suggestions,
+      });
+    } catch (error) {
+      console.error("Error fetching reorder suggestions:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Create draft purchase orders from the current suggestions
+   * POST /api/replenishment/suggestions/orders
+   */
+  async createDraftOrders(req, res) {
+    try {
+      const result = await replenishmentDAO.createDraftOrders(
+        parseSuggestionOptions(req.body || {}),
+        req.user
+      );
+
+      res.status(result.created.length > 0 ? 201 : 200).json({
+        success: true,
+        data: result,
+        message: `${result.created.length} draft purchase order(s) created`,
+      });
+    } catch (error) {
+      console.error("Error creating draft purchase orders:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+}
+
+module.exports = new ReplenishmentController();
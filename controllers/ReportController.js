@@ -0,0 +1,42 @@
+const { valuationDAO } = require("../daos");
+
+/**
+ * Report Controller
+ * Handles finance report endpoints
+ */
+class ReportController {
+  /**
+   * Value stock at cost using FIFO, LIFO or weighted average
+   * GET /api/reports/valuation?method=&asOf=&from=&product=&category=
+   * A date-only asOf (2024-03-31) values stock at the end of that day (UTC),
+   * including the day's movements; a full timestamp is used as given.
+   */
+  async getValuation(req, res) {
+    try {
+      const { method, asOf, from, product, category } = req.query;
+
+      const valuation = await valuationDAO.getValuation({
+        method,
+        asOf,
+        from,
+        product,
+        category,
+      });
+
+      res.json({
+        success: true,
+        data: valuation,
+      });
+    } catch (error) {
+      console.error("Error fetching inventory valuation:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+}
+
+module.exports = new ReportController();
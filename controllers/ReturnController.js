@@ -0,0 +1,248 @@
+const { returnDAO } = require("../daos");
+
+/**
+ * Return Controller
+ * Handles customer and supplier return (RMA) endpoints
+ */
+class ReturnController {
+  /**
+   * Get all returns with filtering and pagination
+   * GET /api/returns
+   */
+  async getAllReturns(req, res) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        type,
+        status,
+        supplier,
+        customer,
+        sortBy = "createdAt",
+        sortOrder = "desc",
+      } = req.query;
+
+      const result = await returnDAO.getReturns(
+        { type, status, supplier, customer },
+        {
+          limit: parseInt(limit),
+          skip: (parseInt(page) - 1) * parseInt(limit),
+          sort: { [sortBy]: sortOrder === "desc" ? -1 : 1 },
+        }
+      );
+
+      res.json({
+        success: true,
+        data: {
+          returns: result.documents,
+          pagination: result.pagination,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching returns:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Get single return by ID
+   * GET /api/returns/:id
+   */
+  async getReturnById(req, res) {
+    try {
+      const { id } = req.params;
+      const rma = await returnDAO.findById(id, [
+        { path: "lines.product", select: "name sku" },
+        { path: "supplier", select: "name code" },
+        { path: "salesOrder", select: "orderNumber" },
+        { path: "purchaseOrder", select: "poNumber" },
+      ]);
+
+      if (!rma) {
+        return res.status(404).json({
+          success: false,
+          error: "Return not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        data: rma,
+      });
+    } catch (error) {
+      console.error("Error fetching return:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Authorize a customer or supplier return
+   * POST /api/returns
+   */
+  async createReturn(req, res) {
+    try {
+      const rma = await returnDAO.createReturn(req.body, req.user);
+
+      res.status(201).json({
+        success: true,
+        data: rma,
+        message: "Return authorized",
+      });
+    } catch (error) {
+      console.error("Error creating return:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Receive a customer return into quarantine
+   * POST /api/returns/:id/receive
+   */
+  async receiveReturn(req, res) {
+    try {
+      const { id } = req.params;
+      const result = await returnDAO.receiveReturn(id, req.user);
+
+      res.json({
+        success: true,
+        data: result,
+        message: "Return received into quarantine",
+      });
+    } catch (error) {
+      console.error("Error receiving return:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Record inspection results and dispositions for a customer return
+   * POST /api/returns/:id/inspect
+   */
+  async inspectReturn(req, res) {
+    try {
+      const { id } = req.params;
+      const { inspections } = req.body;
+
+      const result = await returnDAO.inspectReturn(id, inspections, req.user);
+
+      res.json({
+        success: true,
+        data: result,
+        message: "Inspection recorded",
+      });
+    } catch (error) {
+      console.error("Error inspecting return:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Ship a supplier return and raise its credit note
+   * POST /api/returns/:id/ship
+   */
+  async shipReturn(req, res) {
+    try {
+      const { id } = req.params;
+      const result = await returnDAO.shipSupplierReturn(id, req.user);
+
+      res.json({
+        success: true,
+        data: result,
+        message: "Return shipped to supplier",
+      });
+    } catch (error) {
+      console.error("Error shipping return:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Cancel a return before any stock has moved
+   * PATCH /api/returns/:id/cancel
+   */
+  async cancelReturn(req, res) {
+    try {
+      const { id } = req.params;
+      const { reason } = req.body;
+
+      if (!reason) {
+        return res.status(400).json({
+          success: false,
+          error: "Cancellation reason is required",
+        });
+      }
+
+      const rma = await returnDAO.cancelReturn(id, reason, req.user);
+
+      res.json({
+        success: true,
+        data: rma,
+        message: "Return cancelled successfully",
+      });
+    } catch (error) {
+      console.error("Error cancelling return:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Get the credit notes raised against a supplier
+   * GET /api/suppliers/:id/credit-notes
+   */
+  async getSupplierCreditNotes(req, res) {
+    try {
+      const { id } = req.params;
+      const credits = await returnDAO.getSupplierCredits(id);
+
+      res.json({
+        success: true,
+        data: credits,
+      });
+    } catch (error) {
+      console.error("Error fetching supplier credit notes:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+}
+
+module.exports = new ReturnController();
@@ -0,0 +1,185 @@
+const { salesOrderDAO } = require("../daos");
+
+/**
+ * Sales Order Controller
+ * Handles sales order and reservation endpoints
+ */
+class SalesOrderController {
+  /**
+   * Get all sales orders with filtering and pagination
+   * GET /api/sales-orders
+   */
+  async getAllSalesOrders(req, res) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        status,
+        customer,
+        startDate,
+        endDate,
+        sortBy = "createdAt",
+        sortOrder = "desc",
+      } = req.query;
+
+      const filters = {};
+      if (status) filters.status = status;
+      if (customer) filters.customer = customer;
+      if (startDate || endDate) {
+        filters.dateRange = {};
+        if (startDate) filters.dateRange.startDate = new Date(startDate);
+        if (endDate) filters.dateRange.endDate = new Date(endDate);
+      }
+
+      const result = await salesOrderDAO.getOrders(filters, {
+        limit: parseInt(limit),
+        skip: (parseInt(page) - 1) * parseInt(limit),
+        sort: { [sortBy]: sortOrder === "desc" ? -1 : 1 },
+      });
+
+      res.json({
+        success: true,
+        data: {
+          salesOrders: result.documents,
+          pagination: result.pagination,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching sales orders:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Get single sales order by ID
+   * GET /api/sales-orders/:id
+   */
+  async getSalesOrderById(req, res) {
+    try {
+      const { id } = req.params;
+      const salesOrder = await salesOrderDAO.findById(id, [
+        { path: "lines.product", select: "name sku" },
+        {
+          path: "lines.reservation",
+          select: "status quantity warehouse expiresAt",
+        },
+      ]);
+
+      if (!salesOrder) {
+        return res.status(404).json({
+          success: false,
+          error: "Sales order not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        data: salesOrder,
+      });
+    } catch (error) {
+      console.error("Error fetching sales order:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Create a sales order, reserving its stock
+   * POST /api/sales-orders
+   */
+  async createSalesOrder(req, res) {
+    try {
+      const salesOrder = await salesOrderDAO.createOrder(req.body, req.user);
+
+      res.status(201).json({
+        success: true,
+        data: salesOrder,
+        message: "Sales order created and stock reserved",
+      });
+    } catch (error) {
+      console.error("Error creating sales order:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Fulfill a sales order, shipping its reserved stock
+   * PATCH /api/sales-orders/:id/fulfill
+   */
+  async fulfillSalesOrder(req, res) {
+    try {
+      const { id } = req.params;
+      const { serialNumbers } = req.body || {};
+      const result = await salesOrderDAO.fulfillOrder(id, req.user, {
+        serialNumbers,
+      });
+
+      res.json({
+        success: true,
+        data: result,
+        message:
+          result.salesOrder.status === "fulfilled"
+            ? "Sales order fulfilled"
+            : "Sales order fulfillment submitted for approval",
+      });
+    } catch (error) {
+      console.error("Error fulfilling sales order:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Cancel a sales order, releasing its reservations
+   * PATCH /api/sales-orders/:id/cancel
+   */
+  async cancelSalesOrder(req, res) {
+    try {
+      const { id } = req.params;
+      const { reason } = req.body;
+
+      if (!reason) {
+        return res.status(400).json({
+          success: false,
+          error: "Cancellation reason is required",
+        });
+      }
+
+      const salesOrder = await salesOrderDAO.cancelOrder(id, reason, req.user);
+
+      res.json({
+        success: true,
+        data: salesOrder,
+        message: "Sales order cancelled successfully",
+      });
+    } catch (error) {
+      console.error("Error cancelling sales order:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+}
+
+module.exports = new SalesOrderController();
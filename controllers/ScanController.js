@@ -0,0 +1,71 @@
+const { productDAO } = require("../daos");
+const { hasPermission } = require("../config/permissions");
+
+/**
+ * Scan Controller
+ * Handles barcode and SKU scans from warehouse handhelds
+ */
+class ScanController {
+  /**
+   * Resolve a scanned code and optionally book units in or out
+   * POST /api/scan
+   * Booking stock (action stock_in or stock_out) needs stock:write.
+   */
+  async scan(req, res) {
+    try {
+      const { code, action, quantity, ...options } = req.body;
+
+      if (!code) {
+        return res.status(400).json({
+          success: false,
+          error: "Scanned code is required",
+        });
+      }
+
+      if (!action) {
+        const result = await productDAO.resolveScan(code, options);
+        return res.json({
+          success: true,
+          data: result,
+        });
+      }
+
+      if (!hasPermission(req.user.role, "stock:write")) {
+        return res.status(403).json({
+          success: false,
+          error: "Insufficient permissions",
+          required: "stock:write",
+        });
+      }
+
+      const result = await productDAO.scanStock(
+        code,
+        {
+          ...options,
+          action,
+          quantity: quantity !== undefined ? Number(quantity) : undefined,
+        },
+        req.user
+      );
+
+      res.status(201).json({
+        success: true,
+        data: result,
+        message:
+          result.transaction.status === "pending"
+            ? "Scan submitted for approval"
+            : "Scan recorded successfully",
+      });
+    } catch (error) {
+      console.error("Error processing scan:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+}
+
+module.exports = new ScanController();
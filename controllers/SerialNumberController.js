@@ -0,0 +1,32 @@
+const { serialNumberDAO } = require("../daos");
+
+/**
+ * Serial Number Controller
+ * Handles serial-tracked unit endpoints
+ */
+class SerialNumberController {
+  /**
+   * Get a unit and its transaction history
+   * GET /api/serials/:serial
+   */
+  async getSerialHistory(req, res) {
+    try {
+      const history = await serialNumberDAO.getHistory(req.params.serial);
+
+      res.json({
+        success: true,
+        data: history,
+      });
+    } catch (error) {
+      console.error("Error fetching serial number history:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+}
+
+module.exports = new SerialNumberController();
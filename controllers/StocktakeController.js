@@ -0,0 +1,215 @@
+const { stocktakeDAO } = require("../daos");
+
+/**
+ * Stocktake Controller
+ * Handles cycle count and physical stocktake endpoints
+ */
+class StocktakeController {
+  /**
+   * Get all stocktake sessions with filtering and pagination
+   * GET /api/stocktakes
+   */
+  async getAllStocktakes(req, res) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        status,
+        warehouse,
+        sortBy = "createdAt",
+        sortOrder = "desc",
+      } = req.query;
+
+      const result = await stocktakeDAO.getSessions(
+        { status, warehouse },
+        {
+          limit: parseInt(limit),
+          skip: (parseInt(page) - 1) * parseInt(limit),
+          sort: { [sortBy]: sortOrder === "desc" ? -1 : 1 },
+        }
+      );
+
+      res.json({
+        success: true,
+        data: {
+          stocktakes: result.documents,
+          pagination: result.pagination,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching stocktakes:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Get single stocktake session by ID
+   * GET /api/stocktakes/:id
+   */
+  async getStocktakeById(req, res) {
+    try {
+      const { id } = req.params;
+      const stocktake = await stocktakeDAO.findById(id);
+
+      if (!stocktake) {
+        return res.status(404).json({
+          success: false,
+          error: "Stocktake session not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        data: stocktake,
+      });
+    } catch (error) {
+      console.error("Error fetching stocktake:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Open a stocktake session for a warehouse, category or ABC class
+   * POST /api/stocktakes
+   */
+  async createStocktake(req, res) {
+    try {
+      const stocktake = await stocktakeDAO.createSession(req.body, req.user);
+
+      res.status(201).json({
+        success: true,
+        data: stocktake,
+        message: "Stocktake session opened",
+      });
+    } catch (error) {
+      console.error("Error creating stocktake:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Record counts for a stocktake session
+   * POST /api/stocktakes/:id/counts
+   */
+  async recordCounts(req, res) {
+    try {
+      const { id } = req.params;
+      const { counts } = req.body;
+
+      const stocktake = await stocktakeDAO.recordCounts(id, counts, req.user);
+
+      res.json({
+        success: true,
+        data: stocktake,
+        message: "Counts recorded",
+      });
+    } catch (error) {
+      console.error("Error recording stocktake counts:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Get the variance report of a stocktake session
+   * GET /api/stocktakes/:id/variance
+   */
+  async getVarianceReport(req, res) {
+    try {
+      const { id } = req.params;
+      const report = await stocktakeDAO.getVarianceReport(id);
+
+      res.json({
+        success: true,
+        data: report,
+      });
+    } catch (error) {
+      console.error("Error fetching stocktake variance:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Post a stocktake session as adjustment transactions
+   * POST /api/stocktakes/:id/post
+   */
+  async postStocktake(req, res) {
+    try {
+      const { id } = req.params;
+      const { allowUncounted } = req.body || {};
+
+      const result = await stocktakeDAO.postSession(id, req.user, {
+        allowUncounted: allowUncounted === true,
+      });
+
+      const pending = result.stocktake.pendingTransactions.length;
+      res.json({
+        success: true,
+        data: result,
+        message:
+          pending > 0
+            ? `Stocktake submitted with ${result.transactions.length} adjustments; ${pending} awaiting approval`
+            : `Stocktake posted with ${result.transactions.length} adjustments`,
+      });
+    } catch (error) {
+      console.error("Error posting stocktake:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Cancel a stocktake session that is still counting
+   * PATCH /api/stocktakes/:id/cancel
+   */
+  async cancelStocktake(req, res) {
+    try {
+      const { id } = req.params;
+      const stocktake = await stocktakeDAO.cancelSession(id, req.user);
+
+      res.json({
+        success: true,
+        data: stocktake,
+        message: "Stocktake session cancelled",
+      });
+    } catch (error) {
+      console.error("Error cancelling stocktake:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+}
+
+module.exports = new StocktakeController();
@@ -1,4 +1,4 @@
-const { supplierDAO } = require("../daos");
+const { supplierDAO, alertRuleDAO } = require("../daos");
 
 /**
  * Supplier Controller
@@ -253,21 +253,23 @@ class SupplierController {
   }
 
   /**
-   * Get suppliers with low credit limits
+   * Get suppliers with low credit limits; without a threshold, the
+   * low_credit alert rule's applies
    * GET /api/suppliers/low-credit
    */
   async getLowCreditSuppliers(req, res) {
     try {
-      const { threshold = 5000, limit = 50, page = 1 } = req.query;
+      const { threshold, limit = 50, page = 1 } = req.query;
       const options = {
         limit: parseInt(limit),
         skip: (parseInt(page) - 1) * parseInt(limit),
       };
 
-      const result = await supplierDAO.getLowCredit(
-        parseFloat(threshold),
-        options
-      );
+      const limitThreshold =
+        threshold !== undefined
+          ? parseFloat(threshold)
+          : (await alertRuleDAO.getEffectiveRule("low_credit")).threshold;
+      const result = await supplierDAO.getLowCredit(limitThreshold, options);
 
       res.json({
         success: true,
@@ -495,7 +497,7 @@ class SupplierController {
   async addSupplierReview(req, res) {
     try {
       const { id } = req.params;
-      const { rating, review, reviewer = "System" } = req.body;
+      const { rating, review } = req.body;
 
       if (!review || typeof rating !== "number" || rating < 1 || rating > 5) {
         return res.status(400).json({
@@ -517,7 +519,8 @@ class SupplierController {
         date: new Date(),
         rating,
         review,
-        reviewer,
+        reviewer: req.user.name,
+        reviewerId: req.user.id,
       };
 
       supplier.performanceNotes = supplier.performanceNotes || [];
@@ -0,0 +1,119 @@
+const { userDAO } = require("../daos");
+
+/**
+ * User Controller
+ * Handles user account endpoints
+ */
+class UserController {
+  /**
+   * Get all users with filtering and pagination
+   * GET /api/users
+   */
+  async getAllUsers(req, res) {
+    try {
+      const { page = 1, limit = 20, role, status } = req.query;
+
+      const filter = {};
+      if (role) filter.role = role;
+      if (status) filter.status = status;
+
+      const result = await userDAO.find(filter, {
+        limit: parseInt(limit),
+        skip: (parseInt(page) - 1) * parseInt(limit),
+        sort: { name: 1 },
+      });
+
+      res.json({
+        success: true,
+        data: {
+          users: result.documents,
+          pagination: result.pagination,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching users:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Create new user
+   * POST /api/users
+   */
+  async createUser(req, res) {
+    try {
+      const { name, email, password, role } = req.body;
+      const user = await userDAO.create({ name, email, password, role });
+
+      res.status(201).json({
+        success: true,
+        data: user,
+        message: "User created successfully",
+      });
+    } catch (error) {
+      console.error("Error creating user:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Update user profile, role or status
+   * PUT /api/users/:id
+   */
+  async updateUser(req, res) {
+    try {
+      const { id } = req.params;
+      const { name, role, status, password } = req.body;
+
+      const user = await userDAO.findById(id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: "User not found",
+        });
+      }
+
+      if (name !== undefined) user.name = name;
+      if (role !== undefined) user.role = role;
+      if (status !== undefined) user.status = status;
+      // Saving runs the hashing middleware
+      if (password !== undefined) user.password = password;
+      await user.save();
+
+      // Role, status or password changes revoke existing refresh tokens
+      if (
+        role !== undefined ||
+        status !== undefined ||
+        password !== undefined
+      ) {
+        await userDAO.revokeTokens(id);
+      }
+
+      res.json({
+        success: true,
+        data: user,
+        message: "User updated successfully",
+      });
+    } catch (error) {
+      console.error("Error updating user:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+}
+
+module.exports = new UserController();
@@ -0,0 +1,65 @@
+const { stockLevelDAO } = require("../daos");
+
+/**
+ * Warehouse Controller
+ * Handles stock-by-warehouse endpoints
+ */
+class WarehouseController {
+  /**
+   * Get stock totals for every warehouse
+   * GET /api/warehouses
+   */
+  async getWarehouses(req, res) {
+    try {
+      const warehouses = await stockLevelDAO.getWarehouseSummary();
+
+      res.json({
+        success: true,
+        data: warehouses,
+      });
+    } catch (error) {
+      console.error("Error fetching warehouses:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Get products stocked in a warehouse
+   * GET /api/warehouses/:warehouse/stock
+   */
+  async getWarehouseStock(req, res) {
+    try {
+      const { warehouse } = req.params;
+      const { limit = 50, page = 1 } = req.query;
+
+      const result = await stockLevelDAO.getByWarehouse(warehouse, {
+        limit: parseInt(limit),
+        skip: (parseInt(page) - 1) * parseInt(limit),
+      });
+
+      res.json({
+        success: true,
+        data: {
+          warehouse: warehouse.toUpperCase(),
+          stock: result.documents,
+          pagination: result.pagination,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching warehouse stock:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+}
+
+module.exports = new WarehouseController();
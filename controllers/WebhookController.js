@@ -0,0 +1,246 @@
+const { webhookDAO, webhookDeliveryDAO } = require("../daos");
+
+/**
+ * Webhook Controller
+ * Handles webhook subscriptions, their delivery log and replays
+ */
+class WebhookController {
+  /**
+   * Get webhook subscriptions
+   * GET /api/webhooks
+   */
+  async getWebhooks(req, res) {
+    try {
+      const { page = 1, limit = 20, active, event } = req.query;
+
+      const filter = {};
+      if (active !== undefined) filter.active = active === "true";
+      if (event) filter.events = { $in: [event, "*"] };
+
+      const result = await webhookDAO.find(filter, {
+        limit: parseInt(limit),
+        skip: (parseInt(page) - 1) * parseInt(limit),
+        sort: { createdAt: -1 },
+      });
+
+      res.json({
+        success: true,
+        data: {
+          webhooks: result.documents,
+          pagination: result.pagination,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching webhooks:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Get a webhook subscription by ID
+   * GET /api/webhooks/:id
+   */
+  async getWebhookById(req, res) {
+    try {
+      const webhook = await webhookDAO.findById(req.params.id);
+
+      if (!webhook) {
+        return res.status(404).json({
+          success: false,
+          error: "Webhook not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        data: webhook,
+      });
+    } catch (error) {
+      console.error("Error fetching webhook:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Create a webhook subscription; its secret is only returned in this
+   * response
+   * POST /api/webhooks
+   */
+  async createWebhook(req, res) {
+    try {
+      const { url, events, description, active } = req.body;
+
+      const result = await webhookDAO.createSubscription(
+        { url, events, description, active },
+        req.user
+      );
+
+      res.status(201).json({
+        success: true,
+        data: result,
+        message:
+          "Webhook created. Store the signing secret now; it will not be shown again",
+      });
+    } catch (error) {
+      console.error("Error creating webhook:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Update a webhook subscription; rotateSecret issues a new secret
+   * PATCH /api/webhooks/:id
+   */
+  async updateWebhook(req, res) {
+    try {
+      const result = await webhookDAO.updateSubscription(
+        req.params.id,
+        req.body
+      );
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: "Webhook not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        data: result,
+        message: result.secret
+          ? "Webhook updated. Store the new signing secret now; it will not be shown again"
+          : "Webhook updated successfully",
+      });
+    } catch (error) {
+      console.error("Error updating webhook:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Delete a webhook subscription; its delivery log is kept
+   * DELETE /api/webhooks/:id
+   */
+  async deleteWebhook(req, res) {
+    try {
+      const webhook = await webhookDAO.deleteById(req.params.id);
+
+      if (!webhook) {
+        return res.status(404).json({
+          success: false,
+          error: "Webhook not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Webhook deleted successfully",
+      });
+    } catch (error) {
+      console.error("Error deleting webhook:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Get the delivery log of a webhook subscription
+   * GET /api/webhooks/:id/deliveries
+   */
+  async getWebhookDeliveries(req, res) {
+    try {
+      const { page = 1, limit = 20, status, event } = req.query;
+
+      const webhook = await webhookDAO.findById(req.params.id);
+      if (!webhook) {
+        return res.status(404).json({
+          success: false,
+          error: "Webhook not found",
+        });
+      }
+
+      const result = await webhookDeliveryDAO.getBySubscription(
+        req.params.id,
+        { status, event },
+        {
+          limit: parseInt(limit),
+          skip: (parseInt(page) - 1) * parseInt(limit),
+        }
+      );
+
+      res.json({
+        success: true,
+        data: {
+          deliveries: result.documents,
+          pagination: result.pagination,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching webhook deliveries:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Send a delivered or failed event again
+   * POST /api/webhooks/deliveries/:deliveryId/replay
+   */
+  async replayDelivery(req, res) {
+    try {
+      const delivery = await webhookDeliveryDAO.replay(
+        req.params.deliveryId,
+        req.user
+      );
+
+      res.status(201).json({
+        success: true,
+        data: delivery,
+        message: {
+          succeeded: "Webhook delivery replayed successfully",
+          pending: "Webhook delivery replay failed; it will be retried",
+          failed: "Webhook delivery replay failed",
+        }[delivery.status],
+      });
+    } catch (error) {
+      console.error("Error replaying webhook delivery:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+}
+
+module.exports = new WebhookController();
@@ -4,6 +4,23 @@ const SupplierController = require("./SupplierController");
 const CategoryController = require("./CategoryController");
 const InventoryTransactionController = require("./InventoryTransactionController");
 const DashboardController = require("./DashboardController");
+const AuthController = require("./AuthController");
+const UserController = require("./UserController");
+const ApiKeyController = require("./ApiKeyController");
+const WarehouseController = require("./WarehouseController");
+const PurchaseOrderController = require("./PurchaseOrderController");
+const ReplenishmentController = require("./ReplenishmentController");
+const SalesOrderController = require("./SalesOrderController");
+const LotController = require("./LotController");
+const SerialNumberController = require("./SerialNumberController");
+const ReportController = require("./ReportController");
+const StocktakeController = require("./StocktakeController");
+const ReturnController = require("./ReturnController");
+const ScanController = require("./ScanController");
+const LabelController = require("./LabelController");
+const WebhookController = require("./WebhookController");
+const EventController = require("./EventController");
+const AlertController = require("./AlertController");
 
 module.exports = {
   ProductController,
@@ -11,4 +28,21 @@ module.exports = {
   CategoryController,
   InventoryTransactionController,
   DashboardController,
+  AuthController,
+  UserController,
+  ApiKeyController,
+  WarehouseController,
+  PurchaseOrderController,
+  ReplenishmentController,
+  SalesOrderController,
+  LotController,
+  SerialNumberController,
+  ReportController,
+  StocktakeController,
+  ReturnController,
+  ScanController,
+  LabelController,
+  WebhookController,
+  EventController,
+  AlertController,
 };
@@ -0,0 +1,463 @@
+const BaseDAO = require("./BaseDAO");
+const {
+  Alert,
+  AlertRule,
+  Product,
+  Lot,
+  Supplier,
+  InventoryTransaction,
+  User,
+} = require("../models");
+const { ALERT_SEVERITIES, ACTIVE_ALERT_STATUSES } = require("../config/alerts");
+const { toActor } = require("../utils/actor");
+const { availableQuantity } = require("../utils/stock");
+const { resolveAlertRule, ruleSettingValues } = require("../utils/alerts");
+const { publishEvent } = require("../utils/events");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Transactions that moved stock (pending and rejected ones did not)
+const POSTED_FILTER = { status: { $nin: ["pending", "rejected"] } };
+
+/**
+ * Alert Data Access Object
+ * Alerts are stored as documents, one per condition (a product out of
+ * stock, a lot about to expire...). Evaluation opens an alert when its
+ * condition first holds, updates its last-seen time while it holds and
+ * resolves it once it clears.
+ */
+class AlertDAO extends BaseDAO {
+  constructor() {
+    super(Alert);
+  }
+
+  /**
+   * Check every alert condition against the configured rules
+   * Publishes alert.opened and alert.resolved for each transition.
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} Counts of alerts opened, still active and
+   *   resolved
+   */
+  async evaluateAlerts(now = new Date()) {
+    try {
+      const rules = await AlertRule.find({}).lean();
+      const conditions = [
+        ...(await this._stockConditions(rules)),
+        ...(await this._expiringLotConditions(rules, now)),
+        ...(await this._creditConditions(rules)),
+        ...(await this._highValueConditions(rules, now)),
+      ];
+
+      let opened = 0;
+      for (const condition of conditions) {
+        const { key, ...fields } = condition;
+        const result = await this.model.findOneAndUpdate(
+          { key, status: { $in: ACTIVE_ALERT_STATUSES } },
+          {
+            $set: { ...fields, lastSeenAt: now },
+            $setOnInsert: { status: "open", firstSeenAt: now },
+          },
+          { upsert: true, new: true, includeResultMetadata: true }
+        );
+        if (!result.lastErrorObject?.updatedExisting) {
+          opened += 1;
+          publishEvent("alert.opened", result.value.toJSON());
+        }
+      }
+
+      const cleared = await this.model.find({
+        status: { $in: ACTIVE_ALERT_STATUSES },
+        key: { $nin: conditions.map((condition) => condition.key) },
+      });
+      for (const alert of cleared) {
+        const resolved = await this.model.findOneAndUpdate(
+          { _id: alert._id, status: { $in: ACTIVE_ALERT_STATUSES } },
+          { $set: { status: "resolved", resolvedAt: now } },
+          { new: true }
+        );
+        if (resolved) publishEvent("alert.resolved", resolved.toJSON());
+      }
+
+      return {
+        opened,
+        active: conditions.length,
+        resolved: cleared.length,
+      };
+    } catch (error) {
+      throw this._handleError(error, "EVALUATE_ALERTS");
+    }
+  }
+
+  /**
+   * Get alerts with filtering
+   * Without a status filter only active alerts are returned, leaving out
+   * snoozed ones unless includeSnoozed is set.
+   * @param {Object} filters - Filters (status, type, severity, assignedTo,
+   *   product, supplier, includeSnoozed)
+   * @param {Object} options - Query options
+   * @param {Date} now - Reference time for snoozes
+   * @returns {Promise<Object>} Alerts with pagination
+   */
+  async getAlerts(filters = {}, options = {}, now = new Date()) {
+    try {
+      const query = {
+        status: filters.status || { $in: ACTIVE_ALERT_STATUSES },
+      };
+      if (filters.type) query.type = filters.type;
+      if (filters.severity) query.severity = filters.severity;
+      if (filters.assignedTo !== undefined) {
+        query.assignedTo = filters.assignedTo;
+      }
+      if (filters.product) query.product = filters.product;
+      if (filters.supplier) query.supplier = filters.supplier;
+      if (!filters.status && !filters.includeSnoozed) {
+        query.$or = [{ snoozedUntil: null }, { snoozedUntil: { $lte: now } }];
+      }
+
+      return await this.find(query, {
+        ...options,
+        sort: options.sort || { firstSeenAt: -1 },
+      });
+    } catch (error) {
+      throw this._handleError(error, "GET_ALERTS");
+    }
+  }
+
+  /**
+   * Get active, unsnoozed alerts grouped by severity for the dashboard
+   * @param {number} limit - Most alerts per severity
+   * @param {Date} now - Reference time for snoozes
+   * @returns {Promise<Object>} { alerts: { critical, warning, info },
+   *   summary: counts per severity and total }
+   */
+  async getDashboardAlerts(limit = 50, now = new Date()) {
+    try {
+      const groups = await Promise.all(
+        ALERT_SEVERITIES.map((severity) =>
+          this.getAlerts({ severity }, { limit }, now)
+        )
+      );
+
+      const alerts = {};
+      const summary = { total: 0 };
+      ALERT_SEVERITIES.forEach((severity, index) => {
+        alerts[severity] = groups[index].documents;
+        summary[severity] = groups[index].pagination.total;
+        summary.total += groups[index].pagination.total;
+      });
+      return { alerts, summary };
+    } catch (error) {
+      throw this._handleError(error, "GET_DASHBOARD_ALERTS");
+    }
+  }
+
+  /**
+   * Acknowledge an open alert
+   * @param {string} alertId - Alert ID
+   * @param {string|Object} acknowledgedBy - User name or identity ({ id,
+   *   name })
+   * @returns {Promise<Object>} Acknowledged alert
+   */
+  async acknowledge(alertId, acknowledgedBy) {
+    try {
+      const actor = toActor(acknowledgedBy);
+      const alert = await this.model.findOneAndUpdate(
+        { _id: alertId, status: "open" },
+        {
+          $set: {
+            status: "acknowledged",
+            acknowledgedBy: actor.name,
+            acknowledgedById: actor.id,
+            acknowledgedAt: new Date(),
+          },
+        },
+        { new: true }
+      );
+
+      return alert || (await this._assertActive(alertId, "acknowledge"));
+    } catch (error) {
+      throw this._handleError(error, "ACKNOWLEDGE");
+    }
+  }
+
+  /**
+   * Hide an active alert from active alert lists until a given time
+   * @param {string} alertId - Alert ID
+   * @param {Date|string} until - End of the snooze
+   * @param {string|Object} snoozedBy - User name or identity ({ id, name })
+   * @returns {Promise<Object>} Snoozed alert
+   */
+  async snooze(alertId, until, snoozedBy) {
+    try {
+      const snoozedUntil = new Date(until);
+      if (Number.isNaN(snoozedUntil.getTime()) || snoozedUntil <= new Date()) {
+        const error = new Error("Snooze must end in the future");
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const alert = await this.model.findOneAndUpdate(
+        { _id: alertId, status: { $in: ACTIVE_ALERT_STATUSES } },
+        { $set: { snoozedUntil, snoozedBy: toActor(snoozedBy).name } },
+        { new: true }
+      );
+
+      return alert || (await this._assertActive(alertId, "snooze"));
+    } catch (error) {
+      throw this._handleError(error, "SNOOZE");
+    }
+  }
+
+  /**
+   * Assign an active alert to a user, or unassign it
+   * @param {string} alertId - Alert ID
+   * @param {string|null} userId - Assignee's user ID, or null to unassign
+   * @param {string|Object} assignedBy - User name or identity ({ id, name })
+   * @returns {Promise<Object>} Updated alert
+   */
+  async assign(alertId, userId, assignedBy) {
+    try {
+      let assignee = null;
+      if (userId) {
+        assignee = await User.findOne({ _id: userId, status: "active" }).select(
+          "name"
+        );
+        if (!assignee) {
+          const error = new Error("Assignee must be an active user");
+          error.statusCode = 400;
+          throw error;
+        }
+      }
+
+      const alert = await this.model.findOneAndUpdate(
+        { _id: alertId, status: { $in: ACTIVE_ALERT_STATUSES } },
+        {
+          $set: {
+            assignedTo: assignee ? assignee._id : null,
+            assignedToName: assignee ? assignee.name : null,
+            assignedBy: toActor(assignedBy).name,
+            assignedAt: new Date(),
+          },
+        },
+        { new: true }
+      );
+
+      return alert || (await this._assertActive(alertId, "assign"));
+    } catch (error) {
+      throw this._handleError(error, "ASSIGN");
+    }
+  }
+
+  /**
+   * Throw the error for an alert an action could not update
+   * @private
+   * @param {string} alertId - Alert ID
+   * @param {string} action - Action attempted (for the message)
+   * @throws {Error} 404 when missing, 409 when its status does not allow
+   *   the action
+   */
+  async _assertActive(alertId, action) {
+    const alert = await this.model.findById(alertId).select("status");
+    if (!alert) {
+      const error = new Error("Alert not found");
+      error.statusCode = 404;
+      throw error;
+    }
+    const error = new Error(`Cannot ${action} a ${alert.status} alert`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  /**
+   * Out-of-stock and low-stock conditions
+   * Only products at or below the widest low stock threshold in use are
+   * loaded; each is then checked against its own rules.
+   * @private
+   * @param {Array<Object>} rules - Every configured rule
+   * @returns {Promise<Array<Object>>} Conditions
+   */
+  async _stockConditions(rules) {
+    const widest = Math.max(
+      0,
+      ...ruleSettingValues(rules, "low_stock", "threshold")
+    );
+    const products = await Product.find({
+      status: "active",
+      $expr: {
+        $lte: [availableQuantity(), { $max: ["$lowStockThreshold", widest] }],
+      },
+    })
+      .select("name sku quantity reservedQuantity lowStockThreshold category")
+      .lean();
+
+    const conditions = [];
+    for (const product of products) {
+      const available = product.quantity - (product.reservedQuantity || 0);
+
+      const outOfStock = resolveAlertRule(rules, "out_of_stock", product);
+      if (available <= 0) {
+        if (outOfStock.enabled) {
+          conditions.push({
+            key: `out_of_stock:${product._id}`,
+            type: "out_of_stock",
+            severity: outOfStock.severity,
+            message: `Product "${product.name}" is out of stock`,
+            product: product._id,
+            value: available,
+            threshold: 0,
+            rule: outOfStock.rule,
+          });
+        }
+        continue;
+      }
+
+      const lowStock = resolveAlertRule(rules, "low_stock", product);
+      const threshold = lowStock.threshold ?? product.lowStockThreshold;
+      if (lowStock.enabled && available <= threshold) {
+        conditions.push({
+          key: `low_stock:${product._id}`,
+          type: "low_stock",
+          severity: lowStock.severity,
+          message: `Product "${product.name}" is running low (${available} available)`,
+          product: product._id,
+          value: available,
+          threshold,
+          rule: lowStock.rule,
+        });
+      }
+    }
+    return conditions;
+  }
+
+  /**
+   * Conditions for stocked lots nearing expiry
+   * @private
+   * @param {Array<Object>} rules - Every configured rule
+   * @param {Date} now - Reference time
+   * @returns {Promise<Array<Object>>} Conditions
+   */
+  async _expiringLotConditions(rules, now) {
+    const widest = Math.max(
+      ...ruleSettingValues(rules, "expiring_lot", "threshold")
+    );
+    const lots = await Lot.find({
+      status: "active",
+      quantity: { $gt: 0 },
+      expiryDate: { $gt: now, $lte: new Date(now.getTime() + widest * DAY_MS) },
+    })
+      .populate("product", "name sku category")
+      .lean();
+
+    const conditions = [];
+    for (const lot of lots) {
+      const rule = resolveAlertRule(rules, "expiring_lot", lot.product);
+      const days = Math.ceil((lot.expiryDate - now) / DAY_MS);
+      if (!rule.enabled || days > rule.threshold) continue;
+
+      conditions.push({
+        key: `expiring_lot:${lot._id}`,
+        type: "expiring_lot",
+        severity: rule.severity,
+        message: `Lot ${lot.lotNumber} of "${lot.product?.name}" (${lot.quantity} in ${lot.warehouse}) expires in ${days} days`,
+        product: lot.product?._id,
+        lot: lot._id,
+        warehouse: lot.warehouse,
+        value: days,
+        threshold: rule.threshold,
+        rule: rule.rule,
+      });
+    }
+    return conditions;
+  }
+
+  /**
+   * Conditions for active suppliers with a low credit limit
+   * @private
+   * @param {Array<Object>} rules - Every configured rule
+   * @returns {Promise<Array<Object>>} Conditions
+   */
+  async _creditConditions(rules) {
+    const rule = resolveAlertRule(rules, "low_credit");
+    if (!rule.enabled) return [];
+
+    const suppliers = await Supplier.find({
+      status: "active",
+      creditLimit: { $lt: rule.threshold },
+    })
+      .select("name creditLimit")
+      .lean();
+
+    return suppliers.map((supplier) => ({
+      key: `low_credit:${supplier._id}`,
+      type: "low_credit",
+      severity: rule.severity,
+      message: `Supplier "${supplier.name}" has a low credit limit ($${supplier.creditLimit})`,
+      supplier: supplier._id,
+      value: supplier.creditLimit,
+      threshold: rule.threshold,
+      rule: rule.rule,
+    }));
+  }
+
+  /**
+   * Conditions for recent high-value transactions; each alert resolves
+   * once its transaction leaves the rule's window
+   * @private
+   * @param {Array<Object>} rules - Every configured rule
+   * @param {Date} now - Reference time
+   * @returns {Promise<Array<Object>>} Conditions
+   */
+  async _highValueConditions(rules, now) {
+    const type = "high_value_transaction";
+    const lowest = Math.min(...ruleSettingValues(rules, type, "threshold"));
+    const longest = Math.max(...ruleSettingValues(rules, type, "windowDays"));
+
+    const transactions = await InventoryTransaction.find({
+      ...POSTED_FILTER,
+      createdAt: { $gte: new Date(now.getTime() - longest * DAY_MS) },
+      $expr: {
+        $gte: [
+          { $multiply: [{ $abs: "$quantity" }, { $ifNull: ["$unitCost", 0] }] },
+          lowest,
+        ],
+      },
+    })
+      .populate("product", "name sku category")
+      .lean();
+
+    const conditions = [];
+    for (const transaction of transactions) {
+      const rule = resolveAlertRule(rules, type, transaction.product);
+      const value =
+        Math.round(
+          Math.abs(transaction.quantity) * (transaction.unitCost || 0) * 100
+        ) / 100;
+      if (
+        !rule.enabled ||
+        value < rule.threshold ||
+        transaction.createdAt <
+          new Date(now.getTime() - rule.windowDays * DAY_MS)
+      ) {
+        continue;
+      }
+
+      conditions.push({
+        key: `${type}:${transaction._id}`,
+        type,
+        severity: rule.severity,
+        message: `High value ${transaction.type} transaction: ${Math.abs(
+          transaction.quantity
+        )} units of "${transaction.product?.name}" worth $${value.toFixed(2)}`,
+        product: transaction.product?._id,
+        transaction: transaction._id,
+        warehouse: transaction.location?.warehouse,
+        value,
+        threshold: rule.threshold,
+        rule: rule.rule,
+      });
+    }
+    return conditions;
+  }
+}
+
+module.exports = AlertDAO;
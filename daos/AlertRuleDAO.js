@@ -0,0 +1,88 @@
+const BaseDAO = require("./BaseDAO");
+const { AlertRule } = require("../models");
+const { toActor } = require("../utils/actor");
+const { resolveAlertRule } = require("../utils/alerts");
+
+// Fields that may be changed on an existing rule; type and scope are fixed
+const EDITABLE_FIELDS = [
+  "name",
+  "severity",
+  "threshold",
+  "windowDays",
+  "enabled",
+];
+
+/**
+ * Alert Rule Data Access Object
+ * Handles the configurable rules deciding when alerts are raised
+ */
+class AlertRuleDAO extends BaseDAO {
+  constructor() {
+    super(AlertRule);
+  }
+
+  /**
+   * Create an alert rule
+   * @param {Object} data - Rule data (name, type, severity, product,
+   *   category, threshold, windowDays, enabled)
+   * @param {string|Object} createdBy - User name or identity ({ id, name })
+   * @returns {Promise<Object>} Created rule
+   */
+  async createRule(data, createdBy) {
+    try {
+      const creator = toActor(createdBy);
+      return await this.create({
+        name: data.name,
+        type: data.type,
+        severity: data.severity,
+        product: data.product || null,
+        category: data.category || null,
+        threshold: data.threshold,
+        windowDays: data.windowDays,
+        enabled: data.enabled,
+        createdBy: creator.name,
+        createdById: creator.id,
+      });
+    } catch (error) {
+      throw this._handleError(error, "CREATE_RULE");
+    }
+  }
+
+  /**
+   * Update an alert rule's settings
+   * @param {string} ruleId - Rule ID
+   * @param {Object} data - Changes (name, severity, threshold, windowDays,
+   *   enabled)
+   * @returns {Promise<Object|null>} Updated rule or null when not found
+   */
+  async updateRule(ruleId, data) {
+    try {
+      const rule = await this.model.findById(ruleId);
+      if (!rule) return null;
+
+      for (const field of EDITABLE_FIELDS) {
+        if (data[field] !== undefined) rule[field] = data[field];
+      }
+      return await rule.save();
+    } catch (error) {
+      throw this._handleError(error, "UPDATE_RULE");
+    }
+  }
+
+  /**
+   * Get the rule in effect for an alert type
+   * @param {string} type - Alert type
+   * @param {Object} [product] - Product (_id, category) for product rules
+   * @returns {Promise<Object>} Effective rule (see resolveAlertRule)
+   */
+  async getEffectiveRule(type, product = null) {
+    try {
+      const rules = await this.model.find({ type }).lean();
+      return resolveAlertRule(rules, type, product);
+    } catch (error) {
+      throw this._handleError(error, "GET_EFFECTIVE_RULE");
+    }
+  }
+}
+
+module.exports = AlertRuleDAO;
@@ -0,0 +1,102 @@
+const BaseDAO = require("./BaseDAO");
+const { ApiKey } = require("../models");
+
+/**
+ * API Key Data Access Object
+ * Handles API keys used by service integrations
+ */
+class ApiKeyDAO extends BaseDAO {
+  constructor() {
+    super(ApiKey);
+  }
+
+  /**
+   * Create an API key for a user
+   * The plain key is only returned here; afterwards only its hash is kept.
+   * @param {Object} data - Key data (name, role, expiresAt)
+   * @param {string} userId - Owning user ID
+   * @returns {Promise<Object>} Created key document and the plain key
+   */
+  async createKey(data, userId) {
+    try {
+      const key = this.model.generateKey();
+      const apiKey = await this.create({
+        name: data.name,
+        role: data.role,
+        expiresAt: data.expiresAt,
+        user: userId,
+        prefix: key.substring(0, 11),
+        keyHash: this.model.hashKey(key),
+      });
+
+      const { keyHash, ...publicFields } = apiKey.toObject();
+      return { apiKey: publicFields, key };
+    } catch (error) {
+      throw this._handleError(error, "CREATE_KEY");
+    }
+  }
+
+  /**
+   * Look up an active, unexpired key and record its use
+   * @param {string} key - Plain API key from the request
+   * @returns {Promise<Object|null>} Key with its owner populated, or null
+   */
+  async verifyKey(key) {
+    try {
+      const now = new Date();
+      const apiKey = await this.model
+        .findOneAndUpdate(
+          {
+            keyHash: this.model.hashKey(key),
+            status: "active",
+            $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+          },
+          { $set: { lastUsedAt: now } },
+          { new: true }
+        )
+        .populate("user", "name email role status");
+
+      if (!apiKey || !apiKey.user || apiKey.user.status !== "active") {
+        return null;
+      }
+
+      return apiKey;
+    } catch (error) {
+      throw this._handleError(error, "VERIFY_KEY");
+    }
+  }
+
+  /**
+   * Get API keys owned by a user
+   * @param {string} userId - User ID
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} Keys with pagination
+   */
+  async getByUser(userId, options = {}) {
+    try {
+      return await this.find({ user: userId }, options);
+    } catch (error) {
+      throw this._handleError(error, "GET_BY_USER");
+    }
+  }
+
+  /**
+   * Revoke an API key
+   * @param {string} keyId - API key ID
+   * @param {string} userId - Owning user ID
+   * @returns {Promise<Object|null>} Revoked key or null when not found
+   */
+  async revokeKey(keyId, userId) {
+    try {
+      return await this.model.findOneAndUpdate(
+        { _id: keyId, user: userId },
+        { $set: { status: "revoked", revokedAt: new Date() } },
+        { new: true }
+      );
+    } catch (error) {
+      throw this._handleError(error, "REVOKE_KEY");
+    }
+  }
+}
+
+module.exports = ApiKeyDAO;
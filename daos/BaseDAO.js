@@ -2,6 +2,20 @@
  * Base Data Access Object (DAO) class
  * Provides common CRUD operations that can be extended by specific DAOs
  */
+
+/**
+ * Run an after-commit callback; the writes are already committed, so a
+ * failing callback is logged rather than failing the operation
+ * @param {Function} callback - Callback to run
+ */
+function runCommitCallback(callback) {
+  try {
+    callback();
+  } catch (error) {
+    console.error("After-commit callback failed:", error);
+  }
+}
+
 class BaseDAO {
   constructor(model) {
     if (!model) {
@@ -13,12 +27,13 @@ class BaseDAO {
   /**
    * Create a new document
    * @param {Object} data - Data to create
+   * @param {Object} options - Save options (session)
    * @returns {Promise<Object>} Created document
    */
-  async create(data) {
+  async create(data, options = {}) {
     try {
       const document = new this.model(data);
-      return await document.save();
+      return await document.save({ session: options.session });
     } catch (error) {
       throw this._handleError(error, "CREATE");
     }
@@ -235,6 +250,52 @@ class BaseDAO {
     }
   }
 
+  /**
+   * Run work inside a MongoDB transaction
+   * Reuses the caller's session when one is given so DAOs can compose
+   * their writes into a single transaction. Callbacks registered with
+   * afterCommit run once the outermost transaction has committed.
+   * @param {Function} work - Async callback receiving the session
+   * @param {Object} session - Existing client session (optional)
+   * @returns {Promise<*>} Result of the callback
+   */
+  async withTransaction(work, session = null) {
+    if (session) {
+      return await work(session);
+    }
+
+    const ownSession = await this.model.startSession();
+    try {
+      let result;
+      await ownSession.withTransaction(async () => {
+        // Reset on each attempt; retried attempts must not run twice
+        ownSession.afterCommit = [];
+        result = await work(ownSession);
+      });
+
+      ownSession.afterCommit.forEach(runCommitCallback);
+      return result;
+    } finally {
+      await ownSession.endSession();
+    }
+  }
+
+  /**
+   * Run a callback once the session's transaction commits, or straight
+   * away outside a transaction
+   * Used for side effects such as events that must not fire for writes
+   * that are rolled back.
+   * @param {Object} session - Client session (optional)
+   * @param {Function} callback - Callback to run
+   */
+  afterCommit(session, callback) {
+    if (session && Array.isArray(session.afterCommit)) {
+      session.afterCommit.push(callback);
+    } else {
+      runCommitCallback(callback);
+    }
+  }
+
   /**
    * Handle and format errors
    * @private
@@ -243,8 +304,8 @@ class BaseDAO {
    * @returns {Error} Formatted error
    */
   _handleError(error, operation) {
-    // Mongoose validation error
-    if (error.name === "ValidationError") {
+    // Mongoose validation error (formatted errors have no `errors` map)
+    if (error.name === "ValidationError" && error.errors) {
       const validationErrors = Object.values(error.errors).map((err) => ({
         field: err.path,
         message: err.message,
@@ -259,7 +320,7 @@ class BaseDAO {
     }
 
     // Mongoose cast error (invalid ObjectId, etc.)
-    if (error.name === "CastError") {
+    if (error.name === "CastError" && error.path) {
       const formattedError = new Error(`Invalid ${error.path}: ${error.value}`);
       formattedError.name = "CastError";
       formattedError.statusCode = 400;
@@ -275,8 +336,8 @@ class BaseDAO {
       return formattedError;
     }
 
-    // Default error handling
-    error.operation = operation;
+    // Default error handling (keep the innermost operation when rethrown)
+    error.operation = error.operation || operation;
     error.statusCode = error.statusCode || 500;
     return error;
   }
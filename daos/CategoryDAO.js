@@ -1,5 +1,7 @@
+const mongoose = require("mongoose");
 const BaseDAO = require("./BaseDAO");
-const { Category } = require("../models");
+const { Category, Product } = require("../models");
+const { availableQuantity } = require("../utils/stock");
 
 /**
  * Category Data Access Object
@@ -404,6 +406,68 @@ class CategoryDAO extends BaseDAO {
     }
   }
 
+  /**
+   * Get product statistics for a category
+   * @param {string} categoryId - Category ID
+   * @returns {Promise<Object>} Product counts, quantities and values
+   */
+  async getProductStatistics(categoryId) {
+    try {
+      const category = await this.findById(categoryId);
+      if (!category) {
+        const error = new Error("Category not found");
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const [stats] = await Product.aggregate([
+        { $match: { category: new mongoose.Types.ObjectId(categoryId) } },
+        {
+          $group: {
+            _id: null,
+            totalProducts: { $sum: 1 },
+            activeProducts: {
+              $sum: { $cond: [{ $eq: ["$status", "active"] }, 1, 0] },
+            },
+            totalQuantity: { $sum: "$quantity" },
+            totalValue: { $sum: { $multiply: ["$quantity", "$price"] } },
+            averagePrice: { $avg: "$price" },
+            lowStockProducts: {
+              $sum: {
+                $cond: [
+                  {
+                    $and: [
+                      { $gt: [availableQuantity(), 0] },
+                      { $lte: [availableQuantity(), "$lowStockThreshold"] },
+                    ],
+                  },
+                  1,
+                  0,
+                ],
+              },
+            },
+            outOfStockProducts: {
+              $sum: { $cond: [{ $lte: [availableQuantity(), 0] }, 1, 0] },
+            },
+          },
+        },
+      ]);
+
+      return {
+        category: { _id: category._id, name: category.name },
+        totalProducts: stats?.totalProducts || 0,
+        activeProducts: stats?.activeProducts || 0,
+        totalQuantity: stats?.totalQuantity || 0,
+        totalValue: parseFloat((stats?.totalValue || 0).toFixed(2)),
+        averagePrice: parseFloat((stats?.averagePrice || 0).toFixed(2)),
+        lowStockProducts: stats?.lowStockProducts || 0,
+        outOfStockProducts: stats?.outOfStockProducts || 0,
+      };
+    } catch (error) {
+      throw this._handleError(error, "GET_PRODUCT_STATISTICS");
+    }
+  }
+
   /**
    * Get categories by level
    * @param {number} level - Category level
@@ -479,6 +543,23 @@ class CategoryDAO extends BaseDAO {
         child._id.toString()
       );
 
+      // Products reference categories by id, so refuse to orphan them
+      const deletedIds = [categoryId];
+      if (action === "delete_all") {
+        const descendants = await this.getDescendants(categoryId);
+        deletedIds.push(...descendants.map((desc) => desc._id));
+      }
+      const productCount = await Product.countDocuments({
+        category: { $in: deletedIds },
+      });
+      if (productCount > 0) {
+        const error = new Error(
+          `Cannot delete category: ${productCount} products still reference it`
+        );
+        error.statusCode = 409;
+        throw error;
+      }
+
       let childrenHandled = 0;
 
       switch (action) {
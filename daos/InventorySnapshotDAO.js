@@ -0,0 +1,294 @@
+const mongoose = require("mongoose");
+const BaseDAO = require("./BaseDAO");
+const {
+  InventorySnapshot,
+  InventoryTransaction,
+  Product,
+} = require("../models");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ledger entries that moved stock (pending and rejected ones never did)
+const POSTED_FILTER = { status: { $nin: ["pending", "rejected"] } };
+
+/**
+ * Get the start of the UTC day containing a date
+ * @param {Date|string} date - Any date
+ * @returns {Date} UTC midnight
+ */
+function startOfDay(date) {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+}
+
+/**
+ * Get the key of the trend bucket a day falls into
+ * Weeks start on Sunday, matching the other dashboard trends.
+ * @param {Date} date - Snapshot date
+ * @param {string} granularity - 'day', 'week' or 'month'
+ * @returns {string} Bucket key
+ */
+function bucketKey(date, granularity) {
+  switch (granularity) {
+    case "week": {
+      const weekStart = new Date(date);
+      weekStart.setUTCDate(date.getUTCDate() - date.getUTCDay());
+      return weekStart.toISOString().substring(0, 10);
+    }
+    case "month":
+      return date.toISOString().substring(0, 7);
+    default:
+      return date.toISOString().substring(0, 10);
+  }
+}
+
+/**
+ * Inventory Snapshot Data Access Object
+ * Handles daily stock history per product and per category
+ */
+class InventorySnapshotDAO extends BaseDAO {
+  constructor() {
+    super(InventorySnapshot);
+  }
+
+  /**
+   * Record today's (or the given day's) stock from current product totals
+   * Capturing the same day again overwrites that day's snapshot.
+   * @param {Date} date - Day to record
+   * @returns {Promise<Object>} Snapshot date and number of documents written
+   */
+  async captureSnapshot(date = new Date()) {
+    try {
+      const day = startOfDay(date);
+      const products = await Product.find({})
+        .select("category quantity price")
+        .lean();
+
+      return await this._writeSnapshots(
+        day,
+        products.map((product) => ({
+          product: product._id,
+          category: product.category,
+          quantity: product.quantity,
+          price: product.price,
+        }))
+      );
+    } catch (error) {
+      throw this._handleError(error, "CAPTURE_SNAPSHOT");
+    }
+  }
+
+  /**
+   * Rebuild daily snapshots by replaying the transaction ledger backwards
+   * from current product totals. Values use current prices since price
+   * history is not stored.
+   * @param {Object} range - { startDate, endDate }; startDate defaults to the
+   *   first ledger entry, endDate to today
+   * @returns {Promise<Object>} Backfill statistics
+   */
+  async backfillFromLedger(range = {}) {
+    try {
+      const products = await Product.find({})
+        .select("category quantity price createdAt")
+        .lean();
+
+      // Net posted change per product per day; transfers leave totals alone
+      const dailyChanges = await InventoryTransaction.aggregate([
+        { $match: { ...POSTED_FILTER, type: { $ne: "transfer" } } },
+        {
+          $group: {
+            _id: {
+              product: "$product",
+              day: {
+                $dateToString: {
+                  format: "%Y-%m-%d",
+                  date: { $ifNull: ["$approval.approvedAt", "$createdAt"] },
+                },
+              },
+            },
+            change: { $sum: "$quantity" },
+          },
+        },
+      ]);
+
+      const changesByDay = new Map();
+      let firstDay = null;
+      for (const { _id, change } of dailyChanges) {
+        if (!changesByDay.has(_id.day)) changesByDay.set(_id.day, new Map());
+        changesByDay.get(_id.day).set(_id.product.toString(), change);
+        if (!firstDay || _id.day < firstDay) firstDay = _id.day;
+      }
+
+      const endDay = startOfDay(range.endDate || new Date());
+      const startDay = startOfDay(range.startDate || firstDay || endDay);
+
+      // Quantity at the end of the day being written, starting from now
+      const quantities = new Map(
+        products.map((product) => [product._id.toString(), product.quantity])
+      );
+      const stats = { days: 0, documents: 0, negativeQuantities: 0 };
+
+      // Undo every day after endDay to reach end-of-endDay quantities
+      for (const [dayKey, changes] of changesByDay) {
+        if (dayKey > endDay.toISOString().substring(0, 10)) {
+          for (const [productId, change] of changes) {
+            quantities.set(
+              productId,
+              (quantities.get(productId) || 0) - change
+            );
+          }
+        }
+      }
+
+      for (
+        let day = endDay;
+        day >= startDay;
+        day = new Date(day.getTime() - DAY_MS)
+      ) {
+        const endOfDay = new Date(day.getTime() + DAY_MS);
+        const rows = products
+          .filter((product) => new Date(product.createdAt) < endOfDay)
+          .map((product) => {
+            const quantity = quantities.get(product._id.toString()) || 0;
+            if (quantity < 0) stats.negativeQuantities++;
+            return {
+              product: product._id,
+              category: product.category,
+              quantity: Math.max(quantity, 0),
+              price: product.price,
+            };
+          });
+
+        const result = await this._writeSnapshots(day, rows);
+        stats.days++;
+        stats.documents += result.documents;
+
+        const changes = changesByDay.get(day.toISOString().substring(0, 10));
+        if (changes) {
+          for (const [productId, change] of changes) {
+            quantities.set(
+              productId,
+              (quantities.get(productId) || 0) - change
+            );
+          }
+        }
+      }
+
+      return { startDate: startDay, endDate: endDay, ...stats };
+    } catch (error) {
+      throw this._handleError(error, "BACKFILL_FROM_LEDGER");
+    }
+  }
+
+  /**
+   * Get the inventory quantity and value trend
+   * Stock is a level, not a flow: each week or month reports its last
+   * snapshot rather than a sum.
+   * @param {number} days - Days of history
+   * @param {string} granularity - 'day', 'week' or 'month'
+   * @param {Object} filters - Optional filters ({ category })
+   * @returns {Promise<Array>} Trend points ({ date, snapshotDate, totalItems,
+   *   totalValue })
+   */
+  async getTrend(days, granularity = "day", filters = {}) {
+    try {
+      const match = {
+        scope: "category",
+        date: { $gte: startOfDay(Date.now() - days * DAY_MS) },
+      };
+      if (filters.category) {
+        match.category = new mongoose.Types.ObjectId(filters.category);
+      }
+
+      const daily = await this.model.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: "$date",
+            totalItems: { $sum: "$quantity" },
+            totalValue: { $sum: "$value" },
+          },
+        },
+        { $sort: { _id: 1 } },
+      ]);
+
+      const buckets = new Map();
+      for (const point of daily) {
+        buckets.set(bucketKey(point._id, granularity), {
+          snapshotDate: point._id,
+          totalItems: point.totalItems,
+          totalValue: Math.round(point.totalValue * 100) / 100,
+        });
+      }
+
+      return Array.from(buckets, ([date, point]) => ({ date, ...point }));
+    } catch (error) {
+      throw this._handleError(error, "GET_TREND");
+    }
+  }
+
+  /**
+   * Upsert product snapshots and their category totals for one day
+   * @private
+   * @param {Date} day - Snapshot date (UTC midnight)
+   * @param {Array} rows - { product, category, quantity, price } per product
+   * @returns {Promise<Object>} Snapshot date and number of documents written
+   */
+  async _writeSnapshots(day, rows) {
+    const categories = new Map();
+    const operations = rows.map((row) => {
+      const value = Math.round(row.quantity * (row.price || 0) * 100) / 100;
+      const categoryKey = row.category ? row.category.toString() : null;
+
+      const total = categories.get(categoryKey) || {
+        category: row.category || null,
+        quantity: 0,
+        value: 0,
+        productCount: 0,
+      };
+      total.quantity += row.quantity;
+      total.value += value;
+      total.productCount++;
+      categories.set(categoryKey, total);
+
+      return {
+        updateOne: {
+          filter: { scope: "product", date: day, product: row.product },
+          update: {
+            $set: {
+              category: row.category || null,
+              quantity: row.quantity,
+              value,
+            },
+          },
+          upsert: true,
+        },
+      };
+    });
+
+    for (const total of categories.values()) {
+      operations.push({
+        updateOne: {
+          filter: { scope: "category", date: day, category: total.category },
+          update: {
+            $set: {
+              quantity: total.quantity,
+              value: Math.round(total.value * 100) / 100,
+              productCount: total.productCount,
+            },
+          },
+          upsert: true,
+        },
+      });
+    }
+
+    if (operations.length > 0) {
+      await this.model.bulkWrite(operations, { ordered: false });
+    }
+
+    return { date: day, documents: operations.length };
+  }
+}
+
+module.exports = InventorySnapshotDAO;
@@ -1,5 +1,91 @@
+const { Transform } = require("stream");
+const mongoose = require("mongoose");
 const BaseDAO = require("./BaseDAO");
-const { InventoryTransaction } = require("../models");
+const {
+  InventoryTransaction,
+  Product,
+  StockLevel,
+  Reservation,
+  SalesOrder,
+  PurchaseOrder,
+  StocktakeSession,
+  Supplier,
+  Lot,
+  SerialNumber,
+  CostLayer,
+} = require("../models");
+const { getApprovalRules, getApprovalReason } = require("../config/approval");
+const { toCsvRow } = require("../utils/csv");
+const {
+  getDefaultWarehouse,
+  getValuationMethod,
+} = require("../config/inventory");
+const { toActor } = require("../utils/actor");
+const { availableQuantity, stockStatus } = require("../utils/stock");
+const { consumeLayers, roundMoney } = require("../utils/valuation");
+const { publishEvent } = require("../utils/events");
+
+// Transactions that have been applied to stock. Documents created before
+// the approval workflow have no status and count as applied.
+const POSTED_FILTER = { status: { $nin: ["pending", "rejected"] } };
+
+// Transaction types that must name the serial-tracked units they move
+const SERIAL_REQUIRED_TYPES = [
+  "stock_in",
+  "stock_out",
+  "damaged",
+  "returned",
+  "supplier_return",
+];
+
+// Status of a serial-tracked unit after it leaves stock, by transaction type
+const SERIAL_STATUS_BY_TYPE = {
+  stock_out: "shipped",
+  damaged: "damaged",
+  expired: "expired",
+  supplier_return: "returned_to_supplier",
+};
+
+// Columns available to transaction exports, keyed by column name
+const EXPORT_COLUMNS = {
+  id: (t) => t._id,
+  date: (t) => t.createdAt,
+  type: (t) => t.type,
+  productId: (t) => t.product?._id,
+  productName: (t) => t.product?.name,
+  sku: (t) => t.product?.sku,
+  quantity: (t) => t.quantity,
+  previousQuantity: (t) => t.previousQuantity,
+  newQuantity: (t) => t.newQuantity,
+  unitCost: (t) => t.unitCost,
+  totalCost: (t) => t.totalCost,
+  reason: (t) => t.reason,
+  reference: (t) => t.reference,
+  status: (t) => t.status || "approved",
+  performedBy: (t) => t.performedBy,
+  warehouse: (t) => t.location?.warehouse,
+  supplier: (t) => t.supplier?.name,
+  notes: (t) => t.notes,
+};
+
+const DEFAULT_EXPORT_COLUMNS = [
+  "id",
+  "date",
+  "type",
+  "productName",
+  "sku",
+  "quantity",
+  "previousQuantity",
+  "newQuantity",
+  "unitCost",
+  "totalCost",
+  "reason",
+  "reference",
+  "status",
+  "performedBy",
+];
+
+const EXPORT_FORMATS = ["csv", "ndjson", "json"];
 
 /**
  * Inventory Transaction Data Access Object
@@ -11,11 +97,14 @@ class InventoryTransactionDAO extends BaseDAO {
   }
 
   /**
-   * Create a new inventory transaction
+   * Create a new inventory transaction and apply it to product stock
+   * The product update and the ledger entry are committed together in one
+   * MongoDB transaction so stock never drifts from the ledger.
    * @param {Object} transactionData - Transaction data
+   * @param {Object} options - Options (session to join an outer transaction)
    * @returns {Promise<Object>} Created transaction
    */
-  async createTransaction(transactionData) {
+  async createTransaction(transactionData, options = {}) {
     try {
       // Validate required fields
       const required = ["product", "type", "quantity"];
@@ -25,23 +114,1060 @@ class InventoryTransactionDAO extends BaseDAO {
         }
       }
 
-      // Ensure quantity is correctly signed based on transaction type
-      if (
-        ["stock_out", "damaged", "expired", "returned"].includes(
-          transactionData.type
-        )
-      ) {
-        transactionData.quantity = Math.abs(transactionData.quantity) * -1;
-      } else if (["stock_in", "adjustment"].includes(transactionData.type)) {
-        transactionData.quantity = Math.abs(transactionData.quantity);
+      const performer = toActor(transactionData.performedBy);
+      const data = {
+        ...transactionData,
+        performedBy: performer.name,
+        performedById: performer.id || transactionData.performedById,
+        quantity: this._signQuantity(
+          transactionData.type,
+          transactionData.quantity
+        ),
+        location: {
+          ...transactionData.location,
+          warehouse:
+            transactionData.location?.warehouse || getDefaultWarehouse(),
+        },
+        ...(transactionData.serialNumbers && {
+          serialNumbers: transactionData.serialNumbers.map((serial) =>
+            String(serial).trim().toUpperCase()
+          ),
+        }),
+      };
+      this._validateTransfer(data);
+      await this._validateTracking(data);
+
+      const approvalReason = await this._getApprovalReason(data);
+      if (approvalReason) {
+        // Pending transactions are recorded but leave stock untouched
+        const pending = await this.create(
+          {
+            ...data,
+            status: "pending",
+            approval: { requiredReason: approvalReason },
+          },
+          { session: options.session }
+        );
+        this.afterCommit(options.session, () =>
+          publishEvent("transaction.created", pending.toJSON())
+        );
+        return pending;
       }
 
-      return await this.create(transactionData);
+      return await this.withTransaction(async (session) => {
+        // Known up front so cost layers can point at the receipt
+        data._id = new mongoose.Types.ObjectId();
+        const movement = await this._applyStockMovement(data, session);
+
+        const [transaction] = await this.model.create(
+          [{ ...data, status: "approved", ...movement }],
+          { session }
+        );
+        this.afterCommit(session, () =>
+          publishEvent("transaction.created", transaction.toJSON())
+        );
+        return transaction;
+      }, options.session);
     } catch (error) {
       throw this._handleError(error, "CREATE_TRANSACTION");
     }
   }
 
+  /**
+   * Get transactions waiting for approval
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} Pending transactions with pagination
+   */
+  async getPendingApproval(options = {}) {
+    try {
+      return await this.find(
+        { status: "pending" },
+        {
+          ...options,
+          sort: options.sort || { createdAt: 1 },
+          populate: "product",
+        }
+      );
+    } catch (error) {
+      throw this._handleError(error, "GET_PENDING_APPROVAL");
+    }
+  }
+
+  /**
+   * Approve a pending transaction and apply it to stock
+   * @param {string} transactionId - Transaction ID
+   * @param {string|Object} approvedBy - User name or identity ({ id, name })
+   * @param {string} approvalNotes - Optional notes
+   * @returns {Promise<Object>} Approved transaction
+   */
+  async approveTransaction(transactionId, approvedBy, approvalNotes = "") {
+    try {
+      const approver = toActor(approvedBy);
+      return await this.withTransaction(async (session) => {
+        const pending = await this.model
+          .findById(transactionId)
+          .session(session);
+        this._assertPending(pending);
+        this._assertNotPerformer(pending, approver);
+
+        const { previousQuantity, newQuantity, lots, costOfGoodsSold } =
+          await this._applyStockMovement(pending, session);
+
+        const approved = await this.model.findOneAndUpdate(
+          { _id: transactionId, status: "pending" },
+          {
+            $set: {
+              status: "approved",
+              previousQuantity,
+              newQuantity,
+              lots,
+              ...(costOfGoodsSold !== undefined && { costOfGoodsSold }),
+              "approval.approvedBy": approver.name,
+              "approval.approvedById": approver.id,
+              "approval.approvedAt": new Date(),
+              "approval.notes": approvalNotes,
+            },
+          },
+          { new: true, session }
+        );
+        if (!approved) {
+          const error = new Error("Transaction was modified concurrently");
+          error.statusCode = 409;
+          throw error;
+        }
+        if (approved.purchaseOrder) {
+          await this._settlePurchaseReceipt(approved, true, session);
+        }
+        if (approved.stocktake) {
+          await this._settleStocktakeAdjustment(approved, true, session);
+        }
+
+        this.afterCommit(session, () =>
+          publishEvent("transaction.approved", approved.toJSON())
+        );
+        return approved;
+      });
+    } catch (error) {
+      throw this._handleError(error, "APPROVE_TRANSACTION");
+    }
+  }
+
+  /**
+   * Reject a pending transaction without touching stock
+   * @param {string} transactionId - Transaction ID
+   * @param {string|Object} rejectedBy - User name or identity ({ id, name })
+   * @param {string} rejectionReason - Reason for rejection
+   * @returns {Promise<Object>} Rejected transaction
+   */
+  async rejectTransaction(transactionId, rejectedBy, rejectionReason) {
+    try {
+      const rejecter = toActor(rejectedBy);
+      // The status change and the workflow it releases commit together
+      return await this.withTransaction(async (session) => {
+        const rejected = await this.model.findOneAndUpdate(
+          { _id: transactionId, status: "pending" },
+          {
+            $set: {
+              status: "rejected",
+              "approval.rejectedBy": rejecter.name,
+              "approval.rejectedById": rejecter.id,
+              "approval.rejectedAt": new Date(),
+              "approval.rejectionReason": rejectionReason,
+            },
+          },
+          { new: true, runValidators: true, session }
+        );
+
+        if (!rejected) {
+          this._assertPending(
+            await this.model.findById(transactionId).session(session)
+          );
+          // Approved or rejected between the two reads
+          const error = new Error("Transaction was modified concurrently");
+          error.statusCode = 409;
+          throw error;
+        }
+        if (rejected.reservation) {
+          await this._reopenReservation(rejected.reservation, session);
+        }
+        if (rejected.purchaseOrder) {
+          await this._settlePurchaseReceipt(rejected, false, session);
+        }
+        if (rejected.stocktake) {
+          await this._settleStocktakeAdjustment(rejected, false, session);
+        }
+
+        return rejected;
+      });
+    } catch (error) {
+      throw this._handleError(error, "REJECT_TRANSACTION");
+    }
+  }
+
+  /**
+   * Return a reservation whose stock_out was rejected to active, so it can
+   * be fulfilled again or expire
+   * @private
+   * @param {string} reservationId - Reservation ID
+   * @param {Object} session - Optional client session
+   */
+  async _reopenReservation(reservationId, session = null) {
+    const reservation = await Reservation.findOneAndUpdate(
+      { _id: reservationId, status: "fulfilling" },
+      { $set: { status: "active" }, $unset: { transaction: "" } },
+      { new: true, session }
+    );
+    if (reservation?.salesOrder) {
+      await SalesOrder.updateOne(
+        { _id: reservation.salesOrder, status: "fulfilling" },
+        { $set: { status: "open" } },
+        { session }
+      );
+    }
+  }
+
+  /**
+   * Settle a purchase order receipt that was waiting for approval: an
+   * approved one counts as received, a rejected one can be received again
+   * @private
+   * @param {Object} transaction - Approved or rejected stock_in
+   * @param {boolean} applied - Whether the stock_in was applied to stock
+   * @param {Object} session - Optional client session
+   */
+  async _settlePurchaseReceipt(transaction, applied, session = null) {
+    const order = await PurchaseOrder.findById(
+      transaction.purchaseOrder
+    ).session(session);
+    const line = order?.lines.id(transaction.purchaseOrderLine);
+    if (!line) return;
+
+    const quantity = Math.abs(transaction.quantity);
+    line.quantityPending = Math.max(line.quantityPending - quantity, 0);
+    if (applied) {
+      line.quantityReceived += quantity;
+      order.refreshReceiptStatus();
+    }
+    await order.save({ session });
+
+    if (applied) {
+      const supplier = await Supplier.findById(order.supplier)
+        .select("name")
+        .session(session);
+      this.afterCommit(session, () =>
+        publishEvent(
+          "purchase_order.received",
+          order.toReceivedEvent(supplier, transaction.performedBy, [
+            transaction,
+          ])
+        )
+      );
+    }
+  }
+
+  /**
+   * Record the decision on a stocktake adjustment that was waiting for
+   * approval; once none are left the session is posted, or partially
+   * posted when any were rejected
+   * @private
+   * @param {Object} transaction - Approved or rejected adjustment
+   * @param {boolean} applied - Whether the adjustment was applied to stock
+   * @param {Object} session - Optional client session
+   */
+  async _settleStocktakeAdjustment(transaction, applied, session = null) {
+    const stocktake = await StocktakeSession.findById(
+      transaction.stocktake
+    ).session(session);
+    const line = stocktake?.lines.find(
+      (candidate) => String(candidate.transaction) === String(transaction._id)
+    );
+    if (!line) return;
+
+    line.adjustmentStatus = applied ? "approved" : "rejected";
+    stocktake.pendingTransactions = stocktake.pendingTransactions.filter(
+      (id) => String(id) !== String(transaction._id)
+    );
+    if (
+      stocktake.status === "awaiting_approval" &&
+      stocktake.pendingTransactions.length === 0
+    ) {
+      stocktake.status = stocktake.lines.some(
+        (candidate) => candidate.adjustmentStatus === "rejected"
+      )
+        ? "partially_posted"
+        : "posted";
+    }
+    await stocktake.save({ session });
+  }
+
+  /**
+   * Decide whether a transaction needs approval, valuing it at the
+   * product price when no unit cost is given
+   * @private
+   * @param {Object} data - Signed transaction data
+   * @returns {Promise<string|null>} Reason approval is required, or null
+   */
+  async _getApprovalReason(data) {
+    const rules = getApprovalRules();
+    let unitCost = data.unitCost;
+    if (unitCost === undefined && rules.valueThreshold) {
+      const product = await Product.findById(data.product).select("price");
+      unitCost = product?.price;
+    }
+    return getApprovalReason({ ...data, unitCost }, rules);
+  }
+
+  /**
+   * Ensure the approver is not the user who performed the transaction
+   * @param {Object} transaction - Pending transaction
+   * @param {Object} approver - Approver ({ name, id })
+   */
+  _assertNotPerformer(transaction, approver) {
+    const samePerformer =
+      transaction.performedById && approver.id
+        ? transaction.performedById.toString() === approver.id.toString()
+        : transaction.performedBy === approver.name;
+
+    if (samePerformer) {
+      const error = new Error(
+        "Transactions cannot be approved by the user who performed them"
+      );
+      error.statusCode = 403;
+      throw error;
+    }
+  }
+
+  /**
+   * Throw unless the transaction exists and is still pending
+   * @private
+   * @param {Object|null} transaction - Transaction document
+   */
+  _assertPending(transaction) {
+    if (!transaction) {
+      const error = new Error("Transaction not found");
+      error.statusCode = 404;
+      throw error;
+    }
+    if (transaction.status !== "pending") {
+      const error = new Error(
+        `Transaction is already ${transaction.status || "approved"}`
+      );
+      error.statusCode = 409;
+      throw error;
+    }
+  }
+
+  /**
+   * Ensure quantity is correctly signed based on transaction type
+   * @private
+   * @param {string} type - Transaction type
+   * @param {number} quantity - Requested quantity
+   * @returns {number} Signed quantity
+   */
+  _signQuantity(type, quantity) {
+    if (["stock_out", "damaged", "expired", "supplier_return"].includes(type)) {
+      return Math.abs(quantity) * -1;
+    }
+    // Customer returns come back into stock; transfers move a positive
+    // amount from location to destination
+    if (["stock_in", "returned", "transfer"].includes(type)) {
+      return Math.abs(quantity);
+    }
+    // Adjustments keep the sign given by the caller
+    return quantity;
+  }
+
+  /**
+   * Ensure a transfer names a destination other than its source
+   * @private
+   * @param {Object} data - Transaction data
+   */
+  _validateTransfer(data) {
+    if (data.type !== "transfer") return;
+
+    const destination = data.destination?.warehouse?.trim().toUpperCase();
+    if (!destination) {
+      const error = new Error("Transfers require a destination warehouse");
+      error.statusCode = 400;
+      throw error;
+    }
+    if (destination === data.location.warehouse.trim().toUpperCase()) {
+      const error = new Error(
+        "Transfer destination must differ from the source warehouse"
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  /**
+   * Ensure transactions on lot- or serial-tracked products name the lot and
+   * the exact units they move, before anything is recorded
+   * @private
+   * @param {Object} data - Signed transaction data
+   */
+  async _validateTracking(data) {
+    const serialNumbers = data.serialNumbers || [];
+    const serialsRequired = SERIAL_REQUIRED_TYPES.includes(data.type);
+    if (!serialsRequired && serialNumbers.length === 0) return;
+
+    const product = await Product.findById(data.product).select(
+      "trackLots trackSerials"
+    );
+    if (!product) return; // Reported as not found when applied
+
+    if (product.trackLots && data.type === "stock_in" && !data.lot?.lotNumber) {
+      const error = new Error(
+        "Lot number is required for lot-tracked products"
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (!product.trackSerials) {
+      if (serialNumbers.length > 0) {
+        const error = new Error("Product does not track serial numbers");
+        error.statusCode = 400;
+        throw error;
+      }
+      return;
+    }
+    if (serialNumbers.length === 0) {
+      if (!serialsRequired) return;
+      const error = new Error(
+        `Serial numbers are required for ${data.type} of serial-tracked products`
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const quantity = Math.abs(data.quantity);
+    if (serialNumbers.length !== quantity) {
+      const error = new Error(
+        `Expected ${quantity} serial numbers, got ${serialNumbers.length}`
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const duplicates = serialNumbers.filter(
+      (serial, index) => serialNumbers.indexOf(serial) !== index
+    );
+    if (duplicates.length > 0) {
+      const error = new Error("Serial numbers must be unique");
+      error.statusCode = 400;
+      error.details = { duplicates: [...new Set(duplicates)] };
+      throw error;
+    }
+
+    if (data.type === "returned") {
+      // Customer returns bring back units that were shipped
+      const shipped = await SerialNumber.find({
+        serial: { $in: serialNumbers },
+        product: data.product,
+        status: "shipped",
+      }).select("serial");
+      if (shipped.length !== serialNumbers.length) {
+        const found = new Set(shipped.map((unit) => unit.serial));
+        const error = new Error("Serial numbers were not shipped");
+        error.statusCode = 409;
+        error.details = {
+          serialNumbers: serialNumbers.filter((serial) => !found.has(serial)),
+        };
+        throw error;
+      }
+      return;
+    }
+
+    if (data.quantity > 0 && data.type !== "transfer") {
+      const existing = await SerialNumber.find({
+        serial: { $in: serialNumbers },
+      }).select("serial");
+      if (existing.length > 0) {
+        const error = new Error("Serial numbers already exist");
+        error.statusCode = 409;
+        error.details = { serialNumbers: existing.map((unit) => unit.serial) };
+        throw error;
+      }
+      return;
+    }
+
+    const inStock = await SerialNumber.find({
+      serial: { $in: serialNumbers },
+      product: data.product,
+      warehouse: data.location.warehouse.toUpperCase(),
+      status: "in_stock",
+    }).select("serial");
+    if (inStock.length !== serialNumbers.length) {
+      const found = new Set(inStock.map((unit) => unit.serial));
+      const error = new Error(
+        `Serial numbers are not in stock in ${data.location.warehouse.toUpperCase()}`
+      );
+      error.statusCode = 409;
+      error.details = {
+        serialNumbers: serialNumbers.filter((serial) => !found.has(serial)),
+      };
+      throw error;
+    }
+  }
+
+  /**
+   * Atomically apply a transaction to warehouse stock and the product total
+   * Transfers move stock between two warehouses and leave the total alone.
+   * Stock outs and transfers may not use reserved stock, except a stock_out
+   * fulfilling a reservation, which releases the reserved units instead.
+   * Lot-tracked products also move their lots (see _applyLotChange) and
+   * named serial numbers move with the stock (see _applySerialChange).
+   * Inflows and outflows also open and consume cost layers (see
+   * _applyCostChange).
+   * @private
+   * @param {Object} transaction - Transaction data (product, type, quantity,
+   *   location, destination, reservation, lot, serialNumbers)
+   * @param {Object} session - Client session
+   * @returns {Promise<Object>} Previous and new product quantity, the lots
+   *   moved and, for stock outs, the cost of goods sold
+   */
+  async _applyStockMovement(transaction, session) {
+    const productId = transaction.product;
+    const change = transaction.quantity;
+    const warehouse = transaction.location?.warehouse || getDefaultWarehouse();
+    const release = transaction.reservation ? Math.abs(change) : 0;
+    const respectReserved =
+      !release &&
+      ["stock_out", "transfer", "supplier_return"].includes(transaction.type);
+
+    if (transaction.type === "transfer") {
+      const source = await this._applyLocationChange(
+        productId,
+        warehouse,
+        -change,
+        session,
+        { respectReserved }
+      );
+      await this._applyLocationChange(
+        productId,
+        transaction.destination.warehouse,
+        change,
+        session
+      );
+
+      const product = await Product.findById(productId).session(session);
+      await this._applySerialChange(transaction, -change, session);
+      let lots = [];
+      if (product.trackLots) {
+        lots = await this._applyLotChange(
+          transaction,
+          source,
+          -change,
+          session
+        );
+        await this._receiveTransferredLots(
+          productId,
+          transaction.destination.warehouse,
+          lots,
+          session
+        );
+      }
+      return {
+        previousQuantity: product.quantity,
+        newQuantity: product.quantity,
+        lots,
+      };
+    }
+
+    const stockLevel = await this._applyLocationChange(
+      productId,
+      warehouse,
+      change,
+      session,
+      { respectReserved, release }
+    );
+
+    const product = await Product.findOneAndUpdate(
+      { _id: productId },
+      {
+        $inc: {
+          quantity: change,
+          ...(release && { reservedQuantity: -release }),
+        },
+      },
+      { new: true, session }
+    );
+    if (!product) {
+      const error = new Error("Product not found");
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (release) {
+      await this._settleReservation(transaction, session);
+    }
+    this._publishStockTransition(
+      product,
+      change + release,
+      transaction,
+      session
+    );
+    await this._applySerialChange(transaction, change, session);
+
+    const lots = product.trackLots
+      ? await this._applyLotChange(transaction, stockLevel, change, session)
+      : [];
+    const cost = await this._applyCostChange(transaction, change, session);
+
+    return {
+      previousQuantity: product.quantity - change,
+      newQuantity: product.quantity,
+      lots,
+      ...(transaction.type === "stock_out" && { costOfGoodsSold: cost }),
+    };
+  }
+
+  /**
+   * Publish product.low_stock or product.out_of_stock once the transaction
+   * commits, when the movement takes available stock into that status
+   * Movements within a status, and recoveries to in_stock, publish nothing.
+   * @private
+   * @param {Object} product - Product after the movement
+   * @param {number} availableChange - Change in available stock
+   * @param {Object} transaction - Transaction data (_id, location)
+   * @param {Object} session - Client session
+   */
+  _publishStockTransition(product, availableChange, transaction, session) {
+    const available = product.quantity - (product.reservedQuantity || 0);
+    const previousStatus = stockStatus(
+      available - availableChange,
+      product.lowStockThreshold
+    );
+    const status = stockStatus(available, product.lowStockThreshold);
+    if (status === previousStatus || status === "in_stock") return;
+
+    this.afterCommit(session, () =>
+      publishEvent(`product.${status}`, {
+        product: {
+          id: product._id,
+          name: product.name,
+          sku: product.sku,
+          category: product.category,
+        },
+        previousStatus,
+        status,
+        availableQuantity: available,
+        lowStockThreshold: product.lowStockThreshold,
+        warehouse: transaction.location?.warehouse,
+        transaction: transaction._id,
+      })
+    );
+  }
+
+  /**
+   * Open a cost layer for an inflow, or consume layers for an outflow using
+   * the configured valuation method
+   * Inflows without a unit cost are layered at the latest cost received.
+   * Units no layer covers (stock recorded before cost layers existed) are
+   * costed at nothing.
+   * @private
+   * @param {Object} transaction - Transaction data (_id, product, unitCost)
+   * @param {number} change - Signed quantity change
+   * @param {Object} session - Client session
+   * @returns {Promise<number>} Cost of the units taken (0 for inflows)
+   */
+  async _applyCostChange(transaction, change, session) {
+    const product = transaction.product;
+
+    if (change > 0) {
+      let unitCost = transaction.unitCost;
+      if (unitCost == null) {
+        const latest = await CostLayer.findOne({ product })
+          .sort({ receivedAt: -1 })
+          .select("unitCost")
+          .session(session);
+        unitCost = latest?.unitCost ?? 0;
+      }
+      await CostLayer.create(
+        [
+          {
+            product,
+            transaction: transaction._id,
+            unitCost,
+            quantity: change,
+            remaining: change,
+          },
+        ],
+        { session }
+      );
+      return 0;
+    }
+
+    const layers = await CostLayer.find({ product, remaining: { $gt: 0 } })
+      .sort({ receivedAt: 1, _id: 1 })
+      .session(session);
+    const result = consumeLayers(
+      layers.map(({ unitCost, remaining }) => ({ unitCost, remaining })),
+      -change,
+      getValuationMethod()
+    );
+
+    for (const [index, layer] of layers.entries()) {
+      const next = result.layers[index];
+      if (
+        next.remaining === layer.remaining &&
+        next.unitCost === layer.unitCost
+      ) {
+        continue;
+      }
+      // Only update the layer as it was read
+      const updated = await CostLayer.findOneAndUpdate(
+        { _id: layer._id, remaining: layer.remaining },
+        { $set: { remaining: next.remaining, unitCost: next.unitCost } },
+        { new: true, session }
+      );
+      if (!updated) {
+        const error = new Error(
+          "Cost layers changed during this transaction, please retry"
+        );
+        error.statusCode = 409;
+        throw error;
+      }
+    }
+
+    return roundMoney(result.cost);
+  }
+
+  /**
+   * Move the serial-tracked units a transaction names
+   * Receipts register new units (the unique serial index rejects
+   * duplicates) and customer returns bring shipped units back into stock;
+   * removals and transfers only move units still in stock.
+   * @private
+   * @param {Object} transaction - Transaction data (product, type,
+   *   location, destination, serialNumbers)
+   * @param {number} change - Signed quantity change at the source location
+   * @param {Object} session - Client session
+   */
+  async _applySerialChange(transaction, change, session) {
+    const serialNumbers = transaction.serialNumbers || [];
+    if (serialNumbers.length === 0) return;
+
+    const product = transaction.product;
+    const warehouse = transaction.location.warehouse.toUpperCase();
+
+    if (transaction.type === "returned") {
+      const result = await SerialNumber.updateMany(
+        { serial: { $in: serialNumbers }, product, status: "shipped" },
+        { $set: { status: "in_stock", warehouse } },
+        { session }
+      );
+      if (result.modifiedCount !== serialNumbers.length) {
+        const error = new Error("Serial numbers are no longer shipped");
+        error.statusCode = 409;
+        throw error;
+      }
+      return;
+    }
+
+    if (change > 0) {
+      await SerialNumber.insertMany(
+        serialNumbers.map((serial) => ({ serial, product, warehouse })),
+        { session }
+      );
+      return;
+    }
+
+    const update =
+      transaction.type === "transfer"
+        ? { warehouse: transaction.destination.warehouse.toUpperCase() }
+        : { status: SERIAL_STATUS_BY_TYPE[transaction.type] || "written_off" };
+    const result = await SerialNumber.updateMany(
+      {
+        serial: { $in: serialNumbers },
+        product,
+        warehouse,
+        status: "in_stock",
+      },
+      { $set: update },
+      { session }
+    );
+    if (result.modifiedCount !== serialNumbers.length) {
+      const error = new Error(
+        `Serial numbers are no longer in stock in ${warehouse}`
+      );
+      error.statusCode = 409;
+      throw error;
+    }
+  }
+
+  /**
+   * Move the lots of a lot-tracked product with a warehouse stock change
+   * Receipts add to the named lot. Removals take the named lot, otherwise
+   * first-expired-first-out; stock outs skip expired lots. Stock held from
+   * before lot tracking was enabled counts as an unlotted remainder.
+   * @private
+   * @param {Object} transaction - Transaction data (product, type, lot)
+   * @param {Object} stockLevel - Warehouse stock level after the change
+   * @param {number} change - Signed quantity change
+   * @param {Object} session - Client session
+   * @returns {Promise<Array>} Lots moved ({ lot, lotNumber, expiryDate,
+   *   receivedDate, quantity })
+   */
+  async _applyLotChange(transaction, stockLevel, change, session) {
+    const product = transaction.product;
+    const warehouse = stockLevel.warehouse;
+    const lotNumber = transaction.lot?.lotNumber?.trim().toUpperCase();
+
+    if (change > 0) {
+      if (!lotNumber) {
+        if (transaction.type === "stock_in") {
+          const error = new Error(
+            "Lot number is required for lot-tracked products"
+          );
+          error.statusCode = 400;
+          throw error;
+        }
+        return [];
+      }
+
+      const lot = await Lot.findOneAndUpdate(
+        { product, warehouse, lotNumber },
+        {
+          $inc: { quantity: change },
+          $setOnInsert: {
+            expiryDate: transaction.lot.expiryDate,
+            receivedDate: new Date(),
+          },
+        },
+        { new: true, upsert: true, session }
+      );
+      return [
+        {
+          lot: lot._id,
+          lotNumber,
+          expiryDate: lot.expiryDate,
+          receivedDate: lot.receivedDate,
+          quantity: change,
+        },
+      ];
+    }
+
+    const filter = { product, warehouse, quantity: { $gt: 0 } };
+    if (lotNumber) {
+      filter.lotNumber = lotNumber;
+    } else if (transaction.type === "stock_out") {
+      filter.status = "active";
+      filter.$or = [{ expiryDate: null }, { expiryDate: { $gt: new Date() } }];
+    }
+
+    // FEFO; lots without an expiry date go last
+    const candidates = (await Lot.find(filter).session(session)).sort(
+      (a, b) =>
+        (a.expiryDate?.getTime() ?? Infinity) -
+          (b.expiryDate?.getTime() ?? Infinity) ||
+        a.receivedDate - b.receivedDate
+    );
+
+    const moved = [];
+    let remaining = Math.abs(change);
+    for (const candidate of candidates) {
+      if (remaining === 0) break;
+      const take = Math.min(candidate.quantity, remaining);
+      const lot = await Lot.findOneAndUpdate(
+        { _id: candidate._id, quantity: { $gte: take } },
+        { $inc: { quantity: -take } },
+        { new: true, session }
+      );
+      if (!lot) {
+        const error = new Error("Lot was modified concurrently");
+        error.statusCode = 409;
+        throw error;
+      }
+      moved.push({
+        lot: lot._id,
+        lotNumber: lot.lotNumber,
+        expiryDate: lot.expiryDate,
+        receivedDate: lot.receivedDate,
+        quantity: take,
+      });
+      remaining -= take;
+    }
+
+    // Whatever no lot covered must come from stock received before lot
+    // tracking was enabled
+    if (
+      remaining > 0 &&
+      (lotNumber ||
+        (await this._getUnlottedQuantity(
+          product,
+          warehouse,
+          stockLevel.quantity,
+          session
+        )) < 0)
+    ) {
+      const error = new Error(
+        lotNumber
+          ? `Lot ${lotNumber} in ${warehouse} does not hold enough stock`
+          : `Not enough unexpired lot stock in ${warehouse}`
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return moved;
+  }
+
+  /**
+   * Stock at a warehouse not held in any lot
+   * @private
+   * @param {string} productId - Product ID
+   * @param {string} warehouse - Warehouse code
+   * @param {number} onHand - Warehouse quantity
+   * @param {Object} session - Client session
+   * @returns {Promise<number>} Unlotted quantity; negative when the lots
+   *   hold more than is on hand
+   */
+  async _getUnlottedQuantity(productId, warehouse, onHand, session) {
+    const lots = await Lot.find({ product: productId, warehouse })
+      .select("quantity")
+      .session(session);
+    return onHand - lots.reduce((sum, lot) => sum + lot.quantity, 0);
+  }
+
+  /**
+   * Recreate transferred lots at the destination warehouse
+   * @private
+   * @param {string} productId - Product ID
+   * @param {string} warehouse - Destination warehouse code
+   * @param {Array} lots - Lots taken from the source warehouse
+   * @param {Object} session - Client session
+   */
+  async _receiveTransferredLots(productId, warehouse, lots, session) {
+    for (const moved of lots) {
+      await Lot.updateOne(
+        {
+          product: productId,
+          warehouse: warehouse.toUpperCase(),
+          lotNumber: moved.lotNumber,
+        },
+        {
+          $inc: { quantity: moved.quantity },
+          $setOnInsert: {
+            expiryDate: moved.expiryDate,
+            receivedDate: moved.receivedDate,
+          },
+        },
+        { upsert: true, session }
+      );
+    }
+  }
+
+  /**
+   * Atomically change the stock held at one warehouse
+   * The conditional update locks the stock level for the rest of the
+   * transaction and refuses moves that would take it below zero.
+   * @private
+   * @param {string} productId - Product ID
+   * @param {string} warehouse - Warehouse code
+   * @param {number} change - Signed quantity change
+   * @param {Object} session - Client session
+   * @param {Object} options - Options (respectReserved to keep reserved
+   *   units untouched, release to free that many reserved units)
+   * @returns {Promise<Object>} Updated stock level
+   */
+  async _applyLocationChange(
+    productId,
+    warehouse,
+    change,
+    session,
+    options = {}
+  ) {
+    const filter = { product: productId, warehouse: warehouse.toUpperCase() };
+    const update = { $inc: { quantity: change } };
+    if (change < 0 && options.respectReserved) {
+      filter.$expr = {
+        $gte: [availableQuantity("$quantity", "$reserved"), Math.abs(change)],
+      };
+    } else if (change < 0) {
+      filter.quantity = { $gte: Math.abs(change) };
+    }
+    if (options.release) {
+      filter.reserved = { $gte: options.release };
+      update.$inc.reserved = -options.release;
+    }
+
+    const stockLevel = await StockLevel.findOneAndUpdate(filter, update, {
+      new: true,
+      upsert: change >= 0 && !options.release,
+      session,
+    });
+
+    if (!stockLevel) {
+      const exists = await Product.exists({ _id: productId }).session(session);
+      let message = "Product not found";
+      if (exists && options.release) {
+        message = `Reserved stock in ${filter.warehouse} does not cover this transaction`;
+      } else if (exists && options.respectReserved) {
+        message = `Insufficient available stock in ${filter.warehouse}: transaction would use reserved stock`;
+      } else if (exists) {
+        message = `Insufficient stock in ${filter.warehouse}: transaction would reduce quantity below zero`;
+      }
+      const error = new Error(message);
+      error.statusCode = exists ? 400 : 404;
+      throw error;
+    }
+
+    this.afterCommit(session, () =>
+      publishEvent("stock_level.changed", {
+        product: stockLevel.product,
+        warehouse: stockLevel.warehouse,
+        quantity: stockLevel.quantity,
+        reserved: stockLevel.reserved || 0,
+        change,
+      })
+    );
+    return stockLevel;
+  }
+
+  /**
+   * Mark a reservation fulfilled once its stock_out has been applied, and
+   * the sales order fulfilled once none of its reservations are open
+   * @private
+   * @param {Object} transaction - stock_out fulfilling the reservation
+   * @param {Object} session - Client session
+   */
+  async _settleReservation(transaction, session) {
+    const reservation = await Reservation.findOneAndUpdate(
+      {
+        _id: transaction.reservation,
+        product: transaction.product,
+        quantity: Math.abs(transaction.quantity),
+        status: { $in: ["active", "fulfilling"] },
+      },
+      { $set: { status: "fulfilled", fulfilledAt: new Date() } },
+      { new: true, session }
+    );
+    if (!reservation) {
+      const error = new Error(
+        "Reservation is no longer active or does not match the transaction"
+      );
+      error.statusCode = 409;
+      throw error;
+    }
+    if (!reservation.salesOrder) return;
+
+    const open = await Reservation.exists({
+      salesOrder: reservation.salesOrder,
+      status: { $in: ["active", "fulfilling"] },
+    }).session(session);
+    if (!open) {
+      await SalesOrder.updateOne(
+        {
+          _id: reservation.salesOrder,
+          status: { $in: ["open", "fulfilling"] },
+        },
+        { $set: { status: "fulfilled", fulfilledAt: new Date() } },
+        { session }
+      );
+    }
+  }
+
   /**
    * Get transactions for a specific product
    * @param {string} productId - Product ID
@@ -154,7 +1280,7 @@ class InventoryTransactionDAO extends BaseDAO {
    */
   async getInventoryMovements(productId, startDate = null, endDate = null) {
     try {
-      const matchStage = { product: productId };
+      const matchStage = { product: productId, ...POSTED_FILTER };
 
       if (startDate && endDate) {
         matchStage.createdAt = { $gte: startDate, $lte: endDate };
@@ -233,6 +1359,7 @@ class InventoryTransactionDAO extends BaseDAO {
         {
           $match: {
             createdAt: { $gte: startDate, $lte: endDate },
+            ...POSTED_FILTER,
           },
         },
         {
@@ -348,6 +1475,7 @@ class InventoryTransactionDAO extends BaseDAO {
           $match: {
             createdAt: { $gte: startDate },
             type: { $in: ["stock_out", "damaged", "expired"] },
+            ...POSTED_FILTER,
           },
         },
         {
@@ -374,7 +1502,15 @@ class InventoryTransactionDAO extends BaseDAO {
           $match: {
             $expr: {
               $or: [
-                { $lte: ["$product.quantity", "$product.lowStockThreshold"] },
+                {
+                  $lte: [
+                    availableQuantity(
+                      "$product.quantity",
+                      "$product.reservedQuantity"
+                    ),
+                    "$product.lowStockThreshold",
+                  ],
+                },
                 {
                   $lt: [
                     "$product.quantity",
@@ -538,7 +1674,7 @@ class InventoryTransactionDAO extends BaseDAO {
           limit,
           sort: { createdAt: -1 },
           select:
-            "type quantity previousQuantity newQuantity reason performedBy createdAt reference",
+            "type quantity previousQuantity newQuantity reason performedBy createdAt reference status approval",
         }
       );
 
@@ -547,6 +1683,187 @@ class InventoryTransactionDAO extends BaseDAO {
       throw this._handleError(error, "GET_PRODUCT_AUDIT_TRAIL");
     }
   }
+
+  /**
+   * Stream transactions as CSV, NDJSON or pretty JSON
+   * Documents are read from a cursor and formatted one at a time, so memory
+   * use stays constant regardless of how many rows are exported. Filters
+   * are validated before the cursor opens so bad ones fail with a 400
+   * rather than partway through a download.
+   * @param {Object} filters - Export filters (type, product, status,
+   *   dateRange)
+   * @param {string} format - Output format: csv, ndjson or json
+   * @param {Array<string>} columns - Columns to include (optional)
+   * @returns {Promise<Readable>} Formatter stream; cursor errors are
+   *   forwarded to it and closing it closes the cursor
+   */
+  async exportTransactions(filters = {}, format = "csv", columns = null) {
+    try {
+      if (!EXPORT_FORMATS.includes(format)) {
+        const error = new Error(
+          `Invalid format. Must be one of: ${EXPORT_FORMATS.join(", ")}`
+        );
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const selectedColumns =
+        columns && columns.length > 0 ? columns : DEFAULT_EXPORT_COLUMNS;
+      const unknownColumns = selectedColumns.filter(
+        (column) => !EXPORT_COLUMNS[column]
+      );
+      if (unknownColumns.length > 0) {
+        const error = new Error(
+          `Unknown export columns: ${unknownColumns.join(", ")}`
+        );
+        error.statusCode = 400;
+        throw error;
+      }
+
+      this._validateExportFilters(filters);
+
+      const cursor = this.model
+        .find(this._buildExportQuery(filters))
+        .sort({ createdAt: 1 })
+        .populate("product", "name sku")
+        .lean()
+        .cursor({ batchSize: 500 });
+
+      const formatter = this._createExportFormatter(format, selectedColumns);
+
+      // The caller's pipeline owns the export: cursor failures reach it
+      // through the formatter, and a closed formatter stops the cursor
+      cursor.on("error", (error) => formatter.destroy(error));
+      formatter.on("close", () => cursor.destroy());
+      return cursor.pipe(formatter);
+    } catch (error) {
+      throw this._handleError(error, "EXPORT_TRANSACTIONS");
+    }
+  }
+
+  /**
+   * Reject export filters the query could not use
+   * @private
+   * @param {Object} filters - Export filters
+   * @throws {Error} 400 ValidationError listing each bad filter
+   */
+  _validateExportFilters(filters) {
+    const details = [];
+    const types = this.model.schema.path("type").enumValues;
+    const statuses = this.model.schema.path("status").enumValues;
+
+    if (filters.type && !types.includes(filters.type)) {
+      details.push({
+        field: "type",
+        message: `Type must be one of: ${types.join(", ")}`,
+        value: filters.type,
+      });
+    }
+    if (filters.status && !statuses.includes(filters.status)) {
+      details.push({
+        field: "status",
+        message: `Status must be one of: ${statuses.join(", ")}`,
+        value: filters.status,
+      });
+    }
+    if (filters.product && !mongoose.isValidObjectId(filters.product)) {
+      details.push({
+        field: "product",
+        message: "Invalid product ID",
+        value: filters.product,
+      });
+    }
+    for (const field of ["startDate", "endDate"]) {
+      const value = filters.dateRange?.[field];
+      if (value !== undefined && isNaN(new Date(value))) {
+        details.push({ field, message: "Invalid date", value });
+      }
+    }
+
+    if (details.length > 0) {
+      const error = new Error("Validation failed for EXPORT_TRANSACTIONS");
+      error.name = "ValidationError";
+      error.statusCode = 400;
+      error.details = details;
+      throw error;
+    }
+  }
+
+  /**
+   * Build the query used by exports
+   * @private
+   * @param {Object} filters - Export filters
+   * @returns {Object} MongoDB query
+   */
+  _buildExportQuery(filters) {
+    const query = {};
+
+    if (filters.type) {
+      query.type = filters.type;
+    }
+
+    if (filters.product) {
+      query.product = filters.product;
+    }
+
+    if (filters.status) {
+      query.status = filters.status;
+    }
+
+    if (filters.dateRange) {
+      const { startDate, endDate } = filters.dateRange;
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = startDate;
+      if (endDate) query.createdAt.$lte = endDate;
+    }
+
+    return query;
+  }
+
+  /**
+   * Create a transform stream turning transaction documents into text
+   * @private
+   * @param {string} format - Output format
+   * @param {Array<string>} columns - Columns to include
+   * @returns {Transform} Formatter stream
+   */
+  _createExportFormatter(format, columns) {
+    const toRecord = (transaction) =>
+      columns.reduce((record, column) => {
+        record[column] = EXPORT_COLUMNS[column](transaction);
+        return record;
+      }, {});
+
+    let first = true;
+
+    const formatter = new Transform({
+      writableObjectMode: true,
+      transform(transaction, encoding, callback) {
+        const record = toRecord(transaction);
+
+        if (format === "csv") {
+          callback(null, toCsvRow(columns.map((column) => record[column])));
+        } else if (format === "ndjson") {
+          callback(null, `${JSON.stringify(record)}\n`);
+        } else {
+          const item = JSON.stringify(record, null, 2).replace(/^/gm, "  ");
+          callback(null, `${first ? "" : ",\n"}${item}`);
+        }
+        first = false;
+      },
+      flush(callback) {
+        callback(null, format === "json" ? `${first ? "" : "\n"}]\n` : "");
+      },
+    });
+
+    if (format === "csv") {
+      formatter.push(toCsvRow(columns));
+    } else if (format === "json") {
+      formatter.push("[\n");
+    }
+
+    return formatter;
+  }
 }
 
 module.exports = InventoryTransactionDAO;
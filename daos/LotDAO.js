@@ -0,0 +1,124 @@
+const BaseDAO = require("./BaseDAO");
+const InventoryTransactionDAO = require("./InventoryTransactionDAO");
+const { Lot } = require("../models");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Lot Data Access Object
+ * Handles lot/batch queries and expiry write-offs. Lot quantities are only
+ * written by inventory transactions (see InventoryTransactionDAO).
+ */
+class LotDAO extends BaseDAO {
+  constructor() {
+    super(Lot);
+    this.inventoryTransactionDAO = new InventoryTransactionDAO();
+  }
+
+  /**
+   * Get the lots of a product in FEFO order
+   * @param {string} productId - Product ID
+   * @param {Object} options - Options (warehouse, includeEmpty)
+   * @returns {Promise<Array>} Lots
+   */
+  async getByProduct(productId, options = {}) {
+    try {
+      const query = { product: productId };
+      if (options.warehouse) query.warehouse = options.warehouse.toUpperCase();
+      if (!options.includeEmpty) query.quantity = { $gt: 0 };
+
+      return await this.model
+        .find(query)
+        .sort({ warehouse: 1, expiryDate: 1, receivedDate: 1 });
+    } catch (error) {
+      throw this._handleError(error, "GET_BY_PRODUCT");
+    }
+  }
+
+  /**
+   * Get stocked lots expiring within a number of days
+   * @param {number} days - Days ahead to look
+   * @param {Object} options - Options (warehouse, limit)
+   * @returns {Promise<Array>} Lots with product name and SKU, soonest first
+   */
+  async getExpiring(days = 30, options = {}) {
+    try {
+      const now = new Date();
+      const query = {
+        status: "active",
+        quantity: { $gt: 0 },
+        expiryDate: { $gt: now, $lte: new Date(now.getTime() + days * DAY_MS) },
+      };
+      if (options.warehouse) query.warehouse = options.warehouse.toUpperCase();
+
+      return await this.model
+        .find(query)
+        .sort({ expiryDate: 1 })
+        .limit(options.limit || 50)
+        .populate("product", "name sku");
+    } catch (error) {
+      throw this._handleError(error, "GET_EXPIRING");
+    }
+  }
+
+  /**
+   * Write off stocked lots past their expiry date with `expired`
+   * transactions. Each lot is marked expired in the same transaction, so a
+   * lot is only written off once.
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} Lots written off and failures
+   */
+  async expireLots(now = new Date()) {
+    try {
+      const due = await this.model
+        .find({
+          status: "active",
+          quantity: { $gt: 0 },
+          expiryDate: { $lte: now },
+        })
+        .lean();
+
+      const results = { expired: [], failed: [] };
+      for (const lot of due) {
+        try {
+          const transaction = await this.withTransaction(async (session) => {
+            const claimed = await this.model.findOneAndUpdate(
+              { _id: lot._id, status: "active" },
+              { $set: { status: "expired" } },
+              { new: true, session }
+            );
+            if (!claimed || claimed.quantity === 0) return null;
+
+            return await this.inventoryTransactionDAO.createTransaction(
+              {
+                product: claimed.product,
+                type: "expired",
+                quantity: claimed.quantity,
+                reason: `Lot ${claimed.lotNumber} expired`,
+                reference: claimed.lotNumber,
+                performedBy: "System",
+                location: { warehouse: claimed.warehouse },
+                lot: { lotNumber: claimed.lotNumber },
+              },
+              { session }
+            );
+          });
+          if (transaction) {
+            results.expired.push({
+              lot: lot._id,
+              transaction: transaction._id,
+            });
+          }
+        } catch (error) {
+          results.failed.push({ lot: lot._id, error: error.message });
+        }
+      }
+
+      return results;
+    } catch (error) {
+      throw this._handleError(error, "EXPIRE_LOTS");
+    }
+  }
+}
+
+module.exports = LotDAO;
@@ -1,5 +1,193 @@
+const mongoose = require("mongoose");
 const BaseDAO = require("./BaseDAO");
-const { Product } = require("../models");
+const InventoryTransactionDAO = require("./InventoryTransactionDAO");
+const StockLevelDAO = require("./StockLevelDAO");
+const {
+  Product,
+  Category,
+  Supplier,
+  StockLevel,
+  CostLayer,
+  Lot,
+  PurchaseOrder,
+  InventoryTransaction,
+} = require("../models");
+const { availableQuantity } = require("../utils/stock");
+const { roundMoney } = require("../utils/valuation");
+const {
+  castAttributeValue,
+  attributeCombinations,
+} = require("../utils/attributes");
+const {
+  parseScannedCode,
+  equivalentBarcodes,
+  productBarcode,
+} = require("../utils/barcode");
+const { getDefaultWarehouse } = require("../config/inventory");
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+/**
+ * Escape user input for use inside a regular expression
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Lower bounds of the price facet buckets; prices above the last bound
+// share one open-ended bucket
+const PRICE_BUCKET_BOUNDARIES = [0, 10, 25, 50, 100, 250, 500, 1000];
+
+// Most frequent tags returned in the tag facet
+const FACET_TAG_LIMIT = 20;
+
+// Most labels rendered in one request
+const LABEL_LIMIT = 1000;
+
+/**
+ * Values an attribute filter matches; attribute values are stored typed, so
+ * "42" also matches 42 and "true" matches true
+ * @param {string} value - Filter value
+ * @returns {Array} Values to match
+ */
+function attributeMatchValues(value) {
+  const text = String(value).trim();
+  const values = [text];
+  if (text !== "" && !isNaN(Number(text))) values.push(Number(text));
+  if (["true", "false"].includes(text.toLowerCase())) {
+    values.push(text.toLowerCase() === "true");
+  }
+  return values;
+}
+
+/**
+ * Facet sub-pipeline counting attribute values, optionally for one attribute
+ * @param {Object} match - $match stage for the facet
+ * @param {string} [name] - Only count this attribute
+ * @returns {Array<Object>} Pipeline stages
+ */
+function attributeFacet(match, name) {
+  return [
+    match,
+    {
+      $project: {
+        attribute: { $objectToArray: { $ifNull: ["$attributes", {}] } },
+      },
+    },
+    { $unwind: "$attribute" },
+    ...(name ? [{ $match: { "attribute.k": name } }] : []),
+    // Multiselect values count once per option
+    { $unwind: "$attribute.v" },
+    {
+      $group: {
+        _id: { name: "$attribute.k", value: "$attribute.v" },
+        count: { $sum: 1 },
+      },
+    },
+    { $sort: { count: -1, "_id.value": 1 } },
+    {
+      $group: {
+        _id: "$_id.name",
+        values: { $push: { value: "$_id.value", count: "$count" } },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ];
+}
+
+/**
+ * Facet sub-pipeline counting products per referenced document
+ * @param {Object} match - $match stage for the facet
+ * @param {string} field - Reference field (category, supplier)
+ * @param {string} collection - Referenced collection name
+ * @returns {Array<Object>} Pipeline stages
+ */
+function referenceFacet(match, field, collection) {
+  return [
+    match,
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $match: { _id: { $ne: null } } },
+    {
+      $lookup: {
+        from: collection,
+        localField: "_id",
+        foreignField: "_id",
+        as: "document",
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        value: "$_id",
+        name: { $arrayElemAt: ["$document.name", 0] },
+        count: 1,
+      },
+    },
+    { $sort: { count: -1, name: 1 } },
+  ];
+}
+
+/**
+ * Key identifying a variant by its values for the given attributes
+ * @param {Object} attributes - Attribute values keyed by name
+ * @param {Array<string>} names - Attributes the variants differ by
+ * @returns {string} Case-insensitive key
+ */
+function variantKey(attributes, names) {
+  return names
+    .map((name) => `${name}=${String(attributes[name]).toLowerCase()}`)
+    .join("|");
+}
+
+/**
+ * SKU suffix for an attribute value (e.g. "Navy Blue" -> "NAVYBLUE")
+ * @param {*} value - Attribute value
+ * @returns {string} Uppercase alphanumeric suffix
+ */
+function skuPart(value) {
+  return String(value)
+    .toUpperCase()
+    .replace(/[^A-Z0-9.]/g, "");
+}
+
+// Flat import column names mapped onto Product schema paths
+const IMPORT_COLUMN_ALIASES = {
+  supplierName: "supplier",
+  supplierCode: "supplier",
+  length: "dimensions.length",
+  width: "dimensions.width",
+  height: "dimensions.height",
+  weight: "dimensions.weight",
+};
+
+// Fields only their own workflows write: reserved stock through
+// ReservationDAO and variant links through generateVariants
+const MANAGED_FIELDS = ["reservedQuantity", "parent", "variantAttributes"];
+
+/**
+ * Drop workflow-managed fields from product input
+ * @param {Object} data - Product data from a request or import
+ * @returns {Object} Data without MANAGED_FIELDS
+ */
+function withoutManagedFields(data) {
+  return Object.fromEntries(
+    Object.entries(data).filter(([field]) => !MANAGED_FIELDS.includes(field))
+  );
+}
+
+// Numeric paths that arrive as text in CSV imports
+const IMPORT_NUMBER_PATHS = [
+  "price",
+  "unitCost",
+  "quantity",
+  "lowStockThreshold",
+  "dimensions.length",
+  "dimensions.width",
+  "dimensions.height",
+  "dimensions.weight",
+];
 
 /**
  * Product Data Access Object
@@ -8,10 +196,84 @@ const { Product } = require("../models");
 class ProductDAO extends BaseDAO {
   constructor() {
     super(Product);
+    this.inventoryTransactionDAO = new InventoryTransactionDAO();
+    this.stockLevelDAO = new StockLevelDAO();
+  }
+
+  /**
+   * Create a product and record its initial stock in the ledger
+   * The product is saved with zero quantity and the initial stock is applied
+   * through a stock_in transaction, both in the same MongoDB transaction.
+   * The opening stock is costed at unitCost; without one it is recorded
+   * uncosted, never at the selling price.
+   * @param {Object} data - Product data (optional warehouse and unitCost
+   *   for the stock)
+   * @param {string|Object} performedBy - User name or identity ({ id, name })
+   * @returns {Promise<Object>} Created product
+   */
+  async createWithInitialStock(data, performedBy = "System") {
+    try {
+      const { warehouse, unitCost, ...productData } =
+        withoutManagedFields(data);
+      const hasCost = unitCost !== undefined && unitCost !== null;
+      if (
+        hasCost &&
+        (typeof unitCost !== "number" ||
+          !Number.isFinite(unitCost) ||
+          unitCost < 0)
+      ) {
+        const error = new Error(
+          "Validation failed for CREATE_WITH_INITIAL_STOCK"
+        );
+        error.name = "ValidationError";
+        error.statusCode = 400;
+        error.details = [
+          {
+            field: "unitCost",
+            message: "Unit cost must be a non-negative number",
+            value: unitCost,
+          },
+        ];
+        throw error;
+      }
+
+      const product = new this.model(productData);
+      await product.validate();
+
+      const initialQuantity = product.quantity;
+      product.quantity = 0;
+
+      return await this.withTransaction(async (session) => {
+        await product.save({ session });
+
+        if (initialQuantity > 0) {
+          const transaction =
+            await this.inventoryTransactionDAO.createTransaction(
+              {
+                product: product._id,
+                type: "stock_in",
+                quantity: initialQuantity,
+                reason: "Initial stock",
+                performedBy,
+                ...(hasCost && { unitCost }),
+                location: { warehouse },
+              },
+              { session }
+            );
+          if (transaction.status !== "pending") {
+            product.quantity = initialQuantity;
+          }
+        }
+
+        return product;
+      });
+    } catch (error) {
+      throw this._handleError(error, "CREATE_WITH_INITIAL_STOCK");
+    }
   }
 
   /**
-   * Search products by name, description, or category
+   * Search products by name, description, SKU or tags
    * @param {string} searchTerm - Search term
    * @param {Object} options - Search options (limit, skip, sort)
    * @returns {Promise<Object>} Search results with pagination
@@ -22,7 +284,6 @@ class ProductDAO extends BaseDAO {
         $or: [
           { name: { $regex: searchTerm, $options: "i" } },
           { description: { $regex: searchTerm, $options: "i" } },
-          { category: { $regex: searchTerm, $options: "i" } },
           { sku: { $regex: searchTerm, $options: "i" } },
           { tags: { $in: [new RegExp(searchTerm, "i")] } },
         ],
@@ -35,14 +296,22 @@ class ProductDAO extends BaseDAO {
   }
 
   /**
-   * Get products with low stock (quantity <= lowStockThreshold)
-   * @param {Object} options - Query options
+   * Get products with low stock (available <= lowStockThreshold)
+   * @param {Object} options - Query options (warehouse to check one location)
    * @returns {Promise<Object>} Low stock products with pagination
    */
   async getLowStockProducts(options = {}) {
     try {
+      if (options.warehouse) {
+        return await this.stockLevelDAO.getStockAlerts(
+          options.warehouse,
+          "low",
+          options
+        );
+      }
+
       const filter = {
-        $expr: { $lte: ["$quantity", "$lowStockThreshold"] },
+        $expr: { $lte: [availableQuantity(), "$lowStockThreshold"] },
         status: "active",
       };
 
@@ -56,14 +325,22 @@ class ProductDAO extends BaseDAO {
   }
 
   /**
-   * Get out of stock products (quantity = 0)
-   * @param {Object} options - Query options
+   * Get out of stock products (nothing available to promise)
+   * @param {Object} options - Query options (warehouse to check one location)
    * @returns {Promise<Object>} Out of stock products with pagination
    */
   async getOutOfStockProducts(options = {}) {
     try {
+      if (options.warehouse) {
+        return await this.stockLevelDAO.getStockAlerts(
+          options.warehouse,
+          "out",
+          options
+        );
+      }
+
       const filter = {
-        quantity: 0,
+        $expr: { $lte: [availableQuantity(), 0] },
         status: "active",
       };
 
@@ -75,14 +352,14 @@ class ProductDAO extends BaseDAO {
 
   /**
    * Get products by category
-   * @param {string} category - Category name
+   * @param {string} category - Category ID, name or slug
    * @param {Object} options - Query options
    * @returns {Promise<Object>} Products in category with pagination
    */
   async getByCategory(category, options = {}) {
     try {
       const filter = {
-        category: { $regex: category, $options: "i" },
+        category: { $in: await this._resolveCategoryIds(category) },
         status: "active",
       };
 
@@ -94,14 +371,14 @@ class ProductDAO extends BaseDAO {
 
   /**
    * Get products by supplier
-   * @param {string} supplierName - Supplier name
+   * @param {string} supplier - Supplier ID, name or code
    * @param {Object} options - Query options
    * @returns {Promise<Object>} Products from supplier with pagination
    */
-  async getBySupplier(supplierName, options = {}) {
+  async getBySupplier(supplier, options = {}) {
     try {
       const filter = {
-        "supplier.name": { $regex: supplierName, $options: "i" },
+        supplier: { $in: await this._resolveSupplierIds(supplier) },
         status: "active",
       };
 
@@ -136,44 +413,257 @@ class ProductDAO extends BaseDAO {
 
   /**
    * Update product quantity
+   * The change is recorded as an adjustment transaction so the audit trail
+   * always explains the new quantity. Without a warehouse the quantity is the
+   * product total and the difference is booked at the default warehouse.
    * @param {string} productId - Product ID
    * @param {number} quantity - New quantity
    * @param {string} reason - Reason for quantity change
+   * @param {string|Object} performedBy - User name or identity ({ id, name })
+   * @param {Object} options - Options (warehouse to set the quantity of one
+   *   location, session to join an outer transaction)
    * @returns {Promise<Object>} Updated product
    */
-  async updateQuantity(productId, quantity, reason = "Manual adjustment") {
+  async updateQuantity(
+    productId,
+    quantity,
+    reason = "Manual adjustment",
+    performedBy = "System",
+    options = {}
+  ) {
     try {
-      const product = await this.findById(productId);
-      if (!product) {
-        throw new Error("Product not found");
-      }
+      const warehouse = options.warehouse
+        ? options.warehouse.trim().toUpperCase()
+        : null;
 
-      const previousQuantity = product.quantity;
-      const updatedProduct = await this.updateById(productId, { quantity });
+      return await this.withTransaction(async (session) => {
+        const product = await this.model.findById(productId).session(session);
+        if (!product) {
+          const error = new Error("Product not found");
+          error.statusCode = 404;
+          throw error;
+        }
 
-      // Note: In a full implementation, you might want to create an inventory transaction here
-      // This would require importing the InventoryTransactionDAO
+        let previousQuantity = product.quantity;
+        if (warehouse) {
+          const stockLevel = await StockLevel.findOne({
+            product: productId,
+            warehouse,
+          }).session(session);
+          previousQuantity = stockLevel ? stockLevel.quantity : 0;
+        }
 
-      return {
-        product: updatedProduct,
-        quantityChange: {
-          previous: previousQuantity,
-          current: quantity,
-          difference: quantity - previousQuantity,
-          reason,
-        },
-      };
+        const difference = quantity - previousQuantity;
+        let transaction = null;
+
+        if (difference !== 0) {
+          transaction = await this.inventoryTransactionDAO.createTransaction(
+            {
+              product: productId,
+              type: "adjustment",
+              quantity: difference,
+              reason,
+              performedBy,
+              ...(warehouse && { location: { warehouse } }),
+            },
+            { session }
+          );
+        }
+
+        const updatedProduct = await this.model
+          .findById(productId)
+          .session(session);
+        const applied =
+          transaction && transaction.status !== "pending" ? difference : 0;
+
+        return {
+          product: updatedProduct,
+          transaction,
+          quantityChange: {
+            ...(warehouse && { warehouse }),
+            previous: previousQuantity,
+            current: previousQuantity + applied,
+            difference: applied,
+            reason,
+          },
+        };
+      }, options.session);
     } catch (error) {
       throw this._handleError(error, "UPDATE_QUANTITY");
     }
   }
 
+  /**
+   * Update product fields and quantity together
+   * Quantity changes go through updateQuantity so they reach the ledger.
+   * @param {string} productId - Product ID
+   * @param {Object} data - Update data (may include quantity)
+   * @param {Object} audit - Audit info ({ reason, performedBy })
+   * @returns {Promise<Object|null>} Updated product or null if not found
+   */
+  async updateWithQuantity(productId, data, audit = {}) {
+    try {
+      const { quantity, ...fields } = withoutManagedFields(data);
+      const { reason = "Product update", performedBy = "System" } = audit;
+
+      return await this.withTransaction(async (session) => {
+        if (fields.attributes !== undefined || fields.category !== undefined) {
+          await this._checkAttributes(productId, fields, session);
+        }
+
+        let product = await this.updateById(productId, fields, { session });
+        if (!product) {
+          return null;
+        }
+
+        if (quantity !== undefined && quantity !== product.quantity) {
+          const result = await this.updateQuantity(
+            productId,
+            quantity,
+            reason,
+            performedBy,
+            { session }
+          );
+          product = result.product;
+        }
+
+        return product;
+      });
+    } catch (error) {
+      throw this._handleError(error, "UPDATE_WITH_QUANTITY");
+    }
+  }
+
+  /**
+   * Get the variants of a parent product
+   * @param {string} parentId - Parent product ID
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} Variants with pagination
+   */
+  async getVariants(parentId, options = {}) {
+    try {
+      return await this.find(
+        { parent: parentId },
+        { sort: { sku: 1 }, ...options }
+      );
+    } catch (error) {
+      throw this._handleError(error, "GET_VARIANTS");
+    }
+  }
+
+  /**
+   * Generate a variant product for each combination of attribute values
+   * Variants copy the parent's catalogue details and carry their own SKU,
+   * price, barcode and stock. Combinations that already exist are skipped.
+   * @param {string} parentId - Parent product ID
+   * @param {Object} data - Values to combine keyed by attribute name
+   *   (attributes), base price (defaults to the parent's) and
+   *   priceAdjustments added per value ({ Size: { XL: 2 } })
+   * @returns {Promise<Object>} Parent, created variants and skipped
+   *   combinations
+   */
+  async generateVariants(parentId, data = {}) {
+    try {
+      const axes = data.attributes || {};
+      const names = Object.keys(axes);
+      if (
+        names.length === 0 ||
+        names.some((name) => !Array.isArray(axes[name]) || !axes[name].length)
+      ) {
+        const error = new Error(
+          "Give at least one value for each attribute to vary by"
+        );
+        error.statusCode = 400;
+        throw error;
+      }
+
+      return await this.withTransaction(async (session) => {
+        const parent = await this.model.findById(parentId).session(session);
+        if (!parent) {
+          const error = new Error("Product not found");
+          error.statusCode = 404;
+          throw error;
+        }
+        if (parent.parent) {
+          const error = new Error("Variants cannot have variants of their own");
+          error.statusCode = 409;
+          throw error;
+        }
+
+        const values = await this._castVariantAxes(parent, axes, session);
+        const existing = await this.model
+          .find({ parent: parent._id })
+          .select("attributes")
+          .session(session);
+        const existingKeys = new Set(
+          existing.map((variant) =>
+            variantKey(Object.fromEntries(variant.attributes || []), names)
+          )
+        );
+
+        const baseAttributes = Object.fromEntries(parent.attributes || []);
+        const basePrice = data.price ?? parent.price;
+        const variants = [];
+        const skipped = [];
+
+        for (const combination of attributeCombinations(values)) {
+          if (existingKeys.has(variantKey(combination, names))) {
+            skipped.push(combination);
+            continue;
+          }
+
+          const labels = names.map((name) => combination[name]);
+          const variant = new this.model({
+            name: `${parent.name} (${labels.join(" / ")})`,
+            sku: [parent.sku, ...labels.map(skuPart)].join("-"),
+            price: roundMoney(
+              names.reduce(
+                (price, name) =>
+                  price +
+                  (data.priceAdjustments?.[name]?.[combination[name]] || 0),
+                basePrice
+              )
+            ),
+            quantity: 0,
+            category: parent.category,
+            supplier: parent.supplier,
+            description: parent.description,
+            dimensions: parent.dimensions,
+            lowStockThreshold: parent.lowStockThreshold,
+            trackLots: parent.trackLots,
+            trackSerials: parent.trackSerials,
+            reorder: parent.reorder,
+            tags: parent.tags,
+            attributes: { ...baseAttributes, ...combination },
+            parent: parent._id,
+          });
+          await variant.save({ session });
+          variants.push(variant);
+        }
+
+        await this.model.updateOne(
+          { _id: parent._id },
+          { $addToSet: { variantAttributes: { $each: names } } },
+          { session }
+        );
+
+        return { parent, variants, skipped };
+      });
+    } catch (error) {
+      throw this._handleError(error, "GENERATE_VARIANTS");
+    }
+  }
+
   /**
    * Bulk update product quantities
-   * @param {Array} updates - Array of {productId, quantity} objects
+   * Each update runs in its own transaction so one failure does not roll
+   * back the others.
+   * @param {Array} updates - Array of {productId, quantity, reason, warehouse}
+   *   objects
+   * @param {string|Object} performedBy - User name or identity ({ id, name })
    * @returns {Promise<Object>} Update results
    */
-  async bulkUpdateQuantities(updates) {
+  async bulkUpdateQuantities(updates, performedBy = "System") {
     try {
       const results = {
         successful: [],
@@ -185,7 +675,9 @@ class ProductDAO extends BaseDAO {
           const result = await this.updateQuantity(
             update.productId,
             update.quantity,
-            update.reason || "Bulk update"
+            update.reason || "Bulk update",
+            performedBy,
+            { warehouse: update.warehouse }
           );
           results.successful.push({
             productId: update.productId,
@@ -207,6 +699,7 @@ class ProductDAO extends BaseDAO {
 
   /**
    * Get inventory statistics
+   * totalValue is stock at selling price; totalCost is stock at cost.
    * @returns {Promise<Object>} Inventory statistics
    */
   async getInventoryStats() {
@@ -222,27 +715,47 @@ class ProductDAO extends BaseDAO {
             totalQuantity: { $sum: "$quantity" },
             totalValue: { $sum: { $multiply: ["$quantity", "$price"] } },
             averagePrice: { $avg: "$price" },
+            totalReserved: { $sum: { $ifNull: ["$reservedQuantity", 0] } },
             lowStockProducts: {
               $sum: {
-                $cond: [{ $lte: ["$quantity", "$lowStockThreshold"] }, 1, 0],
+                $cond: [
+                  { $lte: [availableQuantity(), "$lowStockThreshold"] },
+                  1,
+                  0,
+                ],
               },
             },
             outOfStockProducts: {
               $sum: {
-                $cond: [{ $eq: ["$quantity", 0] }, 1, 0],
+                $cond: [{ $lte: [availableQuantity(), 0] }, 1, 0],
               },
             },
           },
         },
       ];
 
-      const [stats] = await this.aggregate(pipeline);
+      const [[stats], [cost]] = await Promise.all([
+        this.aggregate(pipeline),
+        // Cost of stock on hand, from the live cost layers
+        CostLayer.aggregate([
+          { $match: { remaining: { $gt: 0 } } },
+          {
+            $group: {
+              _id: null,
+              totalCost: { $sum: { $multiply: ["$remaining", "$unitCost"] } },
+            },
+          },
+        ]),
+      ]);
+      const totalCost = parseFloat((cost?.totalCost || 0).toFixed(2));
 
       if (!stats) {
         return {
           totalProducts: 0,
           totalQuantity: 0,
+          totalReserved: 0,
           totalValue: 0,
+          totalCost,
           averagePrice: 0,
           lowStockProducts: 0,
           outOfStockProducts: 0,
@@ -252,7 +765,9 @@ class ProductDAO extends BaseDAO {
       return {
         totalProducts: stats.totalProducts || 0,
         totalQuantity: stats.totalQuantity || 0,
+        totalReserved: stats.totalReserved || 0,
         totalValue: parseFloat((stats.totalValue || 0).toFixed(2)),
+        totalCost,
         averagePrice: parseFloat((stats.averagePrice || 0).toFixed(2)),
         lowStockProducts: stats.lowStockProducts || 0,
         outOfStockProducts: stats.outOfStockProducts || 0,
@@ -281,6 +796,14 @@ class ProductDAO extends BaseDAO {
             averagePrice: { $avg: "$price" },
           },
         },
+        {
+          $lookup: {
+            from: "categories",
+            localField: "_id",
+            foreignField: "_id",
+            as: "category",
+          },
+        },
         {
           $sort: { productCount: -1 },
         },
@@ -289,7 +812,8 @@ class ProductDAO extends BaseDAO {
       const stats = await this.aggregate(pipeline);
 
       return stats.map((stat) => ({
-        category: stat._id || "Uncategorized",
+        categoryId: stat._id,
+        category: stat.category[0]?.name || "Uncategorized",
         productCount: stat.productCount,
         totalQuantity: stat.totalQuantity,
         totalValue: parseFloat(stat.totalValue.toFixed(2)),
@@ -326,6 +850,244 @@ class ProductDAO extends BaseDAO {
     }
   }
 
+  /**
+   * Resolve a scanned barcode, SKU or lot number to what it identifies
+   * Product barcodes and SKUs are matched first; other Code 128 and SKU
+   * shaped codes are then looked up as lot numbers in the warehouse.
+   * @param {string} code - Scanned code
+   * @param {Object} options - Options (format reported by the scanner,
+   *   warehouse to look lots up in)
+   * @returns {Promise<Object>} { type: product, variant or lot, code, format,
+   *   warehouse, product, lot }
+   */
+  async resolveScan(code, options = {}) {
+    try {
+      const scan = parseScannedCode(code, options.format);
+      if (scan.error) {
+        const error = new Error(scan.error);
+        error.name = "ValidationError";
+        error.statusCode = 400;
+        error.details = [{ field: "code", message: scan.error, value: code }];
+        throw error;
+      }
+
+      const warehouse = (options.warehouse || getDefaultWarehouse())
+        .trim()
+        .toUpperCase();
+      const isGtin = scan.format === "ean13" || scan.format === "upca";
+
+      const product = await this.findOne({
+        $or: [
+          { barcode: { $in: equivalentBarcodes(scan.code, scan.format) } },
+          ...(isGtin ? [] : [{ sku: scan.code.toUpperCase() }]),
+        ],
+      });
+      if (product) {
+        return {
+          type: product.parent ? "variant" : "product",
+          code: scan.code,
+          format: scan.format,
+          warehouse,
+          product,
+          lot: null,
+        };
+      }
+
+      const lots = isGtin
+        ? []
+        : await Lot.find({
+            lotNumber: scan.code.toUpperCase(),
+            warehouse,
+          }).populate("product");
+      if (lots.length === 0) {
+        const error = new Error(
+          `No product, variant or lot matches ${scan.code}`
+        );
+        error.statusCode = 404;
+        throw error;
+      }
+      if (lots.length > 1) {
+        const error = new Error(
+          `Lot ${scan.code} is held for more than one product`
+        );
+        error.statusCode = 409;
+        error.details = {
+          products: lots.map((lot) => ({
+            _id: lot.product._id,
+            sku: lot.product.sku,
+            name: lot.product.name,
+          })),
+        };
+        throw error;
+      }
+
+      const [lot] = lots;
+      return {
+        type: "lot",
+        code: scan.code,
+        format: scan.format,
+        warehouse,
+        product: lot.product,
+        lot,
+      };
+    } catch (error) {
+      throw this._handleError(error, "RESOLVE_SCAN");
+    }
+  }
+
+  /**
+   * Resolve a scanned code and book units of it in or out
+   * A scanned lot is received into or picked from that lot.
+   * @param {string} code - Scanned code
+   * @param {Object} data - Movement (action stock_in or stock_out,
+   *   quantity defaulting to one unit, format, warehouse, reason,
+   *   reference, serialNumbers)
+   * @param {string|Object} performedBy - User name or identity ({ id, name })
+   * @returns {Promise<Object>} Resolved scan with the created transaction
+   */
+  async scanStock(code, data = {}, performedBy = "System") {
+    try {
+      const quantity = data.quantity ?? 1;
+      const details = [];
+      if (!["stock_in", "stock_out"].includes(data.action)) {
+        details.push({
+          field: "action",
+          message: "Action must be stock_in or stock_out",
+          value: data.action,
+        });
+      }
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        details.push({
+          field: "quantity",
+          message: "Quantity must be a positive whole number",
+          value: quantity,
+        });
+      }
+      if (details.length > 0) {
+        const error = new Error("Validation failed for SCAN_STOCK");
+        error.name = "ValidationError";
+        error.statusCode = 400;
+        error.details = details;
+        throw error;
+      }
+
+      const scan = await this.resolveScan(code, data);
+      const transaction = await this.inventoryTransactionDAO.createTransaction({
+        product: scan.product._id,
+        type: data.action,
+        quantity,
+        reason: data.reason || `Scanned ${scan.code}`,
+        reference: data.reference,
+        performedBy,
+        location: { warehouse: scan.warehouse },
+        serialNumbers: data.serialNumbers,
+        ...(scan.lot && {
+          lot: {
+            lotNumber: scan.lot.lotNumber,
+            expiryDate: scan.lot.expiryDate,
+          },
+        }),
+      });
+
+      return { ...scan, transaction };
+    } catch (error) {
+      throw this._handleError(error, "SCAN_STOCK");
+    }
+  }
+
+  /**
+   * Build printable labels for products or for what a purchase order
+   * receipt brought in (one label per unit received)
+   * @param {Object} selection - Products as IDs or { product, copies }, or
+   *   a purchaseOrder with an optional receipt ID (defaults to the latest)
+   * @returns {Promise<Array<Object>>} Labels (product, name, sku, price,
+   *   barcode) repeated per copy
+   */
+  async getLabels(selection = {}) {
+    try {
+      let requests;
+      if (selection.purchaseOrder) {
+        requests = await this._receiptLabelRequests(
+          selection.purchaseOrder,
+          selection.receipt
+        );
+      } else {
+        requests = (selection.products || []).map((entry) =>
+          typeof entry === "object"
+            ? { product: String(entry.product), copies: entry.copies ?? 1 }
+            : { product: String(entry), copies: 1 }
+        );
+      }
+
+      const details = [];
+      if (requests.length === 0) {
+        details.push({
+          field: "products",
+          message: "Select products or a purchase order receipt",
+          value: selection.products,
+        });
+      }
+      requests
+        .filter(
+          (request) => !Number.isInteger(request.copies) || request.copies < 1
+        )
+        .forEach((request) =>
+          details.push({
+            field: "copies",
+            message: "Copies must be a positive whole number",
+            value: request.copies,
+          })
+        );
+      const total = requests.reduce(
+        (sum, request) => sum + (Number(request.copies) || 0),
+        0
+      );
+      if (total > LABEL_LIMIT) {
+        details.push({
+          field: "copies",
+          message: `At most ${LABEL_LIMIT} labels can be printed at once`,
+          value: total,
+        });
+      }
+      if (details.length > 0) {
+        const error = new Error("Validation failed for GET_LABELS");
+        error.name = "ValidationError";
+        error.statusCode = 400;
+        error.details = details;
+        throw error;
+      }
+
+      const ids = [...new Set(requests.map((request) => request.product))];
+      const products = await this.model
+        .find({ _id: { $in: ids } })
+        .select("name sku price barcode");
+      const byId = new Map(
+        products.map((product) => [product._id.toString(), product])
+      );
+      const missing = ids.filter((id) => !byId.has(id));
+      if (missing.length > 0) {
+        const error = new Error("Products not found");
+        error.statusCode = 404;
+        error.details = { products: missing };
+        throw error;
+      }
+
+      return requests.flatMap((request) => {
+        const product = byId.get(request.product);
+        const label = {
+          product: product._id,
+          name: product.name,
+          sku: product.sku,
+          price: product.price,
+          barcode: productBarcode(product),
+        };
+        return Array.from({ length: request.copies }, () => label);
+      });
+    } catch (error) {
+      throw this._handleError(error, "GET_LABELS");
+    }
+  }
+
   /**
    * Get recently added products
    * @param {number} days - Number of days to look back (default: 7)
@@ -366,7 +1128,6 @@ class ProductDAO extends BaseDAO {
         query.$or = [
           { name: { $regex: filters.search, $options: "i" } },
           { description: { $regex: filters.search, $options: "i" } },
-          { category: { $regex: filters.search, $options: "i" } },
           { sku: { $regex: filters.search, $options: "i" } },
           { tags: { $in: [new RegExp(filters.search, "i")] } },
         ];
@@ -374,7 +1135,9 @@ class ProductDAO extends BaseDAO {
 
       // Category filter
       if (filters.category) {
-        query.category = { $regex: filters.category, $options: "i" };
+        query.category = {
+          $in: await this._resolveCategoryIds(filters.category),
+        };
       }
 
       // Price range
@@ -393,20 +1156,22 @@ class ProductDAO extends BaseDAO {
 
       // Supplier filter
       if (filters.supplier) {
-        query["supplier.name"] = { $regex: filters.supplier, $options: "i" };
+        query.supplier = {
+          $in: await this._resolveSupplierIds(filters.supplier),
+        };
       }
 
       // Stock status filter
       if (filters.stockStatus) {
         switch (filters.stockStatus) {
           case "in_stock":
-            query.quantity = { $gt: 0 };
+            query.$expr = { $gt: [availableQuantity(), 0] };
             break;
           case "out_of_stock":
-            query.quantity = 0;
+            query.$expr = { $lte: [availableQuantity(), 0] };
             break;
           case "low_stock":
-            query.$expr = { $lte: ["$quantity", "$lowStockThreshold"] };
+            query.$expr = { $lte: [availableQuantity(), "$lowStockThreshold"] };
             break;
         }
       }
@@ -422,6 +1187,659 @@ class ProductDAO extends BaseDAO {
     }
   }
 
+  /**
+   * Search products with the text index and count facets for a filter
+   * sidebar in one $facet aggregation
+   * Each facet is counted with every filter applied except its own, so a
+   * sidebar can offer the other values of a filter already in use. Results
+   * are ordered by relevance when searching by text.
+   * @param {Object} filters - Filters (q, category, supplier, status,
+   *   stockStatus and tags as value lists, minPrice, maxPrice, attributes
+   *   as value lists keyed by attribute name)
+   * @param {Object} options - Query options (limit, skip, sort,
+   *   priceBoundaries)
+   * @returns {Promise<Object>} Products, pagination and facets
+   */
+  async facetedSearch(filters = {}, options = {}) {
+    try {
+      const {
+        limit = 20,
+        skip = 0,
+        priceBoundaries = PRICE_BUCKET_BOUNDARIES,
+      } = options;
+      if (
+        priceBoundaries.length < 2 ||
+        priceBoundaries.some(
+          (bound, index) =>
+            !Number.isFinite(bound) ||
+            (index > 0 && bound <= priceBoundaries[index - 1])
+        )
+      ) {
+        const error = new Error(
+          "Price buckets need at least two ascending numeric boundaries"
+        );
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const sort =
+        options.sort || (filters.q ? { score: -1, _id: 1 } : { createdAt: -1 });
+      const clauses = await this._facetClauses(filters);
+
+      const matchExcept = (excluded) => {
+        const conditions = Object.entries(clauses)
+          .filter(([name]) => name !== excluded)
+          .map(([, condition]) => condition);
+        return { $match: conditions.length ? { $and: conditions } : {} };
+      };
+      const countBy = (field) => [
+        matchExcept(field),
+        { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+        { $project: { _id: 0, value: "$_id", count: 1 } },
+        { $sort: { count: -1, value: 1 } },
+      ];
+
+      const attributeFilters = Object.keys(filters.attributes || {});
+      const pipeline = [
+        // $text must lead the pipeline to use the text index
+        ...(filters.q ? [{ $match: { $text: { $search: filters.q } } }] : []),
+        {
+          $addFields: {
+            ...(filters.q && { score: { $meta: "textScore" } }),
+            stockStatus: {
+              $switch: {
+                branches: [
+                  {
+                    case: { $lte: [availableQuantity(), 0] },
+                    then: "out_of_stock",
+                  },
+                  {
+                    case: { $lte: [availableQuantity(), "$lowStockThreshold"] },
+                    then: "low_stock",
+                  },
+                ],
+                default: "in_stock",
+              },
+            },
+          },
+        },
+        {
+          $facet: {
+            products: [
+              matchExcept(null),
+              { $sort: sort },
+              { $skip: skip },
+              { $limit: limit },
+            ],
+            total: [matchExcept(null), { $count: "count" }],
+            categories: referenceFacet(
+              matchExcept("category"),
+              "category",
+              Category.collection.name
+            ),
+            suppliers: referenceFacet(
+              matchExcept("supplier"),
+              "supplier",
+              Supplier.collection.name
+            ),
+            statuses: countBy("status"),
+            stockStatuses: countBy("stockStatus"),
+            priceBuckets: [
+              matchExcept("price"),
+              {
+                $bucket: {
+                  groupBy: "$price",
+                  boundaries: priceBoundaries,
+                  default: "above",
+                  output: { count: { $sum: 1 } },
+                },
+              },
+            ],
+            tags: [
+              matchExcept("tags"),
+              { $unwind: "$tags" },
+              { $group: { _id: "$tags", count: { $sum: 1 } } },
+              { $project: { _id: 0, value: "$_id", count: 1 } },
+              { $sort: { count: -1, value: 1 } },
+              { $limit: FACET_TAG_LIMIT },
+            ],
+            attributes: attributeFacet(matchExcept(null)),
+            // Filtered attributes are recounted without their own filter
+            ...Object.fromEntries(
+              attributeFilters.map((name, index) => [
+                `attribute${index}`,
+                attributeFacet(matchExcept(`attributes.${name}`), name),
+              ])
+            ),
+          },
+        },
+      ];
+
+      const [result] = await this.aggregate(pipeline);
+      const total = result.total[0]?.count || 0;
+
+      const attributes = new Map(
+        result.attributes.map((facet) => [facet._id, facet.values])
+      );
+      attributeFilters.forEach((name, index) => {
+        const [facet] = result[`attribute${index}`];
+        attributes.set(name, facet ? facet.values : []);
+      });
+
+      return {
+        documents: result.products,
+        pagination: {
+          total,
+          limit,
+          skip,
+          page: Math.floor(skip / limit) + 1,
+          totalPages: Math.ceil(total / limit),
+          hasNext: skip + limit < total,
+          hasPrev: skip > 0,
+        },
+        facets: {
+          categories: result.categories,
+          suppliers: result.suppliers,
+          statuses: result.statuses,
+          stockStatuses: result.stockStatuses,
+          priceBuckets: result.priceBuckets.map((bucket) => {
+            const last = priceBoundaries[priceBoundaries.length - 1];
+            if (bucket._id === "above") {
+              return { min: last, max: null, count: bucket.count };
+            }
+            const index = priceBoundaries.indexOf(bucket._id);
+            return {
+              min: bucket._id,
+              max: priceBoundaries[index + 1],
+              count: bucket.count,
+            };
+          }),
+          tags: result.tags,
+          attributes: [...attributes.entries()]
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([name, values]) => ({ name, values })),
+        },
+      };
+    } catch (error) {
+      throw this._handleError(error, "FACETED_SEARCH");
+    }
+  }
+
+  /**
+   * Import products, upserting by SKU or barcode
+   * Rows are processed independently; each row's validation errors are
+   * reported in the same shape as _handleError details.
+   * @param {Array<Object>} records - Parsed CSV or NDJSON records
+   * @param {Object} options - Import options ({ dryRun, performedBy })
+   * @returns {Promise<Object>} Import report with per-row results
+   */
+  async importProducts(records, options = {}) {
+    try {
+      const { dryRun = false, performedBy = "System" } = options;
+      const report = {
+        dryRun,
+        summary: { total: records.length, created: 0, updated: 0, failed: 0 },
+        rows: [],
+      };
+      const seenKeys = new Set();
+
+      for (const [index, record] of records.entries()) {
+        const data = this._mapImportRecord(record);
+        const rowReport = {
+          row: index + 1,
+          sku: data.sku,
+          barcode: data.barcode,
+        };
+
+        try {
+          this._assertUniqueInImport(data, seenKeys);
+          await this._resolveImportReferences(data);
+          const existing = await this._findImportMatch(data);
+
+          if (existing) {
+            rowReport.action = "update";
+            existing.set(data);
+            await existing.validate();
+
+            if (!dryRun) {
+              await this.updateWithQuantity(existing._id, data, {
+                reason: "Product import",
+                performedBy,
+              });
+            }
+            rowReport.productId = existing._id;
+            report.summary.updated++;
+          } else {
+            rowReport.action = "create";
+            if (dryRun) {
+              await new this.model(data).validate();
+            } else {
+              const product = await this.createWithInitialStock(
+                data,
+                performedBy
+              );
+              rowReport.productId = product._id;
+            }
+            report.summary.created++;
+          }
+
+          if (dryRun) {
+            rowReport.status = "valid";
+          } else {
+            rowReport.status =
+              rowReport.action === "create" ? "created" : "updated";
+          }
+        } catch (error) {
+          const formattedError = this._handleError(error, "IMPORT_PRODUCTS");
+          rowReport.status = "failed";
+          rowReport.errors = formattedError.details || [
+            { field: null, message: formattedError.message },
+          ];
+          report.summary.failed++;
+        }
+
+        report.rows.push(rowReport);
+      }
+
+      return report;
+    } catch (error) {
+      throw this._handleError(error, "IMPORT_PRODUCTS");
+    }
+  }
+
+  /**
+   * Map a flat or nested import record onto Product fields
+   * @private
+   * @param {Object} record - Import record
+   * @returns {Object} Product data
+   */
+  _mapImportRecord(record) {
+    const data = {};
+
+    for (const [column, rawValue] of Object.entries(record)) {
+      let value = typeof rawValue === "string" ? rawValue.trim() : rawValue;
+      if (value === "" || value === null || value === undefined) continue;
+
+      const path = IMPORT_COLUMN_ALIASES[column] || column;
+
+      if (path === "tags" && typeof value === "string") {
+        value = value
+          .split(/[;|]/)
+          .map((tag) => tag.trim())
+          .filter(Boolean);
+      } else if (path === "images") {
+        const images = typeof value === "string" ? value.split("|") : value;
+        value = images
+          .map((image) =>
+            typeof image === "string" ? { url: image.trim() } : image
+          )
+          .filter((image) => image.url);
+      } else if (
+        IMPORT_NUMBER_PATHS.includes(path) &&
+        typeof value === "string" &&
+        !isNaN(Number(value))
+      ) {
+        // Non-numeric text is left as-is so validation reports the cast error
+        value = Number(value);
+      }
+
+      const keys = path.split(".");
+      const target = keys
+        .slice(0, -1)
+        .reduce((parent, key) => (parent[key] = parent[key] || {}), data);
+      target[keys[keys.length - 1]] = value;
+    }
+
+    if (data.sku) {
+      data.sku = String(data.sku).toUpperCase();
+    }
+
+    return data;
+  }
+
+  /**
+   * Replace category and supplier names/codes in an import row with ids
+   * @private
+   * @param {Object} data - Product data (modified in place)
+   */
+  async _resolveImportReferences(data) {
+    const details = [];
+
+    if (data.category) {
+      const category = String(data.category);
+      const match = await Category.findOne(
+        OBJECT_ID_PATTERN.test(category)
+          ? { _id: category }
+          : {
+              $or: [
+                { name: new RegExp(`^${escapeRegExp(category)}$`, "i") },
+                { slug: category.toLowerCase() },
+              ],
+            }
+      ).select("_id");
+
+      if (match) {
+        data.category = match._id;
+      } else {
+        details.push({
+          field: "category",
+          message: "Category does not exist",
+          value: category,
+        });
+      }
+    }
+
+    if (data.supplier) {
+      const supplier = String(data.supplier);
+      const match = await Supplier.findOne(
+        OBJECT_ID_PATTERN.test(supplier)
+          ? { _id: supplier }
+          : {
+              $or: [
+                { code: supplier.toUpperCase() },
+                { name: new RegExp(`^${escapeRegExp(supplier)}$`, "i") },
+              ],
+            }
+      ).select("_id");
+
+      if (match) {
+        data.supplier = match._id;
+      } else {
+        details.push({
+          field: "supplier",
+          message: "Supplier does not exist",
+          value: supplier,
+        });
+      }
+    }
+
+    if (details.length > 0) {
+      const error = new Error("Validation failed for IMPORT_PRODUCTS");
+      error.name = "ValidationError";
+      error.details = details;
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  /**
+   * Label requests for the units brought in by a purchase order receipt
+   * @private
+   * @param {string} purchaseOrderId - Purchase order ID
+   * @param {string} [receiptId] - Receipt ID, defaults to the latest receipt
+   * @returns {Promise<Array<Object>>} Requests ({ product, copies })
+   */
+  async _receiptLabelRequests(purchaseOrderId, receiptId) {
+    const order = await PurchaseOrder.findById(purchaseOrderId).select(
+      "receipts"
+    );
+    if (!order) {
+      const error = new Error("Purchase order not found");
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const receipt = receiptId
+      ? order.receipts.id(receiptId)
+      : order.receipts[order.receipts.length - 1];
+    if (!receipt) {
+      const error = new Error(
+        receiptId ? "Receipt not found" : "Purchase order has no receipts"
+      );
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const transactions = await InventoryTransaction.find({
+      _id: { $in: receipt.transactions },
+    }).select("product quantity");
+    return transactions.map((transaction) => ({
+      product: transaction.product.toString(),
+      copies: Math.abs(transaction.quantity),
+    }));
+  }
+
+  /**
+   * Validate attribute values for a product update, replacing them with
+   * their cast values; a changed category revalidates the current values
+   * @private
+   * @param {string} productId - Product ID
+   * @param {Object} fields - Update fields (modified in place)
+   * @param {Object} session - MongoDB session
+   */
+  async _checkAttributes(productId, fields, session) {
+    const product = await this.model
+      .findById(productId)
+      .select("category attributes")
+      .session(session);
+    if (!product) return; // Reported as not found by the update
+
+    const result = await this.model.checkAttributes(
+      fields.category !== undefined ? fields.category : product.category,
+      fields.attributes !== undefined
+        ? fields.attributes || {}
+        : Object.fromEntries(product.attributes || []),
+      session
+    );
+    if (result.errors.length > 0) {
+      const error = new Error("Validation failed for UPDATE_WITH_QUANTITY");
+      error.name = "ValidationError";
+      error.details = result.errors;
+      error.statusCode = 400;
+      throw error;
+    }
+    fields.attributes = result.values;
+  }
+
+  /**
+   * Cast the values to generate variants for against the parent's category
+   * Variants can differ by any single-valued category attribute.
+   * @private
+   * @param {Object} parent - Parent product
+   * @param {Object} axes - Values to combine keyed by attribute name
+   * @param {Object} session - MongoDB session
+   * @returns {Promise<Object>} Distinct cast values keyed by attribute name
+   */
+  async _castVariantAxes(parent, axes, session) {
+    const category = parent.category
+      ? await Category.findById(parent.category)
+          .select("attributes")
+          .session(session)
+      : null;
+    const definitions = new Map(
+      (category?.attributes || []).map((definition) => [
+        definition.name,
+        definition,
+      ])
+    );
+
+    const values = {};
+    const details = [];
+    for (const [name, rawValues] of Object.entries(axes)) {
+      const definition = definitions.get(name);
+      if (!definition || definition.type === "multiselect") {
+        details.push({
+          field: `attributes.${name}`,
+          message: definition
+            ? `Variants cannot differ by multiselect attribute ${name}`
+            : `${name} is not an attribute of this category`,
+          value: rawValues,
+        });
+        continue;
+      }
+
+      const cast = rawValues.map((value) =>
+        castAttributeValue(definition, value)
+      );
+      cast.forEach((result, index) => {
+        if (!result.message) return;
+        details.push({
+          field: `attributes.${name}`,
+          message: result.message,
+          value: rawValues[index],
+        });
+      });
+      values[name] = [...new Set(cast.map((result) => result.value))];
+    }
+
+    if (details.length > 0) {
+      const error = new Error("Validation failed for GENERATE_VARIANTS");
+      error.name = "ValidationError";
+      error.details = details;
+      error.statusCode = 400;
+      throw error;
+    }
+    return values;
+  }
+
+  /**
+   * Build the $match condition for each faceted search filter, keyed by the
+   * facet it belongs to
+   * @private
+   * @param {Object} filters - Faceted search filters
+   * @returns {Promise<Object>} Conditions keyed by facet
+   */
+  async _facetClauses(filters) {
+    const clauses = {
+      status: { status: { $in: filters.status || ["active"] } },
+    };
+
+    if (filters.category?.length) {
+      const ids = await Promise.all(
+        filters.category.map((category) => this._resolveCategoryIds(category))
+      );
+      clauses.category = {
+        category: {
+          $in: ids.flat().map((id) => new mongoose.Types.ObjectId(id)),
+        },
+      };
+    }
+    if (filters.supplier?.length) {
+      const ids = await Promise.all(
+        filters.supplier.map((supplier) => this._resolveSupplierIds(supplier))
+      );
+      clauses.supplier = {
+        supplier: {
+          $in: ids.flat().map((id) => new mongoose.Types.ObjectId(id)),
+        },
+      };
+    }
+    if (filters.stockStatus?.length) {
+      clauses.stockStatus = { stockStatus: { $in: filters.stockStatus } };
+    }
+    if (filters.minPrice != null || filters.maxPrice != null) {
+      clauses.price = {
+        price: {
+          ...(filters.minPrice != null && { $gte: filters.minPrice }),
+          ...(filters.maxPrice != null && { $lte: filters.maxPrice }),
+        },
+      };
+    }
+    if (filters.tags?.length) {
+      clauses.tags = { tags: { $in: filters.tags } };
+    }
+
+    for (const [name, values] of Object.entries(filters.attributes || {})) {
+      if (name.startsWith("$") || name.includes(".")) {
+        const error = new Error(`Invalid attribute name: ${name}`);
+        error.statusCode = 400;
+        throw error;
+      }
+      clauses[`attributes.${name}`] = {
+        [`attributes.${name}`]: { $in: values.flatMap(attributeMatchValues) },
+      };
+    }
+
+    return clauses;
+  }
+
+  /**
+   * Resolve a category ID, name or slug to matching category ids
+   * @private
+   * @param {string} category - Category ID, name or slug
+   * @returns {Promise<Array>} Matching category ids
+   */
+  async _resolveCategoryIds(category) {
+    if (OBJECT_ID_PATTERN.test(category)) {
+      return [category];
+    }
+
+    const categories = await Category.find({
+      $or: [
+        { name: { $regex: escapeRegExp(category), $options: "i" } },
+        { slug: category.toLowerCase() },
+      ],
+    }).select("_id");
+    return categories.map((match) => match._id);
+  }
+
+  /**
+   * Resolve a supplier ID, name or code to matching supplier ids
+   * @private
+   * @param {string} supplier - Supplier ID, name or code
+   * @returns {Promise<Array>} Matching supplier ids
+   */
+  async _resolveSupplierIds(supplier) {
+    if (OBJECT_ID_PATTERN.test(supplier)) {
+      return [supplier];
+    }
+
+    const suppliers = await Supplier.find({
+      $or: [
+        { name: { $regex: escapeRegExp(supplier), $options: "i" } },
+        { code: supplier.toUpperCase() },
+      ],
+    }).select("_id");
+    return suppliers.map((match) => match._id);
+  }
+
+  /**
+   * Reject rows repeating a SKU or barcode seen earlier in the same import
+   * @private
+   * @param {Object} data - Product data
+   * @param {Set} seenKeys - Keys already seen in this import
+   */
+  _assertUniqueInImport(data, seenKeys) {
+    const keys = [
+      data.sku && `sku:${data.sku}`,
+      data.barcode && `barcode:${data.barcode}`,
+    ].filter(Boolean);
+
+    for (const key of keys) {
+      if (seenKeys.has(key)) {
+        const error = new Error(
+          `Duplicate ${key.split(":")[0]} in import file: ${key.split(":")[1]}`
+        );
+        error.statusCode = 400;
+        throw error;
+      }
+    }
+    keys.forEach((key) => seenKeys.add(key));
+  }
+
+  /**
+   * Find the existing product an import row refers to
+   * @private
+   * @param {Object} data - Product data
+   * @returns {Promise<Object|null>} Matching product or null
+   */
+  async _findImportMatch(data) {
+    const bySku = data.sku ? await this.findBySKU(data.sku) : null;
+    const byBarcode = data.barcode
+      ? await this.findByBarcode(data.barcode)
+      : null;
+
+    if (bySku && byBarcode && !bySku._id.equals(byBarcode._id)) {
+      const error = new Error(
+        "SKU and barcode match different existing products"
+      );
+      error.statusCode = 409;
+      throw error;
+    }
+
+    return bySku || byBarcode;
+  }
+
   /**
    * Legacy methods for backward compatibility with existing tests
    */
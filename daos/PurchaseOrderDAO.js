@@ -0,0 +1,563 @@
+const mongoose = require("mongoose");
+const BaseDAO = require("./BaseDAO");
+const InventoryTransactionDAO = require("./InventoryTransactionDAO");
+const { PurchaseOrder, Product, Supplier } = require("../models");
+const { toActor } = require("../utils/actor");
+const { publishEvent } = require("../utils/events");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statuses whose outstanding value counts against the supplier credit limit
+const OPEN_STATUSES = ["submitted", "partially_received"];
+
+// Payment terms that do not draw on supplier credit
+const NON_CREDIT_TERMS = ["prepaid", "cod"];
+
+// Fields that may be edited while an order is a draft
+const DRAFT_FIELDS = ["lines", "warehouse", "expectedDeliveryDate", "notes"];
+
+/**
+ * Purchase Order Data Access Object
+ * Handles purchase orders from draft through receiving
+ */
+class PurchaseOrderDAO extends BaseDAO {
+  constructor() {
+    super(PurchaseOrder);
+    this.inventoryTransactionDAO = new InventoryTransactionDAO();
+  }
+
+  /**
+   * Get purchase orders with filtering
+   * @param {Object} filters - Filters (status, supplier, dateRange)
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} Purchase orders with pagination
+   */
+  async getOrders(filters = {}, options = {}) {
+    try {
+      const query = {};
+      if (filters.status) query.status = filters.status;
+      if (filters.supplier) query.supplier = filters.supplier;
+      if (filters.dateRange) {
+        query.createdAt = {};
+        if (filters.dateRange.startDate) {
+          query.createdAt.$gte = filters.dateRange.startDate;
+        }
+        if (filters.dateRange.endDate) {
+          query.createdAt.$lte = filters.dateRange.endDate;
+        }
+      }
+
+      return await this.find(query, {
+        ...options,
+        populate: { path: "supplier", select: "name code" },
+      });
+    } catch (error) {
+      throw this._handleError(error, "GET_ORDERS");
+    }
+  }
+
+  /**
+   * Create a draft purchase order
+   * @param {Object} data - Order data (supplier, lines, warehouse, ...)
+   * @param {string|Object} createdBy - User name or identity ({ id, name })
+   * @returns {Promise<Object>} Created purchase order
+   */
+  async createOrder(data, createdBy = "System") {
+    try {
+      const supplier = await Supplier.findById(data.supplier).select("status");
+      if (!supplier) {
+        const error = new Error("Supplier not found");
+        error.statusCode = 404;
+        throw error;
+      }
+      await this._assertProductsExist(data.lines);
+
+      const creator = toActor(createdBy);
+      return await this.create({
+        supplier: data.supplier,
+        lines: this._draftLines(data.lines),
+        warehouse: data.warehouse,
+        expectedDeliveryDate: data.expectedDeliveryDate,
+        notes: data.notes,
+        status: "draft",
+        createdBy: creator.name,
+        createdById: creator.id,
+      });
+    } catch (error) {
+      throw this._handleError(error, "CREATE_ORDER");
+    }
+  }
+
+  /**
+   * Update a draft purchase order
+   * @param {string} orderId - Purchase order ID
+   * @param {Object} data - Fields to update (lines, warehouse,
+   *   expectedDeliveryDate, notes)
+   * @returns {Promise<Object>} Updated purchase order
+   */
+  async updateDraft(orderId, data) {
+    try {
+      const order = await this.model.findById(orderId);
+      this._assertStatus(order, ["draft"], "edit");
+
+      if (data.lines) {
+        await this._assertProductsExist(data.lines);
+      }
+
+      for (const field of DRAFT_FIELDS) {
+        if (data[field] !== undefined) {
+          order[field] =
+            field === "lines" ? this._draftLines(data.lines) : data[field];
+        }
+      }
+
+      return await order.save();
+    } catch (error) {
+      throw this._handleError(error, "UPDATE_DRAFT");
+    }
+  }
+
+  /**
+   * Delete a draft purchase order
+   * @param {string} orderId - Purchase order ID
+   * @returns {Promise<Object>} Deleted purchase order
+   */
+  async deleteDraft(orderId) {
+    try {
+      const order = await this.model.findOneAndDelete({
+        _id: orderId,
+        status: "draft",
+      });
+      if (!order) {
+        this._assertStatus(
+          await this.model.findById(orderId),
+          ["draft"],
+          "delete"
+        );
+      }
+      return order;
+    } catch (error) {
+      throw this._handleError(error, "DELETE_DRAFT");
+    }
+  }
+
+  /**
+   * Submit a draft to the supplier
+   * Refused when the supplier's open order value would exceed its credit
+   * limit. Touching the supplier inside the transaction makes concurrent
+   * submissions to the same supplier conflict instead of both passing.
+   * @param {string} orderId - Purchase order ID
+   * @param {string|Object} submittedBy - User name or identity ({ id, name })
+   * @returns {Promise<Object>} Submitted purchase order
+   */
+  async submitOrder(orderId, submittedBy = "System") {
+    try {
+      return await this.withTransaction(async (session) => {
+        const order = await this.model.findById(orderId).session(session);
+        this._assertStatus(order, ["draft"], "submit");
+
+        const now = new Date();
+        const supplier = await Supplier.findOneAndUpdate(
+          { _id: order.supplier, status: "active" },
+          { $set: { lastOrderDate: now } },
+          { new: true, session }
+        );
+        if (!supplier) {
+          const error = new Error("Supplier is not active");
+          error.statusCode = 409;
+          throw error;
+        }
+
+        if (!NON_CREDIT_TERMS.includes(supplier.paymentTerms)) {
+          const openValue = await this.getOpenValue(supplier._id, session);
+          const orderValue = order.totalValue;
+
+          if (openValue + orderValue > (supplier.creditLimit || 0)) {
+            const error = new Error(
+              "Submitting this order would exceed the supplier credit limit"
+            );
+            error.statusCode = 409;
+            error.details = {
+              creditLimit: supplier.creditLimit || 0,
+              openValue,
+              orderValue,
+            };
+            throw error;
+          }
+        }
+
+        order.status = "submitted";
+        order.submittedAt = now;
+        order.submittedBy = toActor(submittedBy).name;
+        return await order.save({ session });
+      });
+    } catch (error) {
+      throw this._handleError(error, "SUBMIT_ORDER");
+    }
+  }
+
+  /**
+   * Receive goods against a submitted order
+   * Each received line becomes a stock_in transaction referencing the PO
+   * number; the transactions and the order update commit together, then
+   * purchase_order.received is published for those applied to stock.
+   * Receipts held for approval stay pending on their line until the
+   * transaction is approved or rejected.
+   * @param {string} orderId - Purchase order ID
+   * @param {Array} items - Received items ({ lineId | product, quantity,
+   *   lotNumber, expiryDate, serialNumbers })
+   * @param {string|Object} receivedBy - User name or identity ({ id, name })
+   * @param {Object} options - Options (warehouse overriding the order's)
+   * @returns {Promise<Object>} Updated purchase order and created transactions
+   */
+  async receiveOrder(orderId, items, receivedBy = "System", options = {}) {
+    try {
+      if (!Array.isArray(items) || items.length === 0) {
+        const error = new Error("At least one received item is required");
+        error.statusCode = 400;
+        throw error;
+      }
+
+      return await this.withTransaction(async (session) => {
+        const order = await this.model.findById(orderId).session(session);
+        this._assertStatus(order, OPEN_STATUSES, "receive");
+
+        const supplier = await Supplier.findById(order.supplier)
+          .select("name")
+          .session(session);
+        const transactions = [];
+
+        for (const item of items) {
+          const line = this._findLine(order, item);
+          const quantity = item.quantity;
+          const outstanding =
+            line.quantityOrdered - line.quantityReceived - line.quantityPending;
+
+          if (!Number.isInteger(quantity) || quantity < 1) {
+            const error = new Error(
+              "Received quantity must be a positive integer"
+            );
+            error.statusCode = 400;
+            throw error;
+          }
+          if (quantity > outstanding) {
+            const error = new Error(
+              `Cannot receive ${quantity}; only ${outstanding} outstanding on this line`
+            );
+            error.statusCode = 400;
+            throw error;
+          }
+
+          const transaction =
+            await this.inventoryTransactionDAO.createTransaction(
+              {
+                product: line.product,
+                type: "stock_in",
+                quantity,
+                unitCost: line.unitCost,
+                reason: `Received against ${order.poNumber}`,
+                reference: order.poNumber,
+                performedBy: receivedBy,
+                supplier: supplier
+                  ? { name: supplier.name, id: supplier._id.toString() }
+                  : undefined,
+                location: { warehouse: options.warehouse || order.warehouse },
+                ...(item.lotNumber && {
+                  lot: {
+                    lotNumber: item.lotNumber,
+                    expiryDate: item.expiryDate,
+                  },
+                }),
+                serialNumbers: item.serialNumbers,
+                purchaseOrder: order._id,
+                purchaseOrderLine: line._id,
+              },
+              { session }
+            );
+
+          // Pending receipts are added to the line once approved
+          if (transaction.status === "pending") {
+            line.quantityPending += quantity;
+          } else {
+            line.quantityReceived += quantity;
+          }
+          transactions.push(transaction);
+        }
+
+        order.refreshReceiptStatus();
+        order.receipts.push({
+          receivedBy: toActor(receivedBy).name,
+          transactions: transactions.map((transaction) => transaction._id),
+        });
+
+        await order.save({ session });
+        const applied = transactions.filter(
+          (transaction) => transaction.status !== "pending"
+        );
+        if (applied.length > 0) {
+          this.afterCommit(session, () =>
+            publishEvent(
+              "purchase_order.received",
+              order.toReceivedEvent(supplier, toActor(receivedBy).name, applied)
+            )
+          );
+        }
+        return { purchaseOrder: order, transactions };
+      });
+    } catch (error) {
+      throw this._handleError(error, "RECEIVE_ORDER");
+    }
+  }
+
+  /**
+   * Close a received order, or short-close a partially received one
+   * @param {string} orderId - Purchase order ID
+   * @param {string|Object} closedBy - User name or identity ({ id, name })
+   * @returns {Promise<Object>} Closed purchase order
+   */
+  async closeOrder(orderId, closedBy = "System") {
+    try {
+      return await this._transition(
+        orderId,
+        ["received", "partially_received"],
+        "close",
+        {
+          status: "closed",
+          closedAt: new Date(),
+          closedBy: toActor(closedBy).name,
+        }
+      );
+    } catch (error) {
+      throw this._handleError(error, "CLOSE_ORDER");
+    }
+  }
+
+  /**
+   * Cancel an order nothing has been received against
+   * @param {string} orderId - Purchase order ID
+   * @param {string} reason - Cancellation reason
+   * @param {string|Object} cancelledBy - User name or identity ({ id, name })
+   * @returns {Promise<Object>} Cancelled purchase order
+   */
+  async cancelOrder(orderId, reason, cancelledBy = "System") {
+    try {
+      const awaitingApproval = await this.model.exists({
+        _id: orderId,
+        "lines.quantityPending": { $gt: 0 },
+      });
+      if (awaitingApproval) {
+        const error = new Error(
+          "Cannot cancel an order with receipts awaiting approval"
+        );
+        error.statusCode = 409;
+        throw error;
+      }
+
+      return await this._transition(orderId, ["draft", "submitted"], "cancel", {
+        status: "cancelled",
+        cancelledAt: new Date(),
+        cancelledBy: toActor(cancelledBy).name,
+        cancellationReason: reason,
+      });
+    } catch (error) {
+      throw this._handleError(error, "CANCEL_ORDER");
+    }
+  }
+
+  /**
+   * Get the value still to be received on a supplier's open orders
+   * @param {string} supplierId - Supplier ID
+   * @param {Object} session - Optional client session
+   * @returns {Promise<number>} Outstanding value
+   */
+  async getOpenValue(supplierId, session = null) {
+    try {
+      const [result] = await this.model
+        .aggregate([
+          {
+            $match: {
+              supplier: new mongoose.Types.ObjectId(supplierId),
+              status: { $in: OPEN_STATUSES },
+            },
+          },
+          { $unwind: "$lines" },
+          {
+            $group: {
+              _id: null,
+              openValue: {
+                $sum: {
+                  $multiply: [
+                    {
+                      $max: [
+                        {
+                          $subtract: [
+                            "$lines.quantityOrdered",
+                            "$lines.quantityReceived",
+                          ],
+                        },
+                        0,
+                      ],
+                    },
+                    "$lines.unitCost",
+                  ],
+                },
+              },
+            },
+          },
+        ])
+        .session(session);
+
+      return result ? Math.round(result.openValue * 100) / 100 : 0;
+    } catch (error) {
+      throw this._handleError(error, "GET_OPEN_VALUE");
+    }
+  }
+
+  /**
+   * Get delivery performance of orders received in a period
+   * An order is on time when fully received by the end of its expected
+   * delivery date.
+   * @param {number} days - Days to look back
+   * @param {string} supplierId - Optional supplier ID
+   * @returns {Promise<Object>} Delivery counts, on-time rate and lead time
+   */
+  async getDeliveryPerformance(days = 30, supplierId = null) {
+    try {
+      const filter = {
+        receivedAt: { $gte: new Date(Date.now() - days * DAY_MS) },
+        status: { $in: ["received", "closed"] },
+      };
+      if (supplierId) filter.supplier = supplierId;
+
+      const orders = await this.model
+        .find(filter)
+        .select("submittedAt receivedAt expectedDeliveryDate")
+        .lean();
+
+      const withExpectedDate = orders.filter((o) => o.expectedDeliveryDate);
+      const onTime = withExpectedDate.filter(
+        (o) =>
+          o.receivedAt.getTime() <=
+          new Date(o.expectedDeliveryDate).setUTCHours(23, 59, 59, 999)
+      ).length;
+      const leadTimes = orders
+        .filter((o) => o.submittedAt)
+        .map((o) => (o.receivedAt - o.submittedAt) / DAY_MS);
+      const averageDays = leadTimes.length
+        ? leadTimes.reduce((sum, value) => sum + value, 0) / leadTimes.length
+        : null;
+
+      return {
+        totalDeliveries: orders.length,
+        onTimeDeliveries: onTime,
+        onTimeRate: withExpectedDate.length
+          ? Math.round((onTime / withExpectedDate.length) * 100)
+          : null,
+        averageDeliveryDays:
+          averageDays === null ? null : Math.round(averageDays * 10) / 10,
+        averageDeliveryTime:
+          averageDays === null ? null : `${averageDays.toFixed(1)} days`,
+      };
+    } catch (error) {
+      throw this._handleError(error, "GET_DELIVERY_PERFORMANCE");
+    }
+  }
+
+  /**
+   * Move an order to a new status if it is in one of the allowed ones
+   * @private
+   */
+  async _transition(orderId, allowed, action, update) {
+    const order = await this.model.findOneAndUpdate(
+      { _id: orderId, status: { $in: allowed } },
+      { $set: update },
+      { new: true, runValidators: true }
+    );
+    if (!order) {
+      this._assertStatus(await this.model.findById(orderId), allowed, action);
+    }
+    return order;
+  }
+
+  /**
+   * Ensure an order exists and is in an allowed status
+   * @private
+   */
+  _assertStatus(order, allowed, action) {
+    if (!order) {
+      const error = new Error("Purchase order not found");
+      error.statusCode = 404;
+      throw error;
+    }
+    if (!allowed.includes(order.status)) {
+      const error = new Error(
+        `Cannot ${action} a purchase order that is ${order.status}`
+      );
+      error.statusCode = 409;
+      throw error;
+    }
+  }
+
+  /**
+   * Find the order line a received item refers to
+   * @private
+   */
+  _findLine(order, item) {
+    const line = item.lineId
+      ? order.lines.id(item.lineId)
+      : order.lines.find(
+          (candidate) => candidate.product.toString() === String(item.product)
+        );
+    if (!line) {
+      const error = new Error(
+        `Item ${item.lineId || item.product} is not on this purchase order`
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+    return line;
+  }
+
+  /**
+   * Normalize lines for a draft (nothing received yet)
+   * @private
+   */
+  _draftLines(lines = []) {
+    return lines.map(({ product, quantityOrdered, unitCost }) => ({
+      product,
+      quantityOrdered,
+      unitCost,
+      quantityReceived: 0,
+    }));
+  }
+
+  /**
+   * Ensure every line references an existing product
+   * @private
+   */
+  async _assertProductsExist(lines = []) {
+    const productIds = [...new Set(lines.map((line) => String(line.product)))];
+    const found = await Product.find({ _id: { $in: productIds } }).distinct(
+      "_id"
+    );
+    const foundIds = new Set(found.map((id) => id.toString()));
+    const details = lines
+      .map((line, index) => ({ line, index }))
+      .filter(({ line }) => !foundIds.has(String(line.product)))
+      .map(({ line, index }) => ({
+        field: `lines.${index}.product`,
+        message: "Product does not exist",
+        value: line.product,
+      }));
+
+    if (details.length > 0) {
+      const error = new Error("Validation failed for PURCHASE_ORDER");
+      error.name = "ValidationError";
+      error.details = details;
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+}
+
+module.exports = PurchaseOrderDAO;
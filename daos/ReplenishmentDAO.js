@@ -0,0 +1,388 @@
+const BaseDAO = require("./BaseDAO");
+const PurchaseOrderDAO = require("./PurchaseOrderDAO");
+const {
+  Product,
+  InventoryTransaction,
+  PurchaseOrder,
+  StockLevel,
+  Supplier,
+} = require("../models");
+const { getReplenishmentDefaults } = require("../config/inventory");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Transactions that have been applied to stock
+const POSTED_FILTER = { status: { $nin: ["pending", "rejected"] } };
+
+// Transaction types that consume stock
+const CONSUMPTION_TYPES = ["stock_out", "damaged", "expired"];
+
+// Purchase order statuses whose outstanding lines are already on order.
+// Drafts count so that generating orders twice does not double up.
+const ON_ORDER_STATUSES = ["draft", "submitted", "partially_received"];
+
+/**
+ * Replenishment Data Access Object
+ * Turns consumption velocity and per-product reorder settings into
+ * suggested purchase quantities
+ */
+class ReplenishmentDAO extends BaseDAO {
+  constructor() {
+    super(Product);
+    this.purchaseOrderDAO = new PurchaseOrderDAO();
+  }
+
+  /**
+   * Get reorder suggestions grouped by supplier
+   * @param {Object} options - Options (warehouse, supplier, category,
+   *   velocityDays)
+   * @returns {Promise<Object>} Suggestions grouped by supplier
+   */
+  async getSuggestions(options = {}) {
+    try {
+      const defaults = getReplenishmentDefaults();
+      const velocityDays = options.velocityDays || defaults.velocityDays;
+      const warehouse = options.warehouse
+        ? options.warehouse.toUpperCase()
+        : null;
+
+      const query = { status: "active" };
+      if (options.category) query.category = options.category;
+
+      const products = await this.model
+        .find(query)
+        .select(
+          "name sku quantity reservedQuantity lowStockThreshold supplier reorder"
+        )
+        .lean();
+      const productIds = products.map((product) => product._id);
+
+      const [stock, consumption, onOrder, lastCosts] = await Promise.all([
+        this._getStock(products, warehouse),
+        this._getConsumption(productIds, velocityDays, warehouse),
+        this._getOnOrder(productIds, warehouse),
+        this._getLastUnitCosts(productIds),
+      ]);
+
+      const groups = new Map();
+      for (const product of products) {
+        const id = product._id.toString();
+        const suggestion = this._suggest(
+          product,
+          {
+            ...(stock.get(id) || { onHand: 0, reserved: 0 }),
+            onOrder: onOrder.get(id) || 0,
+            averageOutPerDay: (consumption.get(id) || 0) / velocityDays,
+          },
+          defaults
+        );
+        if (!suggestion) continue;
+
+        const supplierId = (
+          product.reorder?.preferredSupplier || product.supplier
+        )?.toString();
+        if (options.supplier && supplierId !== String(options.supplier)) {
+          continue;
+        }
+
+        const unitCost = lastCosts.get(id) ?? null;
+        suggestion.unitCost = unitCost;
+        suggestion.estimatedValue =
+          unitCost === null
+            ? null
+            : Number((unitCost * suggestion.suggestedQuantity).toFixed(2));
+
+        const key = supplierId || "unassigned";
+        if (!groups.has(key)) {
+          groups.set(key, { supplierId: supplierId || null, items: [] });
+        }
+        groups.get(key).items.push(suggestion);
+      }
+
+      const suppliers = await this._describeSuppliers(
+        [...groups.values()].map((group) => group.supplierId).filter(Boolean)
+      );
+
+      const result = [...groups.values()].map((group) => ({
+        supplier: group.supplierId
+          ? suppliers.get(group.supplierId) || { _id: group.supplierId }
+          : null,
+        items: group.items.sort(
+          (a, b) =>
+            (a.daysUntilEmpty ?? Infinity) - (b.daysUntilEmpty ?? Infinity)
+        ),
+        totalQuantity: group.items.reduce(
+          (sum, item) => sum + item.suggestedQuantity,
+          0
+        ),
+        totalValue: Number(
+          group.items
+            .reduce((sum, item) => sum + (item.estimatedValue || 0), 0)
+            .toFixed(2)
+        ),
+      }));
+
+      // Unassigned products last, otherwise largest orders first
+      result.sort((a, b) => {
+        if (!a.supplier !== !b.supplier) return a.supplier ? -1 : 1;
+        return b.totalValue - a.totalValue;
+      });
+
+      return {
+        generatedAt: new Date(),
+        velocityDays,
+        warehouse,
+        totalItems: result.reduce((sum, group) => sum + group.items.length, 0),
+        suppliers: result,
+      };
+    } catch (error) {
+      throw this._handleError(error, "GET_SUGGESTIONS");
+    }
+  }
+
+  /**
+   * Turn current suggestions into draft purchase orders, one per supplier
+   * Products without a supplier, inactive suppliers and items without a
+   * known unit cost are reported as skipped rather than ordered.
+   * @param {Object} options - Same options as getSuggestions
+   * @param {string|Object} createdBy - User name or identity ({ id, name })
+   * @returns {Promise<Object>} Created orders and skipped suggestions
+   */
+  async createDraftOrders(options = {}, createdBy = "System") {
+    try {
+      const suggestions = await this.getSuggestions(options);
+      const created = [];
+      const skipped = [];
+
+      for (const group of suggestions.suppliers) {
+        if (!group.supplier) {
+          skipped.push({ ...group, reason: "No supplier assigned" });
+          continue;
+        }
+        if (group.supplier.status && group.supplier.status !== "active") {
+          skipped.push({ ...group, reason: "Supplier is not active" });
+          continue;
+        }
+
+        const items = group.items.filter((item) => item.unitCost !== null);
+        const uncosted = group.items.filter((item) => item.unitCost === null);
+        if (uncosted.length > 0) {
+          skipped.push({
+            supplier: group.supplier,
+            items: uncosted,
+            reason: "No previous unit cost",
+          });
+        }
+        if (items.length === 0) continue;
+
+        const leadTimeDays = Math.max(
+          ...items.map((item) => item.leadTimeDays)
+        );
+        const order = await this.purchaseOrderDAO.createOrder(
+          {
+            supplier: group.supplier._id,
+            lines: items.map((item) => ({
+              product: item.product._id,
+              quantityOrdered: item.suggestedQuantity,
+              unitCost: item.unitCost,
+            })),
+            warehouse: suggestions.warehouse || undefined,
+            expectedDeliveryDate: new Date(Date.now() + leadTimeDays * DAY_MS),
+            notes: "Generated from replenishment suggestions",
+          },
+          createdBy
+        );
+        created.push(order);
+      }
+
+      return { created, skipped };
+    } catch (error) {
+      throw this._handleError(error, "CREATE_DRAFT_ORDERS");
+    }
+  }
+
+  /**
+   * Work out whether and how much to reorder for one product
+   * @private
+   * @param {Object} product - Product with reorder settings
+   * @param {Object} stock - onHand, reserved, onOrder and averageOutPerDay
+   * @param {Object} defaults - Replenishment defaults
+   * @returns {Object|null} Suggestion, or null when stock is sufficient
+   */
+  _suggest(product, stock, defaults) {
+    const settings = product.reorder || {};
+    const leadTimeDays = settings.leadTimeDays ?? defaults.leadTimeDays;
+    const daysOfCover = settings.daysOfCover ?? defaults.daysOfCover;
+    const { onHand, onOrder, averageOutPerDay } = stock;
+    const reserved = stock.reserved || 0;
+    // Reserved units are already promised to customers
+    const available = onHand - reserved + onOrder;
+
+    // Without an explicit reorder point, reorder once stock will not last
+    // through the lead time (and never below the low stock threshold)
+    const reorderPoint =
+      settings.reorderPoint ??
+      Math.max(
+        product.lowStockThreshold || 0,
+        Math.ceil(averageOutPerDay * leadTimeDays)
+      );
+
+    if (available > reorderPoint) return null;
+
+    let suggestedQuantity;
+    if (settings.reorderQuantity) {
+      // Order in multiples of the reorder quantity until above the point
+      const shortfall = reorderPoint - available + 1;
+      suggestedQuantity =
+        Math.ceil(shortfall / settings.reorderQuantity) *
+        settings.reorderQuantity;
+    } else {
+      const target = reorderPoint + Math.ceil(averageOutPerDay * daysOfCover);
+      suggestedQuantity = Math.max(target - available, 1);
+    }
+
+    return {
+      product: { _id: product._id, name: product.name, sku: product.sku },
+      onHand,
+      reserved,
+      onOrder,
+      averageOutPerDay: Number(averageOutPerDay.toFixed(2)),
+      daysUntilEmpty:
+        averageOutPerDay > 0
+          ? Number(
+              (Math.max(onHand - reserved, 0) / averageOutPerDay).toFixed(1)
+            )
+          : null,
+      reorderPoint,
+      leadTimeDays,
+      suggestedQuantity,
+    };
+  }
+
+  /**
+   * Get on-hand and reserved quantities, for one warehouse or across all
+   * of them
+   * @private
+   */
+  async _getStock(products, warehouse) {
+    if (!warehouse) {
+      return new Map(
+        products.map((product) => [
+          product._id.toString(),
+          { onHand: product.quantity, reserved: product.reservedQuantity || 0 },
+        ])
+      );
+    }
+
+    const levels = await StockLevel.find({
+      warehouse,
+      product: { $in: products.map((product) => product._id) },
+    })
+      .select("product quantity reserved")
+      .lean();
+    return new Map(
+      levels.map((level) => [
+        level.product.toString(),
+        { onHand: level.quantity, reserved: level.reserved || 0 },
+      ])
+    );
+  }
+
+  /**
+   * Get units consumed per product over the velocity window
+   * @private
+   */
+  async _getConsumption(productIds, days, warehouse) {
+    const rows = await InventoryTransaction.aggregate([
+      {
+        $match: {
+          product: { $in: productIds },
+          type: { $in: CONSUMPTION_TYPES },
+          createdAt: { $gte: new Date(Date.now() - days * DAY_MS) },
+          ...(warehouse && { "location.warehouse": warehouse }),
+          ...POSTED_FILTER,
+        },
+      },
+      {
+        $group: {
+          _id: "$product",
+          totalOut: { $sum: { $abs: "$quantity" } },
+        },
+      },
+    ]);
+    return new Map(rows.map((row) => [row._id.toString(), row.totalOut]));
+  }
+
+  /**
+   * Get quantities already on order and not yet received
+   * @private
+   */
+  async _getOnOrder(productIds, warehouse) {
+    const rows = await PurchaseOrder.aggregate([
+      {
+        $match: {
+          status: { $in: ON_ORDER_STATUSES },
+          ...(warehouse && { warehouse }),
+        },
+      },
+      { $unwind: "$lines" },
+      { $match: { "lines.product": { $in: productIds } } },
+      {
+        $group: {
+          _id: "$lines.product",
+          onOrder: {
+            $sum: {
+              $max: [
+                {
+                  $subtract: [
+                    "$lines.quantityOrdered",
+                    "$lines.quantityReceived",
+                  ],
+                },
+                0,
+              ],
+            },
+          },
+        },
+      },
+    ]);
+    return new Map(rows.map((row) => [row._id.toString(), row.onOrder]));
+  }
+
+  /**
+   * Get the most recent purchase cost of each product
+   * @private
+   */
+  async _getLastUnitCosts(productIds) {
+    const rows = await InventoryTransaction.aggregate([
+      {
+        $match: {
+          product: { $in: productIds },
+          type: "stock_in",
+          unitCost: { $gt: 0 },
+          ...POSTED_FILTER,
+        },
+      },
+      { $sort: { createdAt: -1 } },
+      { $group: { _id: "$product", unitCost: { $first: "$unitCost" } } },
+    ]);
+    return new Map(rows.map((row) => [row._id.toString(), row.unitCost]));
+  }
+
+  /**
+   * Load supplier summaries keyed by ID
+   * @private
+   */
+  async _describeSuppliers(supplierIds) {
+    if (supplierIds.length === 0) return new Map();
+
+    const suppliers = await Supplier.find({ _id: { $in: supplierIds } })
+      .select("name code status paymentTerms")
+      .lean();
+    return new Map(
+      suppliers.map((supplier) => [supplier._id.toString(), supplier])
+    );
+  }
+}
+
+module.exports = ReplenishmentDAO;
@@ -0,0 +1,168 @@
+const BaseDAO = require("./BaseDAO");
+const { Reservation, Product, StockLevel, SalesOrder } = require("../models");
+const { toActor } = require("../utils/actor");
+const { availableQuantity } = require("../utils/stock");
+
+/**
+ * Reservation Data Access Object
+ * Holds stock for sales orders. Reserved units stay on hand but are no
+ * longer available to promise; they are released when the reservation is
+ * fulfilled, cancelled or expires.
+ */
+class ReservationDAO extends BaseDAO {
+  constructor() {
+    super(Reservation);
+  }
+
+  /**
+   * Reserve stock in one warehouse
+   * The conditional update refuses to reserve more than is available, so
+   * two orders cannot both claim the last unit.
+   * @param {Object} data - Reservation data (product, warehouse, quantity,
+   *   salesOrder, expiresAt)
+   * @param {string|Object} reservedBy - User name or identity ({ id, name })
+   * @param {Object} options - Options (session to join an outer transaction)
+   * @returns {Promise<Object>} Created reservation
+   */
+  async reserve(data, reservedBy = "System", options = {}) {
+    try {
+      const warehouse = data.warehouse.toUpperCase();
+
+      return await this.withTransaction(async (session) => {
+        const stockLevel = await StockLevel.findOneAndUpdate(
+          {
+            product: data.product,
+            warehouse,
+            $expr: {
+              $gte: [
+                availableQuantity("$quantity", "$reserved"),
+                data.quantity,
+              ],
+            },
+          },
+          { $inc: { reserved: data.quantity } },
+          { new: true, session }
+        );
+        if (!stockLevel) {
+          const error = new Error(
+            `Insufficient available stock in ${warehouse} to reserve ${data.quantity}`
+          );
+          error.statusCode = 409;
+          error.details = { product: data.product, warehouse };
+          throw error;
+        }
+
+        await Product.updateOne(
+          { _id: data.product },
+          { $inc: { reservedQuantity: data.quantity } },
+          { session }
+        );
+
+        const actor = toActor(reservedBy);
+        const [reservation] = await this.model.create(
+          [
+            {
+              product: data.product,
+              warehouse,
+              quantity: data.quantity,
+              salesOrder: data.salesOrder,
+              expiresAt: data.expiresAt,
+              reservedBy: actor.name,
+              reservedById: actor.id,
+            },
+          ],
+          { session }
+        );
+        return reservation;
+      }, options.session);
+    } catch (error) {
+      throw this._handleError(error, "RESERVE");
+    }
+  }
+
+  /**
+   * Release an active reservation without consuming stock
+   * @param {string} reservationId - Reservation ID
+   * @param {string} status - Final status ('released' or 'expired')
+   * @param {Object} options - Options (session to join an outer transaction)
+   * @returns {Promise<Object|null>} Released reservation, or null when it was
+   *   no longer active
+   */
+  async release(reservationId, status = "released", options = {}) {
+    try {
+      return await this.withTransaction(async (session) => {
+        // Claiming the reservation first makes release, expiry and
+        // fulfilment mutually exclusive
+        const reservation = await this.model.findOneAndUpdate(
+          { _id: reservationId, status: "active" },
+          { $set: { status, releasedAt: new Date() } },
+          { new: true, session }
+        );
+        if (!reservation) return null;
+
+        await StockLevel.updateOne(
+          { product: reservation.product, warehouse: reservation.warehouse },
+          { $inc: { reserved: -reservation.quantity } },
+          { session }
+        );
+        await Product.updateOne(
+          { _id: reservation.product },
+          { $inc: { reservedQuantity: -reservation.quantity } },
+          { session }
+        );
+        return reservation;
+      }, options.session);
+    } catch (error) {
+      throw this._handleError(error, "RELEASE");
+    }
+  }
+
+  /**
+   * Expire active reservations past their expiry date
+   * Sales orders left without any open or fulfilled reservation are marked
+   * expired.
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} Number of reservations and orders expired
+   */
+  async expireReservations(now = new Date()) {
+    try {
+      const due = await this.model
+        .find({ status: "active", expiresAt: { $lte: now } })
+        .select("_id salesOrder")
+        .lean();
+
+      let expired = 0;
+      const salesOrders = new Set();
+      for (const reservation of due) {
+        const released = await this.release(reservation._id, "expired");
+        if (!released) continue;
+
+        expired++;
+        if (released.salesOrder) {
+          salesOrders.add(released.salesOrder.toString());
+        }
+      }
+
+      let expiredOrders = 0;
+      for (const salesOrderId of salesOrders) {
+        const remaining = await this.model.exists({
+          salesOrder: salesOrderId,
+          status: { $in: ["active", "fulfilling", "fulfilled"] },
+        });
+        if (remaining) continue;
+
+        const result = await SalesOrder.updateOne(
+          { _id: salesOrderId, status: "open" },
+          { $set: { status: "expired" } }
+        );
+        expiredOrders += result.modifiedCount || 0;
+      }
+
+      return { expired, expiredOrders };
+    } catch (error) {
+      throw this._handleError(error, "EXPIRE_RESERVATIONS");
+    }
+  }
+}
+
+module.exports = ReservationDAO;
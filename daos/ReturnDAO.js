@@ -0,0 +1,570 @@
+const mongoose = require("mongoose");
+const BaseDAO = require("./BaseDAO");
+const InventoryTransactionDAO = require("./InventoryTransactionDAO");
+const {
+  ReturnAuthorization,
+  Supplier,
+  PurchaseOrder,
+  SalesOrder,
+} = require("../models");
+const { toActor } = require("../utils/actor");
+const { roundMoney } = require("../utils/valuation");
+const {
+  getDefaultWarehouse,
+  getQuarantineWarehouse,
+} = require("../config/inventory");
+
+/**
+ * Escape user input for use inside a regular expression
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Build a ValidationError-shaped error
+ * @param {string} message - Error message
+ * @param {Array} details - Field details ({ field, message, value })
+ * @returns {Error} Error with a 400 status
+ */
+function validationError(message, details) {
+  const error = new Error(message);
+  error.name = "ValidationError";
+  error.statusCode = 400;
+  error.details = details;
+  return error;
+}
+
+/**
+ * Return Data Access Object
+ * Customer returns arrive in quarantine and are restocked, kept in
+ * quarantine or scrapped after inspection. Supplier returns ship stock back
+ * and raise a credit note against the supplier. Every stock movement is a
+ * transaction referencing the RMA number.
+ */
+class ReturnDAO extends BaseDAO {
+  constructor() {
+    super(ReturnAuthorization);
+    this.inventoryTransactionDAO = new InventoryTransactionDAO();
+  }
+
+  /**
+   * Get returns with filtering
+   * @param {Object} filters - Filters (type, status, supplier, customer)
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} Returns with pagination
+   */
+  async getReturns(filters = {}, options = {}) {
+    try {
+      const query = {};
+      if (filters.type) query.type = filters.type;
+      if (filters.status) query.status = filters.status;
+      if (filters.supplier) query.supplier = filters.supplier;
+      if (filters.customer) {
+        query["customer.name"] = new RegExp(
+          escapeRegExp(filters.customer),
+          "i"
+        );
+      }
+
+      return await this.find(query, options);
+    } catch (error) {
+      throw this._handleError(error, "GET_RETURNS");
+    }
+  }
+
+  /**
+   * Authorize a customer or supplier return
+   * Supplier return lines without a unit cost are credited at the cost on
+   * the purchase order they were bought on.
+   * @param {Object} data - Return data (type, customer, salesOrder, supplier,
+   *   purchaseOrder, warehouse, lines, notes)
+   * @param {string|Object} createdBy - User name or identity ({ id, name })
+   * @returns {Promise<Object>} Created return
+   */
+  async createReturn(data, createdBy = "System") {
+    try {
+      const lines = (data.lines || []).map((line) => ({
+        product: line.product,
+        quantity: line.quantity,
+        reasonCode: line.reasonCode,
+        unitCost: line.unitCost,
+        serialNumbers: line.serialNumbers,
+        lot: line.lotNumber
+          ? { lotNumber: line.lotNumber, expiryDate: line.expiryDate }
+          : undefined,
+      }));
+
+      if (data.type === "customer" && data.salesOrder) {
+        await this._assertLinesOnSalesOrder(data.salesOrder, lines);
+      }
+      if (data.type === "supplier") {
+        await this._assertSupplierActive(data.supplier);
+        await this._costSupplierLines(data.purchaseOrder, lines);
+      }
+
+      const creator = toActor(createdBy);
+      return await this.create({
+        type: data.type,
+        customer: data.type === "customer" ? data.customer : undefined,
+        salesOrder: data.type === "customer" ? data.salesOrder : undefined,
+        supplier: data.type === "supplier" ? data.supplier : undefined,
+        purchaseOrder:
+          data.type === "supplier" ? data.purchaseOrder : undefined,
+        warehouse: (data.warehouse || getDefaultWarehouse()).toUpperCase(),
+        lines,
+        notes: data.notes,
+        status: "requested",
+        createdBy: creator.name,
+        createdById: creator.id,
+      });
+    } catch (error) {
+      throw this._handleError(error, "CREATE_RETURN");
+    }
+  }
+
+  /**
+   * Receive a customer return into the quarantine warehouse with one
+   * `returned` transaction per line
+   * @param {string} returnId - Return ID
+   * @param {string|Object} receivedBy - User name or identity ({ id, name })
+   * @returns {Promise<Object>} Updated return and created transactions
+   */
+  async receiveReturn(returnId, receivedBy = "System") {
+    try {
+      return await this.withTransaction(async (session) => {
+        const rma = await this.model.findById(returnId).session(session);
+        this._assertReturn(rma, "customer", ["requested"], "receive");
+
+        const transactions = [];
+        for (const line of rma.lines) {
+          const transaction = await this._record(
+            rma,
+            line,
+            {
+              type: "returned",
+              quantity: line.quantity,
+              reason: `Customer return ${rma.rmaNumber}: ${line.reasonCode}`,
+              performedBy: receivedBy,
+              location: { warehouse: getQuarantineWarehouse() },
+              lot: line.lot?.lotNumber ? line.lot : undefined,
+            },
+            session
+          );
+          transactions.push(transaction);
+        }
+
+        rma.status = "received";
+        rma.receivedAt = new Date();
+        rma.receivedBy = toActor(receivedBy).name;
+        await rma.save({ session });
+        return { returnAuthorization: rma, transactions };
+      });
+    } catch (error) {
+      throw this._handleError(error, "RECEIVE_RETURN");
+    }
+  }
+
+  /**
+   * Record inspection results for received customer return lines and carry
+   * out their disposition. Passed lines are restocked and failed lines
+   * scrapped unless another disposition is given; only passed lines may be
+   * restocked. The return completes once every line is inspected.
+   * @param {string} returnId - Return ID
+   * @param {Array} inspections - Results ({ lineId, status, disposition,
+   *   notes })
+   * @param {string|Object} inspectedBy - User name or identity ({ id, name })
+   * @returns {Promise<Object>} Updated return and created transactions
+   */
+  async inspectReturn(returnId, inspections, inspectedBy = "System") {
+    try {
+      if (!Array.isArray(inspections) || inspections.length === 0) {
+        const error = new Error("At least one inspection result is required");
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const inspector = toActor(inspectedBy);
+      return await this.withTransaction(async (session) => {
+        const rma = await this.model.findById(returnId).session(session);
+        this._assertReturn(rma, "customer", ["received"], "inspect");
+
+        const transactions = [];
+        for (const inspection of inspections) {
+          const line = this._inspectLine(rma, inspection);
+          line.inspection = {
+            status: inspection.status,
+            notes: inspection.notes,
+            inspectedBy: inspector.name,
+            inspectedAt: new Date(),
+          };
+
+          const details = {
+            quantity: line.quantity,
+            performedBy: inspectedBy,
+            location: { warehouse: getQuarantineWarehouse() },
+            // Quarantine may hold other lots; move the one returned
+            lot: line.lot?.lotNumber
+              ? { lotNumber: line.lot.lotNumber }
+              : undefined,
+          };
+          if (line.disposition === "restock") {
+            transactions.push(
+              await this._record(
+                rma,
+                line,
+                {
+                  ...details,
+                  type: "transfer",
+                  reason: `Restocked from ${rma.rmaNumber}`,
+                  destination: { warehouse: rma.warehouse },
+                },
+                session
+              )
+            );
+          } else if (line.disposition === "scrap") {
+            transactions.push(
+              await this._record(
+                rma,
+                line,
+                {
+                  ...details,
+                  type: "damaged",
+                  reason: `Scrapped from ${rma.rmaNumber}`,
+                },
+                session
+              )
+            );
+          }
+        }
+
+        if (rma.lines.every((line) => line.inspection.status !== "pending")) {
+          rma.status = "completed";
+          rma.completedAt = new Date();
+        }
+        await rma.save({ session });
+        return { returnAuthorization: rma, transactions };
+      });
+    } catch (error) {
+      throw this._handleError(error, "INSPECT_RETURN");
+    }
+  }
+
+  /**
+   * Ship a supplier return with one `supplier_return` transaction per line
+   * and raise a credit note for its value against the supplier
+   * @param {string} returnId - Return ID
+   * @param {string|Object} shippedBy - User name or identity ({ id, name })
+   * @returns {Promise<Object>} Updated return and created transactions
+   */
+  async shipSupplierReturn(returnId, shippedBy = "System") {
+    try {
+      return await this.withTransaction(async (session) => {
+        const rma = await this.model.findById(returnId).session(session);
+        this._assertReturn(rma, "supplier", ["requested"], "ship");
+
+        const transactions = [];
+        for (const line of rma.lines) {
+          const transaction = await this._record(
+            rma,
+            line,
+            {
+              type: "supplier_return",
+              quantity: line.quantity,
+              unitCost: line.unitCost,
+              reason: `Returned to supplier ${rma.rmaNumber}: ${line.reasonCode}`,
+              performedBy: shippedBy,
+              location: { warehouse: rma.warehouse },
+              lot: line.lot?.lotNumber
+                ? { lotNumber: line.lot.lotNumber }
+                : undefined,
+            },
+            session
+          );
+          transactions.push(transaction);
+        }
+
+        const now = new Date();
+        rma.creditNote = {
+          creditNoteNumber: rma.rmaNumber.replace(/^RMA-/, "CN-"),
+          amount: roundMoney(
+            rma.lines.reduce(
+              (sum, line) => sum + line.quantity * line.unitCost,
+              0
+            )
+          ),
+          issuedAt: now,
+        };
+        rma.status = "completed";
+        rma.completedAt = now;
+        await rma.save({ session });
+        return { returnAuthorization: rma, transactions };
+      });
+    } catch (error) {
+      throw this._handleError(error, "SHIP_SUPPLIER_RETURN");
+    }
+  }
+
+  /**
+   * Cancel a return before any stock has moved
+   * @param {string} returnId - Return ID
+   * @param {string} reason - Cancellation reason
+   * @param {string|Object} cancelledBy - User name or identity ({ id, name })
+   * @returns {Promise<Object>} Cancelled return
+   */
+  async cancelReturn(returnId, reason, cancelledBy = "System") {
+    try {
+      const rma = await this.model.findById(returnId);
+      this._assertReturn(rma, null, ["requested"], "cancel");
+
+      rma.status = "cancelled";
+      rma.cancelledAt = new Date();
+      rma.cancelledBy = toActor(cancelledBy).name;
+      rma.cancellationReason = reason;
+      return await rma.save();
+    } catch (error) {
+      throw this._handleError(error, "CANCEL_RETURN");
+    }
+  }
+
+  /**
+   * Get the credit notes raised against a supplier
+   * @param {string} supplierId - Supplier ID
+   * @returns {Promise<Object>} Credit notes, newest first, and their total
+   */
+  async getSupplierCredits(supplierId) {
+    try {
+      const returns = await this.model
+        .find({
+          type: "supplier",
+          supplier: new mongoose.Types.ObjectId(supplierId),
+          "creditNote.creditNoteNumber": { $exists: true },
+        })
+        .select("rmaNumber creditNote")
+        .sort({ "creditNote.issuedAt": -1 })
+        .lean();
+
+      const creditNotes = returns.map((rma) => ({
+        returnAuthorization: rma._id,
+        rmaNumber: rma.rmaNumber,
+        ...rma.creditNote,
+      }));
+      return {
+        creditNotes,
+        totalCredit: roundMoney(
+          creditNotes.reduce((sum, note) => sum + note.amount, 0)
+        ),
+      };
+    } catch (error) {
+      throw this._handleError(error, "GET_SUPPLIER_CREDITS");
+    }
+  }
+
+  /**
+   * Create a transaction for a return line, linked back to the return
+   * @private
+   */
+  async _record(rma, line, details, session) {
+    const transaction = await this.inventoryTransactionDAO.createTransaction(
+      {
+        ...details,
+        product: line.product,
+        reference: rma.rmaNumber,
+        returnAuthorization: rma._id,
+        serialNumbers: line.serialNumbers?.length
+          ? line.serialNumbers
+          : undefined,
+      },
+      { session }
+    );
+    line.transactions.push(transaction._id);
+    return transaction;
+  }
+
+  /**
+   * Validate one inspection result and settle the line's disposition
+   * @private
+   * @returns {Object} Inspected return line
+   */
+  _inspectLine(rma, inspection) {
+    const line = rma.lines.id(inspection.lineId);
+    if (!line) {
+      throw validationError("Unknown return line", [
+        {
+          field: "inspections.lineId",
+          message: "Line is not on this return",
+          value: inspection.lineId,
+        },
+      ]);
+    }
+    if (line.inspection?.status && line.inspection.status !== "pending") {
+      const error = new Error("Return line has already been inspected");
+      error.statusCode = 409;
+      throw error;
+    }
+    if (!["passed", "failed"].includes(inspection.status)) {
+      throw validationError("Invalid inspection status", [
+        {
+          field: "inspections.status",
+          message: "Inspection status must be passed or failed",
+          value: inspection.status,
+        },
+      ]);
+    }
+
+    const disposition =
+      inspection.disposition ||
+      (inspection.status === "passed" ? "restock" : "scrap");
+    if (!["restock", "quarantine", "scrap"].includes(disposition)) {
+      throw validationError("Invalid disposition", [
+        {
+          field: "inspections.disposition",
+          message: "Disposition must be restock, quarantine or scrap",
+          value: disposition,
+        },
+      ]);
+    }
+    if (disposition === "restock" && inspection.status !== "passed") {
+      throw validationError(
+        "Only lines that passed inspection can be restocked",
+        [
+          {
+            field: "inspections.disposition",
+            message: "Failed lines must be quarantined or scrapped",
+            value: disposition,
+          },
+        ]
+      );
+    }
+
+    line.disposition = disposition;
+    return line;
+  }
+
+  /**
+   * Ensure customer return lines were on the sales order, in no greater
+   * quantity than ordered
+   * @private
+   */
+  async _assertLinesOnSalesOrder(salesOrderId, lines) {
+    const order = await SalesOrder.findById(salesOrderId).select("lines");
+    if (!order) {
+      const error = new Error("Sales order not found");
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const ordered = new Map();
+    for (const line of order.lines) {
+      const id = line.product.toString();
+      ordered.set(id, (ordered.get(id) || 0) + line.quantity);
+    }
+    const returned = new Map();
+    for (const line of lines) {
+      const id = String(line.product);
+      returned.set(id, (returned.get(id) || 0) + (line.quantity || 0));
+    }
+
+    const invalid = [...returned.entries()].filter(
+      ([id, quantity]) => quantity > (ordered.get(id) || 0)
+    );
+    if (invalid.length > 0) {
+      throw validationError(
+        "Returned quantities exceed what was ordered",
+        invalid.map(([id, quantity]) => ({
+          field: "lines.quantity",
+          message: `Only ${ordered.get(id) || 0} ordered on the sales order`,
+          value: { product: id, quantity },
+        }))
+      );
+    }
+  }
+
+  /**
+   * Ensure a supplier exists and is active
+   * @private
+   */
+  async _assertSupplierActive(supplierId) {
+    if (!supplierId) return; // Reported by schema validation
+    const supplier = await Supplier.findById(supplierId).select("status");
+    if (!supplier) {
+      const error = new Error("Supplier not found");
+      error.statusCode = 404;
+      throw error;
+    }
+    if (supplier.status !== "active") {
+      const error = new Error("Cannot return goods to an inactive supplier");
+      error.statusCode = 409;
+      throw error;
+    }
+  }
+
+  /**
+   * Fill in missing unit costs from the purchase order; every supplier
+   * return line needs a cost to credit
+   * @private
+   */
+  async _costSupplierLines(purchaseOrderId, lines) {
+    const costs = new Map();
+    if (purchaseOrderId) {
+      const order = await PurchaseOrder.findById(purchaseOrderId).select(
+        "lines"
+      );
+      if (!order) {
+        const error = new Error("Purchase order not found");
+        error.statusCode = 404;
+        throw error;
+      }
+      for (const line of order.lines) {
+        costs.set(line.product.toString(), line.unitCost);
+      }
+    }
+
+    for (const line of lines) {
+      if (line.unitCost == null) {
+        line.unitCost = costs.get(String(line.product));
+      }
+    }
+
+    const uncosted = lines.filter((line) => line.unitCost == null);
+    if (uncosted.length > 0) {
+      throw validationError(
+        "Supplier return lines need a unit cost",
+        uncosted.map((line) => ({
+          field: "lines.unitCost",
+          message: "Give a unit cost or a purchase order the product was on",
+          value: line.product,
+        }))
+      );
+    }
+  }
+
+  /**
+   * Throw unless the return exists, is of the given type (when given) and
+   * is in one of the allowed statuses
+   * @private
+   */
+  _assertReturn(rma, type, allowed, action) {
+    if (!rma) {
+      const error = new Error("Return not found");
+      error.statusCode = 404;
+      throw error;
+    }
+    if (type && rma.type !== type) {
+      const error = new Error(`Cannot ${action} a ${rma.type} return`);
+      error.statusCode = 409;
+      throw error;
+    }
+    if (!allowed.includes(rma.status)) {
+      const error = new Error(
+        `Cannot ${action} a return that is ${rma.status}`
+      );
+      error.statusCode = 409;
+      throw error;
+    }
+  }
+}
+
+module.exports = ReturnDAO;
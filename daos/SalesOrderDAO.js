@@ -0,0 +1,296 @@
+const BaseDAO = require("./BaseDAO");
+const InventoryTransactionDAO = require("./InventoryTransactionDAO");
+const ReservationDAO = require("./ReservationDAO");
+const { SalesOrder, Product, Reservation } = require("../models");
+const { toActor } = require("../utils/actor");
+const {
+  getDefaultWarehouse,
+  getReservationTtlHours,
+} = require("../config/inventory");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Escape user input for use inside a regular expression
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Sales Order Data Access Object
+ * Sales orders reserve stock when created and turn each reservation into a
+ * stock_out when fulfilled
+ */
+class SalesOrderDAO extends BaseDAO {
+  constructor() {
+    super(SalesOrder);
+    this.inventoryTransactionDAO = new InventoryTransactionDAO();
+    this.reservationDAO = new ReservationDAO();
+  }
+
+  /**
+   * Get sales orders with filtering
+   * @param {Object} filters - Filters (status, customer, dateRange)
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} Sales orders with pagination
+   */
+  async getOrders(filters = {}, options = {}) {
+    try {
+      const query = {};
+      if (filters.status) query.status = filters.status;
+      if (filters.customer) {
+        query["customer.name"] = new RegExp(
+          escapeRegExp(filters.customer),
+          "i"
+        );
+      }
+      if (filters.dateRange) {
+        query.createdAt = {};
+        if (filters.dateRange.startDate) {
+          query.createdAt.$gte = filters.dateRange.startDate;
+        }
+        if (filters.dateRange.endDate) {
+          query.createdAt.$lte = filters.dateRange.endDate;
+        }
+      }
+
+      return await this.find(query, options);
+    } catch (error) {
+      throw this._handleError(error, "GET_ORDERS");
+    }
+  }
+
+  /**
+   * Create a sales order and reserve stock for every line
+   * Either every line is reserved or the order is not created.
+   * @param {Object} data - Order data (customer, lines, warehouse, expiresAt)
+   * @param {string|Object} createdBy - User name or identity ({ id, name })
+   * @returns {Promise<Object>} Created sales order
+   */
+  async createOrder(data, createdBy = "System") {
+    try {
+      const lines = data.lines || [];
+      await this._assertProductsSellable(lines);
+
+      const creator = toActor(createdBy);
+      const warehouse = (data.warehouse || getDefaultWarehouse()).toUpperCase();
+      const expiresAt = data.expiresAt
+        ? new Date(data.expiresAt)
+        : new Date(Date.now() + getReservationTtlHours() * HOUR_MS);
+
+      if (!(expiresAt > new Date())) {
+        const error = new Error("Reservation expiry must be in the future");
+        error.statusCode = 400;
+        throw error;
+      }
+
+      return await this.withTransaction(async (session) => {
+        const order = new this.model({
+          customer: data.customer,
+          lines: lines.map((line) => ({
+            product: line.product,
+            quantity: line.quantity,
+            unitPrice: line.unitPrice,
+          })),
+          warehouse,
+          expiresAt,
+          notes: data.notes,
+          status: "open",
+          createdBy: creator.name,
+          createdById: creator.id,
+        });
+        await order.validate();
+
+        for (const line of order.lines) {
+          const reservation = await this.reservationDAO.reserve(
+            {
+              product: line.product,
+              warehouse,
+              quantity: line.quantity,
+              salesOrder: order._id,
+              expiresAt,
+            },
+            createdBy,
+            { session }
+          );
+          line.reservation = reservation._id;
+        }
+
+        return await order.save({ session });
+      });
+    } catch (error) {
+      throw this._handleError(error, "CREATE_ORDER");
+    }
+  }
+
+  /**
+   * Fulfill an open order, turning each active reservation into a stock_out
+   * referencing the order number. Stock outs that need approval leave the
+   * order fulfilling until they are approved or rejected.
+   * @param {string} orderId - Sales order ID
+   * @param {string|Object} fulfilledBy - User name or identity ({ id, name })
+   * @param {Object} options - Options (serialNumbers: serials shipped for
+   *   serial-tracked products, keyed by line ID)
+   * @returns {Promise<Object>} Updated sales order and created transactions
+   */
+  async fulfillOrder(orderId, fulfilledBy = "System", options = {}) {
+    try {
+      return await this.withTransaction(async (session) => {
+        const order = await this.model.findById(orderId).session(session);
+        this._assertStatus(order, ["open"], "fulfill");
+
+        const transactions = [];
+        for (const line of order.lines) {
+          // Claim the reservation so expiry cannot release it meanwhile
+          const reservation = await Reservation.findOneAndUpdate(
+            { _id: line.reservation, status: "active" },
+            { $set: { status: "fulfilling" } },
+            { new: true, session }
+          );
+          if (!reservation) {
+            // Already fulfilled by an earlier fulfillment awaiting approval or approved
+            const previous = await Reservation.findById(line.reservation)
+              .select("status")
+              .session(session);
+            if (
+              previous &&
+              ["fulfilling", "fulfilled"].includes(previous.status)
+            ) {
+              continue;
+            }
+            const error = new Error(
+              "Reservation for this order is no longer active"
+            );
+            error.statusCode = 409;
+            throw error;
+          }
+
+          const transaction =
+            await this.inventoryTransactionDAO.createTransaction(
+              {
+                product: line.product,
+                type: "stock_out",
+                quantity: reservation.quantity,
+                reason: `Fulfilled ${order.orderNumber}`,
+                reference: order.orderNumber,
+                performedBy: fulfilledBy,
+                location: { warehouse: reservation.warehouse },
+                reservation: reservation._id,
+                serialNumbers: options.serialNumbers?.[line._id.toString()],
+              },
+              { session }
+            );
+
+          await Reservation.updateOne(
+            { _id: reservation._id },
+            { $set: { transaction: transaction._id } },
+            { session }
+          );
+          line.transaction = transaction._id;
+          transactions.push(transaction);
+        }
+
+        const awaitingApproval = await Reservation.exists({
+          salesOrder: order._id,
+          status: "fulfilling",
+        }).session(session);
+
+        order.status = awaitingApproval ? "fulfilling" : "fulfilled";
+        order.fulfilledBy = toActor(fulfilledBy).name;
+        if (!awaitingApproval) {
+          order.fulfilledAt = new Date();
+        }
+
+        await order.save({ session });
+        return { salesOrder: order, transactions };
+      });
+    } catch (error) {
+      throw this._handleError(error, "FULFILL_ORDER");
+    }
+  }
+
+  /**
+   * Cancel an open order and release its reservations
+   * @param {string} orderId - Sales order ID
+   * @param {string} reason - Cancellation reason
+   * @param {string|Object} cancelledBy - User name or identity ({ id, name })
+   * @returns {Promise<Object>} Cancelled sales order
+   */
+  async cancelOrder(orderId, reason, cancelledBy = "System") {
+    try {
+      return await this.withTransaction(async (session) => {
+        const order = await this.model.findById(orderId).session(session);
+        this._assertStatus(order, ["open", "expired"], "cancel");
+
+        for (const line of order.lines) {
+          await this.reservationDAO.release(line.reservation, "released", {
+            session,
+          });
+        }
+
+        order.status = "cancelled";
+        order.cancelledAt = new Date();
+        order.cancelledBy = toActor(cancelledBy).name;
+        order.cancellationReason = reason;
+        return await order.save({ session });
+      });
+    } catch (error) {
+      throw this._handleError(error, "CANCEL_ORDER");
+    }
+  }
+
+  /**
+   * Throw unless the order exists and is in one of the allowed statuses
+   * @private
+   */
+  _assertStatus(order, allowed, action) {
+    if (!order) {
+      const error = new Error("Sales order not found");
+      error.statusCode = 404;
+      throw error;
+    }
+    if (!allowed.includes(order.status)) {
+      const error = new Error(
+        `Cannot ${action} a sales order that is ${order.status}`
+      );
+      error.statusCode = 409;
+      throw error;
+    }
+  }
+
+  /**
+   * Ensure every line names an active product
+   * @private
+   */
+  async _assertProductsSellable(lines) {
+    const productIds = [...new Set(lines.map((line) => String(line.product)))];
+    if (productIds.length === 0) return;
+
+    const products = await Product.find({ _id: { $in: productIds } })
+      .select("status")
+      .lean();
+    const active = new Set(
+      products
+        .filter((product) => product.status === "active")
+        .map((product) => product._id.toString())
+    );
+    const unavailable = productIds.filter((id) => !active.has(id));
+
+    if (unavailable.length > 0) {
+      const error = new Error("Some products cannot be sold");
+      error.name = "ValidationError";
+      error.statusCode = 400;
+      error.details = unavailable.map((id) => ({
+        field: "lines.product",
+        message: "Product not found or not active",
+        value: id,
+      }));
+      throw error;
+    }
+  }
+}
+
+module.exports = SalesOrderDAO;
@@ -0,0 +1,47 @@
+const BaseDAO = require("./BaseDAO");
+const { SerialNumber, InventoryTransaction } = require("../models");
+
+/**
+ * Serial Number Data Access Object
+ * Handles serial-tracked unit lookups. Units are only written by inventory
+ * transactions (see InventoryTransactionDAO).
+ */
+class SerialNumberDAO extends BaseDAO {
+  constructor() {
+    super(SerialNumber);
+  }
+
+  /**
+   * Get a unit and its full history from the transaction ledger
+   * @param {string} serial - Serial number
+   * @returns {Promise<Object>} Unit (null if only pending transactions name
+   *   it) and every transaction naming it, oldest first
+   */
+  async getHistory(serial) {
+    try {
+      const normalized = String(serial).trim().toUpperCase();
+
+      const [unit, transactions] = await Promise.all([
+        this.model
+          .findOne({ serial: normalized })
+          .populate("product", "name sku"),
+        InventoryTransaction.find({ serialNumbers: normalized })
+          .sort({ createdAt: 1 })
+          .populate("product", "name sku")
+          .select("-serialNumbers"),
+      ]);
+
+      if (!unit && transactions.length === 0) {
+        const error = new Error("Serial number not found");
+        error.statusCode = 404;
+        throw error;
+      }
+
+      return { serial: normalized, unit, history: transactions };
+    } catch (error) {
+      throw this._handleError(error, "GET_HISTORY");
+    }
+  }
+}
+
+module.exports = SerialNumberDAO;
@@ -0,0 +1,204 @@
+const BaseDAO = require("./BaseDAO");
+const { StockLevel, Product } = require("../models");
+const { availableQuantity } = require("../utils/stock");
+
+/**
+ * Stock Level Data Access Object
+ * Handles per-warehouse stock queries. Stock levels are only written by
+ * inventory transactions (see InventoryTransactionDAO).
+ */
+class StockLevelDAO extends BaseDAO {
+  constructor() {
+    super(StockLevel);
+  }
+
+  /**
+   * Get stock of a product in every warehouse
+   * @param {string} productId - Product ID
+   * @returns {Promise<Array>} Stock levels sorted by warehouse
+   */
+  async getByProduct(productId) {
+    try {
+      return await this.model
+        .find({ product: productId })
+        .sort({ warehouse: 1 })
+        .lean();
+    } catch (error) {
+      throw this._handleError(error, "GET_BY_PRODUCT");
+    }
+  }
+
+  /**
+   * Get stock held in a warehouse
+   * @param {string} warehouse - Warehouse code
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} Stock levels with products and pagination
+   */
+  async getByWarehouse(warehouse, options = {}) {
+    try {
+      return await this.find(
+        { warehouse: warehouse.toUpperCase(), quantity: { $gt: 0 } },
+        {
+          ...options,
+          sort: options.sort || { quantity: -1 },
+          populate: { path: "product", select: "name sku price status" },
+        }
+      );
+    } catch (error) {
+      throw this._handleError(error, "GET_BY_WAREHOUSE");
+    }
+  }
+
+  /**
+   * Get totals per warehouse
+   * @returns {Promise<Array>} Product count, units and value per warehouse
+   */
+  async getWarehouseSummary() {
+    try {
+      return await this.model.aggregate([
+        {
+          $lookup: {
+            from: "products",
+            localField: "product",
+            foreignField: "_id",
+            as: "product",
+          },
+        },
+        { $unwind: "$product" },
+        {
+          $group: {
+            _id: "$warehouse",
+            productCount: {
+              $sum: { $cond: [{ $gt: ["$quantity", 0] }, 1, 0] },
+            },
+            totalQuantity: { $sum: "$quantity" },
+            totalValue: {
+              $sum: { $multiply: ["$quantity", "$product.price"] },
+            },
+            outOfStockCount: {
+              $sum: { $cond: [{ $eq: ["$quantity", 0] }, 1, 0] },
+            },
+          },
+        },
+        {
+          $project: {
+            _id: 0,
+            warehouse: "$_id",
+            productCount: 1,
+            totalQuantity: 1,
+            totalValue: { $round: ["$totalValue", 2] },
+            outOfStockCount: 1,
+          },
+        },
+        { $sort: { warehouse: 1 } },
+      ]);
+    } catch (error) {
+      throw this._handleError(error, "GET_WAREHOUSE_SUMMARY");
+    }
+  }
+
+  /**
+   * Get active products that are low or out of stock in one warehouse
+   * A product only counts for a warehouse it has a stock level in.
+   * @param {string} warehouse - Warehouse code
+   * @param {string} level - 'low' (available at or below threshold) or
+   *   'out' (nothing available)
+   * @param {Object} options - Query options (limit, skip)
+   * @returns {Promise<Object>} Products with warehouse quantity and pagination
+   */
+  async getStockAlerts(warehouse, level, options = {}) {
+    try {
+      const { limit = 50, skip = 0 } = options;
+      const available = availableQuantity("$quantity", "$reserved");
+      const condition =
+        level === "out"
+          ? { $expr: { $lte: [available, 0] } }
+          : { $expr: { $lte: [available, "$product.lowStockThreshold"] } };
+
+      const [result] = await this.model.aggregate([
+        { $match: { warehouse: warehouse.toUpperCase() } },
+        {
+          $lookup: {
+            from: "products",
+            localField: "product",
+            foreignField: "_id",
+            as: "product",
+          },
+        },
+        { $unwind: "$product" },
+        { $match: { "product.status": "active", ...condition } },
+        { $sort: { quantity: 1, "product.name": 1 } },
+        {
+          $facet: {
+            documents: [
+              { $skip: skip },
+              { $limit: limit },
+              {
+                $replaceRoot: {
+                  newRoot: {
+                    $mergeObjects: [
+                      "$product",
+                      {
+                        warehouse: "$warehouse",
+                        warehouseQuantity: "$quantity",
+                        warehouseReserved: { $ifNull: ["$reserved", 0] },
+                      },
+                    ],
+                  },
+                },
+              },
+            ],
+            total: [{ $count: "count" }],
+          },
+        },
+      ]);
+
+      const total = result.total[0]?.count || 0;
+      return {
+        documents: result.documents,
+        pagination: {
+          total,
+          limit,
+          skip,
+          page: Math.floor(skip / limit) + 1,
+          totalPages: Math.ceil(total / limit),
+          hasNext: skip + limit < total,
+          hasPrev: skip > 0,
+        },
+      };
+    } catch (error) {
+      throw this._handleError(error, "GET_STOCK_ALERTS");
+    }
+  }
+
+  /**
+   * Compare product totals with the sum of their stock levels
+   * @returns {Promise<Array>} Products whose quantity differs from the sum
+   */
+  async findDrift() {
+    try {
+      return await Product.aggregate([
+        {
+          $lookup: {
+            from: "stocklevels",
+            localField: "_id",
+            foreignField: "product",
+            as: "levels",
+          },
+        },
+        {
+          $project: {
+            sku: 1,
+            quantity: 1,
+            locationQuantity: { $sum: "$levels.quantity" },
+          },
+        },
+        { $match: { $expr: { $ne: ["$quantity", "$locationQuantity"] } } },
+      ]);
+    } catch (error) {
+      throw this._handleError(error, "FIND_DRIFT");
+    }
+  }
+}
+
+module.exports = StockLevelDAO;
@@ -0,0 +1,552 @@
+const BaseDAO = require("./BaseDAO");
+const InventoryTransactionDAO = require("./InventoryTransactionDAO");
+const {
+  StocktakeSession,
+  Product,
+  StockLevel,
+  CostLayer,
+  InventoryTransaction,
+} = require("../models");
+const { toActor } = require("../utils/actor");
+const { roundMoney } = require("../utils/valuation");
+const { getDefaultWarehouse, getAbcSettings } = require("../config/inventory");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ABC_CLASSES = ["A", "B", "C"];
+
+/**
+ * Rank products into ABC classes by consumption value
+ * @param {Map<string, number>} values - Consumption value keyed by product ID
+ * @param {Object} settings - ABC settings (classAPercent, classBPercent)
+ * @returns {Map<string, string>} Class keyed by product ID
+ */
+function classifyAbc(values, settings) {
+  const ranked = [...values.entries()].sort((a, b) => b[1] - a[1]);
+  const total = ranked.reduce((sum, [, value]) => sum + value, 0);
+
+  const classes = new Map();
+  let cumulative = 0;
+  for (const [id, value] of ranked) {
+    // Share of value ranked above this product
+    const share = total > 0 ? (cumulative / total) * 100 : 100;
+    if (value > 0 && share < settings.classAPercent) {
+      classes.set(id, "A");
+    } else if (value > 0 && share < settings.classBPercent) {
+      classes.set(id, "B");
+    } else {
+      classes.set(id, "C");
+    }
+    cumulative += value;
+  }
+  return classes;
+}
+
+/**
+ * Describe a session line with its variance
+ * @param {Object} line - Stocktake line
+ * @returns {Object} Line with counted quantity and quantity/value variance
+ */
+function describeLine(line) {
+  const counted = line.counts.length
+    ? line.counts[line.counts.length - 1].quantity
+    : null;
+  const variance = counted === null ? null : counted - line.expectedQuantity;
+
+  return {
+    product: line.product,
+    sku: line.sku,
+    name: line.name,
+    abcClass: line.abcClass,
+    expectedQuantity: line.expectedQuantity,
+    countedQuantity: counted,
+    varianceQuantity: variance,
+    unitCost: line.unitCost,
+    expectedValue: roundMoney(line.expectedQuantity * line.unitCost),
+    countedValue: counted === null ? null : roundMoney(counted * line.unitCost),
+    varianceValue:
+      variance === null ? null : roundMoney(variance * line.unitCost),
+    counts: line.counts,
+    countersDisagree:
+      new Set(line.counts.map((count) => count.quantity)).size > 1,
+    transaction: line.transaction,
+  };
+}
+
+/**
+ * Stocktake Data Access Object
+ * Stocktake sessions freeze expected warehouse quantities when opened,
+ * collect counts, and post the variances as adjustment transactions
+ */
+class StocktakeDAO extends BaseDAO {
+  constructor() {
+    super(StocktakeSession);
+    this.inventoryTransactionDAO = new InventoryTransactionDAO();
+  }
+
+  /**
+   * Get stocktake sessions with filtering
+   * @param {Object} filters - Filters (status, warehouse)
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} Sessions with pagination
+   */
+  async getSessions(filters = {}, options = {}) {
+    try {
+      const query = {};
+      if (filters.status) query.status = filters.status;
+      if (filters.warehouse) query.warehouse = filters.warehouse.toUpperCase();
+
+      return await this.find(query, options);
+    } catch (error) {
+      throw this._handleError(error, "GET_SESSIONS");
+    }
+  }
+
+  /**
+   * Open a stocktake session, freezing the expected quantity of every
+   * active product in scope
+   * @param {Object} data - Session data (warehouse, category, abcClass, name,
+   *   notes)
+   * @param {string|Object} createdBy - User name or identity ({ id, name })
+   * @returns {Promise<Object>} Created session
+   */
+  async createSession(data, createdBy = "System") {
+    try {
+      const warehouse = (data.warehouse || getDefaultWarehouse()).toUpperCase();
+      const abcClass = data.abcClass ? data.abcClass.toUpperCase() : undefined;
+      if (abcClass && !ABC_CLASSES.includes(abcClass)) {
+        const error = new Error("ABC class must be one of: A, B, C");
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const query = { status: "active" };
+      if (data.category) query.category = data.category;
+      const products = await Product.find(query)
+        .select("name sku price")
+        .lean();
+      const classes = await this.getAbcClasses(products);
+      const inScope = products.filter(
+        (product) =>
+          !abcClass || classes.get(product._id.toString()) === abcClass
+      );
+
+      if (inScope.length === 0) {
+        const error = new Error("No products match the stocktake scope");
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const productIds = inScope.map((product) => product._id);
+      await this._assertNotCounting(warehouse, productIds);
+
+      const [levels, costs] = await Promise.all([
+        StockLevel.find({ warehouse, product: { $in: productIds } })
+          .select("product quantity")
+          .lean(),
+        this._getAverageCosts(productIds),
+      ]);
+      const expected = new Map(
+        levels.map((level) => [level.product.toString(), level.quantity])
+      );
+
+      const creator = toActor(createdBy);
+      return await this.create({
+        name: data.name,
+        warehouse,
+        scope: { category: data.category, abcClass },
+        notes: data.notes,
+        status: "counting",
+        lines: inScope.map((product) => {
+          const id = product._id.toString();
+          return {
+            product: product._id,
+            sku: product.sku,
+            name: product.name,
+            abcClass: classes.get(id),
+            expectedQuantity: expected.get(id) || 0,
+            // Counted stock is valued at cost, or at price without cost layers
+            unitCost: roundMoney(costs.get(id) ?? product.price ?? 0),
+          };
+        }),
+        createdBy: creator.name,
+        createdById: creator.id,
+      });
+    } catch (error) {
+      throw this._handleError(error, "CREATE_SESSION");
+    }
+  }
+
+  /**
+   * Record counts against a session; counters may count the same product
+   * more than once and the latest count stands
+   * @param {string} sessionId - Session ID
+   * @param {Array} counts - Counts ({ product, quantity })
+   * @param {string|Object} countedBy - User name or identity ({ id, name })
+   * @returns {Promise<Object>} Updated session
+   */
+  async recordCounts(sessionId, counts, countedBy = "System") {
+    try {
+      if (!Array.isArray(counts) || counts.length === 0) {
+        const error = new Error("At least one count is required");
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const invalid = counts.filter(
+        (count) =>
+          !count.product ||
+          !Number.isInteger(count.quantity) ||
+          count.quantity < 0
+      );
+      if (invalid.length > 0) {
+        const error = new Error("Invalid counts");
+        error.name = "ValidationError";
+        error.statusCode = 400;
+        error.details = invalid.map((count) => ({
+          field: "counts",
+          message:
+            "Each count needs a product and a non-negative integer quantity",
+          value: count,
+        }));
+        throw error;
+      }
+
+      const counter = toActor(countedBy);
+      return await this.withTransaction(async (session) => {
+        const stocktake = await this.model.findById(sessionId).session(session);
+        this._assertStatus(stocktake, ["counting"], "count");
+
+        const inSession = new Set(
+          stocktake.lines.map((line) => line.product.toString())
+        );
+        const unknown = counts.filter(
+          (count) => !inSession.has(String(count.product))
+        );
+        if (unknown.length > 0) {
+          const error = new Error(
+            "Some products are not part of this stocktake"
+          );
+          error.name = "ValidationError";
+          error.statusCode = 400;
+          error.details = unknown.map((count) => ({
+            field: "counts.product",
+            message: "Product is not in this stocktake session",
+            value: count.product,
+          }));
+          throw error;
+        }
+
+        for (const count of counts) {
+          // Push each count on its own so concurrent counters do not
+          // overwrite each other
+          const updated = await this.model.updateOne(
+            {
+              _id: stocktake._id,
+              status: "counting",
+              "lines.product": count.product,
+            },
+            {
+              $push: {
+                "lines.$.counts": {
+                  quantity: count.quantity,
+                  countedBy: counter.name,
+                  countedById: counter.id,
+                  countedAt: new Date(),
+                },
+              },
+            },
+            { session }
+          );
+          if (updated.modifiedCount !== 1) {
+            const error = new Error("Stocktake is no longer accepting counts");
+            error.statusCode = 409;
+            throw error;
+          }
+        }
+
+        return await this.model.findById(sessionId).session(session);
+      });
+    } catch (error) {
+      throw this._handleError(error, "RECORD_COUNTS");
+    }
+  }
+
+  /**
+   * Get the variance report of a session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} Line variances and totals
+   */
+  async getVarianceReport(sessionId) {
+    try {
+      const stocktake = await this.model.findById(sessionId);
+      if (!stocktake) {
+        const error = new Error("Stocktake session not found");
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const lines = stocktake.lines.map(describeLine);
+      const counted = lines.filter((line) => line.countedQuantity !== null);
+      const withVariance = counted.filter(
+        (line) => line.varianceQuantity !== 0
+      );
+
+      return {
+        session: {
+          _id: stocktake._id,
+          sessionNumber: stocktake.sessionNumber,
+          name: stocktake.name,
+          warehouse: stocktake.warehouse,
+          scope: stocktake.scope,
+          status: stocktake.status,
+          createdAt: stocktake.createdAt,
+          postedAt: stocktake.postedAt,
+        },
+        totals: {
+          lines: lines.length,
+          countedLines: counted.length,
+          uncountedLines: lines.length - counted.length,
+          linesWithVariance: withVariance.length,
+          linesWithDisagreement: lines.filter((line) => line.countersDisagree)
+            .length,
+          varianceQuantity: counted.reduce(
+            (sum, line) => sum + line.varianceQuantity,
+            0
+          ),
+          varianceValue: roundMoney(
+            counted.reduce((sum, line) => sum + line.varianceValue, 0)
+          ),
+          absoluteVarianceValue: roundMoney(
+            counted.reduce((sum, line) => sum + Math.abs(line.varianceValue), 0)
+          ),
+          // Share of counted lines that matched the frozen quantity
+          accuracy:
+            counted.length > 0
+              ? Number(
+                  (
+                    ((counted.length - withVariance.length) / counted.length) *
+                    100
+                  ).toFixed(1)
+                )
+              : null,
+        },
+        // Largest value differences first, uncounted lines last
+        lines: lines.sort((a, b) => {
+          if ((a.varianceValue === null) !== (b.varianceValue === null)) {
+            return a.varianceValue === null ? 1 : -1;
+          }
+          return Math.abs(b.varianceValue) - Math.abs(a.varianceValue);
+        }),
+      };
+    } catch (error) {
+      throw this._handleError(error, "GET_VARIANCE_REPORT");
+    }
+  }
+
+  /**
+   * Post a session, writing an adjustment for every counted line whose count
+   * differs from the frozen quantity. The adjustments reference the session
+   * number and commit together with the session. When some adjustments need
+   * approval the session awaits approval until each is approved or
+   * rejected.
+   * @param {string} sessionId - Session ID
+   * @param {string|Object} postedBy - User name or identity ({ id, name })
+   * @param {Object} options - Options (allowUncounted: post even though
+   *   some lines were never counted; they are left unadjusted)
+   * @returns {Promise<Object>} Posted session and created transactions
+   */
+  async postSession(sessionId, postedBy = "System", options = {}) {
+    try {
+      return await this.withTransaction(async (session) => {
+        const stocktake = await this.model.findById(sessionId).session(session);
+        this._assertStatus(stocktake, ["counting"], "post");
+
+        const uncounted = stocktake.lines.filter(
+          (line) => line.counts.length === 0
+        );
+        if (uncounted.length > 0 && !options.allowUncounted) {
+          const error = new Error(
+            `${uncounted.length} products have not been counted`
+          );
+          error.statusCode = 409;
+          error.details = uncounted.map((line) => ({
+            product: line.product,
+            sku: line.sku,
+          }));
+          throw error;
+        }
+
+        const transactions = [];
+        for (const line of stocktake.lines) {
+          const { varianceQuantity } = describeLine(line);
+          if (!varianceQuantity) continue;
+
+          const transaction =
+            await this.inventoryTransactionDAO.createTransaction(
+              {
+                product: line.product,
+                type: "adjustment",
+                quantity: varianceQuantity,
+                unitCost: line.unitCost,
+                reason: `Stocktake ${stocktake.sessionNumber}`,
+                reference: stocktake.sessionNumber,
+                performedBy: postedBy,
+                location: { warehouse: stocktake.warehouse },
+                stocktake: stocktake._id,
+              },
+              { session }
+            );
+          line.transaction = transaction._id;
+          line.adjustmentStatus =
+            transaction.status === "pending" ? "pending" : "approved";
+          transactions.push(transaction);
+        }
+
+        stocktake.pendingTransactions = transactions
+          .filter((transaction) => transaction.status === "pending")
+          .map((transaction) => transaction._id);
+        stocktake.status =
+          stocktake.pendingTransactions.length > 0
+            ? "awaiting_approval"
+            : "posted";
+        stocktake.postedAt = new Date();
+        stocktake.postedBy = toActor(postedBy).name;
+        await stocktake.save({ session });
+        return { stocktake, transactions };
+      });
+    } catch (error) {
+      throw this._handleError(error, "POST_SESSION");
+    }
+  }
+
+  /**
+   * Cancel a session that is still counting
+   * @param {string} sessionId - Session ID
+   * @param {string|Object} cancelledBy - User name or identity ({ id, name })
+   * @returns {Promise<Object>} Cancelled session
+   */
+  async cancelSession(sessionId, cancelledBy = "System") {
+    try {
+      const stocktake = await this.model.findOneAndUpdate(
+        { _id: sessionId, status: "counting" },
+        {
+          $set: {
+            status: "cancelled",
+            cancelledAt: new Date(),
+            cancelledBy: toActor(cancelledBy).name,
+          },
+        },
+        { new: true }
+      );
+      if (!stocktake) {
+        this._assertStatus(
+          await this.model.findById(sessionId).select("status"),
+          ["counting"],
+          "cancel"
+        );
+      }
+      return stocktake;
+    } catch (error) {
+      throw this._handleError(error, "CANCEL_SESSION");
+    }
+  }
+
+  /**
+   * Classify products A, B or C by consumption value over the ABC window
+   * @param {Array} products - Products (_id, price)
+   * @returns {Promise<Map<string, string>>} Class keyed by product ID
+   */
+  async getAbcClasses(products) {
+    try {
+      const settings = getAbcSettings();
+      const rows = await InventoryTransaction.aggregate([
+        {
+          $match: {
+            product: { $in: products.map((product) => product._id) },
+            type: "stock_out",
+            status: { $nin: ["pending", "rejected"] },
+            createdAt: { $gte: new Date(Date.now() - settings.days * DAY_MS) },
+          },
+        },
+        { $group: { _id: "$product", units: { $sum: { $abs: "$quantity" } } } },
+      ]);
+      const units = new Map(rows.map((row) => [row._id.toString(), row.units]));
+
+      return classifyAbc(
+        new Map(
+          products.map((product) => {
+            const id = product._id.toString();
+            return [id, (units.get(id) || 0) * (product.price || 0)];
+          })
+        ),
+        settings
+      );
+    } catch (error) {
+      throw this._handleError(error, "GET_ABC_CLASSES");
+    }
+  }
+
+  /**
+   * Refuse to open a session over products another open session in the
+   * same warehouse is still counting, which would adjust them twice
+   * @private
+   */
+  async _assertNotCounting(warehouse, productIds) {
+    const open = await this.model
+      .findOne({
+        warehouse,
+        status: "counting",
+        "lines.product": { $in: productIds },
+      })
+      .select("sessionNumber");
+    if (open) {
+      const error = new Error(
+        `Stocktake ${open.sessionNumber} is already counting some of these products`
+      );
+      error.statusCode = 409;
+      throw error;
+    }
+  }
+
+  /**
+   * Get the average cost of stock on hand from the cost layers
+   * @private
+   */
+  async _getAverageCosts(productIds) {
+    const rows = await CostLayer.aggregate([
+      { $match: { product: { $in: productIds }, remaining: { $gt: 0 } } },
+      {
+        $group: {
+          _id: "$product",
+          quantity: { $sum: "$remaining" },
+          value: { $sum: { $multiply: ["$remaining", "$unitCost"] } },
+        },
+      },
+    ]);
+    return new Map(
+      rows.map((row) => [row._id.toString(), row.value / row.quantity])
+    );
+  }
+
+  /**
+   * Throw unless the session exists and is in one of the allowed statuses
+   * @private
+   */
+  _assertStatus(stocktake, allowed, action) {
+    if (!stocktake) {
+      const error = new Error("Stocktake session not found");
+      error.statusCode = 404;
+      throw error;
+    }
+    if (!allowed.includes(stocktake.status)) {
+      const error = new Error(
+        `Cannot ${action} a stocktake that is ${stocktake.status}`
+      );
+      error.statusCode = 409;
+      throw error;
+    }
+  }
+}
+
+module.exports = StocktakeDAO;
@@ -1,5 +1,6 @@
 const BaseDAO = require("./BaseDAO");
 const { Supplier } = require("../models");
+const { publishEvent } = require("../utils/events");
 
 /**
  * Supplier Data Access Object
@@ -10,6 +11,37 @@ class SupplierDAO extends BaseDAO {
     super(Supplier);
   }
 
+  /**
+   * Update a supplier by ID, publishing supplier.status_changed when the
+   * update changes its status
+   * @param {string} id - Supplier ID
+   * @param {Object} data - Update data
+   * @param {Object} options - Update options
+   * @returns {Promise<Object|null>} Updated supplier or null
+   */
+  async updateById(id, data, options = {}) {
+    if (!data || data.status === undefined) {
+      return await super.updateById(id, data, options);
+    }
+
+    try {
+      const previous = await this.model
+        .findById(id)
+        .select("status")
+        .session(options.session || null);
+      const supplier = await super.updateById(id, data, options);
+
+      if (supplier && previous && previous.status !== supplier.status) {
+        this.afterCommit(options.session, () =>
+          this._publishStatusChange(supplier, previous.status)
+        );
+      }
+      return supplier;
+    } catch (error) {
+      throw this._handleError(error, "UPDATE_BY_ID");
+    }
+  }
+
   /**
    * Search suppliers by name, code, or contact information
    * @param {string} searchTerm - Search term
@@ -381,6 +413,10 @@ class SupplierDAO extends BaseDAO {
         );
       }
 
+      const changing = await this.model
+        .find({ _id: { $in: supplierIds }, status: { $ne: status } })
+        .select("name code status");
+
       const result = await this.updateMany(
         { _id: { $in: supplierIds } },
         {
@@ -390,6 +426,19 @@ class SupplierDAO extends BaseDAO {
         }
       );
 
+      for (const supplier of changing) {
+        this._publishStatusChange(
+          {
+            _id: supplier._id,
+            name: supplier.name,
+            code: supplier.code,
+            status,
+          },
+          supplier.status,
+          reason
+        );
+      }
+
       return {
         matchedCount: result.matchedCount,
         modifiedCount: result.modifiedCount,
@@ -401,6 +450,23 @@ class SupplierDAO extends BaseDAO {
     }
   }
 
+  /**
+   * Get active suppliers whose credit limit is below a threshold
+   * @param {number} threshold - Credit limit threshold
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} Suppliers with pagination, lowest limit first
+   */
+  async getLowCredit(threshold, options = {}) {
+    try {
+      return await this.find(
+        { status: "active", creditLimit: { $lt: threshold } },
+        { ...options, sort: options.sort || { creditLimit: 1 } }
+      );
+    } catch (error) {
+      throw this._handleError(error, "GET_LOW_CREDIT");
+    }
+  }
+
   /**
    * Get suppliers with expiring contracts
    * @param {number} days - Days ahead to check (default: 30)
@@ -492,6 +558,23 @@ class SupplierDAO extends BaseDAO {
       throw this._handleError(error, "ADVANCED_SEARCH");
     }
   }
+
+  /**
+   * Publish supplier.status_changed
+   * @private
+   * @param {Object} supplier - Supplier after the change (_id, name, code,
+   *   status)
+   * @param {string} previousStatus - Status before the change
+   * @param {string} reason - Reason given for the change, if any
+   */
+  _publishStatusChange(supplier, previousStatus, reason) {
+    publishEvent("supplier.status_changed", {
+      supplier: { id: supplier._id, name: supplier.name, code: supplier.code },
+      previousStatus,
+      status: supplier.status,
+      ...(reason && { reason }),
+    });
+  }
 }
 
 module.exports = SupplierDAO;
@@ -0,0 +1,139 @@
+const BaseDAO = require("./BaseDAO");
+const { User } = require("../models");
+const {
+  signAccessToken,
+  signRefreshToken,
+  verifyToken,
+} = require("../utils/tokens");
+const { getAuthConfig } = require("../config/auth");
+
+/**
+ * User Data Access Object
+ * Handles user accounts, credentials and token issuing
+ */
+class UserDAO extends BaseDAO {
+  constructor() {
+    super(User);
+  }
+
+  /**
+   * Find user by email
+   * @param {string} email - Email address
+   * @param {boolean} withCredentials - Include password hash and token version
+   * @returns {Promise<Object|null>} User or null
+   */
+  async findByEmail(email, withCredentials = false) {
+    try {
+      let query = this.model.findOne({ email: String(email).toLowerCase() });
+      if (withCredentials) {
+        query = query.select("+password +tokenVersion");
+      }
+      return await query.exec();
+    } catch (error) {
+      throw this._handleError(error, "FIND_BY_EMAIL");
+    }
+  }
+
+  /**
+   * Check credentials and record the login
+   * @param {string} email - Email address
+   * @param {string} password - Plain text password
+   * @returns {Promise<Object>} Authenticated user
+   */
+  async authenticate(email, password) {
+    try {
+      const user = await this.findByEmail(email, true);
+
+      // Same message for unknown users and wrong passwords
+      if (
+        !user ||
+        user.status !== "active" ||
+        !(await user.comparePassword(password))
+      ) {
+        const error = new Error("Invalid email or password");
+        error.statusCode = 401;
+        throw error;
+      }
+
+      user.lastLoginAt = new Date();
+      await user.save();
+      return user;
+    } catch (error) {
+      throw this._handleError(error, "AUTHENTICATE");
+    }
+  }
+
+  /**
+   * Issue an access/refresh token pair for a user
+   * @param {Object} user - User document (with token version)
+   * @returns {Object} Tokens and access token lifetime
+   */
+  issueTokens(user) {
+    return {
+      accessToken: signAccessToken(user),
+      refreshToken: signRefreshToken(user),
+      tokenType: "Bearer",
+      expiresIn: getAuthConfig().accessTokenExpire,
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair
+   * @param {string} refreshToken - Refresh token
+   * @returns {Promise<Object>} User and new tokens
+   */
+  async refreshTokens(refreshToken) {
+    try {
+      const payload = verifyToken(refreshToken, "refresh");
+      const user = await this.model
+        .findById(payload.sub)
+        .select("+tokenVersion");
+
+      if (
+        !user ||
+        user.status !== "active" ||
+        user.tokenVersion !== payload.version
+      ) {
+        const error = new Error("Refresh token has been revoked");
+        error.statusCode = 401;
+        throw error;
+      }
+
+      return { user, tokens: this.issueTokens(user) };
+    } catch (error) {
+      throw this._handleError(error, "REFRESH_TOKENS");
+    }
+  }
+
+  /**
+   * Revoke all refresh tokens issued to a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Updated user or null
+   */
+  async revokeTokens(userId) {
+    try {
+      return await this.model.findByIdAndUpdate(
+        userId,
+        { $inc: { tokenVersion: 1 } },
+        { new: true }
+      );
+    } catch (error) {
+      throw this._handleError(error, "REVOKE_TOKENS");
+    }
+  }
+
+  /**
+   * Get an active user for an authenticated request
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Active user or null
+   */
+  async findActiveById(userId) {
+    try {
+      return await this.model.findOne({ _id: userId, status: "active" });
+    } catch (error) {
+      throw this._handleError(error, "FIND_ACTIVE_BY_ID");
+    }
+  }
+}
+
+module.exports = UserDAO;
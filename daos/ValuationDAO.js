@@ -0,0 +1,172 @@
+const BaseDAO = require("./BaseDAO");
+const { CostLayer, InventoryTransaction, Product } = require("../models");
+const {
+  VALUATION_METHODS,
+  roundMoney,
+  valueMovements,
+} = require("../utils/valuation");
+
+// Dates given without a time, e.g. "2024-03-31"
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse a valuation as-of date; a date without a time means the end of
+ * that day (UTC) so the day's own movements are included
+ * @param {string|Date} value - As-of date
+ * @returns {Date} As-of time
+ */
+function parseAsOf(value) {
+  const asOf = new Date(value);
+  if (typeof value === "string" && DATE_ONLY.test(value.trim())) {
+    asOf.setUTCHours(23, 59, 59, 999);
+  }
+  return asOf;
+}
+
+/**
+ * Valuation Data Access Object
+ * Values stock at cost. Current cost comes from the live cost layers;
+ * valuation reports replay the transaction ledger so any method can be
+ * reported as of any date.
+ */
+class ValuationDAO extends BaseDAO {
+  constructor() {
+    super(CostLayer);
+  }
+
+  /**
+   * Get the cost of stock on hand from the live cost layers
+   * @returns {Promise<Object>} Units and value at cost
+   */
+  async getCurrentCost() {
+    try {
+      const [totals] = await this.aggregate([
+        { $match: { remaining: { $gt: 0 } } },
+        {
+          $group: {
+            _id: null,
+            quantity: { $sum: "$remaining" },
+            value: { $sum: { $multiply: ["$remaining", "$unitCost"] } },
+          },
+        },
+      ]);
+
+      return {
+        quantity: totals?.quantity || 0,
+        value: roundMoney(totals?.value || 0),
+      };
+    } catch (error) {
+      throw this._handleError(error, "GET_CURRENT_COST");
+    }
+  }
+
+  /**
+   * Value stock at cost as of a date
+   * @param {Object} options - Options (method, asOf, from, product, category);
+   *   a date-only asOf covers the whole of that day
+   * @returns {Promise<Object>} Per-product valuation and totals
+   */
+  async getValuation(options = {}) {
+    try {
+      const method = (options.method || "fifo").toLowerCase();
+      if (!VALUATION_METHODS.includes(method)) {
+        const error = new Error(
+          `Valuation method must be one of: ${VALUATION_METHODS.join(", ")}`
+        );
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const asOf = options.asOf ? parseAsOf(options.asOf) : new Date();
+      const from = options.from ? new Date(options.from) : null;
+      if (isNaN(asOf) || (from && isNaN(from))) {
+        const error = new Error("Valuation dates must be valid dates");
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const productFilter = {};
+      if (options.product) productFilter._id = options.product;
+      if (options.category) productFilter.category = options.category;
+      const products = await Product.find(productFilter)
+        .select("name sku price")
+        .lean();
+
+      const movements = await InventoryTransaction.aggregate([
+        {
+          $match: {
+            product: { $in: products.map((product) => product._id) },
+            type: { $ne: "transfer" },
+            status: { $nin: ["pending", "rejected"] },
+          },
+        },
+        {
+          // Approved transactions are posted when approved
+          $addFields: {
+            postedAt: { $ifNull: ["$approval.approvedAt", "$createdAt"] },
+          },
+        },
+        { $match: { postedAt: { $lte: asOf } } },
+        { $sort: { postedAt: 1, _id: 1 } },
+        {
+          $project: {
+            product: 1,
+            type: 1,
+            quantity: 1,
+            unitCost: 1,
+            postedAt: 1,
+          },
+        },
+      ]);
+
+      const valuations = valueMovements(movements, method, { from });
+      const items = products
+        .map((product) => {
+          const valuation = valuations.get(product._id.toString());
+          if (!valuation) return null;
+          return {
+            product: { _id: product._id, name: product.name, sku: product.sku },
+            quantity: valuation.quantity,
+            value: valuation.value,
+            averageUnitCost:
+              valuation.quantity > 0
+                ? roundMoney(valuation.value / valuation.quantity)
+                : 0,
+            retailValue: roundMoney(valuation.quantity * product.price),
+            costOfGoodsSold: valuation.costOfGoodsSold,
+            writeOffs: valuation.writeOffs,
+            unmatchedQuantity: valuation.unmatchedQuantity,
+            uncostedQuantity: valuation.uncostedQuantity,
+          };
+        })
+        .filter(
+          (item) =>
+            item &&
+            (item.quantity > 0 || item.costOfGoodsSold || item.writeOffs)
+        )
+        .sort((a, b) => b.value - a.value);
+
+      const sum = (field) =>
+        roundMoney(items.reduce((total, item) => total + item[field], 0));
+
+      return {
+        method,
+        asOf,
+        from,
+        totals: {
+          products: items.length,
+          quantity: items.reduce((total, item) => total + item.quantity, 0),
+          value: sum("value"),
+          retailValue: sum("retailValue"),
+          costOfGoodsSold: sum("costOfGoodsSold"),
+          writeOffs: sum("writeOffs"),
+        },
+        items,
+      };
+    } catch (error) {
+      throw this._handleError(error, "GET_VALUATION");
+    }
+  }
+}
+
+module.exports = ValuationDAO;
@@ -0,0 +1,92 @@
+const BaseDAO = require("./BaseDAO");
+const { WebhookSubscription } = require("../models");
+const { toActor } = require("../utils/actor");
+
+// Fields that may be changed on an existing subscription
+const EDITABLE_FIELDS = ["url", "events", "description", "active"];
+
+/**
+ * Webhook Data Access Object
+ * Handles webhook subscriptions; deliveries are handled by
+ * WebhookDeliveryDAO
+ */
+class WebhookDAO extends BaseDAO {
+  constructor() {
+    super(WebhookSubscription);
+  }
+
+  /**
+   * Create a webhook subscription with a new signing secret
+   * The secret is only returned here; afterwards it is never selected.
+   * @param {Object} data - Subscription data (url, events, description)
+   * @param {string|Object} createdBy - User name or identity ({ id, name })
+   * @returns {Promise<Object>} Created subscription and its secret
+   */
+  async createSubscription(data, createdBy) {
+    try {
+      const creator = toActor(createdBy);
+      const secret = this.model.generateSecret();
+      const subscription = await this.create({
+        url: data.url,
+        events: data.events,
+        description: data.description,
+        active: data.active,
+        secret,
+        createdBy: creator.name,
+        createdById: creator.id,
+      });
+
+      const publicFields = subscription.toObject();
+      delete publicFields.secret;
+      return { subscription: publicFields, secret };
+    } catch (error) {
+      throw this._handleError(error, "CREATE_SUBSCRIPTION");
+    }
+  }
+
+  /**
+   * Update a webhook subscription, optionally rotating its secret
+   * @param {string} subscriptionId - Subscription ID
+   * @param {Object} data - Changes (url, events, description, active,
+   *   rotateSecret)
+   * @returns {Promise<Object|null>} Updated subscription, with the new
+   *   secret when rotated, or null when not found
+   */
+  async updateSubscription(subscriptionId, data) {
+    try {
+      const changes = {};
+      for (const field of EDITABLE_FIELDS) {
+        if (data[field] !== undefined) changes[field] = data[field];
+      }
+      const secret = data.rotateSecret ? this.model.generateSecret() : null;
+      if (secret) changes.secret = secret;
+
+      const subscription = await this.updateById(subscriptionId, {
+        $set: changes,
+      });
+      if (!subscription) return null;
+
+      return { subscription, ...(secret && { secret }) };
+    } catch (error) {
+      throw this._handleError(error, "UPDATE_SUBSCRIPTION");
+    }
+  }
+
+  /**
+   * Get active subscriptions to an event type
+   * @param {string} type - Event type
+   * @returns {Promise<Array>} Matching subscriptions
+   */
+  async getSubscribersTo(type) {
+    try {
+      return await this.model.find({
+        active: true,
+        events: { $in: [type, "*"] },
+      });
+    } catch (error) {
+      throw this._handleError(error, "GET_SUBSCRIBERS_TO");
+    }
+  }
+}
+
+module.exports = WebhookDAO;
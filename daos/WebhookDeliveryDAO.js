@@ -0,0 +1,276 @@
+const BaseDAO = require("./BaseDAO");
+const WebhookDAO = require("./WebhookDAO");
+const { WebhookDelivery, WebhookSubscription } = require("../models");
+const { getWebhookSettings } = require("../config/webhooks");
+const { toActor } = require("../utils/actor");
+const {
+  signPayload,
+  retryDelayMs,
+  truncateResponseBody,
+} = require("../utils/webhooks");
+
+// Most deliveries the retry job attempts in one run
+const RETRY_BATCH_SIZE = 100;
+
+/**
+ * Webhook Delivery Data Access Object
+ * Sends events to webhook subscriptions and keeps a log of every attempt.
+ * Failed deliveries are retried with exponential backoff by the
+ * webhook-retry job.
+ */
+class WebhookDeliveryDAO extends BaseDAO {
+  constructor() {
+    super(WebhookDelivery);
+    this.webhookDAO = new WebhookDAO();
+  }
+
+  /**
+   * Queue an event for every subscription to its type and attempt each
+   * delivery straight away
+   * @param {Object} event - Published event ({ id, type, occurredAt, data })
+   * @returns {Promise<Array>} Deliveries after their first attempt
+   */
+  async dispatch(event) {
+    try {
+      const subscriptions = await this.webhookDAO.getSubscribersTo(event.type);
+      if (subscriptions.length === 0) return [];
+
+      // Leased until the first attempt has had time to finish
+      const leaseUntil = this._leaseUntil();
+      const deliveries = await this.model.insertMany(
+        subscriptions.map((subscription) => ({
+          subscription: subscription._id,
+          event,
+          nextAttemptAt: leaseUntil,
+        }))
+      );
+
+      return await Promise.all(
+        deliveries.map((delivery) => this.deliver(delivery))
+      );
+    } catch (error) {
+      throw this._handleError(error, "DISPATCH");
+    }
+  }
+
+  /**
+   * Make one attempt at a delivery and record its outcome
+   * A 2xx response succeeds it. Otherwise it is retried after a delay that
+   * doubles with each attempt, and fails once the attempts run out or its
+   * subscription is gone or inactive.
+   * @param {Object} delivery - Delivery leased to this caller
+   * @returns {Promise<Object>} Updated delivery
+   */
+  async deliver(delivery) {
+    try {
+      const settings = getWebhookSettings();
+      const subscription = await WebhookSubscription.findById(
+        delivery.subscription
+      ).select("+secret");
+
+      const attempt =
+        subscription && subscription.active
+          ? await this._send(subscription, delivery, settings.timeoutMs)
+          : {
+              attemptedAt: new Date(),
+              error: "Webhook subscription is inactive or deleted",
+            };
+      const attemptCount = delivery.attemptCount + 1;
+
+      let outcome;
+      if (attempt.ok) {
+        outcome = { status: "succeeded", deliveredAt: attempt.attemptedAt };
+      } else if (
+        !subscription ||
+        !subscription.active ||
+        attemptCount >= settings.maxAttempts
+      ) {
+        outcome = { status: "failed" };
+      } else {
+        outcome = {
+          status: "pending",
+          nextAttemptAt: new Date(
+            Date.now() + retryDelayMs(attemptCount, settings.retryBaseSeconds)
+          ),
+        };
+      }
+
+      const { ok, ...logged } = attempt;
+      return await this.model.findByIdAndUpdate(
+        delivery._id,
+        {
+          $set: {
+            nextAttemptAt: null,
+            ...outcome,
+            attemptCount,
+          },
+          $push: { attempts: logged },
+        },
+        { new: true }
+      );
+    } catch (error) {
+      throw this._handleError(error, "DELIVER");
+    }
+  }
+
+  /**
+   * Attempt every pending delivery that is due a retry
+   * Each delivery is leased before it is sent, so overlapping runs or
+   * server instances never send it twice at once.
+   * @param {number} limit - Most deliveries to attempt
+   * @returns {Promise<Object>} Counts of attempted, succeeded and failed
+   *   deliveries
+   */
+  async retryDueDeliveries(limit = RETRY_BATCH_SIZE) {
+    try {
+      const summary = { attempted: 0, succeeded: 0, failed: 0 };
+
+      while (summary.attempted < limit) {
+        const delivery = await this.model.findOneAndUpdate(
+          { status: "pending", nextAttemptAt: { $lte: new Date() } },
+          { $set: { nextAttemptAt: this._leaseUntil() } },
+          { sort: { nextAttemptAt: 1 }, new: true }
+        );
+        if (!delivery) break;
+
+        const result = await this.deliver(delivery);
+        summary.attempted += 1;
+        if (result.status === "succeeded") summary.succeeded += 1;
+        if (result.status === "failed") summary.failed += 1;
+      }
+
+      return summary;
+    } catch (error) {
+      throw this._handleError(error, "RETRY_DUE_DELIVERIES");
+    }
+  }
+
+  /**
+   * Send a delivery's event again as a new delivery
+   * The event keeps its ID so receivers can recognise the duplicate.
+   * @param {string} deliveryId - Delivery to replay
+   * @param {string|Object} replayedBy - User name or identity ({ id, name })
+   * @returns {Promise<Object>} New delivery after its first attempt
+   */
+  async replay(deliveryId, replayedBy) {
+    try {
+      const original = await this.model.findById(deliveryId);
+      if (!original) {
+        const error = new Error("Webhook delivery not found");
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const subscription = await WebhookSubscription.findById(
+        original.subscription
+      );
+      if (!subscription || !subscription.active) {
+        const error = new Error(
+          "Cannot replay to an inactive or deleted webhook subscription"
+        );
+        error.statusCode = 409;
+        throw error;
+      }
+
+      const delivery = await this.create({
+        subscription: original.subscription,
+        event: original.event,
+        replayOf: original._id,
+        replayedBy: toActor(replayedBy).name,
+        nextAttemptAt: this._leaseUntil(),
+      });
+      return await this.deliver(delivery);
+    } catch (error) {
+      throw this._handleError(error, "REPLAY");
+    }
+  }
+
+  /**
+   * Get a subscription's deliveries, newest first
+   * @param {string} subscriptionId - Subscription ID
+   * @param {Object} filters - Filters (status, event type)
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} Deliveries with pagination
+   */
+  async getBySubscription(subscriptionId, filters = {}, options = {}) {
+    try {
+      const query = { subscription: subscriptionId };
+      if (filters.status) query.status = filters.status;
+      if (filters.event) query["event.type"] = filters.event;
+
+      return await this.find(query, {
+        ...options,
+        sort: options.sort || { createdAt: -1 },
+      });
+    } catch (error) {
+      throw this._handleError(error, "GET_BY_SUBSCRIPTION");
+    }
+  }
+
+  /**
+   * POST a delivery to its subscription's URL
+   * @private
+   * @param {Object} subscription - Subscription, with its secret
+   * @param {Object} delivery - Delivery
+   * @param {number} timeoutMs - Request timeout
+   * @returns {Promise<Object>} Attempt ({ ok, attemptedAt, responseStatus,
+   *   responseBody, error, durationMs })
+   */
+  async _send(subscription, delivery, timeoutMs) {
+    const { id, type, occurredAt, data } = delivery.event;
+    const body = JSON.stringify({ id, type, occurredAt, data });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attemptedAt = new Date();
+
+    try {
+      const response = await fetch(subscription.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Webhook-Id": id,
+          "X-Webhook-Delivery": delivery._id.toString(),
+          "X-Webhook-Event": type,
+          "X-Webhook-Timestamp": String(timestamp),
+          "X-Webhook-Signature": signPayload(
+            subscription.secret,
+            timestamp,
+            body
+          ),
+        },
+        body,
+        redirect: "manual",
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+
+      return {
+        ok: response.ok,
+        attemptedAt,
+        responseStatus: response.status,
+        responseBody: truncateResponseBody(await response.text()),
+        durationMs: Date.now() - attemptedAt.getTime(),
+      };
+    } catch (error) {
+      return {
+        ok: false,
+        attemptedAt,
+        error:
+          error.name === "TimeoutError"
+            ? `Timed out after ${timeoutMs}ms`
+            : error.message,
+        durationMs: Date.now() - attemptedAt.getTime(),
+      };
+    }
+  }
+
+  /**
+   * Lease time for a delivery being attempted: long enough for the request
+   * to time out, after which the retry job may pick it up again
+   * @private
+   * @returns {Date} Lease expiry
+   */
+  _leaseUntil() {
+    return new Date(Date.now() + getWebhookSettings().timeoutMs + 60 * 1000);
+  }
+}
+
+module.exports = WebhookDeliveryDAO;
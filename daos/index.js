@@ -8,12 +8,46 @@ const ProductDAO = require("./ProductDAO");
 const SupplierDAO = require("./SupplierDAO");
 const CategoryDAO = require("./CategoryDAO");
 const InventoryTransactionDAO = require("./InventoryTransactionDAO");
+const UserDAO = require("./UserDAO");
+const ApiKeyDAO = require("./ApiKeyDAO");
+const StockLevelDAO = require("./StockLevelDAO");
+const InventorySnapshotDAO = require("./InventorySnapshotDAO");
+const PurchaseOrderDAO = require("./PurchaseOrderDAO");
+const ReplenishmentDAO = require("./ReplenishmentDAO");
+const ReservationDAO = require("./ReservationDAO");
+const SalesOrderDAO = require("./SalesOrderDAO");
+const LotDAO = require("./LotDAO");
+const SerialNumberDAO = require("./SerialNumberDAO");
+const ValuationDAO = require("./ValuationDAO");
+const StocktakeDAO = require("./StocktakeDAO");
+const ReturnDAO = require("./ReturnDAO");
+const WebhookDAO = require("./WebhookDAO");
+const WebhookDeliveryDAO = require("./WebhookDeliveryDAO");
+const AlertRuleDAO = require("./AlertRuleDAO");
+const AlertDAO = require("./AlertDAO");
 
 // Create DAO instances
 const productDAO = new ProductDAO();
 const supplierDAO = new SupplierDAO();
 const categoryDAO = new CategoryDAO();
 const inventoryTransactionDAO = new InventoryTransactionDAO();
+const userDAO = new UserDAO();
+const apiKeyDAO = new ApiKeyDAO();
+const stockLevelDAO = new StockLevelDAO();
+const inventorySnapshotDAO = new InventorySnapshotDAO();
+const purchaseOrderDAO = new PurchaseOrderDAO();
+const replenishmentDAO = new ReplenishmentDAO();
+const reservationDAO = new ReservationDAO();
+const salesOrderDAO = new SalesOrderDAO();
+const lotDAO = new LotDAO();
+const serialNumberDAO = new SerialNumberDAO();
+const valuationDAO = new ValuationDAO();
+const stocktakeDAO = new StocktakeDAO();
+const returnDAO = new ReturnDAO();
+const webhookDAO = new WebhookDAO();
+const webhookDeliveryDAO = new WebhookDeliveryDAO();
+const alertRuleDAO = new AlertRuleDAO();
+const alertDAO = new AlertDAO();
 
 module.exports = {
   // DAO Classes (for creating new instances if needed)
@@ -22,10 +56,44 @@ module.exports = {
   SupplierDAO,
   CategoryDAO,
   InventoryTransactionDAO,
+  UserDAO,
+  ApiKeyDAO,
+  StockLevelDAO,
+  InventorySnapshotDAO,
+  PurchaseOrderDAO,
+  ReplenishmentDAO,
+  ReservationDAO,
+  SalesOrderDAO,
+  LotDAO,
+  SerialNumberDAO,
+  ValuationDAO,
+  StocktakeDAO,
+  ReturnDAO,
+  WebhookDAO,
+  WebhookDeliveryDAO,
+  AlertRuleDAO,
+  AlertDAO,
 
   // DAO Instances (ready to use)
   productDAO,
   supplierDAO,
   categoryDAO,
   inventoryTransactionDAO,
+  userDAO,
+  apiKeyDAO,
+  stockLevelDAO,
+  inventorySnapshotDAO,
+  purchaseOrderDAO,
+  replenishmentDAO,
+  reservationDAO,
+  salesOrderDAO,
+  lotDAO,
+  serialNumberDAO,
+  valuationDAO,
+  stocktakeDAO,
+  returnDAO,
+  webhookDAO,
+  webhookDeliveryDAO,
+  alertRuleDAO,
+  alertDAO,
 };
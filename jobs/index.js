@@ -0,0 +1,84 @@
+/**
+ * Background jobs
+ * Registers every recurring job and the webhook event listener; started
+ * from server.js outside tests.
+ */
+require("dotenv").config();
+const { scheduleJob, stopAllJobs } = require("./scheduler");
+const {
+  inventorySnapshotDAO,
+  reservationDAO,
+  lotDAO,
+  webhookDeliveryDAO,
+  alertDAO,
+} = require("../daos");
+const { eventBus, ANY_EVENT } = require("../utils/events");
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Send a published event to its webhook subscribers
+ * Failed deliveries are left for the webhook-retry job.
+ * @param {Object} event - Published event
+ */
+function dispatchWebhooks(event) {
+  webhookDeliveryDAO.dispatch(event).catch((error) => {
+    console.error(`Webhook dispatch for ${event.type} failed:`, error);
+  });
+}
+
+/**
+ * Start all background jobs
+ */
+function startJobs() {
+  // Re-capturing today's snapshot keeps it within one interval of end-of-day
+  scheduleJob(
+    "inventory-snapshot",
+    (parseInt(process.env.SNAPSHOT_INTERVAL_MINUTES) || 60) * MINUTE_MS,
+    () => inventorySnapshotDAO.captureSnapshot(),
+    { runOnStart: true }
+  );
+
+  scheduleJob(
+    "reservation-expiry",
+    (parseInt(process.env.RESERVATION_EXPIRY_INTERVAL_MINUTES) || 5) *
+      MINUTE_MS,
+    () => reservationDAO.expireReservations(),
+    { runOnStart: true }
+  );
+
+  scheduleJob(
+    "lot-expiry",
+    (parseInt(process.env.LOT_EXPIRY_INTERVAL_MINUTES) || 60) * MINUTE_MS,
+    () => lotDAO.expireLots(),
+    { runOnStart: true }
+  );
+
+  scheduleJob(
+    "alert-evaluation",
+    (parseInt(process.env.ALERT_EVALUATION_INTERVAL_MINUTES) || 5) * MINUTE_MS,
+    () => alertDAO.evaluateAlerts(),
+    { runOnStart: true }
+  );
+
+  eventBus.on(ANY_EVENT, dispatchWebhooks);
+  scheduleJob(
+    "webhook-retry",
+    (parseInt(process.env.WEBHOOK_RETRY_INTERVAL_MINUTES) || 1) * MINUTE_MS,
+    () => webhookDeliveryDAO.retryDueDeliveries(),
+    { runOnStart: true }
+  );
+}
+
+/**
+ * Stop all background jobs
+ */
+function stopJobs() {
+  eventBus.off(ANY_EVENT, dispatchWebhooks);
+  stopAllJobs();
+}
+
+module.exports = {
+  startJobs,
+  stopJobs,
+};
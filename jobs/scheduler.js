@@ -0,0 +1,72 @@
+/**
+ * In-process job scheduler
+ * Runs registered jobs on fixed intervals. A job never overlaps itself:
+ * a run that is still going when the next tick arrives skips that tick.
+ */
+
+const jobs = new Map();
+
+/**
+ * Register and start a recurring job
+ * @param {string} name - Job name (used in logs)
+ * @param {number} intervalMs - Milliseconds between runs
+ * @param {Function} task - Async function to run
+ * @param {Object} options - { runOnStart } to run once immediately
+ */
+function scheduleJob(name, intervalMs, task, options = {}) {
+  if (jobs.has(name)) {
+    throw new Error(`Job ${name} is already scheduled`);
+  }
+
+  const job = { name, running: false, timer: null, lastRunAt: null };
+
+  const run = async () => {
+    if (job.running) return;
+    job.running = true;
+    try {
+      await task();
+      job.lastRunAt = new Date();
+    } catch (error) {
+      console.error(`Job ${name} failed:`, error);
+    } finally {
+      job.running = false;
+    }
+  };
+
+  job.timer = setInterval(run, intervalMs);
+  // Do not keep the process alive just for scheduled jobs
+  job.timer.unref();
+  jobs.set(name, job);
+
+  if (options.runOnStart) {
+    setImmediate(run);
+  }
+}
+
+/**
+ * Stop every scheduled job
+ */
+function stopAllJobs() {
+  for (const job of jobs.values()) {
+    clearInterval(job.timer);
+  }
+  jobs.clear();
+}
+
+/**
+ * Get the state of scheduled jobs
+ * @returns {Array<Object>} Job names, running flags and last run times
+ */
+function getJobStatus() {
+  return Array.from(jobs.values()).map(({ name, running, lastRunAt }) => ({
+    name,
+    running,
+    lastRunAt,
+  }));
+}
+
+module.exports = {
+  scheduleJob,
+  stopAllJobs,
+  getJobStatus,
+};
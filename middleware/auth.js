@@ -0,0 +1,107 @@
+/**
+ * Authentication & Authorization Middleware
+ * Resolves the caller from a Bearer access token or an X-API-Key header and
+ * attaches it as req.user = { id, name, email, role, authType }
+ */
+const { userDAO, apiKeyDAO } = require("../daos");
+const { verifyToken } = require("../utils/tokens");
+const { hasPermission } = require("../config/permissions");
+const { ROLES } = require("../config/auth");
+
+/**
+ * Send a 401 response
+ * @param {Object} res - Express response
+ * @param {string} message - Error message
+ */
+function unauthorized(res, message) {
+  return res.status(401).json({
+    success: false,
+    error: message,
+  });
+}
+
+/**
+ * Require an authenticated caller
+ */
+async function authenticate(req, res, next) {
+  try {
+    const authorization = req.get("Authorization") || "";
+    const apiKey = req.get("X-API-Key");
+
+    if (authorization.startsWith("Bearer ")) {
+      const payload = verifyToken(authorization.slice(7).trim(), "access");
+      const user = await userDAO.findActiveById(payload.sub);
+      if (!user) {
+        return unauthorized(res, "User is not active");
+      }
+
+      req.user = { ...user.toIdentity(), authType: "jwt" };
+      return next();
+    }
+
+    if (apiKey) {
+      const key = await apiKeyDAO.verifyKey(apiKey);
+      if (!key) {
+        return unauthorized(res, "Invalid API key");
+      }
+
+      // Integrations act for the key owner under the key's own name and
+      // role, capped at the owner's current role so demotions apply to keys
+      const role =
+        ROLES.indexOf(key.role) <= ROLES.indexOf(key.user.role)
+          ? key.role
+          : key.user.role;
+      req.user = {
+        id: key.user._id.toString(),
+        name: key.name,
+        email: key.user.email,
+        role,
+        authType: "api_key",
+        apiKeyId: key._id.toString(),
+      };
+      return next();
+    }
+
+    return unauthorized(res, "Authentication required");
+  } catch (error) {
+    if (error.statusCode === 401) {
+      return unauthorized(res, error.message);
+    }
+    console.error("Error authenticating request:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Require the authenticated caller's role to hold a permission
+ * @param {string} permission - Permission name from config/permissions
+ * @returns {Function} Express middleware
+ */
+function authorize(permission) {
+  // Fail at startup on typos rather than on the first request
+  hasPermission("admin", permission);
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return unauthorized(res, "Authentication required");
+    }
+
+    if (!hasPermission(req.user.role, permission)) {
+      return res.status(403).json({
+        success: false,
+        error: "Insufficient permissions",
+        required: permission,
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  authenticate,
+  authorize,
+};
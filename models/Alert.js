@@ -0,0 +1,105 @@
+const mongoose = require("mongoose");
+const {
+  ALERT_TYPES,
+  ALERT_SEVERITIES,
+  ACTIVE_ALERT_STATUSES,
+} = require("../config/alerts");
+
+const alertSchema = new mongoose.Schema(
+  {
+    // Identifies the condition (e.g. "low_stock:<productId>"); one active
+    // alert per key
+    key: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ALERT_TYPES,
+      required: true,
+    },
+    severity: {
+      type: String,
+      enum: ALERT_SEVERITIES,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: [...ACTIVE_ALERT_STATUSES, "resolved"],
+      default: "open",
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+    // What the alert is about
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+    },
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Supplier",
+    },
+    lot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Lot",
+    },
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InventoryTransaction",
+    },
+    warehouse: String,
+    // Observed value and the rule threshold it crossed
+    value: Number,
+    threshold: Number,
+    // Rule that raised it; unset for built-in rules
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AlertRule",
+    },
+    firstSeenAt: {
+      type: Date,
+      required: true,
+    },
+    lastSeenAt: {
+      type: Date,
+      required: true,
+    },
+    resolvedAt: Date,
+    acknowledgedBy: String,
+    acknowledgedById: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    acknowledgedAt: Date,
+    // Hidden from active alert lists until then
+    snoozedUntil: Date,
+    snoozedBy: String,
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    assignedToName: String,
+    assignedBy: String,
+    assignedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+alertSchema.index(
+  { key: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: { $in: ACTIVE_ALERT_STATUSES } },
+  }
+);
+alertSchema.index({ status: 1, severity: 1, firstSeenAt: -1 });
+alertSchema.index({ assignedTo: 1, status: 1 });
+alertSchema.index({ product: 1, status: 1 });
+
+module.exports = mongoose.model("Alert", alertSchema);
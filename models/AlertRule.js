@@ -0,0 +1,99 @@
+const mongoose = require("mongoose");
+const {
+  ALERT_TYPES,
+  ALERT_SEVERITIES,
+  PRODUCT_ALERT_TYPES,
+  DEFAULT_ALERT_RULES,
+} = require("../config/alerts");
+
+const alertRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Alert rule name is required"],
+      trim: true,
+      maxlength: [100, "Alert rule name cannot exceed 100 characters"],
+    },
+    type: {
+      type: String,
+      enum: {
+        values: ALERT_TYPES,
+        message: "Alert type must be one of: " + ALERT_TYPES.join(", "),
+      },
+      required: [true, "Alert type is required"],
+    },
+    severity: {
+      type: String,
+      enum: {
+        values: ALERT_SEVERITIES,
+        message: "Severity must be one of: " + ALERT_SEVERITIES.join(", "),
+      },
+    },
+    // A rule applies to one product, one category or, with neither,
+    // everywhere; the most specific rule wins
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      default: null,
+    },
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+    },
+    // Meaning depends on the type (see config/alerts)
+    threshold: {
+      type: Number,
+      min: [0, "Threshold cannot be negative"],
+    },
+    // high_value_transaction only: days of transactions checked
+    windowDays: {
+      type: Number,
+      min: [1, "Window must be at least 1 day"],
+    },
+    // A disabled rule silences its alert type for its scope
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: String,
+      trim: true,
+    },
+    createdById: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One rule per type and scope
+alertRuleSchema.index({ type: 1, product: 1, category: 1 }, { unique: true });
+
+// Default the severity and check the scope suits the type
+alertRuleSchema.pre("validate", function (next) {
+  if (!this.severity && DEFAULT_ALERT_RULES[this.type]) {
+    this.severity = DEFAULT_ALERT_RULES[this.type].severity;
+  }
+  if (this.product && this.category) {
+    this.invalidate(
+      "category",
+      "A rule applies to a product or a category, not both"
+    );
+  }
+  if (
+    (this.product || this.category) &&
+    !PRODUCT_ALERT_TYPES.includes(this.type)
+  ) {
+    this.invalidate(
+      this.product ? "product" : "category",
+      `${this.type} rules cannot be scoped to a product or category`
+    );
+  }
+  next();
+});
+
+module.exports = mongoose.model("AlertRule", alertRuleSchema);
@@ -0,0 +1,64 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const { ROLES } = require("../config/auth");
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "API key name is required"],
+      trim: true,
+      maxlength: [100, "API key name cannot exceed 100 characters"],
+    },
+    // First characters of the key, shown so users can tell keys apart
+    prefix: {
+      type: String,
+      required: true,
+    },
+    // Only a SHA-256 hash is stored; the key itself is shown once on creation
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "API key owner is required"],
+    },
+    role: {
+      type: String,
+      enum: {
+        values: ROLES,
+        message: "Role must be one of: " + ROLES.join(", "),
+      },
+      default: "clerk",
+    },
+    status: {
+      type: String,
+      enum: ["active", "revoked"],
+      default: "active",
+    },
+    expiresAt: Date,
+    lastUsedAt: Date,
+    revokedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+apiKeySchema.index({ user: 1, status: 1 });
+
+// Static methods
+apiKeySchema.statics.generateKey = function () {
+  return `ik_${crypto.randomBytes(24).toString("hex")}`;
+};
+
+apiKeySchema.statics.hashKey = function (key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+};
+
+module.exports = mongoose.model("ApiKey", apiKeySchema);
@@ -138,29 +138,33 @@ categorySchema.pre("save", async function (next) {
   next();
 });
 
-// Pre-remove middleware to handle cascading deletes
-categorySchema.pre("remove", async function (next) {
-  try {
-    // Check if category has children
-    const childrenCount = await this.constructor.countDocuments({
-      parent: this._id,
-    });
-    if (childrenCount > 0) {
-      return next(new Error("Cannot delete category that has subcategories"));
-    }
+// Pre-delete middleware to block deleting categories still in use
+categorySchema.pre(
+  "deleteOne",
+  { document: true, query: false },
+  async function (next) {
+    try {
+      // Check if category has children
+      const childrenCount = await this.constructor.countDocuments({
+        parent: this._id,
+      });
+      if (childrenCount > 0) {
+        return next(new Error("Cannot delete category that has subcategories"));
+      }
 
-    // Check if category has products
-    const Product = mongoose.model("Product");
-    const productCount = await Product.countDocuments({ category: this.name });
-    if (productCount > 0) {
-      return next(new Error("Cannot delete category that has products"));
-    }
+      // Check if category has products
+      const Product = mongoose.model("Product");
+      const productCount = await Product.countDocuments({ category: this._id });
+      if (productCount > 0) {
+        return next(new Error("Cannot delete category that has products"));
+      }
 
-    next();
-  } catch (error) {
-    next(error);
+      next();
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
 // Static methods
 categorySchema.statics.findByLevel = function (level) {
@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+// A receipt of stock at one unit cost, consumed by later outflows according
+// to the configured valuation method. Layers are kept per product: moving
+// stock between warehouses does not change its cost.
+const costLayerSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: [true, "Product reference is required"],
+    },
+    // Inflow that created the layer
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InventoryTransaction",
+    },
+    unitCost: {
+      type: Number,
+      required: [true, "Unit cost is required"],
+      min: [0, "Unit cost cannot be negative"],
+    },
+    quantity: {
+      type: Number,
+      required: [true, "Layer quantity is required"],
+      min: [1, "Layer quantity must be at least 1"],
+    },
+    // Only changed by inventory transactions
+    remaining: {
+      type: Number,
+      required: true,
+      min: [0, "Remaining quantity cannot be negative"],
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Virtual for the cost of the units left in the layer
+costLayerSchema.virtual("remainingValue").get(function () {
+  return Number((this.remaining * this.unitCost).toFixed(2));
+});
+
+// Consumption order
+costLayerSchema.index({ product: 1, receivedAt: 1 });
+costLayerSchema.index({ remaining: 1 });
+
+module.exports = mongoose.model("CostLayer", costLayerSchema);
@@ -0,0 +1,57 @@
+const mongoose = require("mongoose");
+
+const inventorySnapshotSchema = new mongoose.Schema(
+  {
+    // Start of the UTC day the snapshot describes (end-of-day stock)
+    date: {
+      type: Date,
+      required: [true, "Snapshot date is required"],
+    },
+    scope: {
+      type: String,
+      required: true,
+      enum: {
+        values: ["product", "category"],
+        message: "Scope must be product or category",
+      },
+    },
+    // Set for product snapshots only
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+    },
+    // Category of the product, or the category being totalled
+    // (null for uncategorized products)
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      default: 0,
+    },
+    // Quantity × price at the time the snapshot was taken
+    value: {
+      type: Number,
+      required: true,
+      default: 0,
+    },
+    // Number of products totalled (category snapshots)
+    productCount: Number,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One snapshot per day and product / category
+inventorySnapshotSchema.index(
+  { scope: 1, date: 1, product: 1, category: 1 },
+  { unique: true }
+);
+inventorySnapshotSchema.index({ product: 1, date: -1 });
+inventorySnapshotSchema.index({ category: 1, date: -1 });
+
+module.exports = mongoose.model("InventorySnapshot", inventorySnapshotSchema);
@@ -16,6 +16,8 @@ const inventoryTransactionSchema = new mongoose.Schema(
         "damaged",
         "expired",
         "transfer",
+        "returned",
+        "supplier_return",
       ],
       required: [true, "Transaction type is required"],
     },
@@ -29,13 +31,18 @@ const inventoryTransactionSchema = new mongoose.Schema(
         message: "Quantity must be a non-zero integer",
       },
     },
+    // Stock levels are only known once the transaction is applied
     previousQuantity: {
       type: Number,
-      required: true,
+      required: function () {
+        return this.status === "approved";
+      },
     },
     newQuantity: {
       type: Number,
-      required: true,
+      required: function () {
+        return this.status === "approved";
+      },
     },
     unitCost: {
       type: Number,
@@ -45,6 +52,12 @@ const inventoryTransactionSchema = new mongoose.Schema(
       type: Number,
       min: [0, "Total cost cannot be negative"],
     },
+    // Cost of the units a stock_out consumed from cost layers, under the
+    // valuation method configured when it was posted
+    costOfGoodsSold: {
+      type: Number,
+      min: [0, "Cost of goods sold cannot be negative"],
+    },
     reason: {
       type: String,
       required: [true, "Transaction reason is required"],
@@ -65,16 +78,118 @@ const inventoryTransactionSchema = new mongoose.Schema(
       required: [true, "User performing transaction is required"],
       trim: true,
     },
+    performedById: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
     location: {
-      warehouse: String,
+      warehouse: {
+        type: String,
+        trim: true,
+        uppercase: true,
+      },
+      section: String,
+      shelf: String,
+    },
+    // Receiving location of a transfer; location is the source
+    destination: {
+      warehouse: {
+        type: String,
+        trim: true,
+        uppercase: true,
+      },
       section: String,
       shelf: String,
     },
+    // Lot received (stock_in) or to consume instead of picking FEFO
+    lot: {
+      lotNumber: {
+        type: String,
+        trim: true,
+        uppercase: true,
+      },
+      expiryDate: Date,
+    },
+    // Lots the transaction actually moved, for lot-tracked products
+    lots: [
+      {
+        _id: false,
+        lot: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Lot",
+        },
+        lotNumber: String,
+        expiryDate: Date,
+        quantity: Number,
+      },
+    ],
+    // Units moved, for serial-tracked products
+    serialNumbers: [
+      {
+        type: String,
+        trim: true,
+        uppercase: true,
+      },
+    ],
+    // Reservation a stock_out fulfils; its reserved units are released
+    // when the stock_out is applied
+    reservation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Reservation",
+    },
+    // Purchase order line a stock_in receives against; a pending receipt
+    // is added to the line once approved
+    purchaseOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PurchaseOrder",
+    },
+    purchaseOrderLine: mongoose.Schema.Types.ObjectId,
+    // Stocktake session an adjustment corrects; a pending one settles the
+    // session's line once approved or rejected
+    stocktake: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "StocktakeSession",
+    },
+    // Return authorization (RMA) the transaction was written for
+    returnAuthorization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ReturnAuthorization",
+    },
     notes: {
       type: String,
       trim: true,
       maxlength: [500, "Notes cannot exceed 500 characters"],
     },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "approved",
+    },
+    approval: {
+      requiredReason: String,
+      approvedBy: String,
+      approvedById: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      approvedAt: Date,
+      notes: {
+        type: String,
+        trim: true,
+        maxlength: [500, "Approval notes cannot exceed 500 characters"],
+      },
+      rejectedBy: String,
+      rejectedById: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      rejectedAt: Date,
+      rejectionReason: {
+        type: String,
+        trim: true,
+        maxlength: [500, "Rejection reason cannot exceed 500 characters"],
+      },
+    },
   },
   {
     timestamps: true,
@@ -86,6 +201,10 @@ inventoryTransactionSchema.index({ product: 1, createdAt: -1 });
 inventoryTransactionSchema.index({ type: 1, createdAt: -1 });
 inventoryTransactionSchema.index({ performedBy: 1, createdAt: -1 });
 inventoryTransactionSchema.index({ createdAt: -1 });
+inventoryTransactionSchema.index({ status: 1, createdAt: 1 });
+inventoryTransactionSchema.index({ "location.warehouse": 1, createdAt: -1 });
+inventoryTransactionSchema.index({ serialNumbers: 1 });
+inventoryTransactionSchema.index({ returnAuthorization: 1 }, { sparse: true });
 
 // Pre-save middleware to calculate total cost
 inventoryTransactionSchema.pre("save", function (next) {
@@ -126,7 +245,8 @@ inventoryTransactionSchema.statics.getInventorySummary = function (
   startDate,
   endDate
 ) {
-  const matchStage = {};
+  // Pending and rejected transactions never touched stock
+  const matchStage = { status: { $nin: ["pending", "rejected"] } };
   if (startDate || endDate) {
     matchStage.createdAt = {};
     if (startDate) matchStage.createdAt.$gte = new Date(startDate);
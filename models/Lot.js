@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+
+const lotSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: [true, "Product reference is required"],
+    },
+    warehouse: {
+      type: String,
+      required: [true, "Warehouse is required"],
+      trim: true,
+      uppercase: true,
+    },
+    lotNumber: {
+      type: String,
+      required: [true, "Lot number is required"],
+      trim: true,
+      uppercase: true,
+      maxlength: [50, "Lot number cannot exceed 50 characters"],
+    },
+    expiryDate: Date,
+    receivedDate: {
+      type: Date,
+      default: Date.now,
+    },
+    // Remaining quantity; only changed by inventory transactions
+    quantity: {
+      type: Number,
+      required: true,
+      min: [0, "Lot quantity cannot be negative"],
+      default: 0,
+    },
+    // Set once the expiry job has written the lot off
+    status: {
+      type: String,
+      enum: ["active", "expired"],
+      default: "active",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Virtual for whole days until the lot expires (negative once expired)
+lotSchema.virtual("daysUntilExpiry").get(function () {
+  if (!this.expiryDate) return null;
+  return Math.ceil((this.expiryDate - Date.now()) / (24 * 60 * 60 * 1000));
+});
+
+// One lot per product, warehouse and lot number
+lotSchema.index({ product: 1, warehouse: 1, lotNumber: 1 }, { unique: true });
+// FEFO picking order
+lotSchema.index({ product: 1, warehouse: 1, expiryDate: 1, receivedDate: 1 });
+lotSchema.index({ status: 1, expiryDate: 1 });
+
+module.exports = mongoose.model("Lot", lotSchema);
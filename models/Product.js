@@ -1,4 +1,6 @@
 const mongoose = require("mongoose");
+const { availableQuantity, stockStatus } = require("../utils/stock");
+const { validateAttributes } = require("../utils/attributes");
 
 const productSchema = new mongoose.Schema(
   {
@@ -20,6 +22,7 @@ const productSchema = new mongoose.Schema(
         message: "Product price must be a valid number",
       },
     },
+    // Total across all warehouses (sum of StockLevel quantities)
     quantity: {
       type: Number,
       required: [true, "Product quantity is required"],
@@ -31,10 +34,22 @@ const productSchema = new mongoose.Schema(
         message: "Product quantity must be an integer",
       },
     },
+    // Units held by active reservations (sum of StockLevel reserved)
+    reservedQuantity: {
+      type: Number,
+      default: 0,
+      min: [0, "Reserved quantity cannot be negative"],
+    },
     category: {
-      type: String,
-      trim: true,
-      maxlength: [50, "Category cannot exceed 50 characters"],
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      validate: {
+        validator: async function (value) {
+          if (!value) return true; // Optional field
+          return !!(await mongoose.model("Category").exists({ _id: value }));
+        },
+        message: "Category does not exist",
+      },
     },
     description: {
       type: String,
@@ -55,26 +70,14 @@ const productSchema = new mongoose.Schema(
       trim: true,
     },
     supplier: {
-      name: {
-        type: String,
-        trim: true,
-        maxlength: [100, "Supplier name cannot exceed 100 characters"],
-      },
-      email: {
-        type: String,
-        trim: true,
-        lowercase: true,
-        validate: {
-          validator: function (email) {
-            if (!email) return true; // Optional field
-            return /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/.test(email);
-          },
-          message: "Please enter a valid email address",
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Supplier",
+      validate: {
+        validator: async function (value) {
+          if (!value) return true; // Optional field
+          return !!(await mongoose.model("Supplier").exists({ _id: value }));
         },
-      },
-      phone: {
-        type: String,
-        trim: true,
+        message: "Supplier does not exist",
       },
     },
     dimensions: {
@@ -93,6 +96,69 @@ const productSchema = new mongoose.Schema(
       default: 5,
       min: [0, "Low stock threshold cannot be negative"],
     },
+    // Receipts record a lot number and stock is picked first-expired-first-out
+    trackLots: {
+      type: Boolean,
+      default: false,
+    },
+    // Receipts, stock outs and damage name the exact units by serial number
+    trackSerials: {
+      type: Boolean,
+      default: false,
+    },
+    // Replenishment settings; unset values fall back to the defaults in
+    // config/inventory.js
+    reorder: {
+      reorderPoint: {
+        type: Number,
+        min: [0, "Reorder point cannot be negative"],
+      },
+      reorderQuantity: {
+        type: Number,
+        min: [1, "Reorder quantity must be at least 1"],
+        validate: {
+          validator: (value) => value == null || Number.isInteger(value),
+          message: "Reorder quantity must be an integer",
+        },
+      },
+      daysOfCover: {
+        type: Number,
+        min: [1, "Days of cover must be at least 1"],
+      },
+      leadTimeDays: {
+        type: Number,
+        min: [0, "Lead time cannot be negative"],
+      },
+      preferredSupplier: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Supplier",
+        validate: {
+          validator: async function (value) {
+            if (!value) return true; // Falls back to the product supplier
+            return !!(await mongoose.model("Supplier").exists({ _id: value }));
+          },
+          message: "Preferred supplier does not exist",
+        },
+      },
+    },
+    // Values for the attributes defined on the category, keyed by name
+    attributes: {
+      type: Map,
+      of: mongoose.Schema.Types.Mixed,
+    },
+    // Set on variants: the product they are a variant of
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      default: null,
+    },
+    // Set on parents: the attributes their variants differ by
+    variantAttributes: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
     tags: [
       {
         type: String,
@@ -129,11 +195,14 @@ productSchema.virtual("totalValue").get(function () {
   return Number((this.price * this.quantity).toFixed(2));
 });
 
-// Virtual for stock status
+// Virtual for available-to-promise stock (on hand minus reserved)
+productSchema.virtual("availableQuantity").get(function () {
+  return this.quantity - (this.reservedQuantity || 0);
+});
+
+// Virtual for stock status, based on available stock
 productSchema.virtual("stockStatus").get(function () {
-  if (this.quantity === 0) return "out_of_stock";
-  if (this.quantity <= this.lowStockThreshold) return "low_stock";
-  return "in_stock";
+  return stockStatus(this.availableQuantity, this.lowStockThreshold);
 });
 
 // Virtual for formatted price
@@ -141,20 +210,72 @@ productSchema.virtual("formattedPrice").get(function () {
   return `$${this.price.toFixed(2)}`;
 });
 
+// Virtual for the variants of a parent product
+productSchema.virtual("variants", {
+  ref: "Product",
+  localField: "_id",
+  foreignField: "parent",
+});
+
 // Index for better query performance
-productSchema.index({ name: "text", description: "text", category: "text" });
+productSchema.index({ name: "text", description: "text", tags: "text" });
 productSchema.index({ category: 1 });
 productSchema.index({ status: 1 });
 productSchema.index({ quantity: 1 });
-productSchema.index({ "supplier.name": 1 });
+productSchema.index({ supplier: 1 });
+productSchema.index({ parent: 1 });
+
+// Validate attribute values against the category's attribute definitions
+productSchema.pre("validate", async function (next) {
+  if (
+    !this.isNew &&
+    !this.isModified("attributes") &&
+    !this.isModified("category")
+  ) {
+    return next();
+  }
+
+  const values = Object.fromEntries(this.attributes || []);
+  if (!this.category && Object.keys(values).length === 0) return next();
+
+  try {
+    const result = await this.constructor.checkAttributes(
+      this.category,
+      values,
+      this.$session()
+    );
+    if (result.errors.length > 0) {
+      result.errors.forEach((error) =>
+        this.invalidate(error.field, error.message, error.value)
+      );
+    } else {
+      this.attributes = result.values;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
 
 // Pre-save middleware
-productSchema.pre("save", function (next) {
-  // Auto-generate SKU if not provided
+productSchema.pre("save", async function (next) {
+  // Auto-generate SKU if not provided, prefixed with the category name
   if (!this.sku && this.isNew) {
-    const prefix = this.category
-      ? this.category.substring(0, 3).toUpperCase()
-      : "PRD";
+    let prefix = "PRD";
+    if (this.category) {
+      try {
+        const category = await mongoose
+          .model("Category")
+          .findById(this.category)
+          .select("name")
+          .session(this.$session());
+        if (category) {
+          prefix = category.name.substring(0, 3).toUpperCase();
+        }
+      } catch (error) {
+        return next(error);
+      }
+    }
     const timestamp = Date.now().toString().slice(-6);
     const random = Math.random().toString(36).substring(2, 5).toUpperCase();
     this.sku = `${prefix}-${timestamp}-${random}`;
@@ -178,22 +299,44 @@ productSchema.pre("save", function (next) {
 });
 
 // Static methods
-productSchema.statics.findByCategory = function (category) {
-  return this.find({ category: new RegExp(category, "i"), status: "active" });
+productSchema.statics.checkAttributes = async function (
+  categoryId,
+  values = {},
+  session = null
+) {
+  const category = categoryId
+    ? await mongoose
+        .model("Category")
+        .findById(categoryId)
+        .select("attributes")
+        .session(session)
+    : null;
+  // A missing category is reported by the category validator
+  if (categoryId && !category) return { values, errors: [] };
+  return validateAttributes(category?.attributes || [], values);
+};
+
+productSchema.statics.findByCategory = function (categoryId) {
+  return this.find({ category: categoryId, status: "active" });
 };
 
 productSchema.statics.findLowStock = function (threshold = null) {
   return this.find({
     $expr: {
-      $lte: ["$quantity", threshold || "$lowStockThreshold"],
+      $and: [
+        { $gt: [availableQuantity(), 0] },
+        { $lte: [availableQuantity(), threshold || "$lowStockThreshold"] },
+      ],
     },
     status: "active",
-    quantity: { $gt: 0 },
   });
 };
 
 productSchema.statics.findOutOfStock = function () {
-  return this.find({ quantity: 0, status: "active" });
+  return this.find({
+    $expr: { $lte: [availableQuantity(), 0] },
+    status: "active",
+  });
 };
 
 productSchema.statics.searchProducts = function (searchTerm) {
@@ -201,7 +344,6 @@ productSchema.statics.searchProducts = function (searchTerm) {
     $or: [
       { name: new RegExp(searchTerm, "i") },
       { description: new RegExp(searchTerm, "i") },
-      { category: new RegExp(searchTerm, "i") },
       { sku: new RegExp(searchTerm, "i") },
       { tags: { $in: [new RegExp(searchTerm, "i")] } },
     ],
@@ -211,11 +353,14 @@ productSchema.statics.searchProducts = function (searchTerm) {
 
 // Instance methods
 productSchema.methods.isInStock = function () {
-  return this.quantity > 0;
+  return this.availableQuantity > 0;
 };
 
 productSchema.methods.isLowStock = function () {
-  return this.quantity <= this.lowStockThreshold && this.quantity > 0;
+  return (
+    this.availableQuantity <= this.lowStockThreshold &&
+    this.availableQuantity > 0
+  );
 };
 
 productSchema.methods.updateQuantity = function (change) {
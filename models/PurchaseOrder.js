@@ -0,0 +1,207 @@
+const mongoose = require("mongoose");
+
+const purchaseOrderLineSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: [true, "Product reference is required"],
+  },
+  quantityOrdered: {
+    type: Number,
+    required: [true, "Ordered quantity is required"],
+    min: [1, "Ordered quantity must be at least 1"],
+    validate: {
+      validator: Number.isInteger,
+      message: "Ordered quantity must be an integer",
+    },
+  },
+  quantityReceived: {
+    type: Number,
+    default: 0,
+    min: [0, "Received quantity cannot be negative"],
+  },
+  // Received units whose stock_in is waiting for approval
+  quantityPending: {
+    type: Number,
+    default: 0,
+    min: [0, "Pending quantity cannot be negative"],
+  },
+  unitCost: {
+    type: Number,
+    required: [true, "Unit cost is required"],
+    min: [0, "Unit cost cannot be negative"],
+  },
+});
+
+const purchaseOrderSchema = new mongoose.Schema(
+  {
+    poNumber: {
+      type: String,
+      unique: true,
+      trim: true,
+      uppercase: true,
+    },
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Supplier",
+      required: [true, "Supplier is required"],
+    },
+    status: {
+      type: String,
+      enum: [
+        "draft",
+        "submitted",
+        "partially_received",
+        "received",
+        "closed",
+        "cancelled",
+      ],
+      default: "draft",
+    },
+    lines: {
+      type: [purchaseOrderLineSchema],
+      validate: {
+        validator: (lines) => lines.length > 0,
+        message: "A purchase order needs at least one line",
+      },
+    },
+    // Warehouse goods are received into
+    warehouse: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+    expectedDeliveryDate: Date,
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Notes cannot exceed 500 characters"],
+    },
+    createdBy: String,
+    createdById: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    submittedAt: Date,
+    submittedBy: String,
+    receivedAt: Date,
+    receipts: [
+      {
+        receivedAt: { type: Date, default: Date.now },
+        receivedBy: String,
+        transactions: [
+          {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "InventoryTransaction",
+          },
+        ],
+      },
+    ],
+    closedAt: Date,
+    closedBy: String,
+    cancelledAt: Date,
+    cancelledBy: String,
+    cancellationReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Cancellation reason cannot exceed 500 characters"],
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Virtual for the order value
+purchaseOrderSchema.virtual("totalValue").get(function () {
+  return (this.lines || []).reduce(
+    (sum, line) => sum + line.quantityOrdered * line.unitCost,
+    0
+  );
+});
+
+// Virtual for the value still to be received
+purchaseOrderSchema.virtual("outstandingValue").get(function () {
+  return (this.lines || []).reduce(
+    (sum, line) =>
+      sum +
+      Math.max(line.quantityOrdered - line.quantityReceived, 0) * line.unitCost,
+    0
+  );
+});
+
+// Instance methods
+// Move an open order to received or partially_received from its lines;
+// receipts waiting for approval do not count
+purchaseOrderSchema.methods.refreshReceiptStatus = function () {
+  if (!["submitted", "partially_received"].includes(this.status)) return;
+
+  if (
+    this.lines.every((line) => line.quantityReceived >= line.quantityOrdered)
+  ) {
+    this.status = "received";
+    this.receivedAt = new Date();
+  } else if (this.lines.some((line) => line.quantityReceived > 0)) {
+    this.status = "partially_received";
+  }
+};
+
+// Payload of the purchase_order.received event for applied receipts
+purchaseOrderSchema.methods.toReceivedEvent = function (
+  supplier,
+  receivedBy,
+  transactions
+) {
+  return {
+    purchaseOrder: {
+      id: this._id,
+      poNumber: this.poNumber,
+      status: this.status,
+      warehouse: this.warehouse,
+    },
+    supplier: supplier
+      ? { id: supplier._id, name: supplier.name }
+      : { id: this.supplier },
+    fullyReceived: this.status === "received",
+    receivedBy,
+    items: transactions.map((transaction) => ({
+      product: transaction.product,
+      quantity: transaction.quantity,
+      transaction: transaction._id,
+    })),
+  };
+};
+
+// Indexes for better query performance
+purchaseOrderSchema.index({ supplier: 1, status: 1 });
+purchaseOrderSchema.index({ status: 1, createdAt: -1 });
+// poNumber index already created by unique: true
+
+// Pre-validate middleware to number new orders PO-YYYYMMDD-NNNN
+purchaseOrderSchema.pre("validate", async function (next) {
+  if (this.poNumber || !this.isNew) return next();
+
+  try {
+    const prefix = `PO-${new Date()
+      .toISOString()
+      .substring(0, 10)
+      .replace(/-/g, "")}-`;
+    const latest = await this.constructor
+      .findOne({ poNumber: new RegExp(`^${prefix}`) })
+      .sort({ poNumber: -1 })
+      .select("poNumber")
+      .session(this.$session());
+    const sequence = latest
+      ? parseInt(latest.poNumber.substring(prefix.length)) + 1
+      : 1;
+
+    this.poNumber = `${prefix}${String(sequence).padStart(4, "0")}`;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = mongoose.model("PurchaseOrder", purchaseOrderSchema);
@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+
+const reservationSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: [true, "Product reference is required"],
+    },
+    warehouse: {
+      type: String,
+      required: [true, "Warehouse is required"],
+      trim: true,
+      uppercase: true,
+    },
+    quantity: {
+      type: Number,
+      required: [true, "Reserved quantity is required"],
+      min: [1, "Reserved quantity must be at least 1"],
+      validate: {
+        validator: Number.isInteger,
+        message: "Reserved quantity must be an integer",
+      },
+    },
+    salesOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SalesOrder",
+    },
+    // active: holding stock; fulfilling: stock_out awaiting approval;
+    // fulfilled, released and expired no longer hold stock
+    status: {
+      type: String,
+      enum: ["active", "fulfilling", "fulfilled", "released", "expired"],
+      default: "active",
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, "Expiry date is required"],
+    },
+    // stock_out transaction that consumed the reservation
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InventoryTransaction",
+    },
+    reservedBy: String,
+    reservedById: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    fulfilledAt: Date,
+    releasedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+reservationSchema.index({ status: 1, expiresAt: 1 });
+reservationSchema.index({ product: 1, status: 1 });
+reservationSchema.index({ salesOrder: 1 });
+
+module.exports = mongoose.model("Reservation", reservationSchema);
@@ -0,0 +1,231 @@
+const mongoose = require("mongoose");
+
+const REASON_CODES = [
+  "damaged_in_transit",
+  "defective",
+  "wrong_item",
+  "not_as_described",
+  "no_longer_needed",
+  "expired",
+  "overstock",
+  "other",
+];
+
+const returnLineSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: [true, "Product reference is required"],
+  },
+  quantity: {
+    type: Number,
+    required: [true, "Quantity is required"],
+    min: [1, "Quantity must be at least 1"],
+    validate: {
+      validator: Number.isInteger,
+      message: "Quantity must be an integer",
+    },
+  },
+  reasonCode: {
+    type: String,
+    enum: {
+      values: REASON_CODES,
+      message: "Unknown return reason code",
+    },
+    required: [true, "Reason code is required"],
+  },
+  // Credited per unit on supplier returns
+  unitCost: {
+    type: Number,
+    min: [0, "Unit cost cannot be negative"],
+  },
+  serialNumbers: [
+    {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+  ],
+  lot: {
+    lotNumber: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+    expiryDate: Date,
+  },
+  // Customer returns only: inspected after they arrive in quarantine
+  inspection: {
+    status: {
+      type: String,
+      enum: ["pending", "passed", "failed"],
+      default: "pending",
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Inspection notes cannot exceed 500 characters"],
+    },
+    inspectedBy: String,
+    inspectedAt: Date,
+  },
+  // restock: back into sellable stock; quarantine: held for follow-up;
+  // scrap: written off as damaged
+  disposition: {
+    type: String,
+    enum: ["restock", "quarantine", "scrap"],
+  },
+  transactions: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InventoryTransaction",
+    },
+  ],
+});
+
+const returnAuthorizationSchema = new mongoose.Schema(
+  {
+    rmaNumber: {
+      type: String,
+      unique: true,
+      trim: true,
+      uppercase: true,
+    },
+    // customer: goods coming back from a customer; supplier: goods going
+    // back to a supplier for credit
+    type: {
+      type: String,
+      enum: ["customer", "supplier"],
+      required: [true, "Return type is required"],
+    },
+    customer: {
+      name: {
+        type: String,
+        trim: true,
+        maxlength: [100, "Customer name cannot exceed 100 characters"],
+        required: [
+          function () {
+            return this.type === "customer";
+          },
+          "Customer name is required for customer returns",
+        ],
+      },
+      email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+      },
+      reference: {
+        type: String,
+        trim: true,
+        maxlength: [50, "Customer reference cannot exceed 50 characters"],
+      },
+    },
+    salesOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SalesOrder",
+    },
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Supplier",
+      required: [
+        function () {
+          return this.type === "supplier";
+        },
+        "Supplier is required for supplier returns",
+      ],
+    },
+    purchaseOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PurchaseOrder",
+    },
+    // Warehouse restocked into (customer) or shipped from (supplier)
+    warehouse: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+    // requested: authorized, nothing moved; received: customer goods in
+    // quarantine awaiting inspection; completed: every line dispositioned
+    // or shipped back
+    status: {
+      type: String,
+      enum: ["requested", "received", "completed", "cancelled"],
+      default: "requested",
+    },
+    lines: {
+      type: [returnLineSchema],
+      validate: {
+        validator: (lines) => lines.length > 0,
+        message: "A return needs at least one line",
+      },
+    },
+    // Supplier returns: credit raised against the supplier when shipped
+    creditNote: {
+      creditNoteNumber: String,
+      amount: Number,
+      issuedAt: Date,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Notes cannot exceed 500 characters"],
+    },
+    createdBy: String,
+    createdById: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    receivedAt: Date,
+    receivedBy: String,
+    completedAt: Date,
+    cancelledAt: Date,
+    cancelledBy: String,
+    cancellationReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Cancellation reason cannot exceed 500 characters"],
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for better query performance
+returnAuthorizationSchema.index({ type: 1, status: 1, createdAt: -1 });
+returnAuthorizationSchema.index({ supplier: 1, status: 1 });
+returnAuthorizationSchema.index({ salesOrder: 1 });
+// rmaNumber index already created by unique: true
+
+// Pre-validate middleware to number new returns RMA-YYYYMMDD-NNNN
+returnAuthorizationSchema.pre("validate", async function (next) {
+  if (this.rmaNumber || !this.isNew) return next();
+
+  try {
+    const prefix = `RMA-${new Date()
+      .toISOString()
+      .substring(0, 10)
+      .replace(/-/g, "")}-`;
+    const latest = await this.constructor
+      .findOne({ rmaNumber: new RegExp(`^${prefix}`) })
+      .sort({ rmaNumber: -1 })
+      .select("rmaNumber")
+      .session(this.$session());
+    const sequence = latest
+      ? parseInt(latest.rmaNumber.substring(prefix.length)) + 1
+      : 1;
+
+    this.rmaNumber = `${prefix}${String(sequence).padStart(4, "0")}`;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = mongoose.model(
+  "ReturnAuthorization",
+  returnAuthorizationSchema
+);
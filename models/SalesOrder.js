@@ -0,0 +1,143 @@
+const mongoose = require("mongoose");
+
+const salesOrderLineSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: [true, "Product reference is required"],
+  },
+  quantity: {
+    type: Number,
+    required: [true, "Quantity is required"],
+    min: [1, "Quantity must be at least 1"],
+    validate: {
+      validator: Number.isInteger,
+      message: "Quantity must be an integer",
+    },
+  },
+  unitPrice: {
+    type: Number,
+    min: [0, "Unit price cannot be negative"],
+  },
+  reservation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Reservation",
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "InventoryTransaction",
+  },
+});
+
+const salesOrderSchema = new mongoose.Schema(
+  {
+    orderNumber: {
+      type: String,
+      unique: true,
+      trim: true,
+      uppercase: true,
+    },
+    customer: {
+      name: {
+        type: String,
+        required: [true, "Customer name is required"],
+        trim: true,
+        maxlength: [100, "Customer name cannot exceed 100 characters"],
+      },
+      email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+      },
+      reference: {
+        type: String,
+        trim: true,
+        maxlength: [50, "Customer reference cannot exceed 50 characters"],
+      },
+    },
+    // open: stock reserved; fulfilling: stock_out awaiting approval
+    status: {
+      type: String,
+      enum: ["open", "fulfilling", "fulfilled", "cancelled", "expired"],
+      default: "open",
+    },
+    lines: {
+      type: [salesOrderLineSchema],
+      validate: {
+        validator: (lines) => lines.length > 0,
+        message: "A sales order needs at least one line",
+      },
+    },
+    // Warehouse stock is reserved in and shipped from
+    warehouse: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+    expiresAt: Date,
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Notes cannot exceed 500 characters"],
+    },
+    createdBy: String,
+    createdById: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    fulfilledAt: Date,
+    fulfilledBy: String,
+    cancelledAt: Date,
+    cancelledBy: String,
+    cancellationReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Cancellation reason cannot exceed 500 characters"],
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Virtual for the order value
+salesOrderSchema.virtual("totalValue").get(function () {
+  return (this.lines || []).reduce(
+    (sum, line) => sum + line.quantity * (line.unitPrice || 0),
+    0
+  );
+});
+
+// Indexes for better query performance
+salesOrderSchema.index({ status: 1, createdAt: -1 });
+salesOrderSchema.index({ "customer.name": 1 });
+// orderNumber index already created by unique: true
+
+// Pre-validate middleware to number new orders SO-YYYYMMDD-NNNN
+salesOrderSchema.pre("validate", async function (next) {
+  if (this.orderNumber || !this.isNew) return next();
+
+  try {
+    const prefix = `SO-${new Date()
+      .toISOString()
+      .substring(0, 10)
+      .replace(/-/g, "")}-`;
+    const latest = await this.constructor
+      .findOne({ orderNumber: new RegExp(`^${prefix}`) })
+      .sort({ orderNumber: -1 })
+      .select("orderNumber")
+      .session(this.$session());
+    const sequence = latest
+      ? parseInt(latest.orderNumber.substring(prefix.length)) + 1
+      : 1;
+
+    this.orderNumber = `${prefix}${String(sequence).padStart(4, "0")}`;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = mongoose.model("SalesOrder", salesOrderSchema);
@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+
+const serialNumberSchema = new mongoose.Schema(
+  {
+    serial: {
+      type: String,
+      required: [true, "Serial number is required"],
+      unique: true,
+      trim: true,
+      uppercase: true,
+      maxlength: [100, "Serial number cannot exceed 100 characters"],
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: [true, "Product reference is required"],
+    },
+    // Warehouse holding the unit, or that it last left
+    warehouse: {
+      type: String,
+      required: [true, "Warehouse is required"],
+      trim: true,
+      uppercase: true,
+    },
+    // Only changed by inventory transactions
+    status: {
+      type: String,
+      enum: [
+        "in_stock",
+        "shipped",
+        "damaged",
+        "expired",
+        "written_off",
+        "returned_to_supplier",
+      ],
+      default: "in_stock",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+serialNumberSchema.index({ product: 1, warehouse: 1, status: 1 });
+// serial index already created by unique: true
+
+module.exports = mongoose.model("SerialNumber", serialNumberSchema);
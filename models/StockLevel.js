@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+
+const stockLevelSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: [true, "Product reference is required"],
+    },
+    warehouse: {
+      type: String,
+      required: [true, "Warehouse is required"],
+      trim: true,
+      uppercase: true,
+      maxlength: [50, "Warehouse cannot exceed 50 characters"],
+    },
+    // Only changed by inventory transactions, together with Product.quantity
+    quantity: {
+      type: Number,
+      required: true,
+      min: [0, "Quantity cannot be negative"],
+      default: 0,
+    },
+    // Units held by active reservations; available = quantity - reserved
+    reserved: {
+      type: Number,
+      min: [0, "Reserved quantity cannot be negative"],
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One stock level per product and warehouse
+stockLevelSchema.index({ product: 1, warehouse: 1 }, { unique: true });
+stockLevelSchema.index({ warehouse: 1, quantity: 1 });
+
+module.exports = mongoose.model("StockLevel", stockLevelSchema);
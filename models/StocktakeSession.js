@@ -0,0 +1,188 @@
+const mongoose = require("mongoose");
+
+const stocktakeCountSchema = new mongoose.Schema(
+  {
+    quantity: {
+      type: Number,
+      required: [true, "Counted quantity is required"],
+      min: [0, "Counted quantity cannot be negative"],
+      validate: {
+        validator: Number.isInteger,
+        message: "Counted quantity must be an integer",
+      },
+    },
+    countedBy: {
+      type: String,
+      required: [true, "Counter is required"],
+    },
+    countedById: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    countedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const stocktakeLineSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: [true, "Product reference is required"],
+    },
+    sku: String,
+    name: String,
+    abcClass: {
+      type: String,
+      enum: ["A", "B", "C"],
+    },
+    // Frozen when the session opens; variances are measured against these
+    expectedQuantity: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    unitCost: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // Every count submitted, in order; the latest is the counted quantity
+    counts: [stocktakeCountSchema],
+    // Adjustment posted for the line's variance
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InventoryTransaction",
+    },
+    // Whether that adjustment was applied, awaits approval or was rejected
+    adjustmentStatus: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+    },
+  },
+  {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Counted quantity (latest count), or null while uncounted
+stocktakeLineSchema.virtual("countedQuantity").get(function () {
+  const latest = this.counts?.[this.counts.length - 1];
+  return latest ? latest.quantity : null;
+});
+
+const stocktakeSessionSchema = new mongoose.Schema(
+  {
+    sessionNumber: {
+      type: String,
+      unique: true,
+      trim: true,
+      uppercase: true,
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Name cannot exceed 100 characters"],
+    },
+    warehouse: {
+      type: String,
+      required: [true, "Warehouse is required"],
+      trim: true,
+      uppercase: true,
+    },
+    // What the session covers within the warehouse
+    scope: {
+      category: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Category",
+      },
+      abcClass: {
+        type: String,
+        enum: ["A", "B", "C"],
+      },
+    },
+    // counting: accepting counts; awaiting_approval: some adjustments wait
+    // for approval; posted: every adjustment applied; partially_posted:
+    // some adjustments were rejected, leaving those lines uncorrected
+    status: {
+      type: String,
+      enum: [
+        "counting",
+        "awaiting_approval",
+        "posted",
+        "partially_posted",
+        "cancelled",
+      ],
+      default: "counting",
+    },
+    // Adjustments still waiting for approval
+    pendingTransactions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "InventoryTransaction",
+      },
+    ],
+    lines: [stocktakeLineSchema],
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Notes cannot exceed 500 characters"],
+    },
+    createdBy: String,
+    createdById: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    postedAt: Date,
+    postedBy: String,
+    cancelledAt: Date,
+    cancelledBy: String,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Virtual for how many lines have at least one count
+stocktakeSessionSchema.virtual("countedLines").get(function () {
+  return (this.lines || []).filter((line) => line.counts.length > 0).length;
+});
+
+// Indexes for better query performance
+stocktakeSessionSchema.index({ status: 1, createdAt: -1 });
+stocktakeSessionSchema.index({ warehouse: 1, status: 1 });
+// sessionNumber index already created by unique: true
+
+// Pre-validate middleware to number new sessions ST-YYYYMMDD-NNNN
+stocktakeSessionSchema.pre("validate", async function (next) {
+  if (this.sessionNumber || !this.isNew) return next();
+
+  try {
+    const prefix = `ST-${new Date()
+      .toISOString()
+      .substring(0, 10)
+      .replace(/-/g, "")}-`;
+    const latest = await this.constructor
+      .findOne({ sessionNumber: new RegExp(`^${prefix}`) })
+      .sort({ sessionNumber: -1 })
+      .select("sessionNumber")
+      .session(this.$session());
+    const sequence = latest
+      ? parseInt(latest.sessionNumber.substring(prefix.length)) + 1
+      : 1;
+
+    this.sessionNumber = `${prefix}${String(sequence).padStart(4, "0")}`;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = mongoose.model("StocktakeSession", stocktakeSessionSchema);
@@ -90,6 +90,8 @@ const supplierSchema = new mongoose.Schema(
       min: [0, "Credit limit cannot be negative"],
       default: 0,
     },
+    // Set when a purchase order to this supplier is submitted
+    lastOrderDate: Date,
     taxId: {
       type: String,
       trim: true,
@@ -179,7 +181,7 @@ supplierSchema.virtual("fullAddress").get(function () {
 supplierSchema.virtual("productCount", {
   ref: "Product",
   localField: "_id",
-  foreignField: "supplier.id",
+  foreignField: "supplier",
   count: true,
 });
 
@@ -230,7 +232,7 @@ supplierSchema.statics.getTopSuppliers = function (limit = 10) {
       $lookup: {
         from: "products",
         localField: "_id",
-        foreignField: "supplier.id",
+        foreignField: "supplier",
         as: "products",
       },
     },
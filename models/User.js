@@ -0,0 +1,98 @@
+const mongoose = require("mongoose");
+const bcrypt = require("bcryptjs");
+const { ROLES, getAuthConfig } = require("../config/auth");
+
+const userSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "User name is required"],
+      trim: true,
+      maxlength: [100, "User name cannot exceed 100 characters"],
+    },
+    email: {
+      type: String,
+      required: [true, "Email is required"],
+      unique: true,
+      trim: true,
+      lowercase: true,
+      validate: {
+        validator: function (email) {
+          return /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,})+$/.test(email);
+        },
+        message: "Please enter a valid email address",
+      },
+    },
+    password: {
+      type: String,
+      required: [true, "Password is required"],
+      minlength: [8, "Password must be at least 8 characters"],
+      select: false,
+    },
+    role: {
+      type: String,
+      enum: {
+        values: ROLES,
+        message: "Role must be one of: " + ROLES.join(", "),
+      },
+      default: "clerk",
+    },
+    status: {
+      type: String,
+      enum: ["active", "inactive"],
+      default: "active",
+    },
+    // Incremented on logout to revoke outstanding refresh tokens
+    tokenVersion: {
+      type: Number,
+      default: 0,
+      select: false,
+    },
+    lastLoginAt: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.password;
+        delete ret.tokenVersion;
+        return ret;
+      },
+    },
+  }
+);
+
+// Indexes for better query performance
+userSchema.index({ role: 1, status: 1 });
+
+// Pre-save middleware to hash passwords
+userSchema.pre("save", async function (next) {
+  if (!this.isModified("password")) return next();
+
+  try {
+    this.password = await bcrypt.hash(
+      this.password,
+      getAuthConfig().saltRounds
+    );
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Instance methods
+userSchema.methods.comparePassword = function (candidate) {
+  return bcrypt.compare(candidate, this.password);
+};
+
+// Identity attached to authenticated requests
+userSchema.methods.toIdentity = function () {
+  return {
+    id: this._id.toString(),
+    name: this.name,
+    email: this.email,
+    role: this.role,
+  };
+};
+
+module.exports = mongoose.model("User", userSchema);
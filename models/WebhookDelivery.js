@@ -0,0 +1,76 @@
+const mongoose = require("mongoose");
+
+const DELIVERY_STATUSES = ["pending", "succeeded", "failed"];
+
+// One HTTP attempt at a delivery
+const deliveryAttemptSchema = new mongoose.Schema(
+  {
+    attemptedAt: {
+      type: Date,
+      required: true,
+    },
+    responseStatus: Number,
+    // Truncated response body, kept for troubleshooting
+    responseBody: String,
+    error: String,
+    durationMs: Number,
+  },
+  { _id: false }
+);
+
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    subscription: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WebhookSubscription",
+      required: [true, "Webhook subscription is required"],
+    },
+    // The event as published; replays resend it unchanged
+    event: {
+      id: {
+        type: String,
+        required: true,
+      },
+      type: {
+        type: String,
+        required: true,
+      },
+      occurredAt: {
+        type: Date,
+        required: true,
+      },
+      data: mongoose.Schema.Types.Mixed,
+    },
+    status: {
+      type: String,
+      enum: DELIVERY_STATUSES,
+      default: "pending",
+    },
+    attemptCount: {
+      type: Number,
+      default: 0,
+    },
+    attempts: [deliveryAttemptSchema],
+    // When a pending delivery is next due; also leases it while in flight
+    nextAttemptAt: Date,
+    deliveredAt: Date,
+    replayOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WebhookDelivery",
+    },
+    replayedBy: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ subscription: 1, createdAt: -1 });
+webhookDeliverySchema.index({ "event.id": 1 });
+
+module.exports = mongoose.model("WebhookDelivery", webhookDeliverySchema);
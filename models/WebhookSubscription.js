@@ -0,0 +1,81 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const { EVENT_TYPES } = require("../utils/events");
+
+// "*" subscribes to every event type
+const SUBSCRIBABLE_EVENTS = ["*", ...EVENT_TYPES];
+
+const webhookSubscriptionSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: [true, "Webhook URL is required"],
+      trim: true,
+      maxlength: [2000, "Webhook URL cannot exceed 2000 characters"],
+      validate: {
+        validator: function (url) {
+          try {
+            return ["http:", "https:"].includes(new URL(url).protocol);
+          } catch {
+            return false;
+          }
+        },
+        message: "Webhook URL must be an http or https URL",
+      },
+    },
+    events: {
+      type: [
+        {
+          type: String,
+          enum: {
+            values: SUBSCRIBABLE_EVENTS,
+            message: "Event must be one of: " + SUBSCRIBABLE_EVENTS.join(", "),
+          },
+        },
+      ],
+      validate: {
+        validator: (events) => events.length > 0,
+        message: "At least one event is required",
+      },
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Description cannot exceed 500 characters"],
+    },
+    // Signs every delivery; shown once on creation and never selected after
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: String,
+      trim: true,
+    },
+    createdById: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+webhookSubscriptionSchema.index({ active: 1, events: 1 });
+
+// Static methods
+webhookSubscriptionSchema.statics.generateSecret = function () {
+  return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+};
+
+module.exports = mongoose.model(
+  "WebhookSubscription",
+  webhookSubscriptionSchema
+);
@@ -3,10 +3,42 @@ const Product = require("./Product");
 const InventoryTransaction = require("./InventoryTransaction");
 const Supplier = require("./Supplier");
 const Category = require("./Category");
+const User = require("./User");
+const ApiKey = require("./ApiKey");
+const StockLevel = require("./StockLevel");
+const InventorySnapshot = require("./InventorySnapshot");
+const PurchaseOrder = require("./PurchaseOrder");
+const SalesOrder = require("./SalesOrder");
+const Reservation = require("./Reservation");
+const Lot = require("./Lot");
+const SerialNumber = require("./SerialNumber");
+const CostLayer = require("./CostLayer");
+const StocktakeSession = require("./StocktakeSession");
+const ReturnAuthorization = require("./ReturnAuthorization");
+const WebhookSubscription = require("./WebhookSubscription");
+const WebhookDelivery = require("./WebhookDelivery");
+const AlertRule = require("./AlertRule");
+const Alert = require("./Alert");
 
 module.exports = {
   Product,
   InventoryTransaction,
   Supplier,
   Category,
+  User,
+  ApiKey,
+  StockLevel,
+  InventorySnapshot,
+  PurchaseOrder,
+  SalesOrder,
+  Reservation,
+  Lot,
+  SerialNumber,
+  CostLayer,
+  StocktakeSession,
+  ReturnAuthorization,
+  WebhookSubscription,
+  WebhookDelivery,
+  AlertRule,
+  Alert,
 };
@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+const { inventorySnapshotDAO } = require("../daos");
+
+/**
+ * Rebuild daily inventory snapshots by replaying the transaction ledger.
+ *
+ * Usage: node scripts/backfill-inventory-snapshots.js
+ *          [--from YYYY-MM-DD] [--to YYYY-MM-DD]
+ */
+const getArg = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+const connectDB = async () => {
+  try {
+    await mongoose.connect(
+      process.env.MONGODB_URI || "mongodb://localhost:27017/inventory_db"
+    );
+    console.log("MongoDB Connected for backfill...");
+  } catch (error) {
+    console.error("Database connection error:", error);
+    process.exit(1);
+  }
+};
+
+const runBackfill = async () => {
+  try {
+    await connectDB();
+
+    console.log("📸 Backfilling inventory snapshots from the ledger...\n");
+
+    const stats = await inventorySnapshotDAO.backfillFromLedger({
+      startDate: getArg("from"),
+      endDate: getArg("to"),
+    });
+
+    console.log("🎉 Backfill completed!");
+    console.log("📊 Summary:");
+    console.log(
+      `   - Days: ${stats.days} (${stats.startDate
+        .toISOString()
+        .substring(0, 10)} to ${stats.endDate.toISOString().substring(0, 10)})`
+    );
+    console.log(`   - Snapshot documents written: ${stats.documents}`);
+    if (stats.negativeQuantities > 0) {
+      console.warn(
+        `⚠️  ${stats.negativeQuantities} product-days replayed below zero and were recorded as 0; the ledger does not fully explain current stock`
+      );
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Error backfilling snapshots:", error);
+    process.exit(1);
+  }
+};
+
+// Run the backfill if this script is executed directly
+if (require.main === module) {
+  runBackfill();
+}
+
+module.exports = { runBackfill };
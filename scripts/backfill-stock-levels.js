@@ -0,0 +1,101 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+const { Product, StockLevel } = require("../models");
+const { stockLevelDAO } = require("../daos");
+const { getDefaultWarehouse } = require("../config/inventory");
+
+/**
+ * Create default-warehouse stock levels for products that have stock but no
+ * stock levels yet, then report products whose total differs from the sum
+ * of their stock levels.
+ *
+ * Usage: node scripts/backfill-stock-levels.js [--dry-run]
+ */
+const dryRun = process.argv.includes("--dry-run");
+
+const connectDB = async () => {
+  try {
+    await mongoose.connect(
+      process.env.MONGODB_URI || "mongodb://localhost:27017/inventory_db"
+    );
+    console.log("MongoDB Connected for backfill...");
+  } catch (error) {
+    console.error("Database connection error:", error);
+    process.exit(1);
+  }
+};
+
+const backfillStockLevels = async () => {
+  const warehouse = getDefaultWarehouse();
+  const stats = { scanned: 0, created: 0 };
+
+  const stockedProductIds = new Set(
+    (await StockLevel.distinct("product")).map((id) => id.toString())
+  );
+
+  const cursor = Product.find({ quantity: { $gt: 0 } })
+    .select("sku quantity")
+    .lean()
+    .cursor();
+
+  for await (const product of cursor) {
+    stats.scanned++;
+    if (stockedProductIds.has(product._id.toString())) continue;
+
+    if (!dryRun) {
+      await StockLevel.updateOne(
+        { product: product._id, warehouse },
+        { $setOnInsert: { quantity: product.quantity } },
+        { upsert: true }
+      );
+    }
+    stats.created++;
+  }
+
+  return { warehouse, ...stats };
+};
+
+const runBackfill = async () => {
+  try {
+    await connectDB();
+
+    console.log(
+      `🏬 Backfilling stock levels${dryRun ? " (dry run)" : ""}...\n`
+    );
+
+    const stats = await backfillStockLevels();
+
+    console.log("\n🎉 Backfill completed!");
+    console.log("📊 Summary:");
+    console.log(`   - Products with stock: ${stats.scanned}`);
+    console.log(
+      `   - Stock levels created in ${stats.warehouse}: ${stats.created}`
+    );
+
+    if (!dryRun) {
+      const drift = await stockLevelDAO.findDrift();
+      if (drift.length > 0) {
+        console.warn(
+          `\n⚠️  ${drift.length} products differ from their stock levels:`
+        );
+        drift.forEach((product) =>
+          console.warn(
+            `   - ${product.sku}: quantity ${product.quantity}, locations ${product.locationQuantity}`
+          )
+        );
+      }
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Error backfilling stock levels:", error);
+    process.exit(1);
+  }
+};
+
+// Run the backfill if this script is executed directly
+if (require.main === module) {
+  runBackfill();
+}
+
+module.exports = { runBackfill };
@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+const { User } = require("../models");
+
+/**
+ * Create a user account, e.g. the first admin of a new deployment.
+ *
+ * Usage: node scripts/create-user.js --name "Jane" --email jane@example.com
+ *          --password "secret123" [--role admin]
+ */
+const getArg = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+const createUser = async () => {
+  try {
+    await mongoose.connect(
+      process.env.MONGODB_URI || "mongodb://localhost:27017/inventory_db"
+    );
+
+    const user = await User.create({
+      name: getArg("name"),
+      email: getArg("email"),
+      password: getArg("password"),
+      role: getArg("role") || "admin",
+    });
+
+    console.log(`✅ Created ${user.role} user ${user.email}`);
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Error creating user:", error.message);
+    process.exit(1);
+  }
+};
+
+// Run if this script is executed directly
+if (require.main === module) {
+  createUser();
+}
+
+module.exports = { createUser };
@@ -0,0 +1,229 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+const { Product, Supplier, Category } = require("../models");
+
+/**
+ * Migrate products from free-text category names and embedded supplier
+ * objects to ObjectId references.
+ *
+ * Usage: node scripts/migrate-product-references.js [--dry-run]
+ */
+const dryRun = process.argv.includes("--dry-run");
+
+const connectDB = async () => {
+  try {
+    await mongoose.connect(
+      process.env.MONGODB_URI || "mongodb://localhost:27017/inventory_db"
+    );
+    console.log("MongoDB Connected for migration...");
+  } catch (error) {
+    console.error("Database connection error:", error);
+    process.exit(1);
+  }
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const slugify = (value) =>
+  value
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, "")
+    .replace(/\s+/g, "-")
+    .replace(/-+/g, "-")
+    .trim();
+
+/**
+ * Find a category by name or slug, creating it when missing
+ */
+const resolveCategory = async (name, cache, stats) => {
+  const key = name.trim().toLowerCase();
+  if (cache.has(key)) return cache.get(key);
+
+  let category = await Category.findOne({
+    $or: [
+      { name: new RegExp(`^${escapeRegExp(name.trim())}$`, "i") },
+      { slug: slugify(name) },
+    ],
+  });
+
+  if (!category) {
+    stats.categoriesCreated++;
+    console.log(`   + category "${name}"`);
+    if (!dryRun) {
+      category = await Category.create({ name: name.trim() });
+    } else {
+      category = { _id: new mongoose.Types.ObjectId() };
+    }
+  }
+
+  cache.set(key, category._id);
+  return category._id;
+};
+
+/**
+ * Find a supplier by id, name or email, creating it when missing
+ * Legacy products embed the supplier as { name, email, phone }; seeded
+ * ones also carry the supplier's id.
+ */
+const resolveSupplier = async (embedded, cache, stats) => {
+  const id = mongoose.isValidObjectId(embedded.id) ? String(embedded.id) : null;
+  const name = embedded.name && embedded.name.trim();
+  const email = embedded.email && embedded.email.trim().toLowerCase();
+  if (!id && !name && !email) return null;
+
+  const key = id || (email || name).toLowerCase();
+  if (cache.has(key)) return cache.get(key);
+
+  let supplier = id ? await Supplier.findById(id).select("_id") : null;
+
+  if (!supplier && (name || email)) {
+    const conditions = [];
+    if (name) {
+      conditions.push({ name: new RegExp(`^${escapeRegExp(name)}$`, "i") });
+    }
+    if (email) conditions.push({ "contact.email": email });
+
+    supplier = await Supplier.findOne({ $or: conditions });
+  }
+
+  if (!supplier) {
+    if (!name || !email) {
+      throw new Error(
+        "Embedded supplier needs both name and email to be created"
+      );
+    }
+
+    stats.suppliersCreated++;
+    const prefix = name
+      .replace(/[^A-Za-z]/g, "")
+      .substring(0, 4)
+      .toUpperCase()
+      .padEnd(3, "X");
+    const code = `${prefix}-${Date.now().toString().slice(-6)}${
+      stats.suppliersCreated
+    }`;
+    console.log(`   + supplier "${name}" (${code})`);
+
+    if (!dryRun) {
+      supplier = await Supplier.create({
+        name,
+        code,
+        contact: { email, phone: embedded.phone },
+      });
+    } else {
+      supplier = { _id: new mongoose.Types.ObjectId() };
+    }
+  }
+
+  cache.set(key, supplier._id);
+  return supplier._id;
+};
+
+const migrateProducts = async () => {
+  const stats = {
+    scanned: 0,
+    migrated: 0,
+    skipped: 0,
+    categoriesCreated: 0,
+    suppliersCreated: 0,
+  };
+  const categoryCache = new Map();
+  const supplierCache = new Map();
+
+  // Read raw documents: legacy values no longer match the schema types
+  const cursor = Product.collection.find({
+    $or: [{ category: { $type: "string" } }, { supplier: { $type: "object" } }],
+  });
+
+  for await (const product of cursor) {
+    stats.scanned++;
+    const update = {};
+
+    try {
+      if (typeof product.category === "string") {
+        update.category = await resolveCategory(
+          product.category,
+          categoryCache,
+          stats
+        );
+      }
+
+      if (
+        product.supplier &&
+        typeof product.supplier === "object" &&
+        !(product.supplier instanceof mongoose.Types.ObjectId)
+      ) {
+        update.supplier = await resolveSupplier(
+          product.supplier,
+          supplierCache,
+          stats
+        );
+      }
+    } catch (error) {
+      stats.skipped++;
+      console.warn(
+        `⚠️  Skipped ${product.sku || product._id}: ${error.message}`
+      );
+      continue;
+    }
+
+    if (Object.keys(update).length === 0) continue;
+
+    if (!dryRun) {
+      const $set = { ...update };
+      const $unset = {};
+      if (update.supplier === null) {
+        delete $set.supplier;
+        $unset.supplier = "";
+      }
+      await Product.collection.updateOne(
+        { _id: product._id },
+        { $set, ...(Object.keys($unset).length ? { $unset } : {}) }
+      );
+    }
+    stats.migrated++;
+  }
+
+  return stats;
+};
+
+const runMigration = async () => {
+  try {
+    await connectDB();
+
+    console.log(
+      `🔁 Migrating product references${dryRun ? " (dry run)" : ""}...\n`
+    );
+
+    const stats = await migrateProducts();
+
+    // Replace the old text index (which covered category) and the
+    // supplier.name index with the ones declared on the schema
+    if (!dryRun) {
+      const dropped = await Product.syncIndexes();
+      if (dropped.length > 0) {
+        console.log(`🗂️  Dropped stale indexes: ${dropped.join(", ")}`);
+      }
+    }
+
+    console.log("\n🎉 Migration completed!");
+    console.log("📊 Summary:");
+    console.log(`   - Products scanned: ${stats.scanned}`);
+    console.log(`   - Products migrated: ${stats.migrated}`);
+    console.log(`   - Products skipped: ${stats.skipped}`);
+    console.log(`   - Categories created: ${stats.categoriesCreated}`);
+    console.log(`   - Suppliers created: ${stats.suppliersCreated}`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Error migrating products:", error);
+    process.exit(1);
+  }
+};
+
+// Run the migration if this script is executed directly
+if (require.main === module) {
+  runMigration();
+}
+
+module.exports = { runMigration, resolveSupplier };
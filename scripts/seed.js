@@ -5,7 +5,10 @@ const {
   Supplier,
   Category,
   InventoryTransaction,
+  User,
+  StockLevel,
 } = require("../models");
+const { getDefaultWarehouse } = require("../config/inventory");
 
 const connectDB = async () => {
   try {
@@ -19,6 +22,27 @@ const connectDB = async () => {
   }
 };
 
+const seedUsers = async () => {
+  console.log("👤 Seeding users...");
+
+  // Passwords are hashed by the User pre-save hook, so create one at a time
+  const password = process.env.SEED_USER_PASSWORD || "ChangeMe123!";
+  const users = [
+    { name: "Admin", email: "admin@inventory.local", role: "admin" },
+    { name: "Manager", email: "manager@inventory.local", role: "manager" },
+    { name: "Clerk", email: "clerk@inventory.local", role: "clerk" },
+    { name: "Viewer", email: "viewer@inventory.local", role: "viewer" },
+  ];
+
+  await User.deleteMany({});
+  const createdUsers = [];
+  for (const user of users) {
+    createdUsers.push(await User.create({ ...user, password }));
+  }
+  console.log(`✅ Created ${createdUsers.length} users`);
+  return createdUsers;
+};
+
 const seedSuppliers = async () => {
   console.log("🏪 Seeding suppliers...");
 
@@ -187,17 +211,18 @@ const seedCategories = async () => {
 const seedProducts = async (suppliers, categories) => {
   console.log("📦 Seeding products...");
 
+  // Products reference categories and suppliers by id
+  const categoryId = (name) =>
+    categories.find((category) => category.name === name)._id;
+
   const products = [
     {
       name: "MacBook Pro 16-inch",
       price: 2499.99,
       quantity: 15,
-      category: "Computers",
+      category: categoryId("Computers"),
       description: "Apple MacBook Pro with M2 Pro chip, 16GB RAM, 512GB SSD",
-      supplier: {
-        name: suppliers[2].name,
-        id: suppliers[2]._id,
-      },
+      supplier: suppliers[2]._id,
       dimensions: {
         length: 35.57,
         width: 24.81,
@@ -212,13 +237,10 @@ const seedProducts = async (suppliers, categories) => {
       name: "iPhone 15 Pro",
       price: 1199.99,
       quantity: 25,
-      category: "Mobile Devices",
+      category: categoryId("Mobile Devices"),
       description:
         "Latest iPhone with A17 Pro chip, 256GB storage, Titanium design",
-      supplier: {
-        name: suppliers[2].name,
-        id: suppliers[2]._id,
-      },
+      supplier: suppliers[2]._id,
       dimensions: {
         length: 14.67,
         width: 7.81,
@@ -233,12 +255,9 @@ const seedProducts = async (suppliers, categories) => {
       name: "Samsung Galaxy S24 Ultra",
       price: 1299.99,
       quantity: 8,
-      category: "Mobile Devices",
+      category: categoryId("Mobile Devices"),
       description: "Samsung flagship with S Pen, 512GB storage, 200MP camera",
-      supplier: {
-        name: suppliers[0].name,
-        id: suppliers[0]._id,
-      },
+      supplier: suppliers[0]._id,
       lowStockThreshold: 5,
       tags: ["samsung", "android", "smartphone", "premium"],
       status: "active",
@@ -247,12 +266,9 @@ const seedProducts = async (suppliers, categories) => {
       name: "Sony WH-1000XM5 Headphones",
       price: 399.99,
       quantity: 30,
-      category: "Audio Equipment",
+      category: categoryId("Audio Equipment"),
       description: "Premium noise-cancelling wireless headphones",
-      supplier: {
-        name: suppliers[0].name,
-        id: suppliers[0]._id,
-      },
+      supplier: suppliers[0]._id,
       dimensions: {
         length: 25.4,
         width: 21.6,
@@ -267,12 +283,9 @@ const seedProducts = async (suppliers, categories) => {
       name: "Dell XPS 13",
       price: 1099.99,
       quantity: 12,
-      category: "Computers",
+      category: categoryId("Computers"),
       description: "Ultra-portable laptop with Intel i7, 16GB RAM, 512GB SSD",
-      supplier: {
-        name: suppliers[0].name,
-        id: suppliers[0]._id,
-      },
+      supplier: suppliers[0]._id,
       lowStockThreshold: 8,
       tags: ["dell", "laptop", "ultrabook", "portable"],
       status: "active",
@@ -281,12 +294,9 @@ const seedProducts = async (suppliers, categories) => {
       name: "Office Chair - Ergonomic",
       price: 299.99,
       quantity: 20,
-      category: "Furniture",
+      category: categoryId("Furniture"),
       description: "Adjustable ergonomic office chair with lumbar support",
-      supplier: {
-        name: suppliers[1].name,
-        id: suppliers[1]._id,
-      },
+      supplier: suppliers[1]._id,
       dimensions: {
         length: 66,
         width: 66,
@@ -301,12 +311,9 @@ const seedProducts = async (suppliers, categories) => {
       name: "Wireless Mouse - Logitech MX Master 3",
       price: 99.99,
       quantity: 45,
-      category: "Electronics",
+      category: categoryId("Electronics"),
       description: "Advanced wireless mouse with precision tracking",
-      supplier: {
-        name: suppliers[1].name,
-        id: suppliers[1]._id,
-      },
+      supplier: suppliers[1]._id,
       lowStockThreshold: 15,
       tags: ["logitech", "mouse", "wireless", "precision"],
       status: "active",
@@ -315,12 +322,9 @@ const seedProducts = async (suppliers, categories) => {
       name: "Mechanical Keyboard - Keychron K2",
       price: 89.99,
       quantity: 35,
-      category: "Electronics",
+      category: categoryId("Electronics"),
       description: "Compact mechanical keyboard with RGB backlighting",
-      supplier: {
-        name: suppliers[1].name,
-        id: suppliers[1]._id,
-      },
+      supplier: suppliers[1]._id,
       lowStockThreshold: 12,
       tags: ["keyboard", "mechanical", "rgb", "compact"],
       status: "active",
@@ -329,12 +333,9 @@ const seedProducts = async (suppliers, categories) => {
       name: "Notebook Set - Moleskine",
       price: 24.99,
       quantity: 100,
-      category: "Stationery",
+      category: categoryId("Stationery"),
       description: "Set of 3 premium notebooks with dotted pages",
-      supplier: {
-        name: suppliers[1].name,
-        id: suppliers[1]._id,
-      },
+      supplier: suppliers[1]._id,
       lowStockThreshold: 25,
       tags: ["moleskine", "notebook", "premium", "dotted"],
       status: "active",
@@ -343,12 +344,9 @@ const seedProducts = async (suppliers, categories) => {
       name: "Standing Desk - Adjustable",
       price: 499.99,
       quantity: 3, // Low stock item
-      category: "Furniture",
+      category: categoryId("Furniture"),
       description: "Electric height-adjustable standing desk",
-      supplier: {
-        name: suppliers[2].name,
-        id: suppliers[2]._id,
-      },
+      supplier: suppliers[2]._id,
       dimensions: {
         length: 120,
         width: 60,
@@ -367,6 +365,25 @@ const seedProducts = async (suppliers, categories) => {
   return createdProducts;
 };
 
+const seedStockLevels = async (products) => {
+  console.log("🏬 Seeding stock levels...");
+
+  // All seeded stock starts in the default warehouse
+  const warehouse = getDefaultWarehouse();
+  await StockLevel.deleteMany({});
+  const createdStockLevels = await StockLevel.insertMany(
+    products.map((product) => ({
+      product: product._id,
+      warehouse,
+      quantity: product.quantity,
+    }))
+  );
+  console.log(
+    `✅ Created ${createdStockLevels.length} stock levels in ${warehouse}`
+  );
+  return createdStockLevels;
+};
+
 const seedTransactions = async (products) => {
   console.log("📊 Seeding inventory transactions...");
 
@@ -437,13 +454,16 @@ const seedDatabase = async () => {
 
     console.log("🌱 Starting database seeding...\n");
 
+    const users = await seedUsers();
     const suppliers = await seedSuppliers();
     const categories = await seedCategories();
     const products = await seedProducts(suppliers, categories);
+    await seedStockLevels(products);
     const transactions = await seedTransactions(products);
 
     console.log("\n🎉 Database seeding completed successfully!");
     console.log("📊 Summary:");
+    console.log(`   - Users: ${users.length}`);
     console.log(`   - Suppliers: ${suppliers.length}`);
     console.log(`   - Categories: ${categories.length}`);
     console.log(`   - Products: ${products.length}`);
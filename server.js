@@ -4,12 +4,31 @@ const helmet = require("helmet");
 const morgan = require("morgan");
 const connectDB = require("./config/database");
 const { getCorsOptions } = require("./config/cors");
+const { authenticate, authorize } = require("./middleware/auth");
+const { startJobs } = require("./jobs");
 const {
   ProductController,
   SupplierController,
   CategoryController,
   InventoryTransactionController,
   DashboardController,
+  AuthController,
+  UserController,
+  ApiKeyController,
+  WarehouseController,
+  PurchaseOrderController,
+  ReplenishmentController,
+  SalesOrderController,
+  LotController,
+  SerialNumberController,
+  ReportController,
+  StocktakeController,
+  ReturnController,
+  ScanController,
+  LabelController,
+  WebhookController,
+  EventController,
+  AlertController,
 } = require("./controllers");
 
 const app = express();
@@ -50,161 +69,714 @@ if (process.env.NODE_ENV === "development") {
   });
 }
 
+// Public Auth Routes
+app.post("/api/auth/login", AuthController.login);
+app.post("/api/auth/refresh", AuthController.refresh);
+
+// Every API route registered below requires a Bearer token or an API key
+app.use("/api", authenticate);
+
+// Auth, User & API Key Routes
+app.get("/api/auth/me", AuthController.getCurrentUser);
+app.post("/api/auth/logout", AuthController.logout);
+app.get("/api/users", authorize("users:manage"), UserController.getAllUsers);
+app.post("/api/users", authorize("users:manage"), UserController.createUser);
+app.put("/api/users/:id", authorize("users:manage"), UserController.updateUser);
+app.get(
+  "/api/api-keys",
+  authorize("apikeys:manage"),
+  ApiKeyController.getApiKeys
+);
+app.post(
+  "/api/api-keys",
+  authorize("apikeys:manage"),
+  ApiKeyController.createApiKey
+);
+app.delete(
+  "/api/api-keys/:id",
+  authorize("apikeys:manage"),
+  ApiKeyController.revokeApiKey
+);
+
 // Product Search & Stock Status Routes (specific before parameterized)
-app.get("/api/products/search", ProductController.searchProducts);
-app.get("/api/products/low-stock", ProductController.getLowStockProducts);
-app.get("/api/products/out-of-stock", ProductController.getOutOfStockProducts);
-app.get("/api/products/recent", ProductController.getRecentlyAddedProducts);
+app.get(
+  "/api/products/search",
+  authorize("inventory:read"),
+  ProductController.searchProducts
+);
+app.get(
+  "/api/products/faceted-search",
+  authorize("inventory:read"),
+  ProductController.facetedSearch
+);
+app.get(
+  "/api/products/low-stock",
+  authorize("inventory:read"),
+  ProductController.getLowStockProducts
+);
+app.get(
+  "/api/products/out-of-stock",
+  authorize("inventory:read"),
+  ProductController.getOutOfStockProducts
+);
+app.get(
+  "/api/products/recent",
+  authorize("inventory:read"),
+  ProductController.getRecentlyAddedProducts
+);
 app.get(
   "/api/products/category/:category",
+  authorize("inventory:read"),
   ProductController.getProductsByCategory
 );
 app.get(
   "/api/products/supplier/:supplier",
+  authorize("inventory:read"),
   ProductController.getProductsBySupplier
 );
+app.patch(
+  "/api/products/bulk-quantity",
+  authorize("stock:write"),
+  ProductController.bulkUpdateQuantities
+);
+app.post(
+  "/api/products/import",
+  authorize("products:import"),
+  express.text({
+    type: ["text/csv", "text/plain", "application/x-ndjson"],
+    limit: "50mb",
+  }),
+  ProductController.importProducts
+);
 
 // Product CRUD Routes
-app.get("/api/products", ProductController.getAllProducts);
-app.post("/api/products", ProductController.createProduct);
-app.get("/api/products/:id", ProductController.getProductById);
-app.put("/api/products/:id", ProductController.updateProduct);
-app.delete("/api/products/:id", ProductController.deleteProduct);
+app.get(
+  "/api/products",
+  authorize("inventory:read"),
+  ProductController.getAllProducts
+);
+app.post(
+  "/api/products",
+  authorize("products:write"),
+  ProductController.createProduct
+);
+app.get(
+  "/api/products/:id",
+  authorize("inventory:read"),
+  ProductController.getProductById
+);
+app.put(
+  "/api/products/:id",
+  authorize("products:write"),
+  ProductController.updateProduct
+);
+app.delete(
+  "/api/products/:id",
+  authorize("products:delete"),
+  ProductController.deleteProduct
+);
+app.get(
+  "/api/products/:id/stock",
+  authorize("inventory:read"),
+  ProductController.getProductStock
+);
+app.get(
+  "/api/products/:id/label",
+  authorize("inventory:read"),
+  LabelController.getProductLabel
+);
+app.get(
+  "/api/products/:id/variants",
+  authorize("inventory:read"),
+  ProductController.getProductVariants
+);
+app.post(
+  "/api/products/:id/variants",
+  authorize("products:write"),
+  ProductController.generateProductVariants
+);
+app.get(
+  "/api/products/:id/lots",
+  authorize("inventory:read"),
+  LotController.getProductLots
+);
+app.patch(
+  "/api/products/:id/quantity",
+  authorize("stock:write"),
+  ProductController.updateProductQuantity
+);
+
+// Warehouse Stock Routes
+app.get(
+  "/api/warehouses",
+  authorize("inventory:read"),
+  WarehouseController.getWarehouses
+);
+app.get(
+  "/api/warehouses/:warehouse/stock",
+  authorize("inventory:read"),
+  WarehouseController.getWarehouseStock
+);
+
+// Lot Routes
+app.get(
+  "/api/lots/expiring",
+  authorize("inventory:read"),
+  LotController.getExpiringLots
+);
+
+// Scan Routes
+app.post("/api/scan", authorize("inventory:read"), ScanController.scan);
+
+// Label Routes
+app.post(
+  "/api/labels",
+  authorize("inventory:read"),
+  LabelController.createLabels
+);
+
+// Webhook Routes
+app.get(
+  "/api/webhooks",
+  authorize("webhooks:manage"),
+  WebhookController.getWebhooks
+);
+app.post(
+  "/api/webhooks",
+  authorize("webhooks:manage"),
+  WebhookController.createWebhook
+);
+app.post(
+  "/api/webhooks/deliveries/:deliveryId/replay",
+  authorize("webhooks:manage"),
+  WebhookController.replayDelivery
+);
+app.get(
+  "/api/webhooks/:id",
+  authorize("webhooks:manage"),
+  WebhookController.getWebhookById
+);
+app.patch(
+  "/api/webhooks/:id",
+  authorize("webhooks:manage"),
+  WebhookController.updateWebhook
+);
+app.delete(
+  "/api/webhooks/:id",
+  authorize("webhooks:manage"),
+  WebhookController.deleteWebhook
+);
+app.get(
+  "/api/webhooks/:id/deliveries",
+  authorize("webhooks:manage"),
+  WebhookController.getWebhookDeliveries
+);
+
+// Alert Routes
+app.get("/api/alerts", authorize("reports:read"), AlertController.getAlerts);
+app.post(
+  "/api/alerts/evaluate",
+  authorize("alerts:configure"),
+  AlertController.evaluateAlerts
+);
+app.get(
+  "/api/alerts/:id",
+  authorize("reports:read"),
+  AlertController.getAlertById
+);
+app.post(
+  "/api/alerts/:id/acknowledge",
+  authorize("alerts:manage"),
+  AlertController.acknowledgeAlert
+);
+app.post(
+  "/api/alerts/:id/snooze",
+  authorize("alerts:manage"),
+  AlertController.snoozeAlert
+);
+app.post(
+  "/api/alerts/:id/assign",
+  authorize("alerts:manage"),
+  AlertController.assignAlert
+);
+
+// Alert Rule Routes
+app.get(
+  "/api/alert-rules",
+  authorize("reports:read"),
+  AlertController.getAlertRules
+);
+app.post(
+  "/api/alert-rules",
+  authorize("alerts:configure"),
+  AlertController.createAlertRule
+);
+app.patch(
+  "/api/alert-rules/:id",
+  authorize("alerts:configure"),
+  AlertController.updateAlertRule
+);
+app.delete(
+  "/api/alert-rules/:id",
+  authorize("alerts:configure"),
+  AlertController.deleteAlertRule
+);
+
+// Serial Number Routes
+app.get(
+  "/api/serials/:serial",
+  authorize("inventory:read"),
+  SerialNumberController.getSerialHistory
+);
+
+// Stocktake Routes
+app.get(
+  "/api/stocktakes",
+  authorize("inventory:read"),
+  StocktakeController.getAllStocktakes
+);
+app.post(
+  "/api/stocktakes",
+  authorize("stocktake:count"),
+  StocktakeController.createStocktake
+);
+app.get(
+  "/api/stocktakes/:id",
+  authorize("inventory:read"),
+  StocktakeController.getStocktakeById
+);
+app.post(
+  "/api/stocktakes/:id/counts",
+  authorize("stocktake:count"),
+  StocktakeController.recordCounts
+);
+app.get(
+  "/api/stocktakes/:id/variance",
+  authorize("inventory:read"),
+  StocktakeController.getVarianceReport
+);
+app.post(
+  "/api/stocktakes/:id/post",
+  authorize("stocktake:post"),
+  StocktakeController.postStocktake
+);
+app.patch(
+  "/api/stocktakes/:id/cancel",
+  authorize("stocktake:count"),
+  StocktakeController.cancelStocktake
+);
+
+// Return (RMA) Routes
+app.get(
+  "/api/returns",
+  authorize("inventory:read"),
+  ReturnController.getAllReturns
+);
+app.post(
+  "/api/returns",
+  authorize("returns:write"),
+  ReturnController.createReturn
+);
+app.get(
+  "/api/returns/:id",
+  authorize("inventory:read"),
+  ReturnController.getReturnById
+);
+app.post(
+  "/api/returns/:id/receive",
+  authorize("returns:write"),
+  ReturnController.receiveReturn
+);
+app.post(
+  "/api/returns/:id/inspect",
+  authorize("returns:write"),
+  ReturnController.inspectReturn
+);
+app.post(
+  "/api/returns/:id/ship",
+  authorize("returns:write"),
+  ReturnController.shipReturn
+);
+app.patch(
+  "/api/returns/:id/cancel",
+  authorize("returns:write"),
+  ReturnController.cancelReturn
+);
 
 // Inventory Transaction Routes
 app.get(
   "/api/transactions/product/:productId",
+  authorize("inventory:read"),
   InventoryTransactionController.getTransactionsByProduct
 );
 
-app.post("/api/transactions", InventoryTransactionController.createTransaction);
+app.post(
+  "/api/transactions",
+  authorize("stock:write"),
+  InventoryTransactionController.createTransaction
+);
 
 // Supplier Search & Analytics Routes
-app.get("/api/suppliers/search", SupplierController.searchSuppliers);
-app.get("/api/suppliers/top-rated", SupplierController.getTopRatedSuppliers);
-app.get("/api/suppliers/low-credit", SupplierController.getLowCreditSuppliers);
+app.get(
+  "/api/suppliers/search",
+  authorize("inventory:read"),
+  SupplierController.searchSuppliers
+);
+app.get(
+  "/api/suppliers/top-rated",
+  authorize("inventory:read"),
+  SupplierController.getTopRatedSuppliers
+);
+app.get(
+  "/api/suppliers/low-credit",
+  authorize("inventory:read"),
+  SupplierController.getLowCreditSuppliers
+);
 app.get(
   "/api/suppliers/location/:location",
+  authorize("inventory:read"),
   SupplierController.getSuppliersByLocation
 );
 app.get(
   "/api/suppliers/payment-terms/:terms",
+  authorize("inventory:read"),
   SupplierController.getSuppliersByPaymentTerms
 );
 
 // Supplier CRUD & Stats Routes
-app.get("/api/suppliers", SupplierController.getAllSuppliers);
-app.post("/api/suppliers", SupplierController.createSupplier);
-app.get("/api/suppliers/:id", SupplierController.getSupplierById);
-app.put("/api/suppliers/:id", SupplierController.updateSupplier);
-app.delete("/api/suppliers/:id", SupplierController.deleteSupplier);
-app.patch("/api/suppliers/:id/rating", SupplierController.updateSupplierRating);
+app.get(
+  "/api/suppliers",
+  authorize("inventory:read"),
+  SupplierController.getAllSuppliers
+);
+app.post(
+  "/api/suppliers",
+  authorize("suppliers:write"),
+  SupplierController.createSupplier
+);
+app.get(
+  "/api/suppliers/:id",
+  authorize("inventory:read"),
+  SupplierController.getSupplierById
+);
+app.put(
+  "/api/suppliers/:id",
+  authorize("suppliers:write"),
+  SupplierController.updateSupplier
+);
+app.delete(
+  "/api/suppliers/:id",
+  authorize("suppliers:delete"),
+  SupplierController.deleteSupplier
+);
+app.patch(
+  "/api/suppliers/:id/rating",
+  authorize("suppliers:finance"),
+  SupplierController.updateSupplierRating
+);
 app.patch(
   "/api/suppliers/:id/credit-limit",
+  authorize("suppliers:finance"),
   SupplierController.updateCreditLimit
 );
 app.get(
   "/api/suppliers/:id/statistics",
+  authorize("inventory:read"),
   SupplierController.getSupplierStatistics
 );
 app.get(
   "/api/suppliers/:id/performance",
+  authorize("inventory:read"),
   SupplierController.getSupplierPerformance
 );
-app.post("/api/suppliers/:id/reviews", SupplierController.addSupplierReview);
+app.get(
+  "/api/suppliers/:id/credit-notes",
+  authorize("inventory:read"),
+  ReturnController.getSupplierCreditNotes
+);
+app.post(
+  "/api/suppliers/:id/reviews",
+  authorize("suppliers:review"),
+  SupplierController.addSupplierReview
+);
 
 // Category Search & Tree Routes
-app.get("/api/categories/search", CategoryController.searchCategories);
-app.get("/api/categories/tree", CategoryController.getCategoryTree);
-app.get("/api/categories/roots", CategoryController.getRootCategories);
+app.get(
+  "/api/categories/search",
+  authorize("inventory:read"),
+  CategoryController.searchCategories
+);
+app.get(
+  "/api/categories/tree",
+  authorize("inventory:read"),
+  CategoryController.getCategoryTree
+);
+app.get(
+  "/api/categories/roots",
+  authorize("inventory:read"),
+  CategoryController.getRootCategories
+);
 app.get(
   "/api/categories/level/:level",
+  authorize("inventory:read"),
   CategoryController.getCategoriesByLevel
 );
 
 // Category CRUD & Stats Routes
-app.get("/api/categories", CategoryController.getAllCategories);
-app.post("/api/categories", CategoryController.createCategory);
-app.get("/api/categories/:id", CategoryController.getCategoryById);
-app.put("/api/categories/:id", CategoryController.updateCategory);
-app.delete("/api/categories/:id", CategoryController.deleteCategory);
-app.get("/api/categories/:id/children", CategoryController.getCategoryChildren);
-app.get("/api/categories/:id/path", CategoryController.getCategoryPath);
-app.patch("/api/categories/:id/move", CategoryController.moveCategory);
-app.patch("/api/categories/reorder", CategoryController.reorderCategories);
+app.get(
+  "/api/categories",
+  authorize("inventory:read"),
+  CategoryController.getAllCategories
+);
+app.post(
+  "/api/categories",
+  authorize("categories:write"),
+  CategoryController.createCategory
+);
+app.get(
+  "/api/categories/:id",
+  authorize("inventory:read"),
+  CategoryController.getCategoryById
+);
+app.put(
+  "/api/categories/:id",
+  authorize("categories:write"),
+  CategoryController.updateCategory
+);
+app.delete(
+  "/api/categories/:id",
+  authorize("categories:delete"),
+  CategoryController.deleteCategory
+);
+app.get(
+  "/api/categories/:id/children",
+  authorize("inventory:read"),
+  CategoryController.getCategoryChildren
+);
+app.get(
+  "/api/categories/:id/path",
+  authorize("inventory:read"),
+  CategoryController.getCategoryPath
+);
+app.patch(
+  "/api/categories/:id/move",
+  authorize("categories:write"),
+  CategoryController.moveCategory
+);
+app.patch(
+  "/api/categories/reorder",
+  authorize("categories:write"),
+  CategoryController.reorderCategories
+);
 app.get(
   "/api/categories/:id/statistics",
+  authorize("inventory:read"),
   CategoryController.getCategoryStatistics
 );
-app.post("/api/categories/bulk", CategoryController.bulkCreateCategories);
+app.post(
+  "/api/categories/bulk",
+  authorize("categories:write"),
+  CategoryController.bulkCreateCategories
+);
+
+// Purchase Order Routes
+app.get(
+  "/api/purchase-orders",
+  authorize("inventory:read"),
+  PurchaseOrderController.getAllPurchaseOrders
+);
+app.post(
+  "/api/purchase-orders",
+  authorize("purchasing:write"),
+  PurchaseOrderController.createPurchaseOrder
+);
+app.get(
+  "/api/purchase-orders/:id",
+  authorize("inventory:read"),
+  PurchaseOrderController.getPurchaseOrderById
+);
+app.put(
+  "/api/purchase-orders/:id",
+  authorize("purchasing:write"),
+  PurchaseOrderController.updatePurchaseOrder
+);
+app.delete(
+  "/api/purchase-orders/:id",
+  authorize("purchasing:write"),
+  PurchaseOrderController.deletePurchaseOrder
+);
+app.patch(
+  "/api/purchase-orders/:id/submit",
+  authorize("purchasing:approve"),
+  PurchaseOrderController.submitPurchaseOrder
+);
+app.post(
+  "/api/purchase-orders/:id/receive",
+  authorize("purchasing:receive"),
+  PurchaseOrderController.receivePurchaseOrder
+);
+app.patch(
+  "/api/purchase-orders/:id/close",
+  authorize("purchasing:approve"),
+  PurchaseOrderController.closePurchaseOrder
+);
+app.patch(
+  "/api/purchase-orders/:id/cancel",
+  authorize("purchasing:approve"),
+  PurchaseOrderController.cancelPurchaseOrder
+);
+
+// Sales Order Routes
+app.get(
+  "/api/sales-orders",
+  authorize("inventory:read"),
+  SalesOrderController.getAllSalesOrders
+);
+app.post(
+  "/api/sales-orders",
+  authorize("sales:write"),
+  SalesOrderController.createSalesOrder
+);
+app.get(
+  "/api/sales-orders/:id",
+  authorize("inventory:read"),
+  SalesOrderController.getSalesOrderById
+);
+app.patch(
+  "/api/sales-orders/:id/fulfill",
+  authorize("sales:write"),
+  SalesOrderController.fulfillSalesOrder
+);
+app.patch(
+  "/api/sales-orders/:id/cancel",
+  authorize("sales:write"),
+  SalesOrderController.cancelSalesOrder
+);
+
+// Replenishment Routes
+app.get(
+  "/api/replenishment/suggestions",
+  authorize("inventory:read"),
+  ReplenishmentController.getSuggestions
+);
+app.post(
+  "/api/replenishment/suggestions/orders",
+  authorize("purchasing:write"),
+  ReplenishmentController.createDraftOrders
+);
 
 // Dashboard/Analytics Routes
-app.get("/api/dashboard/stats", DashboardController.getDashboardStats);
+app.get(
+  "/api/dashboard/stats",
+  authorize("reports:read"),
+  DashboardController.getDashboardStats
+);
 app.get(
   "/api/dashboard/inventory-overview",
+  authorize("reports:read"),
   DashboardController.getInventoryOverview
 );
 app.get(
   "/api/dashboard/sales-analytics",
+  authorize("reports:read"),
   DashboardController.getSalesAnalytics
 );
-app.get("/api/dashboard/alerts", DashboardController.getAlerts);
+app.get(
+  "/api/dashboard/alerts",
+  authorize("reports:read"),
+  DashboardController.getAlerts
+);
+
+// Live event stream (Server-Sent Events)
+app.get(
+  "/api/events/stream",
+  authorize("reports:read"),
+  EventController.stream
+);
 app.get(
   "/api/dashboard/supplier-performance",
+  authorize("reports:read"),
   DashboardController.getSupplierPerformance
 );
-app.get("/api/dashboard/trends", DashboardController.getTrendAnalysis);
+app.get(
+  "/api/dashboard/trends",
+  authorize("reports:read"),
+  DashboardController.getTrendAnalysis
+);
 
-// Transaction Routes
-app.get("/api/transactions", InventoryTransactionController.getAllTransactions);
+// Report Routes
 app.get(
-  "/api/transactions/:id",
-  InventoryTransactionController.getTransactionById
+  "/api/reports/valuation",
+  authorize("reports:read"),
+  ReportController.getValuation
+);
+
+// Transaction Routes (specific before parameterized)
+app.get(
+  "/api/transactions",
+  authorize("inventory:read"),
+  InventoryTransactionController.getAllTransactions
 );
 app.get(
   "/api/transactions/type/:type",
+  authorize("inventory:read"),
   InventoryTransactionController.getTransactionsByType
 );
 app.get(
   "/api/transactions/date-range",
+  authorize("inventory:read"),
   InventoryTransactionController.getTransactionsByDateRange
 );
 app.get(
   "/api/transactions/recent",
+  authorize("inventory:read"),
   InventoryTransactionController.getRecentTransactions
 );
 app.get(
   "/api/transactions/summary",
+  authorize("inventory:read"),
   InventoryTransactionController.getTransactionSummary
 );
 app.get(
   "/api/transactions/movement-analysis",
+  authorize("inventory:read"),
   InventoryTransactionController.getMovementAnalysis
 );
 app.get(
   "/api/transactions/audit/:productId",
+  authorize("inventory:read"),
   InventoryTransactionController.getAuditTrail
 );
 app.get(
   "/api/transactions/pending-approval",
+  authorize("inventory:read"),
   InventoryTransactionController.getPendingApprovalTransactions
 );
+app.get(
+  "/api/transactions/export",
+  authorize("transactions:export"),
+  InventoryTransactionController.exportTransactions
+);
+app.post(
+  "/api/transactions/bulk",
+  authorize("stock:write"),
+  InventoryTransactionController.bulkCreateTransactions
+);
+app.get(
+  "/api/transactions/:id",
+  authorize("inventory:read"),
+  InventoryTransactionController.getTransactionById
+);
 app.patch(
   "/api/transactions/:id/approve",
+  authorize("transactions:approve"),
   InventoryTransactionController.approveTransaction
 );
 app.patch(
   "/api/transactions/:id/reject",
+  authorize("transactions:approve"),
   InventoryTransactionController.rejectTransaction
 );
-app.post(
-  "/api/transactions/bulk",
-  InventoryTransactionController.bulkCreateTransactions
-);
-app.get(
-  "/api/transactions/export",
-  InventoryTransactionController.exportTransactions
-);
 
 // CORS Error handling middleware
 app.use((err, req, res, next) => {
@@ -243,4 +815,9 @@ app.listen(PORT, () => {
   console.log(`📝 API Health Check: http://localhost:${PORT}/api/health`);
 });
 
+// Background jobs (snapshots etc.) are not started under test
+if (process.env.NODE_ENV !== "test") {
+  startJobs();
+}
+
 module.exports = app;
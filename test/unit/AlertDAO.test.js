@@ -0,0 +1,177 @@
+const mongoose = require("mongoose");
+const AlertDAO = require("../../daos/AlertDAO");
+const {
+  Alert,
+  AlertRule,
+  Product,
+  Lot,
+  Supplier,
+  InventoryTransaction,
+} = require("../../models");
+const { eventBus } = require("../../utils/events");
+
+describe("AlertDAO", () => {
+  let alertDAO;
+  const now = new Date("2026-03-01T12:00:00Z");
+
+  // Resolve a chain of query helpers (select, populate...) ending in lean()
+  function mockQuery(result) {
+    const query = {
+      select: jest.fn(() => query),
+      populate: jest.fn(() => query),
+      lean: jest.fn().mockResolvedValue(result),
+    };
+    return query;
+  }
+
+  function mockConditions({ products = [], suppliers = [], rules = [] } = {}) {
+    jest.spyOn(AlertRule, "find").mockReturnValue(mockQuery(rules));
+    jest.spyOn(Product, "find").mockReturnValue(mockQuery(products));
+    jest.spyOn(Lot, "find").mockReturnValue(mockQuery([]));
+    jest.spyOn(Supplier, "find").mockReturnValue(mockQuery(suppliers));
+    jest.spyOn(InventoryTransaction, "find").mockReturnValue(mockQuery([]));
+  }
+
+  beforeEach(() => {
+    alertDAO = new AlertDAO();
+  });
+
+  afterEach(() => {
+    eventBus.removeAllListeners("alert.opened");
+    eventBus.removeAllListeners("alert.resolved");
+    jest.restoreAllMocks();
+  });
+
+  describe("evaluateAlerts", () => {
+    const productId = new mongoose.Types.ObjectId();
+    const supplierId = new mongoose.Types.ObjectId();
+
+    test("should open new alerts and refresh existing ones", async () => {
+      mockConditions({
+        products: [
+          {
+            _id: productId,
+            name: "Widget",
+            quantity: 0,
+            reservedQuantity: 0,
+            lowStockThreshold: 5,
+          },
+        ],
+        suppliers: [{ _id: supplierId, name: "Acme", creditLimit: 1000 }],
+      });
+      const upsert = jest
+        .spyOn(Alert, "findOneAndUpdate")
+        .mockImplementation(async (filter, update) => ({
+          lastErrorObject: {
+            updatedExisting: filter.key.startsWith("low_credit"),
+          },
+          value: new Alert({ key: filter.key, ...update.$set }),
+        }));
+      jest.spyOn(Alert, "find").mockResolvedValue([]);
+      const opened = jest.fn();
+      eventBus.on("alert.opened", opened);
+
+      const result = await alertDAO.evaluateAlerts(now);
+
+      expect(result).toEqual({ opened: 1, active: 2, resolved: 0 });
+      expect(upsert).toHaveBeenCalledWith(
+        {
+          key: `out_of_stock:${productId}`,
+          status: { $in: ["open", "acknowledged"] },
+        },
+        {
+          $set: expect.objectContaining({
+            type: "out_of_stock",
+            severity: "critical",
+            lastSeenAt: now,
+          }),
+          $setOnInsert: { status: "open", firstSeenAt: now },
+        },
+        expect.objectContaining({ upsert: true })
+      );
+      expect(upsert).toHaveBeenCalledWith(
+        expect.objectContaining({ key: `low_credit:${supplierId}` }),
+        expect.objectContaining({
+          $set: expect.objectContaining({ value: 1000, threshold: 5000 }),
+        }),
+        expect.any(Object)
+      );
+      expect(opened).toHaveBeenCalledTimes(1);
+      expect(opened.mock.calls[0][0].data.type).toBe("out_of_stock");
+    });
+
+    test("should apply a configured credit threshold", async () => {
+      mockConditions({
+        rules: [{ _id: "r1", type: "low_credit", threshold: 500 }],
+      });
+      jest.spyOn(Alert, "find").mockResolvedValue([]);
+
+      await alertDAO.evaluateAlerts(now);
+
+      expect(Supplier.find).toHaveBeenCalledWith({
+        status: "active",
+        creditLimit: { $lt: 500 },
+      });
+    });
+
+    test("should resolve alerts whose condition cleared", async () => {
+      mockConditions();
+      const stale = new Alert({
+        key: `low_stock:${productId}`,
+        type: "low_stock",
+        severity: "warning",
+        message: "Low",
+        status: "acknowledged",
+      });
+      jest.spyOn(Alert, "find").mockResolvedValue([stale]);
+      const resolve = jest
+        .spyOn(Alert, "findOneAndUpdate")
+        .mockImplementation(
+          async () => new Alert({ ...stale.toObject(), status: "resolved" })
+        );
+      const resolved = jest.fn();
+      eventBus.on("alert.resolved", resolved);
+
+      const result = await alertDAO.evaluateAlerts(now);
+
+      expect(result).toEqual({ opened: 0, active: 0, resolved: 1 });
+      expect(resolve).toHaveBeenCalledWith(
+        { _id: stale._id, status: { $in: ["open", "acknowledged"] } },
+        { $set: { status: "resolved", resolvedAt: now } },
+        { new: true }
+      );
+      expect(resolved).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("acknowledge", () => {
+    test("should reject alerts that are no longer open", async () => {
+      const alertId = new mongoose.Types.ObjectId();
+      jest.spyOn(Alert, "findOneAndUpdate").mockResolvedValue(null);
+      jest.spyOn(Alert, "findById").mockReturnValue({
+        select: jest.fn().mockResolvedValue({ status: "resolved" }),
+      });
+
+      await expect(
+        alertDAO.acknowledge(alertId, { id: "u1", name: "Ann" })
+      ).rejects.toMatchObject({
+        message: "Cannot acknowledge a resolved alert",
+        statusCode: 409,
+      });
+    });
+  });
+
+  describe("snooze", () => {
+    test("should require a snooze ending in the future", async () => {
+      const update = jest.spyOn(Alert, "findOneAndUpdate");
+
+      await expect(
+        alertDAO.snooze(new mongoose.Types.ObjectId(), "2000-01-01", "Ann")
+      ).rejects.toMatchObject({ statusCode: 400 });
+      await expect(
+        alertDAO.snooze(new mongoose.Types.ObjectId(), "not a date", "Ann")
+      ).rejects.toMatchObject({ statusCode: 400 });
+      expect(update).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,117 @@
+const InventorySnapshotDAO = require("../../daos/InventorySnapshotDAO");
+const { Product, InventoryTransaction } = require("../../models");
+
+function mockProducts(products) {
+  jest.spyOn(Product, "find").mockReturnValue({
+    select: jest.fn().mockReturnValue({
+      lean: jest.fn().mockResolvedValue(products),
+    }),
+  });
+}
+
+describe("InventorySnapshotDAO", () => {
+  let inventorySnapshotDAO;
+  let bulkWrite;
+
+  beforeEach(() => {
+    inventorySnapshotDAO = new InventorySnapshotDAO();
+    bulkWrite = jest
+      .spyOn(inventorySnapshotDAO.model, "bulkWrite")
+      .mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should write product snapshots and category totals", async () => {
+    mockProducts([
+      { _id: "p1", category: "c1", quantity: 4, price: 2.5 },
+      { _id: "p2", category: "c1", quantity: 1, price: 10 },
+      { _id: "p3", category: null, quantity: 3, price: 1 },
+    ]);
+
+    const result = await inventorySnapshotDAO.captureSnapshot(
+      new Date("2024-03-10T15:30:00Z")
+    );
+
+    const operations = bulkWrite.mock.calls[0][0];
+    expect(result).toEqual({
+      date: new Date("2024-03-10T00:00:00Z"),
+      documents: 5,
+    });
+    expect(operations[3].updateOne).toEqual({
+      filter: {
+        scope: "category",
+        date: new Date("2024-03-10T00:00:00Z"),
+        category: "c1",
+      },
+      update: { $set: { quantity: 5, value: 20, productCount: 2 } },
+      upsert: true,
+    });
+  });
+
+  test("should replay the ledger backwards from current stock", async () => {
+    mockProducts([
+      {
+        _id: "p1",
+        category: "c1",
+        quantity: 10,
+        price: 1,
+        createdAt: new Date("2024-01-01T00:00:00Z"),
+      },
+    ]);
+    jest.spyOn(InventoryTransaction, "aggregate").mockResolvedValue([
+      { _id: { product: "p1", day: "2024-03-09" }, change: 4 },
+      { _id: { product: "p1", day: "2024-03-10" }, change: -2 },
+    ]);
+
+    const stats = await inventorySnapshotDAO.backfillFromLedger({
+      endDate: new Date("2024-03-10T12:00:00Z"),
+    });
+
+    const productQuantities = bulkWrite.mock.calls.map(
+      ([operations]) => operations[0].updateOne.update.$set.quantity
+    );
+    // End of 10th: 10, end of 9th: 10 - (-2) = 12
+    expect(productQuantities).toEqual([10, 12]);
+    expect(stats).toMatchObject({ days: 2, negativeQuantities: 0 });
+  });
+
+  test("should report the last snapshot of each week", async () => {
+    jest.spyOn(inventorySnapshotDAO.model, "aggregate").mockResolvedValue([
+      {
+        _id: new Date("2024-03-04T00:00:00Z"),
+        totalItems: 5,
+        totalValue: 50,
+      },
+      {
+        _id: new Date("2024-03-08T00:00:00Z"),
+        totalItems: 7,
+        totalValue: 70,
+      },
+      {
+        _id: new Date("2024-03-11T00:00:00Z"),
+        totalItems: 9,
+        totalValue: 90,
+      },
+    ]);
+
+    const trend = await inventorySnapshotDAO.getTrend(30, "week");
+
+    expect(trend).toEqual([
+      {
+        date: "2024-03-03",
+        snapshotDate: new Date("2024-03-08T00:00:00Z"),
+        totalItems: 7,
+        totalValue: 70,
+      },
+      {
+        date: "2024-03-10",
+        snapshotDate: new Date("2024-03-11T00:00:00Z"),
+        totalItems: 9,
+        totalValue: 90,
+      },
+    ]);
+  });
+});
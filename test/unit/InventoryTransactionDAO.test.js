@@ -1,4 +1,25 @@
 ﻿const InventoryTransactionDAO = require("../../daos/InventoryTransactionDAO");
+const { Readable } = require("stream");
+const {
+  Product,
+  StockLevel,
+  Reservation,
+  PurchaseOrder,
+  StocktakeSession,
+  Lot,
+  SerialNumber,
+  CostLayer,
+} = require("../../models");
+const { availableQuantity } = require("../../utils/stock");
+const { eventBus, ANY_EVENT } = require("../../utils/events");
+
+async function readStream(stream) {
+  let output = "";
+  for await (const chunk of stream) {
+    output += chunk;
+  }
+  return output;
+}
 
 // Transaction helpers
 function calculateTotalQuantity(transactions) {
@@ -76,4 +97,1025 @@ describe("InventoryTransactionDAO", () => {
     const result = await inventoryTransactionDAO.getRecentTransactions(7);
     expect(result.data[0].type).toBe("out");
   });
+
+  describe("createTransaction stock movement", () => {
+    let session;
+
+    beforeEach(() => {
+      session = {
+        withTransaction: jest.fn(async (fn) => fn()),
+        endSession: jest.fn(),
+      };
+      jest
+        .spyOn(inventoryTransactionDAO.model, "startSession")
+        .mockResolvedValue(session);
+      jest
+        .spyOn(inventoryTransactionDAO.model, "create")
+        .mockImplementation(async ([doc]) => [doc]);
+      jest
+        .spyOn(StockLevel, "findOneAndUpdate")
+        .mockImplementation(async (filter, update) => ({
+          ...filter,
+          quantity: 10 + update.$inc.quantity,
+        }));
+      jest.spyOn(Product, "findById").mockReturnValue({
+        select: jest.fn().mockResolvedValue({ _id: "p1" }),
+      });
+      jest
+        .spyOn(inventoryTransactionDAO, "_applyCostChange")
+        .mockResolvedValue(0);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test("should apply stock_out to the product inside a session", async () => {
+      const findOneAndUpdate = jest
+        .spyOn(Product, "findOneAndUpdate")
+        .mockResolvedValue({ _id: "p1", quantity: 7 });
+
+      const result = await inventoryTransactionDAO.createTransaction({
+        product: "p1",
+        type: "stock_out",
+        quantity: 3,
+        reason: "Sale",
+        performedBy: "TestUser",
+      });
+
+      expect(StockLevel.findOneAndUpdate).toHaveBeenCalledWith(
+        {
+          product: "p1",
+          warehouse: "MAIN",
+          $expr: { $gte: [availableQuantity("$quantity", "$reserved"), 3] },
+        },
+        { $inc: { quantity: -3 } },
+        { new: true, upsert: false, session }
+      );
+      expect(findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: "p1" },
+        { $inc: { quantity: -3 } },
+        { new: true, session }
+      );
+      expect(result.quantity).toBe(-3);
+      expect(result.previousQuantity).toBe(10);
+      expect(result.newQuantity).toBe(7);
+      expect(session.endSession).toHaveBeenCalled();
+    });
+
+    test("should reject moves that would go below zero", async () => {
+      StockLevel.findOneAndUpdate.mockResolvedValue(null);
+      jest
+        .spyOn(Product, "exists")
+        .mockReturnValue({ session: jest.fn().mockResolvedValue(true) });
+
+      await expect(
+        inventoryTransactionDAO.createTransaction({
+          product: "p1",
+          type: "stock_out",
+          quantity: 50,
+        })
+      ).rejects.toMatchObject({ statusCode: 400 });
+      expect(inventoryTransactionDAO.model.create).not.toHaveBeenCalled();
+    });
+
+    test("should keep the sign of adjustments", async () => {
+      jest
+        .spyOn(Product, "findOneAndUpdate")
+        .mockResolvedValue({ _id: "p1", quantity: 8 });
+
+      const result = await inventoryTransactionDAO.createTransaction({
+        product: "p1",
+        type: "adjustment",
+        quantity: -2,
+      });
+
+      expect(result.quantity).toBe(-2);
+      expect(result.previousQuantity).toBe(10);
+    });
+
+    test("should sign customer returns as inflows and supplier returns as outflows", async () => {
+      jest
+        .spyOn(Product, "findOneAndUpdate")
+        .mockResolvedValue({ _id: "p1", quantity: 12 });
+
+      const received = await inventoryTransactionDAO.createTransaction({
+        product: "p1",
+        type: "returned",
+        quantity: 2,
+      });
+      const shipped = await inventoryTransactionDAO.createTransaction({
+        product: "p1",
+        type: "supplier_return",
+        quantity: 2,
+      });
+
+      expect(received.quantity).toBe(2);
+      expect(shipped.quantity).toBe(-2);
+    });
+
+    test("should release reserved stock when fulfilling a reservation", async () => {
+      const productUpdate = jest
+        .spyOn(Product, "findOneAndUpdate")
+        .mockResolvedValue({ _id: "p1", quantity: 7 });
+      const settle = jest
+        .spyOn(Reservation, "findOneAndUpdate")
+        .mockResolvedValue({ _id: "r1" });
+
+      await inventoryTransactionDAO.createTransaction({
+        product: "p1",
+        type: "stock_out",
+        quantity: 3,
+        reservation: "r1",
+      });
+
+      expect(StockLevel.findOneAndUpdate).toHaveBeenCalledWith(
+        {
+          product: "p1",
+          warehouse: "MAIN",
+          quantity: { $gte: 3 },
+          reserved: { $gte: 3 },
+        },
+        { $inc: { quantity: -3, reserved: -3 } },
+        { new: true, upsert: false, session }
+      );
+      expect(productUpdate).toHaveBeenCalledWith(
+        { _id: "p1" },
+        { $inc: { quantity: -3, reservedQuantity: -3 } },
+        { new: true, session }
+      );
+      expect(settle.mock.calls[0][0]).toMatchObject({
+        _id: "r1",
+        quantity: 3,
+        status: { $in: ["active", "fulfilling"] },
+      });
+    });
+
+    test("should move transfers between warehouses without changing the total", async () => {
+      const productUpdate = jest.spyOn(Product, "findOneAndUpdate");
+      jest.spyOn(Product, "findById").mockReturnValue({
+        session: jest.fn().mockResolvedValue({ _id: "p1", quantity: 10 }),
+      });
+
+      const result = await inventoryTransactionDAO.createTransaction({
+        product: "p1",
+        type: "transfer",
+        quantity: -4,
+        location: { warehouse: "main" },
+        destination: { warehouse: "east" },
+      });
+
+      expect(StockLevel.findOneAndUpdate.mock.calls).toEqual([
+        [
+          {
+            product: "p1",
+            warehouse: "MAIN",
+            $expr: { $gte: [availableQuantity("$quantity", "$reserved"), 4] },
+          },
+          { $inc: { quantity: -4 } },
+          { new: true, upsert: false, session },
+        ],
+        [
+          { product: "p1", warehouse: "EAST" },
+          { $inc: { quantity: 4 } },
+          { new: true, upsert: true, session },
+        ],
+      ]);
+      expect(productUpdate).not.toHaveBeenCalled();
+      expect(result.quantity).toBe(4);
+      expect(result.previousQuantity).toBe(result.newQuantity);
+    });
+
+    test("should require a different destination for transfers", async () => {
+      await expect(
+        inventoryTransactionDAO.createTransaction({
+          product: "p1",
+          type: "transfer",
+          quantity: 4,
+          location: { warehouse: "MAIN" },
+          destination: { warehouse: "main" },
+        })
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test("should publish events once the transaction commits", async () => {
+      const published = [];
+      const listener = (event) => published.push(event);
+      eventBus.on(ANY_EVENT, listener);
+      session.withTransaction.mockImplementation(async (fn) => {
+        await fn();
+        expect(published).toHaveLength(0);
+      });
+      inventoryTransactionDAO.model.create.mockImplementation(async ([doc]) => [
+        { ...doc, toJSON: () => doc },
+      ]);
+      jest.spyOn(Product, "findOneAndUpdate").mockResolvedValue({
+        _id: "p1",
+        name: "Widget",
+        sku: "WID-1",
+        quantity: 4,
+        reservedQuantity: 0,
+        lowStockThreshold: 5,
+      });
+
+      try {
+        await inventoryTransactionDAO.createTransaction({
+          product: "p1",
+          type: "stock_out",
+          quantity: 3,
+        });
+      } finally {
+        eventBus.off(ANY_EVENT, listener);
+      }
+
+      expect(published.map((event) => event.type)).toEqual([
+        "stock_level.changed",
+        "product.low_stock",
+        "transaction.created",
+      ]);
+      expect(published[0].data).toMatchObject({
+        product: "p1",
+        warehouse: "MAIN",
+        quantity: 7,
+        change: -3,
+      });
+      expect(published[1].data).toMatchObject({
+        product: { id: "p1", sku: "WID-1" },
+        previousStatus: "in_stock",
+        status: "low_stock",
+        availableQuantity: 4,
+        warehouse: "MAIN",
+      });
+      expect(published[2].data).toMatchObject({ type: "stock_out" });
+    });
+
+    test("should not publish events when the transaction rolls back", async () => {
+      const listener = jest.fn();
+      eventBus.on(ANY_EVENT, listener);
+      inventoryTransactionDAO.model.create.mockRejectedValue(
+        new Error("write conflict")
+      );
+      jest
+        .spyOn(Product, "findOneAndUpdate")
+        .mockResolvedValue({ _id: "p1", quantity: 0, lowStockThreshold: 5 });
+
+      try {
+        await expect(
+          inventoryTransactionDAO.createTransaction({
+            product: "p1",
+            type: "stock_out",
+            quantity: 3,
+          })
+        ).rejects.toThrow("write conflict");
+      } finally {
+        eventBus.off(ANY_EVENT, listener);
+      }
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("lot tracking", () => {
+    const session = {};
+
+    function mockLots(lots) {
+      jest.spyOn(Lot, "find").mockReturnValue({
+        session: jest.fn().mockResolvedValue(lots),
+      });
+      return jest
+        .spyOn(Lot, "findOneAndUpdate")
+        .mockImplementation(async (filter, update) => {
+          const lot = lots.find((candidate) => candidate._id === filter._id);
+          return { ...lot, quantity: lot.quantity + update.$inc.quantity };
+        });
+    }
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test("should consume lots first-expired-first-out", async () => {
+      const update = mockLots([
+        {
+          _id: "late",
+          lotNumber: "L2",
+          quantity: 5,
+          expiryDate: new Date("2031-06-01"),
+          receivedDate: new Date("2030-01-01"),
+        },
+        {
+          _id: "none",
+          lotNumber: "L3",
+          quantity: 5,
+          receivedDate: new Date("2029-01-01"),
+        },
+        {
+          _id: "soon",
+          lotNumber: "L1",
+          quantity: 2,
+          expiryDate: new Date("2031-01-01"),
+          receivedDate: new Date("2030-02-01"),
+        },
+      ]);
+
+      const moved = await inventoryTransactionDAO._applyLotChange(
+        { product: "p1", type: "stock_out" },
+        { warehouse: "MAIN", quantity: 8 },
+        -4,
+        session
+      );
+
+      expect(moved.map((lot) => [lot.lotNumber, lot.quantity])).toEqual([
+        ["L1", 2],
+        ["L2", 2],
+      ]);
+      expect(update.mock.calls[0][0]).toEqual({
+        _id: "soon",
+        quantity: { $gte: 2 },
+      });
+      expect(Lot.find.mock.calls[0][0]).toMatchObject({ status: "active" });
+    });
+
+    test("should refuse stock outs that only expired lots could cover", async () => {
+      mockLots([]);
+      jest.spyOn(Lot, "find").mockReturnValueOnce({
+        session: jest.fn().mockResolvedValue([]),
+      });
+      jest.spyOn(Lot, "find").mockReturnValueOnce({
+        select: jest.fn().mockReturnValue({
+          session: jest.fn().mockResolvedValue([{ quantity: 10 }]),
+        }),
+      });
+
+      await expect(
+        inventoryTransactionDAO._applyLotChange(
+          { product: "p1", type: "stock_out" },
+          { warehouse: "MAIN", quantity: 7 },
+          -3,
+          session
+        )
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test("should require a lot number when receiving", async () => {
+      await expect(
+        inventoryTransactionDAO._applyLotChange(
+          { product: "p1", type: "stock_in" },
+          { warehouse: "MAIN", quantity: 5 },
+          5,
+          session
+        )
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe("serial tracking", () => {
+    function mockProduct(product) {
+      jest.spyOn(Product, "findById").mockReturnValue({
+        select: jest.fn().mockResolvedValue(product),
+      });
+    }
+
+    function mockSerials(units) {
+      return jest.spyOn(SerialNumber, "find").mockReturnValue({
+        select: jest.fn().mockResolvedValue(units),
+      });
+    }
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test("should require serial numbers when shipping serial-tracked products", async () => {
+      mockProduct({ _id: "p1", trackSerials: true });
+
+      await expect(
+        inventoryTransactionDAO._validateTracking({
+          product: "p1",
+          type: "stock_out",
+          quantity: -2,
+          location: { warehouse: "MAIN" },
+        })
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test("should require one serial number per unit", async () => {
+      mockProduct({ _id: "p1", trackSerials: true });
+
+      await expect(
+        inventoryTransactionDAO._validateTracking({
+          product: "p1",
+          type: "stock_in",
+          quantity: 3,
+          serialNumbers: ["SN1", "SN2"],
+          location: { warehouse: "MAIN" },
+        })
+      ).rejects.toMatchObject({
+        statusCode: 400,
+        message: "Expected 3 serial numbers, got 2",
+      });
+    });
+
+    test("should reject duplicate serial numbers on receipt", async () => {
+      mockProduct({ _id: "p1", trackSerials: true });
+      mockSerials([{ serial: "SN2" }]);
+
+      await expect(
+        inventoryTransactionDAO._validateTracking({
+          product: "p1",
+          type: "stock_in",
+          quantity: 2,
+          serialNumbers: ["SN1", "SN2"],
+          location: { warehouse: "MAIN" },
+        })
+      ).rejects.toMatchObject({
+        statusCode: 409,
+        details: { serialNumbers: ["SN2"] },
+      });
+
+      await expect(
+        inventoryTransactionDAO._validateTracking({
+          product: "p1",
+          type: "stock_in",
+          quantity: 2,
+          serialNumbers: ["SN3", "SN3"],
+          location: { warehouse: "MAIN" },
+        })
+      ).rejects.toMatchObject({
+        statusCode: 400,
+        details: { duplicates: ["SN3"] },
+      });
+    });
+
+    test("should only ship units in stock in the source warehouse", async () => {
+      mockProduct({ _id: "p1", trackSerials: true });
+      const find = mockSerials([{ serial: "SN1" }]);
+
+      await expect(
+        inventoryTransactionDAO._validateTracking({
+          product: "p1",
+          type: "stock_out",
+          quantity: -2,
+          serialNumbers: ["SN1", "SN2"],
+          location: { warehouse: "main" },
+        })
+      ).rejects.toMatchObject({
+        statusCode: 409,
+        details: { serialNumbers: ["SN2"] },
+      });
+      expect(find).toHaveBeenCalledWith({
+        serial: { $in: ["SN1", "SN2"] },
+        product: "p1",
+        warehouse: "MAIN",
+        status: "in_stock",
+      });
+    });
+
+    test("should only accept customer returns of shipped units", async () => {
+      mockProduct({ _id: "p1", trackSerials: true });
+      const find = mockSerials([{ serial: "SN1" }]);
+
+      await expect(
+        inventoryTransactionDAO._validateTracking({
+          product: "p1",
+          type: "returned",
+          quantity: 2,
+          serialNumbers: ["SN1", "SN2"],
+          location: { warehouse: "QUARANTINE" },
+        })
+      ).rejects.toMatchObject({
+        statusCode: 409,
+        details: { serialNumbers: ["SN2"] },
+      });
+      expect(find).toHaveBeenCalledWith(
+        expect.objectContaining({ product: "p1", status: "shipped" })
+      );
+    });
+
+    test("should mark shipped units and register received ones", async () => {
+      const session = {};
+      const updateMany = jest
+        .spyOn(SerialNumber, "updateMany")
+        .mockResolvedValue({ modifiedCount: 1 });
+      const insertMany = jest
+        .spyOn(SerialNumber, "insertMany")
+        .mockResolvedValue([]);
+
+      await inventoryTransactionDAO._applySerialChange(
+        {
+          product: "p1",
+          type: "stock_out",
+          serialNumbers: ["SN1"],
+          location: { warehouse: "MAIN" },
+        },
+        -1,
+        session
+      );
+      await inventoryTransactionDAO._applySerialChange(
+        {
+          product: "p1",
+          type: "stock_in",
+          serialNumbers: ["SN9"],
+          location: { warehouse: "EAST" },
+        },
+        1,
+        session
+      );
+
+      expect(updateMany).toHaveBeenCalledWith(
+        {
+          serial: { $in: ["SN1"] },
+          product: "p1",
+          warehouse: "MAIN",
+          status: "in_stock",
+        },
+        { $set: { status: "shipped" } },
+        { session }
+      );
+      expect(insertMany).toHaveBeenCalledWith(
+        [{ serial: "SN9", product: "p1", warehouse: "EAST" }],
+        { session }
+      );
+    });
+
+    test("should refuse units shipped by a concurrent transaction", async () => {
+      jest
+        .spyOn(SerialNumber, "updateMany")
+        .mockResolvedValue({ modifiedCount: 0 });
+
+      await expect(
+        inventoryTransactionDAO._applySerialChange(
+          {
+            product: "p1",
+            type: "damaged",
+            serialNumbers: ["SN1"],
+            location: { warehouse: "MAIN" },
+          },
+          -1,
+          {}
+        )
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe("cost layers", () => {
+    const originalMethod = process.env.VALUATION_METHOD;
+    const session = {};
+
+    function mockLayers(layers) {
+      jest.spyOn(CostLayer, "find").mockReturnValue({
+        sort: jest.fn().mockReturnValue({
+          session: jest.fn().mockResolvedValue(layers),
+        }),
+      });
+    }
+
+    afterEach(() => {
+      process.env.VALUATION_METHOD = originalMethod || "";
+      jest.restoreAllMocks();
+    });
+
+    test("should cost stock outs from the oldest layers under FIFO", async () => {
+      process.env.VALUATION_METHOD = "fifo";
+      mockLayers([
+        { _id: "old", unitCost: 5, remaining: 2 },
+        { _id: "new", unitCost: 8, remaining: 10 },
+      ]);
+      const update = jest
+        .spyOn(CostLayer, "findOneAndUpdate")
+        .mockImplementation(async (filter) => filter);
+
+      const cost = await inventoryTransactionDAO._applyCostChange(
+        { product: "p1", type: "stock_out" },
+        -3,
+        session
+      );
+
+      expect(cost).toBe(18);
+      expect(update.mock.calls).toEqual([
+        [
+          { _id: "old", remaining: 2 },
+          { $set: { remaining: 0, unitCost: 5 } },
+          { new: true, session },
+        ],
+        [
+          { _id: "new", remaining: 10 },
+          { $set: { remaining: 9, unitCost: 8 } },
+          { new: true, session },
+        ],
+      ]);
+    });
+
+    test("should refuse layers changed by a concurrent transaction", async () => {
+      mockLayers([{ _id: "old", unitCost: 5, remaining: 2 }]);
+      jest.spyOn(CostLayer, "findOneAndUpdate").mockResolvedValue(null);
+
+      await expect(
+        inventoryTransactionDAO._applyCostChange(
+          { product: "p1", type: "damaged" },
+          -1,
+          session
+        )
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    test("should layer uncosted inflows at the latest received cost", async () => {
+      jest.spyOn(CostLayer, "findOne").mockReturnValue({
+        sort: jest.fn().mockReturnValue({
+          select: jest.fn().mockReturnValue({
+            session: jest.fn().mockResolvedValue({ unitCost: 7.5 }),
+          }),
+        }),
+      });
+      const create = jest.spyOn(CostLayer, "create").mockResolvedValue([]);
+
+      await inventoryTransactionDAO._applyCostChange(
+        { _id: "t1", product: "p1", type: "adjustment" },
+        4,
+        session
+      );
+
+      expect(create).toHaveBeenCalledWith(
+        [
+          {
+            product: "p1",
+            transaction: "t1",
+            unitCost: 7.5,
+            quantity: 4,
+            remaining: 4,
+          },
+        ],
+        { session }
+      );
+    });
+  });
+
+  describe("approval workflow", () => {
+    const originalTypes = process.env.APPROVAL_REQUIRED_TYPES;
+    let session;
+
+    beforeEach(() => {
+      session = {
+        withTransaction: jest.fn(async (fn) => fn()),
+        endSession: jest.fn(),
+      };
+      jest
+        .spyOn(inventoryTransactionDAO.model, "startSession")
+        .mockResolvedValue(session);
+      jest
+        .spyOn(inventoryTransactionDAO, "_applyCostChange")
+        .mockResolvedValue(0);
+    });
+
+    afterEach(() => {
+      process.env.APPROVAL_REQUIRED_TYPES = originalTypes || "";
+      jest.restoreAllMocks();
+    });
+
+    test("should hold transactions that match an approval rule", async () => {
+      process.env.APPROVAL_REQUIRED_TYPES = "damaged";
+      jest.spyOn(Product, "findById").mockReturnValue({
+        select: jest.fn().mockResolvedValue({ _id: "p1" }),
+      });
+      const findOneAndUpdate = jest.spyOn(Product, "findOneAndUpdate");
+      const create = jest
+        .spyOn(inventoryTransactionDAO, "create")
+        .mockImplementation(async (doc) => doc);
+
+      const result = await inventoryTransactionDAO.createTransaction({
+        product: "p1",
+        type: "damaged",
+        quantity: 2,
+      });
+
+      expect(result.status).toBe("pending");
+      expect(result.approval.requiredReason).toMatch(/damaged/);
+      expect(create).toHaveBeenCalled();
+      expect(findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test("should apply stock when a pending transaction is approved", async () => {
+      jest
+        .spyOn(StockLevel, "findOneAndUpdate")
+        .mockResolvedValue({ product: "p1", warehouse: "MAIN", quantity: 3 });
+      jest.spyOn(inventoryTransactionDAO.model, "findById").mockReturnValue({
+        session: jest.fn().mockResolvedValue({
+          _id: "t1",
+          product: "p1",
+          quantity: -2,
+          status: "pending",
+        }),
+      });
+      jest
+        .spyOn(Product, "findOneAndUpdate")
+        .mockResolvedValue({ _id: "p1", quantity: 8 });
+      const approve = jest
+        .spyOn(inventoryTransactionDAO.model, "findOneAndUpdate")
+        .mockImplementation(async (filter, update) => ({
+          _id: "t1",
+          ...update.$set,
+        }));
+
+      const result = await inventoryTransactionDAO.approveTransaction(
+        "t1",
+        "Manager",
+        "Checked"
+      );
+
+      expect(approve.mock.calls[0][0]).toEqual({
+        _id: "t1",
+        status: "pending",
+      });
+      expect(result.status).toBe("approved");
+      expect(result.previousQuantity).toBe(10);
+      expect(result.newQuantity).toBe(8);
+    });
+
+    test("should free a rejected purchase order receipt to be received again", async () => {
+      const order = new PurchaseOrder({
+        poNumber: "PO-20240310-0001",
+        supplier: "64b0000000000000000000ff",
+        status: "submitted",
+        lines: [
+          {
+            product: "64b0000000000000000000ee",
+            quantityOrdered: 600,
+            quantityPending: 600,
+            unitCost: 5,
+          },
+        ],
+      });
+      jest.spyOn(order, "save").mockResolvedValue(order);
+      jest.spyOn(PurchaseOrder, "findById").mockReturnValue({
+        session: jest.fn().mockResolvedValue(order),
+      });
+      jest
+        .spyOn(inventoryTransactionDAO.model, "findOneAndUpdate")
+        .mockResolvedValue({
+          _id: "t1",
+          status: "rejected",
+          quantity: 600,
+          purchaseOrder: order._id,
+          purchaseOrderLine: order.lines[0]._id,
+        });
+
+      await inventoryTransactionDAO.rejectTransaction(
+        "t1",
+        "Manager",
+        "Wrong count"
+      );
+
+      expect(order.lines[0].quantityPending).toBe(0);
+      expect(order.lines[0].quantityReceived).toBe(0);
+      expect(order.status).toBe("submitted");
+      expect(order.save).toHaveBeenCalled();
+    });
+
+    test("should partially post a stocktake whose last pending adjustment is rejected", async () => {
+      const stocktake = new StocktakeSession({
+        sessionNumber: "ST-20240101-0001",
+        warehouse: "MAIN",
+        status: "awaiting_approval",
+        lines: [
+          {
+            product: "64b0000000000000000000ee",
+            expectedQuantity: 10,
+            transaction: "64b0000000000000000000a1",
+            adjustmentStatus: "pending",
+          },
+        ],
+        pendingTransactions: ["64b0000000000000000000a1"],
+      });
+      jest.spyOn(stocktake, "save").mockResolvedValue(stocktake);
+      jest.spyOn(StocktakeSession, "findById").mockReturnValue({
+        session: jest.fn().mockResolvedValue(stocktake),
+      });
+      jest
+        .spyOn(inventoryTransactionDAO.model, "findOneAndUpdate")
+        .mockResolvedValue({
+          _id: "64b0000000000000000000a1",
+          status: "rejected",
+          quantity: -2,
+          stocktake: stocktake._id,
+        });
+
+      await inventoryTransactionDAO.rejectTransaction(
+        "64b0000000000000000000a1",
+        "Manager",
+        "Recount"
+      );
+
+      expect(stocktake.status).toBe("partially_posted");
+      expect(stocktake.pendingTransactions).toHaveLength(0);
+      expect(stocktake.lines[0].adjustmentStatus).toBe("rejected");
+    });
+
+    test("should report a conflict when a rejection races another decision", async () => {
+      jest
+        .spyOn(inventoryTransactionDAO.model, "findOneAndUpdate")
+        .mockResolvedValue(null);
+      jest.spyOn(inventoryTransactionDAO.model, "findById").mockReturnValue({
+        session: jest.fn().mockResolvedValue({ _id: "t1", status: "pending" }),
+      });
+
+      await expect(
+        inventoryTransactionDAO.rejectTransaction("t1", "Manager", "No")
+      ).rejects.toMatchObject({
+        statusCode: 409,
+        message: "Transaction was modified concurrently",
+      });
+    });
+
+    test("should leave a transaction pending when settling its rejection fails", async () => {
+      // Writes made in the session only count once the transaction commits
+      let committedStatus = "pending";
+      session.withTransaction.mockImplementation(async (fn) => {
+        session.staged = null;
+        await fn();
+        committedStatus = session.staged || committedStatus;
+      });
+      const reject = jest
+        .spyOn(inventoryTransactionDAO.model, "findOneAndUpdate")
+        .mockImplementation(async (filter, update, options) => {
+          options.session.staged = update.$set.status;
+          return {
+            _id: "t1",
+            status: update.$set.status,
+            quantity: 600,
+            purchaseOrder: "64b0000000000000000000ff",
+            purchaseOrderLine: "64b0000000000000000000ee",
+          };
+        });
+      const findOrder = jest.spyOn(PurchaseOrder, "findById").mockReturnValue({
+        session: jest.fn().mockRejectedValue(new Error("Order unavailable")),
+      });
+
+      await expect(
+        inventoryTransactionDAO.rejectTransaction("t1", "Manager", "No")
+      ).rejects.toThrow("Order unavailable");
+
+      expect(reject.mock.calls[0][2].session).toBe(session);
+      expect(findOrder.mock.results[0].value.session).toHaveBeenCalledWith(
+        session
+      );
+      expect(committedStatus).toBe("pending");
+      expect(session.endSession).toHaveBeenCalled();
+    });
+
+    test("should refuse to approve a transaction that is already final", async () => {
+      jest.spyOn(inventoryTransactionDAO.model, "findById").mockReturnValue({
+        session: jest
+          .fn()
+          .mockResolvedValue({ _id: "t1", product: "p1", status: "rejected" }),
+      });
+      const findOneAndUpdate = jest.spyOn(Product, "findOneAndUpdate");
+
+      await expect(
+        inventoryTransactionDAO.approveTransaction("t1", "Manager")
+      ).rejects.toMatchObject({
+        statusCode: 409,
+        message: "Transaction is already rejected",
+      });
+      expect(findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test("should refuse to let the performer approve their own transaction", async () => {
+      jest.spyOn(inventoryTransactionDAO.model, "findById").mockReturnValue({
+        session: jest.fn().mockResolvedValue({
+          _id: "t1",
+          product: "p1",
+          quantity: -2,
+          status: "pending",
+          performedBy: "Clerk",
+          performedById: "64b000000000000000000001",
+        }),
+      });
+      const findOneAndUpdate = jest.spyOn(Product, "findOneAndUpdate");
+
+      await expect(
+        inventoryTransactionDAO.approveTransaction("t1", {
+          id: "64b000000000000000000001",
+          name: "Renamed Clerk",
+        })
+      ).rejects.toMatchObject({ statusCode: 403 });
+      expect(findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("exportTransactions", () => {
+    const docs = [
+      {
+        _id: "t1",
+        type: "stock_in",
+        quantity: 5,
+        reason: 'Delivery, "urgent"',
+        product: { _id: "p1", name: "Widget", sku: "WID-1" },
+      },
+      {
+        _id: "t2",
+        type: "stock_out",
+        quantity: -2,
+        reason: "Sale",
+        product: { _id: "p1", name: "Widget", sku: "WID-1" },
+      },
+    ];
+
+    beforeEach(() => {
+      const query = {
+        sort: jest.fn().mockReturnThis(),
+        populate: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockReturnThis(),
+        cursor: jest.fn(() => Readable.from(docs)),
+      };
+      jest.spyOn(inventoryTransactionDAO.model, "find").mockReturnValue(query);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test("should stream escaped CSV with selected columns", async () => {
+      const stream = await inventoryTransactionDAO.exportTransactions(
+        { type: "stock_in" },
+        "csv",
+        ["id", "sku", "quantity", "reason"]
+      );
+
+      expect(await readStream(stream)).toBe(
+        "id,sku,quantity,reason\r\n" +
+          't1,WID-1,5,"Delivery, ""urgent"""\r\n' +
+          "t2,WID-1,-2,Sale\r\n"
+      );
+      expect(inventoryTransactionDAO.model.find).toHaveBeenCalledWith({
+        type: "stock_in",
+      });
+    });
+
+    test("should stream NDJSON and valid JSON", async () => {
+      const ndjson = await readStream(
+        await inventoryTransactionDAO.exportTransactions({}, "ndjson", [
+          "id",
+          "quantity",
+        ])
+      );
+      expect(ndjson.trim().split("\n").map(JSON.parse)).toEqual([
+        { id: "t1", quantity: 5 },
+        { id: "t2", quantity: -2 },
+      ]);
+
+      const json = await readStream(
+        await inventoryTransactionDAO.exportTransactions({}, "json", ["id"])
+      );
+      expect(JSON.parse(json)).toEqual([{ id: "t1" }, { id: "t2" }]);
+    });
+
+    test("should reject bad filters before opening the cursor", async () => {
+      await expect(
+        inventoryTransactionDAO.exportTransactions(
+          {
+            type: "teleport",
+            status: "lost",
+            product: "not-an-id",
+            dateRange: { startDate: new Date("soon"), endDate: new Date() },
+          },
+          "csv"
+        )
+      ).rejects.toMatchObject({
+        statusCode: 400,
+        details: [
+          expect.objectContaining({ field: "type" }),
+          expect.objectContaining({ field: "status" }),
+          expect.objectContaining({ field: "product" }),
+          expect.objectContaining({ field: "startDate" }),
+        ],
+      });
+      expect(inventoryTransactionDAO.model.find).not.toHaveBeenCalled();
+    });
+
+    test("should forward cursor failures to the returned stream", async () => {
+      const failing = new Readable({
+        objectMode: true,
+        read() {
+          this.destroy(new Error("cursor killed"));
+        },
+      });
+      inventoryTransactionDAO.model.find().cursor.mockReturnValue(failing);
+
+      const stream = await inventoryTransactionDAO.exportTransactions(
+        {},
+        "csv"
+      );
+
+      await expect(readStream(stream)).rejects.toThrow("cursor killed");
+    });
+
+    test("should reject unknown columns and formats", async () => {
+      await expect(
+        inventoryTransactionDAO.exportTransactions({}, "csv", ["bogus"])
+      ).rejects.toMatchObject({ statusCode: 400 });
+      await expect(
+        inventoryTransactionDAO.exportTransactions({}, "xml")
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
 });
@@ -0,0 +1,57 @@
+const LotDAO = require("../../daos/LotDAO");
+
+describe("LotDAO", () => {
+  let lotDAO;
+  let session;
+
+  beforeEach(() => {
+    lotDAO = new LotDAO();
+    session = {
+      withTransaction: jest.fn(async (fn) => fn()),
+      endSession: jest.fn(),
+    };
+    jest.spyOn(lotDAO.model, "startSession").mockResolvedValue(session);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should write off expired lots with expired transactions", async () => {
+    jest.spyOn(lotDAO.model, "find").mockReturnValue({
+      lean: jest.fn().mockResolvedValue([{ _id: "lot1" }, { _id: "lot2" }]),
+    });
+    jest
+      .spyOn(lotDAO.model, "findOneAndUpdate")
+      .mockResolvedValueOnce({
+        _id: "lot1",
+        product: "p1",
+        warehouse: "MAIN",
+        lotNumber: "L1",
+        quantity: 6,
+      })
+      // Already written off by a concurrent run
+      .mockResolvedValueOnce(null);
+    const createTransaction = jest
+      .spyOn(lotDAO.inventoryTransactionDAO, "createTransaction")
+      .mockResolvedValue({ _id: "t1" });
+
+    const result = await lotDAO.expireLots();
+
+    expect(createTransaction).toHaveBeenCalledTimes(1);
+    expect(createTransaction).toHaveBeenCalledWith(
+      expect.objectContaining({
+        product: "p1",
+        type: "expired",
+        quantity: 6,
+        location: { warehouse: "MAIN" },
+        lot: { lotNumber: "L1" },
+      }),
+      { session }
+    );
+    expect(result).toEqual({
+      expired: [{ lot: "lot1", transaction: "t1" }],
+      failed: [],
+    });
+  });
+});
@@ -1,4 +1,14 @@
 ﻿const ProductDAO = require("../../daos/ProductDAO");
+const mongoose = require("mongoose");
+const {
+  Product,
+  Category,
+  Supplier,
+  Lot,
+  PurchaseOrder,
+  InventoryTransaction,
+} = require("../../models");
+const { valueMovements } = require("../../utils/valuation");
 
 // Thêm logic code để tính coverage
 function calculateTotal(items) {
@@ -70,4 +80,649 @@ describe("ProductDAO", () => {
     expect(total).toBe(5);
     expect(result.data[0].quantity).toBe(5);
   });
+
+  describe("updateQuantity", () => {
+    let session;
+
+    beforeEach(() => {
+      session = {
+        withTransaction: jest.fn(async (fn) => fn()),
+        endSession: jest.fn(),
+      };
+      jest.spyOn(productDAO.model, "startSession").mockResolvedValue(session);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test("should record the difference as an adjustment", async () => {
+      jest
+        .spyOn(productDAO.model, "findById")
+        .mockReturnValueOnce({
+          session: jest.fn().mockResolvedValue({ _id: "p1", quantity: 10 }),
+        })
+        .mockReturnValueOnce({
+          session: jest.fn().mockResolvedValue({ _id: "p1", quantity: 4 }),
+        });
+      const createTransaction = jest
+        .spyOn(productDAO.inventoryTransactionDAO, "createTransaction")
+        .mockResolvedValue({ _id: "t1", type: "adjustment", quantity: -6 });
+
+      const result = await productDAO.updateQuantity(
+        "p1",
+        4,
+        "Cycle count",
+        "TestUser"
+      );
+
+      expect(createTransaction).toHaveBeenCalledWith(
+        {
+          product: "p1",
+          type: "adjustment",
+          quantity: -6,
+          reason: "Cycle count",
+          performedBy: "TestUser",
+        },
+        { session }
+      );
+      expect(result.quantityChange.difference).toBe(-6);
+      expect(result.transaction._id).toBe("t1");
+    });
+
+    test("should not write a transaction when quantity is unchanged", async () => {
+      jest.spyOn(productDAO.model, "findById").mockReturnValue({
+        session: jest.fn().mockResolvedValue({ _id: "p1", quantity: 10 }),
+      });
+      const createTransaction = jest.spyOn(
+        productDAO.inventoryTransactionDAO,
+        "createTransaction"
+      );
+
+      const result = await productDAO.updateQuantity("p1", 10);
+
+      expect(createTransaction).not.toHaveBeenCalled();
+      expect(result.transaction).toBeNull();
+    });
+  });
+
+  describe("product input", () => {
+    beforeEach(() => {
+      const session = {
+        withTransaction: jest.fn(async (fn) => fn()),
+        endSession: jest.fn(),
+      };
+      jest.spyOn(productDAO.model, "startSession").mockResolvedValue(session);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test("should ignore reserved quantity and variant links on update", async () => {
+      const updateById = jest
+        .spyOn(productDAO, "updateById")
+        .mockResolvedValue({ _id: "p1", quantity: 5 });
+
+      await productDAO.updateWithQuantity("p1", {
+        name: "Renamed",
+        reservedQuantity: 0,
+        parent: "64b000000000000000000001",
+      });
+
+      expect(updateById).toHaveBeenCalledWith(
+        "p1",
+        { name: "Renamed" },
+        expect.any(Object)
+      );
+    });
+
+    test("should value opening stock at cost, not at the selling price", async () => {
+      jest.spyOn(Product.prototype, "validate").mockResolvedValue();
+      jest.spyOn(Product.prototype, "save").mockResolvedValue();
+      const createTransaction = jest
+        .spyOn(productDAO.inventoryTransactionDAO, "createTransaction")
+        .mockImplementation(async (data) => ({ ...data, status: "approved" }));
+
+      await productDAO.createWithInitialStock({
+        name: "Widget",
+        sku: "WID-1",
+        price: 20,
+        unitCost: 8,
+        quantity: 5,
+      });
+      const opening = await createTransaction.mock.results[0].value;
+
+      expect(opening.unitCost).toBe(8);
+      expect(
+        valueMovements([{ ...opening, product: "p1" }], "fifo").get("p1")
+      ).toMatchObject({ quantity: 5, value: 40 });
+    });
+
+    test("should leave opening stock uncosted without a unit cost", async () => {
+      jest.spyOn(Product.prototype, "validate").mockResolvedValue();
+      jest.spyOn(Product.prototype, "save").mockResolvedValue();
+      const createTransaction = jest
+        .spyOn(productDAO.inventoryTransactionDAO, "createTransaction")
+        .mockResolvedValue({ status: "approved" });
+
+      await productDAO.createWithInitialStock({
+        name: "Widget",
+        sku: "WID-1",
+        price: 20,
+        quantity: 5,
+      });
+
+      expect(createTransaction.mock.calls[0][0]).not.toHaveProperty("unitCost");
+      await expect(
+        productDAO.createWithInitialStock({
+          name: "Widget",
+          sku: "WID-1",
+          price: 20,
+          unitCost: -1,
+        })
+      ).rejects.toMatchObject({
+        statusCode: 400,
+        details: [expect.objectContaining({ field: "unitCost" })],
+      });
+    });
+
+    test("should ignore reserved quantity on create", async () => {
+      jest.spyOn(Product.prototype, "validate").mockResolvedValue();
+      jest.spyOn(Product.prototype, "save").mockResolvedValue();
+
+      const product = await productDAO.createWithInitialStock({
+        name: "Widget",
+        sku: "WID-1",
+        price: 5,
+        reservedQuantity: 40,
+      });
+
+      expect(product.reservedQuantity).toBe(0);
+    });
+  });
+
+  describe("generateVariants", () => {
+    let parent;
+
+    beforeEach(() => {
+      parent = new Product({
+        name: "Tee",
+        sku: "TEE",
+        price: 10,
+        quantity: 0,
+        category: new mongoose.Types.ObjectId(),
+        attributes: { Material: "Cotton" },
+      });
+      jest.spyOn(productDAO.model, "startSession").mockResolvedValue({
+        withTransaction: jest.fn(async (fn) => fn()),
+        endSession: jest.fn(),
+      });
+      jest.spyOn(productDAO.model, "findById").mockReturnValue({
+        session: jest.fn().mockResolvedValue(parent),
+      });
+      jest.spyOn(Category, "findById").mockReturnValue({
+        select: jest.fn().mockReturnValue({
+          session: jest.fn().mockResolvedValue({
+            attributes: [
+              { name: "Size", type: "select", options: ["S", "M", "XL"] },
+              { name: "Colour", type: "select", options: ["Red", "Navy"] },
+              { name: "Material", type: "text" },
+              { name: "Care", type: "multiselect", options: ["Wash"] },
+            ],
+          }),
+        }),
+      });
+      jest.spyOn(productDAO.model, "updateOne").mockResolvedValue({});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test("should create one variant per new combination", async () => {
+      jest.spyOn(productDAO.model, "find").mockReturnValue({
+        select: jest.fn().mockReturnValue({
+          session: jest.fn().mockResolvedValue([
+            {
+              attributes: new Map([
+                ["Size", "S"],
+                ["Colour", "Red"],
+              ]),
+            },
+          ]),
+        }),
+      });
+      const save = jest
+        .spyOn(Product.prototype, "save")
+        .mockImplementation(async function () {
+          return this;
+        });
+
+      const result = await productDAO.generateVariants(parent._id, {
+        attributes: { Size: ["s", "XL"], Colour: ["red", "navy"] },
+        priceAdjustments: { Size: { XL: 2.5 } },
+      });
+
+      expect(result.skipped).toEqual([{ Size: "S", Colour: "Red" }]);
+      expect(save).toHaveBeenCalledTimes(3);
+      expect(
+        result.variants.map((variant) => ({
+          name: variant.name,
+          sku: variant.sku,
+          price: variant.price,
+          parent: variant.parent,
+          attributes: Object.fromEntries(variant.attributes),
+        }))
+      ).toEqual([
+        {
+          name: "Tee (S / Navy)",
+          sku: "TEE-S-NAVY",
+          price: 10,
+          parent: parent._id,
+          attributes: { Material: "Cotton", Size: "S", Colour: "Navy" },
+        },
+        {
+          name: "Tee (XL / Red)",
+          sku: "TEE-XL-RED",
+          price: 12.5,
+          parent: parent._id,
+          attributes: { Material: "Cotton", Size: "XL", Colour: "Red" },
+        },
+        {
+          name: "Tee (XL / Navy)",
+          sku: "TEE-XL-NAVY",
+          price: 12.5,
+          parent: parent._id,
+          attributes: { Material: "Cotton", Size: "XL", Colour: "Navy" },
+        },
+      ]);
+      expect(productDAO.model.updateOne).toHaveBeenCalledWith(
+        { _id: parent._id },
+        { $addToSet: { variantAttributes: { $each: ["Size", "Colour"] } } },
+        expect.any(Object)
+      );
+    });
+
+    test("should reject values outside the category options", async () => {
+      const save = jest.spyOn(Product.prototype, "save");
+
+      await expect(
+        productDAO.generateVariants(parent._id, {
+          attributes: { Size: ["M", "XXL"], Care: ["Wash"] },
+        })
+      ).rejects.toMatchObject({
+        statusCode: 400,
+        details: [
+          expect.objectContaining({ field: "attributes.Size", value: "XXL" }),
+          expect.objectContaining({ field: "attributes.Care" }),
+        ],
+      });
+      expect(save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("facetedSearch", () => {
+    function mockFacets(result = {}) {
+      return jest.spyOn(productDAO, "aggregate").mockResolvedValue([
+        {
+          products: [],
+          total: [{ count: 3 }],
+          categories: [],
+          suppliers: [],
+          statuses: [],
+          stockStatuses: [],
+          priceBuckets: [],
+          tags: [],
+          attributes: [],
+          ...result,
+        },
+      ]);
+    }
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test("should rank text matches and count facets without their own filter", async () => {
+      const aggregate = mockFacets();
+
+      const result = await productDAO.facetedSearch(
+        { q: "tee", stockStatus: ["in_stock"], minPrice: 5 },
+        { limit: 2 }
+      );
+
+      const [pipeline] = aggregate.mock.calls[0];
+      expect(pipeline[0]).toEqual({ $match: { $text: { $search: "tee" } } });
+      expect(pipeline[1].$addFields.score).toEqual({ $meta: "textScore" });
+
+      const facets = pipeline[2].$facet;
+      expect(facets.products).toEqual([
+        {
+          $match: {
+            $and: [
+              { status: { $in: ["active"] } },
+              { stockStatus: { $in: ["in_stock"] } },
+              { price: { $gte: 5 } },
+            ],
+          },
+        },
+        { $sort: { score: -1, _id: 1 } },
+        { $skip: 0 },
+        { $limit: 2 },
+      ]);
+      expect(facets.stockStatuses[0]).toEqual({
+        $match: {
+          $and: [{ status: { $in: ["active"] } }, { price: { $gte: 5 } }],
+        },
+      });
+      expect(facets.priceBuckets[0].$match.$and).toHaveLength(2);
+      expect(result.pagination).toMatchObject({
+        total: 3,
+        totalPages: 2,
+        hasNext: true,
+      });
+    });
+
+    test("should shape price buckets and recount filtered attributes", async () => {
+      const aggregate = mockFacets({
+        priceBuckets: [
+          { _id: 10, count: 4 },
+          { _id: "above", count: 1 },
+        ],
+        attributes: [
+          { _id: "Size", values: [{ value: "M", count: 2 }] },
+          { _id: "Colour", values: [{ value: "Red", count: 2 }] },
+        ],
+        attribute0: [
+          {
+            _id: "Size",
+            values: [
+              { value: "M", count: 2 },
+              { value: "L", count: 1 },
+            ],
+          },
+        ],
+      });
+
+      const result = await productDAO.facetedSearch({
+        attributes: { Size: ["M", "42"] },
+      });
+
+      const facets = aggregate.mock.calls[0][0][1].$facet;
+      expect(facets.products[0].$match.$and).toContainEqual({
+        "attributes.Size": { $in: ["M", "42", 42] },
+      });
+      expect(facets.attribute0[0]).toEqual({
+        $match: { $and: [{ status: { $in: ["active"] } }] },
+      });
+      expect(result.facets.priceBuckets).toEqual([
+        { min: 10, max: 25, count: 4 },
+        { min: 1000, max: null, count: 1 },
+      ]);
+      expect(result.facets.attributes).toEqual([
+        { name: "Colour", values: [{ value: "Red", count: 2 }] },
+        {
+          name: "Size",
+          values: [
+            { value: "M", count: 2 },
+            { value: "L", count: 1 },
+          ],
+        },
+      ]);
+    });
+  });
+
+  describe("scanning", () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test("should reject codes with a bad check digit before looking up", async () => {
+      const findOne = jest.spyOn(productDAO, "findOne");
+
+      await expect(
+        productDAO.resolveScan("4006381333938")
+      ).rejects.toMatchObject({
+        statusCode: 400,
+        details: [{ field: "code", message: "Invalid EAN-13 check digit" }],
+      });
+      expect(findOne).not.toHaveBeenCalled();
+    });
+
+    test("should match a UPC-A scan against its EAN-13 barcode", async () => {
+      const variant = { _id: "v1", parent: "p1" };
+      const findOne = jest
+        .spyOn(productDAO, "findOne")
+        .mockResolvedValue(variant);
+
+      const result = await productDAO.resolveScan("036000291452", {
+        warehouse: "east",
+      });
+
+      expect(findOne).toHaveBeenCalledWith({
+        $or: [{ barcode: { $in: ["036000291452", "0036000291452"] } }],
+      });
+      expect(result).toMatchObject({
+        type: "variant",
+        format: "upca",
+        warehouse: "EAST",
+        product: variant,
+      });
+    });
+
+    test("should book units out of a scanned lot", async () => {
+      const expiryDate = new Date("2026-12-31");
+      jest.spyOn(productDAO, "findOne").mockResolvedValue(null);
+      const find = jest.spyOn(Lot, "find").mockReturnValue({
+        populate: jest.fn().mockResolvedValue([
+          {
+            lotNumber: "LOT42",
+            expiryDate,
+            product: { _id: "p1", sku: "P1" },
+          },
+        ]),
+      });
+      const createTransaction = jest
+        .spyOn(productDAO.inventoryTransactionDAO, "createTransaction")
+        .mockResolvedValue({ _id: "t1", status: "completed" });
+
+      const result = await productDAO.scanStock(
+        "lot42",
+        { action: "stock_out", quantity: 3 },
+        "Ana"
+      );
+
+      expect(find).toHaveBeenCalledWith({
+        lotNumber: "LOT42",
+        warehouse: "MAIN",
+      });
+      expect(createTransaction).toHaveBeenCalledWith({
+        product: "p1",
+        type: "stock_out",
+        quantity: 3,
+        reason: "Scanned lot42",
+        reference: undefined,
+        performedBy: "Ana",
+        location: { warehouse: "MAIN" },
+        serialNumbers: undefined,
+        lot: { lotNumber: "LOT42", expiryDate },
+      });
+      expect(result).toMatchObject({ type: "lot", transaction: { _id: "t1" } });
+    });
+
+    test("should require a valid action and quantity", async () => {
+      await expect(
+        productDAO.scanStock("SKU-001", { action: "sell", quantity: 0 })
+      ).rejects.toMatchObject({
+        statusCode: 400,
+        details: [{ field: "action" }, { field: "quantity" }],
+      });
+    });
+  });
+
+  describe("getLabels", () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    function mockProducts(products) {
+      return jest.spyOn(productDAO.model, "find").mockReturnValue({
+        select: jest.fn().mockResolvedValue(products),
+      });
+    }
+
+    test("should print one label per unit of the latest receipt", async () => {
+      const widget = new mongoose.Types.ObjectId();
+      const order = new PurchaseOrder({
+        receipts: [
+          { transactions: [new mongoose.Types.ObjectId()] },
+          { transactions: [new mongoose.Types.ObjectId()] },
+        ],
+      });
+      jest.spyOn(PurchaseOrder, "findById").mockReturnValue({
+        select: jest.fn().mockResolvedValue(order),
+      });
+      const findTransactions = jest
+        .spyOn(InventoryTransaction, "find")
+        .mockReturnValue({
+          select: jest
+            .fn()
+            .mockResolvedValue([{ product: widget, quantity: 3 }]),
+        });
+      mockProducts([
+        { _id: widget, name: "Widget", sku: "WID-1", price: 2, barcode: "" },
+      ]);
+
+      const labels = await productDAO.getLabels({ purchaseOrder: order._id });
+
+      expect(findTransactions).toHaveBeenCalledWith({
+        _id: { $in: order.receipts[1].transactions },
+      });
+      expect(labels).toHaveLength(3);
+      expect(labels[0]).toMatchObject({
+        name: "Widget",
+        sku: "WID-1",
+        barcode: { format: "code128", value: "WID-1" },
+      });
+    });
+
+    test("should report products that do not exist", async () => {
+      const id = new mongoose.Types.ObjectId().toString();
+      mockProducts([]);
+
+      await expect(
+        productDAO.getLabels({ products: [id] })
+      ).rejects.toMatchObject({
+        statusCode: 404,
+        details: { products: [id] },
+      });
+    });
+
+    test("should cap the number of labels per request", async () => {
+      const find = mockProducts([]);
+
+      await expect(
+        productDAO.getLabels({
+          products: [{ product: "p1", copies: 1001 }],
+        })
+      ).rejects.toMatchObject({ statusCode: 400 });
+      expect(find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("importProducts", () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test("should report row-level errors on a dry run", async () => {
+      const supplierId = new mongoose.Types.ObjectId();
+      jest.spyOn(Supplier, "findOne").mockReturnValue({
+        select: jest.fn().mockResolvedValue({ _id: supplierId }),
+      });
+      jest.spyOn(Supplier, "exists").mockResolvedValue({ _id: supplierId });
+      jest.spyOn(productDAO, "findBySKU").mockResolvedValue(null);
+      jest.spyOn(productDAO, "findByBarcode").mockResolvedValue(null);
+      const createWithInitialStock = jest.spyOn(
+        productDAO,
+        "createWithInitialStock"
+      );
+
+      const report = await productDAO.importProducts(
+        [
+          { name: "Bad Price", price: "abc", sku: "imp-1" },
+          {
+            name: "Good",
+            price: "5",
+            quantity: "3",
+            sku: "imp-2",
+            tags: "a;b",
+            supplierName: "Acme",
+            weight: "1.5",
+          },
+          { name: "Repeat", price: "1", sku: "IMP-2" },
+        ],
+        { dryRun: true }
+      );
+
+      expect(createWithInitialStock).not.toHaveBeenCalled();
+      expect(report.summary).toEqual({
+        total: 3,
+        created: 1,
+        updated: 0,
+        failed: 2,
+      });
+      expect(report.rows[0].status).toBe("failed");
+      expect(report.rows[0].errors[0]).toMatchObject({ field: "price" });
+      expect(report.rows[1]).toMatchObject({
+        row: 2,
+        sku: "IMP-2",
+        action: "create",
+        status: "valid",
+      });
+      expect(report.rows[2].errors[0].message).toMatch(/Duplicate sku/);
+    });
+
+    test("should fail rows whose category does not exist", async () => {
+      jest.spyOn(Category, "findOne").mockReturnValue({
+        select: jest.fn().mockResolvedValue(null),
+      });
+
+      const report = await productDAO.importProducts(
+        [{ name: "Orphan", price: "1", sku: "imp-3", category: "Nope" }],
+        { dryRun: true }
+      );
+
+      expect(report.summary.failed).toBe(1);
+      expect(report.rows[0].errors).toEqual([
+        {
+          field: "category",
+          message: "Category does not exist",
+          value: "Nope",
+        },
+      ]);
+    });
+
+    test("should map flat columns onto the product schema", () => {
+      const data = productDAO._mapImportRecord({
+        name: " Lamp ",
+        price: "12.5",
+        tags: "home|light",
+        images: "http://a/1.png|http://a/2.png",
+        supplierCode: "acme-01",
+        height: "30",
+        barcode: "",
+      });
+
+      expect(data).toEqual({
+        name: "Lamp",
+        price: 12.5,
+        tags: ["home", "light"],
+        images: [{ url: "http://a/1.png" }, { url: "http://a/2.png" }],
+        supplier: "acme-01",
+        dimensions: { height: 30 },
+      });
+    });
+  });
 });
@@ -0,0 +1,164 @@
+const mongoose = require("mongoose");
+const PurchaseOrderDAO = require("../../daos/PurchaseOrderDAO");
+const { PurchaseOrder, Supplier } = require("../../models");
+const { eventBus } = require("../../utils/events");
+
+function buildOrder(overrides = {}) {
+  const order = new PurchaseOrder({
+    poNumber: "PO-20240310-0001",
+    supplier: new mongoose.Types.ObjectId(),
+    status: "submitted",
+    warehouse: "MAIN",
+    lines: [
+      {
+        product: new mongoose.Types.ObjectId(),
+        quantityOrdered: 10,
+        unitCost: 5,
+      },
+    ],
+    ...overrides,
+  });
+  jest.spyOn(order, "save").mockResolvedValue(order);
+  return order;
+}
+
+describe("PurchaseOrderDAO", () => {
+  let purchaseOrderDAO;
+  let session;
+
+  beforeEach(() => {
+    purchaseOrderDAO = new PurchaseOrderDAO();
+    session = {
+      withTransaction: jest.fn(async (fn) => fn()),
+      endSession: jest.fn(),
+    };
+    jest
+      .spyOn(purchaseOrderDAO.model, "startSession")
+      .mockResolvedValue(session);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function mockFindOrder(order) {
+    jest.spyOn(purchaseOrderDAO.model, "findById").mockReturnValue({
+      session: jest.fn().mockResolvedValue(order),
+    });
+  }
+
+  test("should refuse submission beyond the supplier credit limit", async () => {
+    const order = buildOrder({ status: "draft" });
+    mockFindOrder(order);
+    jest.spyOn(Supplier, "findOneAndUpdate").mockResolvedValue({
+      _id: order.supplier,
+      paymentTerms: "net30",
+      creditLimit: 500,
+    });
+    jest.spyOn(purchaseOrderDAO, "getOpenValue").mockResolvedValue(480);
+
+    await expect(
+      purchaseOrderDAO.submitOrder(order._id, { id: "u1", name: "Maria" })
+    ).rejects.toMatchObject({
+      statusCode: 409,
+      details: { creditLimit: 500, openValue: 480, orderValue: 50 },
+    });
+    expect(order.save).not.toHaveBeenCalled();
+  });
+
+  test("should receive lines as stock_in transactions referencing the PO", async () => {
+    const order = buildOrder();
+    mockFindOrder(order);
+    jest.spyOn(Supplier, "findById").mockReturnValue({
+      select: jest.fn().mockReturnValue({
+        session: jest
+          .fn()
+          .mockResolvedValue({ _id: order.supplier, name: "Acme" }),
+      }),
+    });
+    const createTransaction = jest
+      .spyOn(purchaseOrderDAO.inventoryTransactionDAO, "createTransaction")
+      .mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+    const result = await purchaseOrderDAO.receiveOrder(
+      order._id,
+      [{ lineId: order.lines[0]._id.toString(), quantity: 4 }],
+      { id: "u1", name: "Maria" }
+    );
+
+    expect(createTransaction).toHaveBeenCalledWith(
+      expect.objectContaining({
+        type: "stock_in",
+        quantity: 4,
+        unitCost: 5,
+        reference: "PO-20240310-0001",
+        location: { warehouse: "MAIN" },
+      }),
+      { session }
+    );
+    expect(result.purchaseOrder.status).toBe("partially_received");
+    expect(order.lines[0].quantityReceived).toBe(4);
+  });
+
+  test("should hold receipts awaiting approval on the line", async () => {
+    const order = buildOrder();
+    order.lines[0].quantityReceived = 2;
+    mockFindOrder(order);
+    jest.spyOn(Supplier, "findById").mockReturnValue({
+      select: jest.fn().mockReturnValue({
+        session: jest.fn().mockResolvedValue(null),
+      }),
+    });
+    jest
+      .spyOn(purchaseOrderDAO.inventoryTransactionDAO, "createTransaction")
+      .mockResolvedValue({
+        _id: new mongoose.Types.ObjectId(),
+        status: "pending",
+      });
+    const received = jest.fn();
+    eventBus.on("purchase_order.received", received);
+
+    const result = await purchaseOrderDAO.receiveOrder(
+      order._id,
+      [{ lineId: order.lines[0]._id.toString(), quantity: 8 }],
+      "Maria"
+    );
+    eventBus.off("purchase_order.received", received);
+
+    expect(order.lines[0].quantityReceived).toBe(2);
+    expect(order.lines[0].quantityPending).toBe(8);
+    expect(result.purchaseOrder.status).toBe("partially_received");
+    expect(received).not.toHaveBeenCalled();
+    await expect(
+      purchaseOrderDAO.receiveOrder(
+        order._id,
+        [{ lineId: order.lines[0]._id.toString(), quantity: 1 }],
+        "Maria"
+      )
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test("should reject receiving more than is outstanding", async () => {
+    const order = buildOrder();
+    order.lines[0].quantityReceived = 8;
+    mockFindOrder(order);
+    jest.spyOn(Supplier, "findById").mockReturnValue({
+      select: jest.fn().mockReturnValue({
+        session: jest.fn().mockResolvedValue(null),
+      }),
+    });
+    const createTransaction = jest.spyOn(
+      purchaseOrderDAO.inventoryTransactionDAO,
+      "createTransaction"
+    );
+
+    await expect(
+      purchaseOrderDAO.receiveOrder(
+        order._id,
+        [{ lineId: order.lines[0]._id.toString(), quantity: 3 }],
+        "Maria"
+      )
+    ).rejects.toMatchObject({ statusCode: 400 });
+    expect(createTransaction).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,155 @@
+const ReplenishmentDAO = require("../../daos/ReplenishmentDAO");
+const {
+  Product,
+  InventoryTransaction,
+  PurchaseOrder,
+  Supplier,
+} = require("../../models");
+
+const DEFAULTS = { velocityDays: 30, leadTimeDays: 7, daysOfCover: 30 };
+
+function mockLean(model, method, value) {
+  jest.spyOn(model, method).mockReturnValue({
+    select: jest.fn().mockReturnValue({
+      lean: jest.fn().mockResolvedValue(value),
+    }),
+  });
+}
+
+describe("ReplenishmentDAO", () => {
+  let replenishmentDAO;
+
+  beforeEach(() => {
+    replenishmentDAO = new ReplenishmentDAO();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("_suggest", () => {
+    test("should skip products above the reorder point", () => {
+      const suggestion = replenishmentDAO._suggest(
+        { _id: "p1", lowStockThreshold: 5 },
+        { onHand: 20, onOrder: 0, averageOutPerDay: 1 },
+        DEFAULTS
+      );
+
+      expect(suggestion).toBeNull();
+    });
+
+    test("should cover lead time plus days of cover from velocity", () => {
+      const suggestion = replenishmentDAO._suggest(
+        { _id: "p1", lowStockThreshold: 5 },
+        { onHand: 10, onOrder: 2, averageOutPerDay: 2 },
+        DEFAULTS
+      );
+
+      // Reorder point 2/day × 7 days = 14; target 14 + 60 = 74
+      expect(suggestion).toMatchObject({
+        reorderPoint: 14,
+        suggestedQuantity: 62,
+        daysUntilEmpty: 5,
+      });
+    });
+
+    test("should order in multiples of the reorder quantity", () => {
+      const suggestion = replenishmentDAO._suggest(
+        {
+          _id: "p1",
+          lowStockThreshold: 5,
+          reorder: { reorderPoint: 40, reorderQuantity: 25 },
+        },
+        { onHand: 10, onOrder: 0, averageOutPerDay: 0 },
+        DEFAULTS
+      );
+
+      expect(suggestion.suggestedQuantity).toBe(50);
+      expect(suggestion.daysUntilEmpty).toBeNull();
+    });
+
+    test("should count stock already on order", () => {
+      const suggestion = replenishmentDAO._suggest(
+        { _id: "p1", lowStockThreshold: 5 },
+        { onHand: 2, onOrder: 10, averageOutPerDay: 0 },
+        DEFAULTS
+      );
+
+      expect(suggestion).toBeNull();
+    });
+  });
+
+  test("should group suggestions by preferred supplier", async () => {
+    mockLean(Product, "find", [
+      {
+        _id: "p1",
+        name: "Widget",
+        quantity: 1,
+        lowStockThreshold: 5,
+        supplier: "s1",
+        reorder: { preferredSupplier: "s2" },
+      },
+      { _id: "p2", name: "Gadget", quantity: 0, lowStockThreshold: 3 },
+      { _id: "p3", name: "Plenty", quantity: 50, lowStockThreshold: 5 },
+    ]);
+    mockLean(Supplier, "find", [{ _id: "s2", name: "Acme", status: "active" }]);
+    jest
+      .spyOn(InventoryTransaction, "aggregate")
+      .mockResolvedValueOnce([{ _id: "p1", totalOut: 30 }])
+      .mockResolvedValueOnce([{ _id: "p1", unitCost: 4 }]);
+    jest.spyOn(PurchaseOrder, "aggregate").mockResolvedValue([]);
+
+    const result = await replenishmentDAO.getSuggestions();
+
+    expect(result.totalItems).toBe(2);
+    expect(result.suppliers[0]).toMatchObject({
+      supplier: { _id: "s2", name: "Acme" },
+      totalQuantity: 36,
+      totalValue: 144,
+    });
+    expect(result.suppliers[1].supplier).toBeNull();
+    expect(result.suppliers[1].items[0].product.name).toBe("Gadget");
+  });
+
+  test("should create one draft order per supplier with known costs", async () => {
+    jest.spyOn(replenishmentDAO, "getSuggestions").mockResolvedValue({
+      warehouse: null,
+      suppliers: [
+        {
+          supplier: { _id: "s1", status: "active" },
+          items: [
+            {
+              product: { _id: "p1" },
+              suggestedQuantity: 12,
+              unitCost: 3,
+              leadTimeDays: 7,
+            },
+            {
+              product: { _id: "p2" },
+              suggestedQuantity: 4,
+              unitCost: null,
+              leadTimeDays: 7,
+            },
+          ],
+        },
+        { supplier: null, items: [{ product: { _id: "p3" } }] },
+      ],
+    });
+    const createOrder = jest
+      .spyOn(replenishmentDAO.purchaseOrderDAO, "createOrder")
+      .mockResolvedValue({ poNumber: "PO-1" });
+
+    const result = await replenishmentDAO.createDraftOrders({}, "Maria");
+
+    expect(createOrder).toHaveBeenCalledTimes(1);
+    expect(createOrder.mock.calls[0][0]).toMatchObject({
+      supplier: "s1",
+      lines: [{ product: "p1", quantityOrdered: 12, unitCost: 3 }],
+    });
+    expect(result.created).toHaveLength(1);
+    expect(result.skipped.map((group) => group.reason)).toEqual([
+      "No previous unit cost",
+      "No supplier assigned",
+    ]);
+  });
+});
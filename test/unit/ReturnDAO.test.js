@@ -0,0 +1,196 @@
+const mongoose = require("mongoose");
+const ReturnDAO = require("../../daos/ReturnDAO");
+const { ReturnAuthorization, Supplier } = require("../../models");
+
+describe("ReturnDAO", () => {
+  let returnDAO;
+  let session;
+  let createTransaction;
+
+  function mockReturn(data) {
+    const rma = new ReturnAuthorization({
+      rmaNumber: "RMA-20260101-0001",
+      warehouse: "MAIN",
+      createdBy: "Ana",
+      ...data,
+    });
+    jest.spyOn(rma, "save").mockResolvedValue(rma);
+    jest.spyOn(returnDAO.model, "findById").mockReturnValue({
+      session: jest.fn().mockResolvedValue(rma),
+    });
+    return rma;
+  }
+
+  beforeEach(() => {
+    returnDAO = new ReturnDAO();
+    session = {
+      withTransaction: jest.fn(async (fn) => fn()),
+      endSession: jest.fn(),
+    };
+    jest.spyOn(returnDAO.model, "startSession").mockResolvedValue(session);
+    createTransaction = jest
+      .spyOn(returnDAO.inventoryTransactionDAO, "createTransaction")
+      .mockImplementation(async (data) => ({
+        _id: new mongoose.Types.ObjectId(),
+        ...data,
+      }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should receive a customer return into quarantine", async () => {
+    const product = new mongoose.Types.ObjectId();
+    const rma = mockReturn({
+      type: "customer",
+      customer: { name: "Acme" },
+      lines: [{ product, quantity: 2, reasonCode: "defective" }],
+    });
+
+    const result = await returnDAO.receiveReturn(rma._id, "Ana");
+
+    expect(createTransaction).toHaveBeenCalledWith(
+      expect.objectContaining({
+        type: "returned",
+        product,
+        quantity: 2,
+        reference: "RMA-20260101-0001",
+        returnAuthorization: rma._id,
+        location: { warehouse: "QUARANTINE" },
+      }),
+      { session }
+    );
+    expect(result.returnAuthorization.status).toBe("received");
+    expect(rma.lines[0].transactions).toHaveLength(1);
+  });
+
+  test("should restock passed lines and scrap failed ones", async () => {
+    const rma = mockReturn({
+      type: "customer",
+      customer: { name: "Acme" },
+      status: "received",
+      lines: [
+        {
+          product: new mongoose.Types.ObjectId(),
+          quantity: 1,
+          reasonCode: "no_longer_needed",
+        },
+        {
+          product: new mongoose.Types.ObjectId(),
+          quantity: 3,
+          reasonCode: "defective",
+        },
+      ],
+    });
+    const [good, bad] = rma.lines;
+
+    const result = await returnDAO.inspectReturn(
+      rma._id,
+      [
+        { lineId: good._id, status: "passed" },
+        { lineId: bad._id, status: "failed" },
+      ],
+      "Ben"
+    );
+
+    expect(createTransaction.mock.calls.map(([data]) => data)).toEqual([
+      expect.objectContaining({
+        type: "transfer",
+        location: { warehouse: "QUARANTINE" },
+        destination: { warehouse: "MAIN" },
+      }),
+      expect.objectContaining({
+        type: "damaged",
+        quantity: 3,
+        location: { warehouse: "QUARANTINE" },
+      }),
+    ]);
+    expect(good.disposition).toBe("restock");
+    expect(bad.disposition).toBe("scrap");
+    expect(result.returnAuthorization.status).toBe("completed");
+  });
+
+  test("should not restock a line that failed inspection", async () => {
+    const rma = mockReturn({
+      type: "customer",
+      customer: { name: "Acme" },
+      status: "received",
+      lines: [
+        {
+          product: new mongoose.Types.ObjectId(),
+          quantity: 1,
+          reasonCode: "defective",
+        },
+      ],
+    });
+
+    await expect(
+      returnDAO.inspectReturn(rma._id, [
+        {
+          lineId: rma.lines[0]._id,
+          status: "failed",
+          disposition: "restock",
+        },
+      ])
+    ).rejects.toMatchObject({ statusCode: 400 });
+    expect(createTransaction).not.toHaveBeenCalled();
+  });
+
+  test("should ship a supplier return and raise a credit note", async () => {
+    const rma = mockReturn({
+      type: "supplier",
+      supplier: new mongoose.Types.ObjectId(),
+      lines: [
+        {
+          product: new mongoose.Types.ObjectId(),
+          quantity: 3,
+          unitCost: 2.5,
+          reasonCode: "overstock",
+        },
+        {
+          product: new mongoose.Types.ObjectId(),
+          quantity: 1,
+          unitCost: 4.1,
+          reasonCode: "defective",
+        },
+      ],
+    });
+
+    const result = await returnDAO.shipSupplierReturn(rma._id, "Ana");
+
+    expect(createTransaction).toHaveBeenCalledWith(
+      expect.objectContaining({
+        type: "supplier_return",
+        quantity: 3,
+        unitCost: 2.5,
+        location: { warehouse: "MAIN" },
+      }),
+      { session }
+    );
+    expect(result.returnAuthorization.creditNote).toMatchObject({
+      creditNoteNumber: "CN-20260101-0001",
+      amount: 11.6,
+    });
+    expect(result.returnAuthorization.status).toBe("completed");
+  });
+
+  test("should reject supplier return lines with no cost to credit", async () => {
+    jest.spyOn(Supplier, "findById").mockReturnValue({
+      select: jest.fn().mockResolvedValue({ status: "active" }),
+    });
+    const create = jest.spyOn(returnDAO, "create");
+
+    await expect(
+      returnDAO.createReturn({
+        type: "supplier",
+        supplier: new mongoose.Types.ObjectId(),
+        lines: [{ product: "p1", quantity: 1, reasonCode: "overstock" }],
+      })
+    ).rejects.toMatchObject({
+      statusCode: 400,
+      details: [expect.objectContaining({ field: "lines.unitCost" })],
+    });
+    expect(create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,165 @@
+const mongoose = require("mongoose");
+const SalesOrderDAO = require("../../daos/SalesOrderDAO");
+const ReservationDAO = require("../../daos/ReservationDAO");
+const {
+  SalesOrder,
+  Reservation,
+  StockLevel,
+  Product,
+} = require("../../models");
+
+function mockSession(model) {
+  const session = {
+    withTransaction: jest.fn(async (fn) => fn()),
+    endSession: jest.fn(),
+  };
+  jest.spyOn(model, "startSession").mockResolvedValue(session);
+  return session;
+}
+
+describe("ReservationDAO", () => {
+  let reservationDAO;
+  let session;
+
+  beforeEach(() => {
+    reservationDAO = new ReservationDAO();
+    session = mockSession(reservationDAO.model);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should refuse to reserve more than is available", async () => {
+    const stockUpdate = jest
+      .spyOn(StockLevel, "findOneAndUpdate")
+      .mockResolvedValue(null);
+    const productUpdate = jest.spyOn(Product, "updateOne");
+
+    await expect(
+      reservationDAO.reserve(
+        { product: "p1", warehouse: "main", quantity: 2 },
+        "Maria"
+      )
+    ).rejects.toMatchObject({ statusCode: 409 });
+
+    expect(stockUpdate.mock.calls[0][0]).toMatchObject({
+      product: "p1",
+      warehouse: "MAIN",
+    });
+    expect(productUpdate).not.toHaveBeenCalled();
+  });
+
+  test("should expire due reservations and their orders", async () => {
+    jest.spyOn(reservationDAO.model, "find").mockReturnValue({
+      select: jest.fn().mockReturnValue({
+        lean: jest.fn().mockResolvedValue([{ _id: "r1", salesOrder: "so1" }]),
+      }),
+    });
+    jest.spyOn(reservationDAO.model, "findOneAndUpdate").mockResolvedValue({
+      _id: "r1",
+      product: "p1",
+      warehouse: "MAIN",
+      quantity: 2,
+      salesOrder: "so1",
+    });
+    const stockUpdate = jest
+      .spyOn(StockLevel, "updateOne")
+      .mockResolvedValue({});
+    const productUpdate = jest
+      .spyOn(Product, "updateOne")
+      .mockResolvedValue({});
+    jest.spyOn(reservationDAO.model, "exists").mockResolvedValue(null);
+    const orderUpdate = jest
+      .spyOn(SalesOrder, "updateOne")
+      .mockResolvedValue({ modifiedCount: 1 });
+
+    const result = await reservationDAO.expireReservations();
+
+    expect(result).toEqual({ expired: 1, expiredOrders: 1 });
+    expect(stockUpdate).toHaveBeenCalledWith(
+      { product: "p1", warehouse: "MAIN" },
+      { $inc: { reserved: -2 } },
+      { session }
+    );
+    expect(productUpdate).toHaveBeenCalledWith(
+      { _id: "p1" },
+      { $inc: { reservedQuantity: -2 } },
+      { session }
+    );
+    expect(orderUpdate).toHaveBeenCalledWith(
+      { _id: "so1", status: "open" },
+      { $set: { status: "expired" } }
+    );
+  });
+});
+
+describe("SalesOrderDAO", () => {
+  let salesOrderDAO;
+  let session;
+
+  beforeEach(() => {
+    salesOrderDAO = new SalesOrderDAO();
+    session = mockSession(salesOrderDAO.model);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should turn reservations into stock_out referencing the order", async () => {
+    const order = new SalesOrder({
+      orderNumber: "SO-20240310-0001",
+      customer: { name: "Globex" },
+      status: "open",
+      warehouse: "MAIN",
+      lines: [
+        {
+          product: new mongoose.Types.ObjectId(),
+          quantity: 2,
+          reservation: new mongoose.Types.ObjectId(),
+        },
+      ],
+    });
+    jest.spyOn(order, "save").mockResolvedValue(order);
+    jest.spyOn(salesOrderDAO.model, "findById").mockReturnValue({
+      session: jest.fn().mockResolvedValue(order),
+    });
+    jest.spyOn(Reservation, "findOneAndUpdate").mockResolvedValue({
+      _id: order.lines[0].reservation,
+      quantity: 2,
+      warehouse: "MAIN",
+    });
+    jest.spyOn(Reservation, "updateOne").mockResolvedValue({});
+    jest
+      .spyOn(Reservation, "exists")
+      .mockReturnValue({ session: jest.fn().mockResolvedValue(null) });
+    const createTransaction = jest
+      .spyOn(salesOrderDAO.inventoryTransactionDAO, "createTransaction")
+      .mockResolvedValue({ _id: "t1", status: "approved" });
+
+    const result = await salesOrderDAO.fulfillOrder(order._id, "Maria");
+
+    expect(createTransaction).toHaveBeenCalledWith(
+      expect.objectContaining({
+        type: "stock_out",
+        quantity: 2,
+        reference: "SO-20240310-0001",
+        reservation: order.lines[0].reservation,
+        location: { warehouse: "MAIN" },
+      }),
+      { session }
+    );
+    expect(result.salesOrder.status).toBe("fulfilled");
+  });
+
+  test("should only fulfill open orders", async () => {
+    jest.spyOn(salesOrderDAO.model, "findById").mockReturnValue({
+      session: jest.fn().mockResolvedValue({ status: "cancelled" }),
+    });
+
+    await expect(
+      salesOrderDAO.fulfillOrder("so1", "Maria")
+    ).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
@@ -0,0 +1,60 @@
+const SerialNumberDAO = require("../../daos/SerialNumberDAO");
+const { InventoryTransaction } = require("../../models");
+
+describe("SerialNumberDAO", () => {
+  let serialNumberDAO;
+
+  function mockUnit(unit) {
+    jest.spyOn(serialNumberDAO.model, "findOne").mockReturnValue({
+      populate: jest.fn().mockResolvedValue(unit),
+    });
+  }
+
+  function mockLedger(transactions) {
+    const query = {
+      sort: jest.fn().mockReturnThis(),
+      populate: jest.fn().mockReturnThis(),
+      select: jest.fn().mockResolvedValue(transactions),
+    };
+    jest.spyOn(InventoryTransaction, "find").mockReturnValue(query);
+    return query;
+  }
+
+  beforeEach(() => {
+    serialNumberDAO = new SerialNumberDAO();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should return a unit with its ledger history, oldest first", async () => {
+    mockUnit({ serial: "SN1", status: "shipped" });
+    const query = mockLedger([
+      { _id: "t1", type: "stock_in" },
+      { _id: "t2", type: "stock_out" },
+    ]);
+
+    const result = await serialNumberDAO.getHistory(" sn1 ");
+
+    expect(InventoryTransaction.find).toHaveBeenCalledWith({
+      serialNumbers: "SN1",
+    });
+    expect(query.sort).toHaveBeenCalledWith({ createdAt: 1 });
+    expect(result.serial).toBe("SN1");
+    expect(result.unit.status).toBe("shipped");
+    expect(result.history.map((t) => t.type)).toEqual([
+      "stock_in",
+      "stock_out",
+    ]);
+  });
+
+  test("should 404 for unknown serial numbers", async () => {
+    mockUnit(null);
+    mockLedger([]);
+
+    await expect(serialNumberDAO.getHistory("missing")).rejects.toMatchObject({
+      statusCode: 404,
+    });
+  });
+});
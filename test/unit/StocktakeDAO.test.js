@@ -0,0 +1,247 @@
+const StocktakeDAO = require("../../daos/StocktakeDAO");
+const {
+  Product,
+  StockLevel,
+  CostLayer,
+  InventoryTransaction,
+} = require("../../models");
+
+describe("StocktakeDAO", () => {
+  let stocktakeDAO;
+  let session;
+
+  function mockSession() {
+    session = {
+      withTransaction: jest.fn(async (fn) => fn()),
+      endSession: jest.fn(),
+    };
+    jest.spyOn(stocktakeDAO.model, "startSession").mockResolvedValue(session);
+  }
+
+  function line(product, expectedQuantity, counts, unitCost = 2) {
+    return {
+      product,
+      sku: product.toUpperCase(),
+      expectedQuantity,
+      unitCost,
+      counts: counts.map((quantity, index) => ({
+        quantity,
+        countedBy: `Counter ${index + 1}`,
+      })),
+    };
+  }
+
+  beforeEach(() => {
+    stocktakeDAO = new StocktakeDAO();
+    mockSession();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should freeze expected quantities for the ABC class in scope", async () => {
+    jest.spyOn(Product, "find").mockReturnValue({
+      select: jest.fn().mockReturnValue({
+        lean: jest.fn().mockResolvedValue([
+          { _id: "p1", name: "Fast", sku: "P1", price: 10 },
+          { _id: "p2", name: "Medium", sku: "P2", price: 10 },
+          { _id: "p3", name: "Idle", sku: "P3", price: 10 },
+        ]),
+      }),
+    });
+    jest.spyOn(InventoryTransaction, "aggregate").mockResolvedValue([
+      { _id: "p1", units: 90 },
+      { _id: "p2", units: 10 },
+    ]);
+    jest.spyOn(stocktakeDAO.model, "findOne").mockReturnValue({
+      select: jest.fn().mockResolvedValue(null),
+    });
+    jest.spyOn(StockLevel, "find").mockReturnValue({
+      select: jest.fn().mockReturnValue({
+        lean: jest.fn().mockResolvedValue([{ product: "p2", quantity: 7 }]),
+      }),
+    });
+    jest
+      .spyOn(CostLayer, "aggregate")
+      .mockResolvedValue([{ _id: "p2", quantity: 4, value: 18 }]);
+    const create = jest
+      .spyOn(stocktakeDAO, "create")
+      .mockImplementation(async (doc) => doc);
+
+    const result = await stocktakeDAO.createSession(
+      { warehouse: "east", abcClass: "b" },
+      "Ana"
+    );
+
+    expect(StockLevel.find).toHaveBeenCalledWith({
+      warehouse: "EAST",
+      product: { $in: ["p2"] },
+    });
+    expect(create).toHaveBeenCalled();
+    expect(result.scope.abcClass).toBe("B");
+    expect(result.lines).toEqual([
+      {
+        product: "p2",
+        sku: "P2",
+        name: "Medium",
+        abcClass: "B",
+        expectedQuantity: 7,
+        unitCost: 4.5,
+      },
+    ]);
+  });
+
+  test("should refuse products another session is still counting", async () => {
+    jest.spyOn(Product, "find").mockReturnValue({
+      select: jest.fn().mockReturnValue({
+        lean: jest.fn().mockResolvedValue([{ _id: "p1", price: 1 }]),
+      }),
+    });
+    jest.spyOn(InventoryTransaction, "aggregate").mockResolvedValue([]);
+    jest.spyOn(stocktakeDAO.model, "findOne").mockReturnValue({
+      select: jest
+        .fn()
+        .mockResolvedValue({ sessionNumber: "ST-20240101-0001" }),
+    });
+
+    await expect(
+      stocktakeDAO.createSession({ warehouse: "MAIN" })
+    ).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test("should reject counts for products outside the session", async () => {
+    jest.spyOn(stocktakeDAO.model, "findById").mockReturnValue({
+      session: jest.fn().mockResolvedValue({
+        status: "counting",
+        lines: [line("p1", 5, [])],
+      }),
+    });
+    const update = jest.spyOn(stocktakeDAO.model, "updateOne");
+
+    await expect(
+      stocktakeDAO.recordCounts("s1", [{ product: "p9", quantity: 1 }], "Ana")
+    ).rejects.toMatchObject({
+      statusCode: 400,
+      details: [expect.objectContaining({ value: "p9" })],
+    });
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  test("should report quantity and value variances", async () => {
+    jest.spyOn(stocktakeDAO.model, "findById").mockResolvedValue({
+      sessionNumber: "ST-20240101-0001",
+      status: "counting",
+      lines: [
+        line("p1", 10, [8]),
+        line("p2", 4, [5, 6], 10),
+        line("p3", 3, [3]),
+        line("p4", 2, []),
+      ],
+    });
+
+    const report = await stocktakeDAO.getVarianceReport("s1");
+
+    expect(report.totals).toMatchObject({
+      lines: 4,
+      countedLines: 3,
+      uncountedLines: 1,
+      linesWithVariance: 2,
+      linesWithDisagreement: 1,
+      varianceQuantity: 0,
+      varianceValue: 16,
+      absoluteVarianceValue: 24,
+      accuracy: 33.3,
+    });
+    expect(report.lines.map((item) => item.product)).toEqual([
+      "p2",
+      "p1",
+      "p3",
+      "p4",
+    ]);
+    expect(report.lines[0]).toMatchObject({
+      countedQuantity: 6,
+      varianceQuantity: 2,
+      varianceValue: 20,
+      countersDisagree: true,
+    });
+  });
+
+  test("should post variances as adjustments referencing the session", async () => {
+    const stocktake = {
+      sessionNumber: "ST-20240101-0001",
+      warehouse: "MAIN",
+      status: "counting",
+      lines: [line("p1", 10, [8]), line("p2", 3, [3])],
+      save: jest.fn().mockResolvedValue(),
+    };
+    jest.spyOn(stocktakeDAO.model, "findById").mockReturnValue({
+      session: jest.fn().mockResolvedValue(stocktake),
+    });
+    const createTransaction = jest
+      .spyOn(stocktakeDAO.inventoryTransactionDAO, "createTransaction")
+      .mockResolvedValue({ _id: "t1" });
+
+    const result = await stocktakeDAO.postSession("s1", "Maria");
+
+    expect(createTransaction).toHaveBeenCalledTimes(1);
+    expect(createTransaction).toHaveBeenCalledWith(
+      expect.objectContaining({
+        product: "p1",
+        type: "adjustment",
+        quantity: -2,
+        reference: "ST-20240101-0001",
+        location: { warehouse: "MAIN" },
+      }),
+      { session }
+    );
+    expect(stocktake.lines[0].transaction).toBe("t1");
+    expect(result.stocktake.status).toBe("posted");
+    expect(stocktake.save).toHaveBeenCalledWith({ session });
+  });
+
+  test("should await approval of adjustments held by an approval rule", async () => {
+    const stocktake = {
+      _id: "s1",
+      sessionNumber: "ST-20240101-0001",
+      warehouse: "MAIN",
+      status: "counting",
+      lines: [line("p1", 10, [8]), line("p2", 3, [4])],
+      save: jest.fn().mockResolvedValue(),
+    };
+    jest.spyOn(stocktakeDAO.model, "findById").mockReturnValue({
+      session: jest.fn().mockResolvedValue(stocktake),
+    });
+    jest
+      .spyOn(stocktakeDAO.inventoryTransactionDAO, "createTransaction")
+      .mockResolvedValueOnce({ _id: "t1", status: "pending" })
+      .mockResolvedValueOnce({ _id: "t2", status: "approved" });
+
+    const result = await stocktakeDAO.postSession("s1", "Maria");
+
+    expect(result.stocktake.status).toBe("awaiting_approval");
+    expect(result.stocktake.pendingTransactions).toEqual(["t1"]);
+    expect(stocktake.lines.map((l) => l.adjustmentStatus)).toEqual([
+      "pending",
+      "approved",
+    ]);
+  });
+
+  test("should not post while products are uncounted", async () => {
+    jest.spyOn(stocktakeDAO.model, "findById").mockReturnValue({
+      session: jest.fn().mockResolvedValue({
+        status: "counting",
+        lines: [line("p1", 10, [])],
+      }),
+    });
+    const createTransaction = jest.spyOn(
+      stocktakeDAO.inventoryTransactionDAO,
+      "createTransaction"
+    );
+
+    await expect(stocktakeDAO.postSession("s1", "Maria")).rejects.toMatchObject(
+      { statusCode: 409 }
+    );
+    expect(createTransaction).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,88 @@
+const ValuationDAO = require("../../daos/ValuationDAO");
+const { Product, InventoryTransaction } = require("../../models");
+
+describe("ValuationDAO", () => {
+  let valuationDAO;
+
+  beforeEach(() => {
+    valuationDAO = new ValuationDAO();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should value stock at cost as of a date", async () => {
+    jest.spyOn(Product, "find").mockReturnValue({
+      select: jest.fn().mockReturnValue({
+        lean: jest.fn().mockResolvedValue([
+          { _id: "p1", name: "Widget", sku: "W-1", price: 20 },
+          { _id: "p2", name: "Gadget", sku: "G-1", price: 5 },
+        ]),
+      }),
+    });
+    const aggregate = jest
+      .spyOn(InventoryTransaction, "aggregate")
+      .mockResolvedValue([
+        { product: "p1", type: "stock_in", quantity: 4, unitCost: 8 },
+        { product: "p1", type: "stock_in", quantity: 4, unitCost: 12 },
+        { product: "p1", type: "stock_out", quantity: -6 },
+      ]);
+
+    const result = await valuationDAO.getValuation({
+      method: "LIFO",
+      asOf: "2024-06-30",
+    });
+
+    const pipeline = aggregate.mock.calls[0][0];
+    expect(pipeline[2]).toEqual({
+      $match: { postedAt: { $lte: new Date("2024-06-30T23:59:59.999Z") } },
+    });
+    expect(result.method).toBe("lifo");
+    expect(result.items).toEqual([
+      expect.objectContaining({
+        product: { _id: "p1", name: "Widget", sku: "W-1" },
+        quantity: 2,
+        value: 16,
+        averageUnitCost: 8,
+        retailValue: 40,
+        costOfGoodsSold: 64,
+      }),
+    ]);
+    expect(result.totals).toMatchObject({
+      products: 1,
+      quantity: 2,
+      value: 16,
+      costOfGoodsSold: 64,
+    });
+  });
+
+  test("should use an as-of time as given", async () => {
+    jest.spyOn(Product, "find").mockReturnValue({
+      select: jest.fn().mockReturnValue({
+        lean: jest.fn().mockResolvedValue([]),
+      }),
+    });
+    const aggregate = jest
+      .spyOn(InventoryTransaction, "aggregate")
+      .mockResolvedValue([]);
+
+    await valuationDAO.getValuation({ asOf: "2024-06-30T12:00:00Z" });
+
+    expect(aggregate.mock.calls[0][0][2]).toEqual({
+      $match: { postedAt: { $lte: new Date("2024-06-30T12:00:00Z") } },
+    });
+  });
+
+  test("should reject unknown valuation methods", async () => {
+    await expect(
+      valuationDAO.getValuation({ method: "newest" })
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test("should reject invalid dates", async () => {
+    await expect(
+      valuationDAO.getValuation({ asOf: "not a date" })
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
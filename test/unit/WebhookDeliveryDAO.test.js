@@ -0,0 +1,155 @@
+const mongoose = require("mongoose");
+const WebhookDeliveryDAO = require("../../daos/WebhookDeliveryDAO");
+const { WebhookDelivery, WebhookSubscription } = require("../../models");
+const { verifySignature, retryDelayMs } = require("../../utils/webhooks");
+
+describe("WebhookDeliveryDAO", () => {
+  let webhookDeliveryDAO;
+  let subscription;
+  let update;
+  let fetch;
+
+  function mockDelivery(data = {}) {
+    return new WebhookDelivery({
+      subscription: subscription._id,
+      event: {
+        id: "evt-1",
+        type: "transaction.created",
+        occurredAt: new Date("2026-01-01T00:00:00Z"),
+        data: { type: "stock_in", quantity: 5 },
+      },
+      ...data,
+    });
+  }
+
+  function mockResponse(status, body = "") {
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      text: jest.fn().mockResolvedValue(body),
+    };
+  }
+
+  beforeEach(() => {
+    webhookDeliveryDAO = new WebhookDeliveryDAO();
+    // The Jest environment does not expose Node's fetch
+    fetch = jest.fn();
+    global.fetch = fetch;
+    subscription = {
+      _id: new mongoose.Types.ObjectId(),
+      url: "https://example.com/hooks",
+      secret: "whsec_test",
+      active: true,
+    };
+    jest.spyOn(WebhookSubscription, "findById").mockReturnValue({
+      select: jest.fn().mockResolvedValue(subscription),
+    });
+    update = jest
+      .spyOn(webhookDeliveryDAO.model, "findByIdAndUpdate")
+      .mockImplementation(async (id, change) => ({
+        _id: id,
+        ...change.$set,
+        attempts: [change.$push.attempts],
+      }));
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+    jest.restoreAllMocks();
+  });
+
+  test("should sign the body and record a successful delivery", async () => {
+    fetch.mockResolvedValue(mockResponse(200, "ok"));
+
+    const result = await webhookDeliveryDAO.deliver(mockDelivery());
+
+    const [url, request] = fetch.mock.calls[0];
+    expect(url).toBe("https://example.com/hooks");
+    expect(request.headers["X-Webhook-Event"]).toBe("transaction.created");
+    expect(request.headers["X-Webhook-Id"]).toBe("evt-1");
+    expect(JSON.parse(request.body)).toMatchObject({
+      id: "evt-1",
+      type: "transaction.created",
+      data: { type: "stock_in", quantity: 5 },
+    });
+    expect(
+      verifySignature(
+        "whsec_test",
+        request.headers["X-Webhook-Timestamp"],
+        request.body,
+        request.headers["X-Webhook-Signature"]
+      )
+    ).toBe(true);
+    expect(result).toMatchObject({ status: "succeeded", attemptCount: 1 });
+    expect(result.attempts[0]).toMatchObject({
+      responseStatus: 200,
+      responseBody: "ok",
+    });
+  });
+
+  test("should back off exponentially after a failed attempt", async () => {
+    fetch.mockResolvedValue(mockResponse(503));
+    const before = Date.now();
+
+    const result = await webhookDeliveryDAO.deliver(
+      mockDelivery({ attemptCount: 2 })
+    );
+
+    expect(result).toMatchObject({ status: "pending", attemptCount: 3 });
+    expect(result.nextAttemptAt.getTime() - before).toBeGreaterThanOrEqual(
+      retryDelayMs(3, 30)
+    );
+    expect(retryDelayMs(3, 30)).toBe(120 * 1000);
+  });
+
+  test("should fail once the attempts run out", async () => {
+    fetch.mockRejectedValue(new TypeError("fetch failed"));
+
+    const result = await webhookDeliveryDAO.deliver(
+      mockDelivery({ attemptCount: 7 })
+    );
+
+    expect(result).toMatchObject({
+      status: "failed",
+      attemptCount: 8,
+      nextAttemptAt: null,
+    });
+    expect(result.attempts[0].error).toBe("fetch failed");
+  });
+
+  test("should fail without sending when the subscription is inactive", async () => {
+    subscription.active = false;
+
+    const result = await webhookDeliveryDAO.deliver(mockDelivery());
+
+    expect(fetch).not.toHaveBeenCalled();
+    expect(result.status).toBe("failed");
+  });
+
+  test("should replay a delivery as a new delivery of the same event", async () => {
+    const original = mockDelivery({ status: "failed", attemptCount: 8 });
+    jest
+      .spyOn(webhookDeliveryDAO.model, "findById")
+      .mockResolvedValue(original);
+    WebhookSubscription.findById.mockResolvedValueOnce(subscription);
+    const create = jest
+      .spyOn(webhookDeliveryDAO, "create")
+      .mockImplementation(async (data) => new WebhookDelivery(data));
+    fetch.mockResolvedValue(mockResponse(204));
+
+    const result = await webhookDeliveryDAO.replay(original._id, {
+      id: null,
+      name: "Ana",
+    });
+
+    expect(create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        replayOf: original._id,
+        replayedBy: "Ana",
+        event: original.event,
+      })
+    );
+    expect(update.mock.calls[0][0]).not.toEqual(original._id);
+    expect(result).toMatchObject({ status: "succeeded", attemptCount: 1 });
+  });
+});
@@ -0,0 +1,57 @@
+const { resolveAlertRule, ruleSettingValues } = require("../../utils/alerts");
+
+describe("alerts", () => {
+  const product = { _id: "p1", category: "c1" };
+  const rules = [
+    { _id: "global", type: "low_stock", threshold: 10 },
+    { _id: "category", type: "low_stock", category: "c1", threshold: 20 },
+    { _id: "product", type: "low_stock", product: "p1", threshold: 30 },
+    { _id: "other", type: "low_stock", product: "p2", threshold: 40 },
+  ];
+
+  test("should prefer product, then category, then global rules", () => {
+    expect(resolveAlertRule(rules, "low_stock", product)).toMatchObject({
+      rule: "product",
+      threshold: 30,
+      severity: "warning",
+      enabled: true,
+    });
+    expect(
+      resolveAlertRule(rules, "low_stock", { _id: "p3", category: "c1" })
+    ).toMatchObject({ rule: "category", threshold: 20 });
+    expect(
+      resolveAlertRule(rules, "low_stock", { _id: "p3", category: "c2" })
+    ).toMatchObject({ rule: "global", threshold: 10 });
+  });
+
+  test("should fall back to the built-in rule", () => {
+    expect(resolveAlertRule(rules, "low_credit")).toEqual({
+      rule: null,
+      enabled: true,
+      severity: "warning",
+      threshold: 5000,
+      windowDays: null,
+    });
+    expect(
+      resolveAlertRule(
+        [{ _id: "r1", type: "high_value_transaction", threshold: 500 }],
+        "high_value_transaction",
+        product
+      )
+    ).toMatchObject({ rule: "r1", threshold: 500, windowDays: 7 });
+  });
+
+  test("should list setting values from the built-in and enabled rules", () => {
+    expect(
+      ruleSettingValues(
+        [
+          { type: "expiring_lot", threshold: 60 },
+          { type: "expiring_lot", threshold: 90, enabled: false },
+          { type: "low_credit", threshold: 100 },
+        ],
+        "expiring_lot",
+        "threshold"
+      )
+    ).toEqual([30, 60]);
+  });
+});
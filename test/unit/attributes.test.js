@@ -0,0 +1,60 @@
+const {
+  castAttributeValue,
+  validateAttributes,
+  attributeCombinations,
+} = require("../../utils/attributes");
+
+describe("attribute utilities", () => {
+  const definitions = [
+    { name: "Size", type: "select", options: ["S", "M", "L"], required: true },
+    { name: "Colours", type: "multiselect", options: ["Red", "Navy"] },
+    { name: "Weight", type: "number" },
+    { name: "Organic", type: "boolean" },
+    { name: "Material", type: "text" },
+  ];
+
+  test("should cast values to their attribute type", () => {
+    expect(castAttributeValue(definitions[0], "m")).toEqual({ value: "M" });
+    expect(castAttributeValue(definitions[1], "navy|RED|red")).toEqual({
+      value: ["Navy", "Red"],
+    });
+    expect(castAttributeValue(definitions[2], "2.5")).toEqual({ value: 2.5 });
+    expect(castAttributeValue(definitions[3], "yes")).toEqual({ value: true });
+    expect(castAttributeValue(definitions[4], " Cotton ")).toEqual({
+      value: "Cotton",
+    });
+  });
+
+  test("should report unknown, invalid and missing required attributes", () => {
+    const result = validateAttributes(definitions, {
+      Colours: ["Green"],
+      Weight: "heavy",
+      Flavour: "Mint",
+    });
+
+    expect(result.errors.map((error) => error.field)).toEqual([
+      "attributes.Colours",
+      "attributes.Weight",
+      "attributes.Flavour",
+      "attributes.Size",
+    ]);
+    expect(result.errors[3].message).toBe("Size is required");
+  });
+
+  test("should return cast values when valid", () => {
+    expect(
+      validateAttributes(definitions, { Size: "l", Organic: false, Weight: "" })
+    ).toEqual({ values: { Size: "L", Organic: false }, errors: [] });
+  });
+
+  test("should combine one value per attribute", () => {
+    expect(
+      attributeCombinations({ Size: ["S", "M"], Colour: ["Red", "Navy"] })
+    ).toEqual([
+      { Size: "S", Colour: "Red" },
+      { Size: "S", Colour: "Navy" },
+      { Size: "M", Colour: "Red" },
+      { Size: "M", Colour: "Navy" },
+    ]);
+  });
+});
@@ -0,0 +1,190 @@
+const { authenticate, authorize } = require("../../middleware/auth");
+const { userDAO, apiKeyDAO } = require("../../daos");
+const { signAccessToken, signRefreshToken } = require("../../utils/tokens");
+
+function createResponse() {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+}
+
+function createRequest(headers = {}) {
+  return { get: (name) => headers[name] };
+}
+
+describe("authenticate middleware", () => {
+  const user = {
+    _id: "64b000000000000000000001",
+    role: "manager",
+    tokenVersion: 2,
+    toIdentity: () => ({
+      id: "64b000000000000000000001",
+      name: "Manager",
+      email: "manager@example.com",
+      role: "manager",
+    }),
+  };
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = "test_jwt_secret";
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should attach the user for a valid access token", async () => {
+    jest.spyOn(userDAO, "findActiveById").mockResolvedValue(user);
+    const req = createRequest({
+      Authorization: `Bearer ${signAccessToken(user)}`,
+    });
+    const next = jest.fn();
+
+    await authenticate(req, createResponse(), next);
+
+    expect(userDAO.findActiveById).toHaveBeenCalledWith(user._id);
+    expect(req.user).toEqual({ ...user.toIdentity(), authType: "jwt" });
+    expect(next).toHaveBeenCalled();
+  });
+
+  test("should reject refresh tokens used as access tokens", async () => {
+    const req = createRequest({
+      Authorization: `Bearer ${signRefreshToken(user)}`,
+    });
+    const res = createResponse();
+    const next = jest.fn();
+
+    await authenticate(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      error: "Invalid token",
+    });
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test("should act as the key owner under the key name", async () => {
+    jest.spyOn(apiKeyDAO, "verifyKey").mockResolvedValue({
+      _id: "64b0000000000000000000aa",
+      name: "Storefront sync",
+      role: "clerk",
+      user: { _id: user._id, email: "manager@example.com", role: "manager" },
+    });
+    const req = createRequest({ "X-API-Key": "ik_abc" });
+    const next = jest.fn();
+
+    await authenticate(req, createResponse(), next);
+
+    expect(req.user).toEqual({
+      id: user._id,
+      name: "Storefront sync",
+      email: "manager@example.com",
+      role: "clerk",
+      authType: "api_key",
+      apiKeyId: "64b0000000000000000000aa",
+    });
+    expect(next).toHaveBeenCalled();
+  });
+
+  test("should cap a key's role at its owner's current role", async () => {
+    jest.spyOn(apiKeyDAO, "verifyKey").mockResolvedValue({
+      _id: "64b0000000000000000000aa",
+      name: "Storefront sync",
+      role: "manager",
+      user: { _id: user._id, email: "manager@example.com", role: "viewer" },
+    });
+    const req = createRequest({ "X-API-Key": "ik_abc" });
+    const res = createResponse();
+    const next = jest.fn();
+
+    await authenticate(req, res, next);
+    authorize("transactions:approve")(req, res, next);
+
+    expect(req.user.role).toBe("viewer");
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+
+  test("should require credentials", async () => {
+    const res = createResponse();
+    const next = jest.fn();
+
+    await authenticate(createRequest(), res, next);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+});
+
+describe("UserDAO", () => {
+  beforeAll(() => {
+    process.env.JWT_SECRET = "test_jwt_secret";
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should refuse refresh tokens from before a logout", async () => {
+    const user = {
+      _id: "64b000000000000000000001",
+      status: "active",
+      tokenVersion: 0,
+    };
+    const refreshToken = signRefreshToken(user);
+    jest.spyOn(userDAO.model, "findById").mockReturnValue({
+      select: jest.fn().mockResolvedValue({ ...user, tokenVersion: 1 }),
+    });
+
+    await expect(userDAO.refreshTokens(refreshToken)).rejects.toMatchObject({
+      statusCode: 401,
+      message: "Refresh token has been revoked",
+    });
+  });
+
+  test("should not reveal whether the email exists", async () => {
+    jest.spyOn(userDAO, "findByEmail").mockResolvedValue(null);
+
+    await expect(
+      userDAO.authenticate("nobody@example.com", "password1")
+    ).rejects.toMatchObject({
+      statusCode: 401,
+      message: "Invalid email or password",
+    });
+  });
+});
+
+describe("authorize middleware", () => {
+  test("should let managers change credit limits", () => {
+    const next = jest.fn();
+
+    authorize("suppliers:finance")(
+      { user: { role: "manager" } },
+      createResponse(),
+      next
+    );
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  test("should forbid clerks from approving transactions", () => {
+    const res = createResponse();
+    const next = jest.fn();
+
+    authorize("transactions:approve")({ user: { role: "clerk" } }, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      error: "Insufficient permissions",
+      required: "transactions:approve",
+    });
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test("should reject unknown permissions when routes are registered", () => {
+    expect(() => authorize("products:destroy")).toThrow(/Unknown permission/);
+  });
+});
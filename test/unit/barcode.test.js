@@ -0,0 +1,99 @@
+const {
+  gtinCheckDigit,
+  isValidGtin,
+  parseScannedCode,
+  equivalentBarcodes,
+  encodeCode128,
+  encodeEan13,
+  productBarcode,
+} = require("../../utils/barcode");
+
+describe("barcode utilities", () => {
+  test("should compute GS1 check digits", () => {
+    expect(gtinCheckDigit("400638133393")).toBe(1);
+    expect(gtinCheckDigit("03600029145")).toBe(2);
+    expect(isValidGtin("4006381333931")).toBe(true);
+    expect(isValidGtin("4006381333938")).toBe(false);
+  });
+
+  test("should detect the symbology of a scanned code", () => {
+    expect(parseScannedCode(" 4006381333931 ")).toEqual({
+      code: "4006381333931",
+      format: "ean13",
+    });
+    expect(parseScannedCode("036000291452")).toEqual({
+      code: "036000291452",
+      format: "upca",
+    });
+    expect(parseScannedCode("tee-xl-red")).toEqual({
+      code: "TEE-XL-RED",
+      format: "sku",
+    });
+    expect(parseScannedCode("LOT 42/A")).toEqual({
+      code: "LOT 42/A",
+      format: "code128",
+    });
+  });
+
+  test("should reject bad check digits and malformed codes", () => {
+    expect(parseScannedCode("036000291453").error).toBe(
+      "Invalid UPC-A check digit"
+    );
+    expect(parseScannedCode("4006381333931", "upca").error).toBe(
+      "UPC-A codes have 12 digits"
+    );
+    expect(parseScannedCode("tee xl", "sku").error).toMatch(/SKU/);
+    expect(parseScannedCode("").error).toBe("Scanned code is empty");
+  });
+
+  test("should treat UPC-A and zero-padded EAN-13 as the same item", () => {
+    expect(equivalentBarcodes("036000291452", "upca")).toEqual([
+      "036000291452",
+      "0036000291452",
+    ]);
+    expect(equivalentBarcodes("0036000291452", "ean13")).toEqual([
+      "0036000291452",
+      "036000291452",
+    ]);
+    expect(equivalentBarcodes("ABC", "code128")).toEqual(["ABC"]);
+  });
+
+  test("should encode Code 128 with its mod-103 check symbol", () => {
+    const modules = encodeCode128("PJJ123C");
+
+    // Start B, 7 data symbols, check symbol and the 13-module stop
+    expect(modules).toHaveLength(11 * 9 + 13);
+    expect(modules.slice(0, 11)).toBe("11010010000");
+    // (104 + 48 + 84 + 126 + 68 + 90 + 114 + 245) % 103 = 55
+    expect(modules.slice(-24, -13)).toBe("11101000110");
+    expect(modules.slice(-13)).toBe("1100011101011");
+    // Even-length digit strings use the denser code set C
+    expect(encodeCode128("123456")).toHaveLength(11 * 5 + 13);
+  });
+
+  test("should encode EAN-13 with guard bars and first-digit parity", () => {
+    const modules = encodeEan13("4006381333931");
+
+    expect(modules).toHaveLength(95);
+    expect(modules.slice(0, 3)).toBe("101");
+    expect(modules.slice(45, 50)).toBe("01010");
+    expect(modules.slice(-3)).toBe("101");
+    // Leading 4 selects LGLLGG: the first "0" is L, the second G
+    expect(modules.slice(3, 10)).toBe("0001101");
+    expect(modules.slice(10, 17)).toBe("0100111");
+    expect(() => encodeEan13("4006381333932")).toThrow();
+  });
+
+  test("should print GTIN barcodes as EAN-13 and anything else as Code 128", () => {
+    expect(productBarcode({ barcode: "036000291452" })).toMatchObject({
+      format: "ean13",
+      value: "036000291452",
+      modules: encodeEan13("0036000291452"),
+    });
+    expect(productBarcode({ barcode: "", sku: "PRD-1" })).toMatchObject({
+      format: "code128",
+      value: "PRD-1",
+    });
+    expect(productBarcode({})).toBeNull();
+  });
+});
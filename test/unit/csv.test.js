@@ -0,0 +1,48 @@
+const { escapeCsvValue, toCsvRow, parseCsv } = require("../../utils/csv");
+
+describe("CSV utilities", () => {
+  test("should leave plain values unquoted", () => {
+    expect(escapeCsvValue("Widget")).toBe("Widget");
+    expect(escapeCsvValue(42)).toBe("42");
+    expect(escapeCsvValue(null)).toBe("");
+    expect(escapeCsvValue(undefined)).toBe("");
+  });
+
+  test("should quote fields with commas, quotes and line breaks", () => {
+    expect(escapeCsvValue("a,b")).toBe('"a,b"');
+    expect(escapeCsvValue('say "hi"')).toBe('"say ""hi"""');
+    expect(escapeCsvValue("line1\nline2")).toBe('"line1\nline2"');
+  });
+
+  test("should format dates as ISO strings", () => {
+    const date = new Date("2024-01-02T03:04:05.000Z");
+    expect(escapeCsvValue(date)).toBe("2024-01-02T03:04:05.000Z");
+  });
+
+  test("should build CRLF-terminated rows", () => {
+    expect(toCsvRow(["a", "b,c", 1])).toBe('a,"b,c",1\r\n');
+  });
+
+  test("should parse quoted fields and CRLF rows into records", () => {
+    const text =
+      'name,price,notes\r\nWidget,9.5,"a, ""b"""\r\n"Multi\nline",2,\r\n';
+
+    expect(parseCsv(text)).toEqual([
+      { name: "Widget", price: "9.5", notes: 'a, "b"' },
+      { name: "Multi\nline", price: "2", notes: "" },
+    ]);
+  });
+
+  test("should round-trip values written by toCsvRow", () => {
+    const values = ["plain", 'quote "x"', "comma, here", "new\nline"];
+    const [record] = parseCsv(
+      toCsvRow(["a", "b", "c", "d"]) + toCsvRow(values)
+    );
+
+    expect(Object.values(record)).toEqual(values);
+  });
+
+  test("should reject unterminated quoted fields", () => {
+    expect(() => parseCsv('name\n"open')).toThrow(/unterminated/);
+  });
+});
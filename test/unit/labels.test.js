@@ -0,0 +1,59 @@
+const {
+  layoutLabel,
+  renderLabelSvg,
+  renderLabelPdf,
+} = require("../../utils/labels");
+const { productBarcode } = require("../../utils/barcode");
+
+describe("label rendering", () => {
+  const label = {
+    name: "Tee <Navy> & Co",
+    sku: "TEE-M-NAVY",
+    price: 12.5,
+    barcode: productBarcode({ barcode: "4006381333931" }),
+  };
+
+  test("should draw one bar per run of bar modules inside the quiet zones", () => {
+    const { bars, texts } = layoutLabel(label, 162, 90);
+    const runs = label.barcode.modules.match(/1+/g);
+
+    expect(bars).toHaveLength(runs.length);
+    const moduleWidth = bars[0].width;
+    expect(bars[0].x).toBeCloseTo(5.4 + 11 * moduleWidth);
+    expect(bars[bars.length - 1].x + bars[bars.length - 1].width).toBeCloseTo(
+      162 - 5.4 - 11 * moduleWidth
+    );
+    expect(texts.map((text) => text.text)).toEqual([
+      "Tee <Navy> & Co",
+      "4006381333931",
+      "TEE-M-NAVY",
+      "$12.50",
+    ]);
+  });
+
+  test("should shorten names that do not fit", () => {
+    const { texts } = layoutLabel({ ...label, name: "x".repeat(80) }, 162, 90);
+
+    expect(texts[0].text.endsWith("...")).toBe(true);
+    expect(texts[0].text.length).toBeLessThan(80);
+  });
+
+  test("should escape text in SVG output", () => {
+    const svg = renderLabelSvg(label);
+
+    expect(svg).toMatch(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+    expect(svg).toContain("Tee &lt;Navy&gt; &amp; Co");
+    expect(svg).not.toContain("<Navy>");
+  });
+
+  test("should lay labels out multi-up across sheet pages", async () => {
+    const doc = renderLabelPdf(Array(31).fill(label), { sheet: "letter" });
+    const chunks = [];
+    for await (const chunk of doc) chunks.push(chunk);
+    const pdf = Buffer.concat(chunks).toString("latin1");
+
+    expect(pdf.startsWith("%PDF-")).toBe(true);
+    expect(pdf.match(/\/Type \/Page\n/g)).toHaveLength(2);
+    expect(pdf).toContain("/MediaBox [0 0 612 792]");
+  });
+});
@@ -0,0 +1,230 @@
+const { EventEmitter } = require("events");
+const mongoose = require("mongoose");
+const { Product, InventoryTransaction, StockLevel } = require("../../models");
+const { publishEvent } = require("../../utils/events");
+const {
+  eventScope,
+  liveEventMatches,
+  formatSseEvent,
+  fromChange,
+  subscribeLiveEvents,
+  stopLiveEvents,
+  getLiveEventsMode,
+} = require("../../utils/liveEvents");
+
+describe("liveEvents", () => {
+  afterEach(() => {
+    stopLiveEvents();
+    jest.restoreAllMocks();
+  });
+
+  test("should scope transfers to both warehouses", () => {
+    const scope = eventScope("transaction.created", {
+      product: "p1",
+      location: { warehouse: "MAIN" },
+      destination: { warehouse: "east" },
+    });
+
+    expect(scope).toEqual({
+      products: ["p1"],
+      warehouses: ["MAIN", "EAST"],
+      categories: [],
+    });
+  });
+
+  test("should require every given filter to match", () => {
+    const event = {
+      scope: { products: ["p1"], warehouses: ["MAIN"], categories: ["c1"] },
+    };
+
+    expect(liveEventMatches(event, {})).toBe(true);
+    expect(
+      liveEventMatches(event, { products: ["p1", "p2"], warehouses: ["MAIN"] })
+    ).toBe(true);
+    expect(
+      liveEventMatches(event, { products: ["p1"], categories: ["c2"] })
+    ).toBe(false);
+  });
+
+  test("should format events as Server-Sent Events messages", () => {
+    const message = formatSseEvent({
+      id: "evt-1",
+      type: "stock_level.changed",
+      occurredAt: new Date("2026-01-01T00:00:00Z"),
+      data: { quantity: 3 },
+      scope: { products: [] },
+    });
+
+    expect(message).toBe(
+      'id: evt-1\nevent: stock_level.changed\ndata: {"id":"evt-1","type":"stock_level.changed","occurredAt":"2026-01-01T00:00:00.000Z","data":{"quantity":3}}\n\n'
+    );
+  });
+
+  test("should read transactions and stock quantities from change streams", () => {
+    const transaction = { _id: "t1", product: "p1", status: "approved" };
+
+    expect(
+      fromChange("transactions", {
+        operationType: "insert",
+        fullDocument: transaction,
+      })
+    ).toMatchObject({ type: "transaction.created", data: transaction });
+    expect(
+      fromChange("transactions", {
+        operationType: "update",
+        updateDescription: { updatedFields: { status: "approved" } },
+        fullDocument: transaction,
+      })
+    ).toMatchObject({ type: "transaction.approved" });
+    expect(
+      fromChange("stockLevels", {
+        operationType: "update",
+        updateDescription: { updatedFields: { reserved: 2 } },
+        fullDocument: { product: "p1", warehouse: "MAIN", quantity: 5 },
+      })
+    ).toBeNull();
+    expect(
+      fromChange("stockLevels", {
+        operationType: "update",
+        updateDescription: { updatedFields: { quantity: 5 } },
+        fullDocument: { product: "p1", warehouse: "MAIN", quantity: 5 },
+      })
+    ).toMatchObject({
+      type: "stock_level.changed",
+      data: { product: "p1", warehouse: "MAIN", quantity: 5, reserved: 0 },
+    });
+  });
+
+  test("should fall back to the event bus and add product categories", async () => {
+    jest.spyOn(Product, "findById").mockReturnValue({
+      select: jest.fn().mockReturnValue({
+        lean: jest.fn().mockResolvedValue({ category: "c1" }),
+      }),
+    });
+    const received = new Promise((resolve) => {
+      const unsubscribe = subscribeLiveEvents((event) => {
+        unsubscribe();
+        resolve(event);
+      });
+    });
+
+    publishEvent("supplier.status_changed", { supplier: { id: "s1" } });
+    publishEvent("stock_level.changed", {
+      product: "p1",
+      warehouse: "MAIN",
+      quantity: 4,
+    });
+    const event = await received;
+
+    expect(getLiveEventsMode()).toBe("event_bus");
+    expect(event.type).toBe("stock_level.changed");
+    expect(event.scope).toEqual({
+      products: ["p1"],
+      warehouses: ["MAIN"],
+      categories: ["c1"],
+    });
+  });
+
+  test("should send events without a category when the lookup fails", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    jest.spyOn(Product, "findById").mockReturnValue({
+      select: jest.fn().mockReturnValue({
+        lean: jest.fn().mockRejectedValue(new Error("lookup failed")),
+      }),
+    });
+    const received = new Promise((resolve) => {
+      const unsubscribe = subscribeLiveEvents((event) => {
+        unsubscribe();
+        resolve(event);
+      });
+    });
+
+    publishEvent("stock_level.changed", { product: "p1", warehouse: "MAIN" });
+    const event = await received;
+
+    expect(event.scope.categories).toEqual([]);
+    expect(console.error).toHaveBeenCalledWith(
+      expect.stringMatching(/Category lookup/),
+      expect.any(Error)
+    );
+  });
+
+  test("should use the category an event carries instead of looking it up", async () => {
+    const findById = jest.spyOn(Product, "findById");
+    const received = new Promise((resolve) => {
+      const unsubscribe = subscribeLiveEvents((event) => {
+        unsubscribe();
+        resolve(event);
+      });
+    });
+
+    publishEvent("alert.opened", { product: "p1", category: "c2" });
+    const event = await received;
+
+    expect(event.scope.categories).toEqual(["c2"]);
+    expect(findById).not.toHaveBeenCalled();
+  });
+
+  describe("change stream retries", () => {
+    const flushPromises = () =>
+      new Promise(jest.requireActual("timers").setImmediate);
+    let originalDb;
+    let originalReadyState;
+    let streams;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      jest.spyOn(console, "error").mockImplementation(() => {});
+      originalDb = mongoose.connection.db;
+      mongoose.connection.db = {
+        admin: () => ({
+          command: jest.fn().mockResolvedValue({ setName: "rs0" }),
+        }),
+      };
+      // readyState cannot be spied on; its getter reads this field
+      originalReadyState = mongoose.connection._readyState;
+      mongoose.connection._readyState = 1;
+      streams = [];
+      const watch = () => {
+        const stream = new EventEmitter();
+        stream.close = jest.fn().mockResolvedValue();
+        streams.push(stream);
+        return stream;
+      };
+      jest.spyOn(InventoryTransaction, "watch").mockImplementation(watch);
+      jest.spyOn(StockLevel, "watch").mockImplementation(watch);
+    });
+
+    afterEach(() => {
+      stopLiveEvents();
+      mongoose.connection.db = originalDb;
+      mongoose.connection._readyState = originalReadyState;
+      jest.useRealTimers();
+    });
+
+    test("should reopen change streams with backoff after a failure", async () => {
+      const unsubscribe = subscribeLiveEvents(() => {});
+      await flushPromises();
+      expect(getLiveEventsMode()).toBe("change_stream");
+
+      streams[0].emit("error", new Error("stream lost"));
+      streams[1].emit("error", new Error("stream lost"));
+      expect(getLiveEventsMode()).toBe("event_bus");
+
+      jest.advanceTimersByTime(1000);
+      await flushPromises();
+      expect(getLiveEventsMode()).toBe("change_stream");
+      expect(streams).toHaveLength(4);
+
+      // A second failure waits twice as long
+      streams[2].emit("error", new Error("stream lost"));
+      jest.advanceTimersByTime(1000);
+      await flushPromises();
+      expect(getLiveEventsMode()).toBe("event_bus");
+      jest.advanceTimersByTime(1000);
+      await flushPromises();
+      expect(getLiveEventsMode()).toBe("change_stream");
+      unsubscribe();
+    });
+  });
+});
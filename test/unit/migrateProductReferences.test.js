@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+const { Supplier } = require("../../models");
+const { resolveSupplier } = require("../../scripts/migrate-product-references");
+
+describe("migrate-product-references", () => {
+  // Embedded supplier as stored by the original Product schema
+  const legacySupplier = {
+    name: "TechWorld Distributors",
+    email: "Orders@TechWorld.com",
+    phone: "+1-555-0101",
+  };
+  let stats;
+
+  beforeEach(() => {
+    stats = { suppliersCreated: 0 };
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should match legacy suppliers by their email", async () => {
+    const supplierId = new mongoose.Types.ObjectId();
+    const findOne = jest
+      .spyOn(Supplier, "findOne")
+      .mockResolvedValue({ _id: supplierId });
+
+    const result = await resolveSupplier(legacySupplier, new Map(), stats);
+
+    expect(result).toBe(supplierId);
+    expect(findOne.mock.calls[0][0].$or).toContainEqual({
+      "contact.email": "orders@techworld.com",
+    });
+  });
+
+  test("should match seeded suppliers by id", async () => {
+    const supplierId = new mongoose.Types.ObjectId();
+    jest.spyOn(Supplier, "findById").mockReturnValue({
+      select: jest.fn().mockResolvedValue({ _id: supplierId }),
+    });
+    const findOne = jest.spyOn(Supplier, "findOne");
+
+    const result = await resolveSupplier(
+      { name: "Renamed Supplier", id: supplierId },
+      new Map(),
+      stats
+    );
+
+    expect(result).toBe(supplierId);
+    expect(findOne).not.toHaveBeenCalled();
+  });
+
+  test("should create unmatched suppliers from the legacy contact fields", async () => {
+    jest.spyOn(Supplier, "findOne").mockResolvedValue(null);
+    const create = jest
+      .spyOn(Supplier, "create")
+      .mockImplementation(async (data) => ({ _id: "s1", ...data }));
+
+    const result = await resolveSupplier(legacySupplier, new Map(), stats);
+
+    expect(result).toBe("s1");
+    expect(create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        name: "TechWorld Distributors",
+        contact: { email: "orders@techworld.com", phone: "+1-555-0101" },
+      })
+    );
+    expect(stats.suppliersCreated).toBe(1);
+  });
+});
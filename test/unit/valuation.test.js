@@ -0,0 +1,86 @@
+const { consumeLayers, valueMovements } = require("../../utils/valuation");
+
+describe("Valuation utilities", () => {
+  const layers = [
+    { unitCost: 10, remaining: 5 },
+    { unitCost: 16, remaining: 5 },
+  ];
+
+  test("should consume the oldest layers first under FIFO", () => {
+    const result = consumeLayers(layers, 7, "fifo");
+
+    expect(result.cost).toBe(5 * 10 + 2 * 16);
+    expect(result.layers).toEqual([
+      { unitCost: 10, remaining: 0 },
+      { unitCost: 16, remaining: 3 },
+    ]);
+    expect(result.unmatched).toBe(0);
+  });
+
+  test("should consume the newest layers first under LIFO", () => {
+    const result = consumeLayers(layers, 7, "lifo");
+
+    expect(result.cost).toBe(5 * 16 + 2 * 10);
+    expect(result.layers).toEqual([
+      { unitCost: 10, remaining: 3 },
+      { unitCost: 16, remaining: 0 },
+    ]);
+  });
+
+  test("should cost at the average and re-price what remains", () => {
+    const result = consumeLayers(layers, 4, "average");
+
+    expect(result.cost).toBe(4 * 13);
+    expect(result.layers).toEqual([
+      { unitCost: 13, remaining: 1 },
+      { unitCost: 13, remaining: 5 },
+    ]);
+  });
+
+  test("should report units no layer covers", () => {
+    const result = consumeLayers(layers, 12, "fifo");
+
+    expect(result.cost).toBe(130);
+    expect(result.unmatched).toBe(2);
+  });
+
+  test("should reject unknown methods", () => {
+    expect(() => consumeLayers(layers, 1, "hifo")).toThrow(/hifo/);
+  });
+
+  test("should replay movements into cost of goods sold and write-offs", () => {
+    const movements = [
+      { product: "p1", type: "stock_in", quantity: 10, unitCost: 4 },
+      { product: "p1", type: "stock_in", quantity: 10, unitCost: 6 },
+      { product: "p1", type: "transfer", quantity: 5 },
+      {
+        product: "p1",
+        type: "stock_out",
+        quantity: -12,
+        postedAt: new Date("2024-02-01"),
+      },
+      // Carries no cost, so is layered at the latest received cost
+      { product: "p1", type: "adjustment", quantity: 2 },
+      {
+        product: "p1",
+        type: "damaged",
+        quantity: -1,
+        postedAt: new Date("2024-03-01"),
+      },
+    ];
+
+    const fifo = valueMovements(movements, "fifo").get("p1");
+    expect(fifo.costOfGoodsSold).toBe(52);
+    expect(fifo.writeOffs).toBe(6);
+    expect(fifo.quantity).toBe(9);
+    expect(fifo.value).toBe(54);
+    expect(fifo.uncostedQuantity).toBe(0);
+
+    const lifo = valueMovements(movements, "lifo", {
+      from: new Date("2024-02-15"),
+    }).get("p1");
+    expect(lifo.costOfGoodsSold).toBe(0);
+    expect(lifo.writeOffs).toBe(6);
+    expect(lifo.value).toBe(8 * 4 + 6);
+  });
+});
@@ -0,0 +1,19 @@
+/**
+ * Helpers for recording who performed an action
+ */
+
+/**
+ * Split a user reference into the name and id stored on documents
+ * @param {string|Object} user - User name or identity ({ id, name })
+ * @returns {Object} Actor ({ name, id })
+ */
+function toActor(user) {
+  if (user && typeof user === "object") {
+    return { name: user.name, id: user.id || null };
+  }
+  return { name: user, id: null };
+}
+
+module.exports = {
+  toActor,
+};
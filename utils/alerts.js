@@ -0,0 +1,64 @@
+/**
+ * Helpers for alert rules
+ */
+const { DEFAULT_ALERT_RULES } = require("../config/alerts");
+
+/**
+ * Pick the rule that applies to an alert type for a product
+ * A product rule beats a rule for the product's category, which beats a
+ * rule without scope; with none, the built-in rule applies.
+ * @param {Array<Object>} rules - Every configured rule
+ * @param {string} type - Alert type
+ * @param {Object} [product] - Product (_id, category)
+ * @returns {Object} Effective rule ({ rule, enabled, severity, threshold,
+ *   windowDays }), with rule null for the built-in one
+ */
+function resolveAlertRule(rules, type, product = null) {
+  const candidates = rules.filter((rule) => rule.type === type);
+  const same = (a, b) => a != null && b != null && String(a) === String(b);
+
+  const rule =
+    (product &&
+      candidates.find((candidate) => same(candidate.product, product._id))) ||
+    (product &&
+      candidates.find((candidate) =>
+        same(candidate.category, product.category?._id || product.category)
+      )) ||
+    candidates.find((candidate) => !candidate.product && !candidate.category);
+
+  const defaults = DEFAULT_ALERT_RULES[type];
+  if (!rule) {
+    return { rule: null, enabled: true, windowDays: null, ...defaults };
+  }
+  return {
+    rule: rule._id,
+    enabled: rule.enabled !== false,
+    severity: rule.severity || defaults.severity,
+    threshold: rule.threshold ?? defaults.threshold,
+    windowDays: rule.windowDays ?? defaults.windowDays ?? null,
+  };
+}
+
+/**
+ * Values a rule setting takes for an alert type across the built-in rule
+ * and every enabled rule
+ * Used to find every candidate in one query before each is checked against
+ * its own rule.
+ * @param {Array<Object>} rules - Every configured rule
+ * @param {string} type - Alert type
+ * @param {string} field - Setting (threshold or windowDays)
+ * @returns {Array<number>} Values set
+ */
+function ruleSettingValues(rules, type, field) {
+  return [
+    DEFAULT_ALERT_RULES[type][field],
+    ...rules
+      .filter((rule) => rule.type === type && rule.enabled !== false)
+      .map((rule) => rule[field]),
+  ].filter((value) => value != null);
+}
+
+module.exports = {
+  resolveAlertRule,
+  ruleSettingValues,
+};
@@ -0,0 +1,157 @@
+/**
+ * Helpers for category-defined product attributes
+ */
+
+const TRUE_VALUES = ["true", "yes", "1"];
+const FALSE_VALUES = ["false", "no", "0"];
+
+/**
+ * Find the category option matching a value, ignoring case
+ * @param {Array<string>} options - Allowed options
+ * @param {*} value - Submitted value
+ * @returns {string|undefined} Matching option as defined
+ */
+function matchOption(options, value) {
+  const wanted = String(value).trim().toLowerCase();
+  return (options || []).find((option) => option.toLowerCase() === wanted);
+}
+
+/**
+ * Cast a submitted value to an attribute's type
+ * Select values take the casing of the category option they match.
+ * @param {Object} definition - Category attribute (name, type, options)
+ * @param {*} value - Submitted value
+ * @returns {Object} { value } when valid, otherwise { message }
+ */
+function castAttributeValue(definition, value) {
+  switch (definition.type) {
+    case "number": {
+      const number = typeof value === "string" ? Number(value) : value;
+      if (
+        typeof number !== "number" ||
+        value === "" ||
+        !Number.isFinite(number)
+      ) {
+        return { message: `${definition.name} must be a number` };
+      }
+      return { value: number };
+    }
+    case "boolean": {
+      if (typeof value === "boolean") return { value };
+      const text = String(value).trim().toLowerCase();
+      if (TRUE_VALUES.includes(text)) return { value: true };
+      if (FALSE_VALUES.includes(text)) return { value: false };
+      return { message: `${definition.name} must be true or false` };
+    }
+    case "select": {
+      const option = matchOption(definition.options, value);
+      if (option === undefined) {
+        return {
+          message: `${definition.name} must be one of: ${(
+            definition.options || []
+          ).join(", ")}`,
+        };
+      }
+      return { value: option };
+    }
+    case "multiselect": {
+      const values = Array.isArray(value) ? value : String(value).split("|");
+      const options = values.map((item) =>
+        matchOption(definition.options, item)
+      );
+      if (options.some((option) => option === undefined)) {
+        return {
+          message: `${definition.name} values must be among: ${(
+            definition.options || []
+          ).join(", ")}`,
+        };
+      }
+      return { value: [...new Set(options)] };
+    }
+    default: {
+      if (typeof value === "object") {
+        return { message: `${definition.name} must be text` };
+      }
+      return { value: String(value).trim() };
+    }
+  }
+}
+
+/**
+ * Validate product attribute values against category definitions
+ * Unknown attributes are rejected and required ones must have a value.
+ * @param {Array<Object>} definitions - Category attributes
+ * @param {Object} values - Attribute values keyed by name
+ * @returns {Object} { values: cast values, errors: [{ field, message, value }] }
+ */
+function validateAttributes(definitions = [], values = {}) {
+  const byName = new Map(
+    definitions.map((definition) => [definition.name, definition])
+  );
+  const cast = {};
+  const errors = [];
+
+  for (const [name, value] of Object.entries(values)) {
+    if (value === null || value === undefined || value === "") continue;
+
+    const definition = byName.get(name);
+    if (!definition) {
+      errors.push({
+        field: `attributes.${name}`,
+        message: `${name} is not an attribute of this category`,
+        value,
+      });
+      continue;
+    }
+
+    const result = castAttributeValue(definition, value);
+    if (result.message) {
+      errors.push({
+        field: `attributes.${name}`,
+        message: result.message,
+        value,
+      });
+    } else if (!Array.isArray(result.value) || result.value.length > 0) {
+      cast[name] = result.value;
+    }
+  }
+
+  const invalid = new Set(errors.map((error) => error.field));
+  for (const definition of definitions) {
+    const field = `attributes.${definition.name}`;
+    if (
+      definition.required &&
+      cast[definition.name] === undefined &&
+      !invalid.has(field)
+    ) {
+      errors.push({
+        field,
+        message: `${definition.name} is required`,
+        value: values[definition.name],
+      });
+    }
+  }
+
+  return { values: cast, errors };
+}
+
+/**
+ * Every combination of one value per attribute
+ * @param {Object} axes - Values to combine keyed by attribute name
+ * @returns {Array<Object>} Combinations keyed by attribute name
+ */
+function attributeCombinations(axes) {
+  return Object.entries(axes).reduce(
+    (combinations, [name, values]) =>
+      combinations.flatMap((combination) =>
+        values.map((value) => ({ ...combination, [name]: value }))
+      ),
+    [{}]
+  );
+}
+
+module.exports = {
+  castAttributeValue,
+  validateAttributes,
+  attributeCombinations,
+};
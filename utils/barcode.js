@@ -0,0 +1,350 @@
+/**
+ * Helpers for scanned barcodes and SKUs
+ */
+
+const SCAN_FORMATS = ["ean13", "upca", "code128", "sku"];
+
+// SKUs are uppercase alphanumeric segments joined by dashes (PRD-123456-AB1,
+// TEE-XL-RED)
+const SKU_PATTERN = /^[A-Z0-9]+(?:-[A-Z0-9.]+)+$/;
+
+// Code 128 encodes printable ASCII; scanners strip its check character
+const CODE128_PATTERN = /^[\x20-\x7E]{1,80}$/;
+
+// Code 128 symbol bar/space widths in modules, indexed by symbol value
+// (0-102 data, 103-105 start A/B/C, 106 stop)
+const CODE128_WIDTHS = [
+  "212222",
+  "222122",
+  "222221",
+  "121223",
+  "121322",
+  "131222",
+  "122213",
+  "122312",
+  "132212",
+  "221213",
+  "221312",
+  "231212",
+  "112232",
+  "122132",
+  "122231",
+  "113222",
+  "123122",
+  "123221",
+  "223211",
+  "221132",
+  "221231",
+  "213212",
+  "223112",
+  "312131",
+  "311222",
+  "321122",
+  "321221",
+  "312212",
+  "322112",
+  "322211",
+  "212123",
+  "212321",
+  "232121",
+  "111323",
+  "131123",
+  "131321",
+  "112313",
+  "132113",
+  "132311",
+  "211313",
+  "231113",
+  "231311",
+  "112133",
+  "112331",
+  "132131",
+  "113123",
+  "113321",
+  "133121",
+  "313121",
+  "211331",
+  "231131",
+  "213113",
+  "213311",
+  "213131",
+  "311123",
+  "311321",
+  "331121",
+  "312113",
+  "312311",
+  "332111",
+  "314111",
+  "221411",
+  "431111",
+  "111224",
+  "111422",
+  "121124",
+  "121421",
+  "141122",
+  "141221",
+  "112214",
+  "112412",
+  "122114",
+  "122411",
+  "142112",
+  "142211",
+  "241211",
+  "221114",
+  "413111",
+  "241112",
+  "134111",
+  "111242",
+  "121142",
+  "121241",
+  "114212",
+  "124112",
+  "124211",
+  "411212",
+  "421112",
+  "421211",
+  "212141",
+  "214121",
+  "412121",
+  "111143",
+  "111341",
+  "131141",
+  "114113",
+  "114311",
+  "411113",
+  "411311",
+  "113141",
+  "114131",
+  "311141",
+  "411131",
+  "211412",
+  "211214",
+  "211232",
+  "2331112",
+];
+const CODE128_START_B = 104;
+const CODE128_START_C = 105;
+const CODE128_STOP = 106;
+
+// EAN-13 left-hand "L" digit patterns; "R" patterns are their complement
+// and "G" patterns the reversed "R" patterns
+const EAN_L_PATTERNS = [
+  "0001101",
+  "0011001",
+  "0010011",
+  "0111101",
+  "0100011",
+  "0110001",
+  "0101111",
+  "0111011",
+  "0110111",
+  "0001011",
+];
+// Parity of digits 2-7, selected by the first digit
+const EAN13_PARITY = [
+  "LLLLLL",
+  "LLGLGG",
+  "LLGGLG",
+  "LLGGGL",
+  "LGLLGG",
+  "LGGLLG",
+  "LGGGLL",
+  "LGLGLG",
+  "LGLGGL",
+  "LGGLGL",
+];
+
+const FORMAT_LABELS = {
+  ean13: "EAN-13",
+  upca: "UPC-A",
+};
+
+/**
+ * Compute the GS1 mod-10 check digit for the digits before it
+ * @param {string} digits - Code without its check digit
+ * @returns {number} Check digit
+ */
+function gtinCheckDigit(digits) {
+  const sum = [...digits]
+    .reverse()
+    .reduce(
+      (total, digit, index) => total + Number(digit) * (index % 2 ? 1 : 3),
+      0
+    );
+  return (10 - (sum % 10)) % 10;
+}
+
+/**
+ * Check the trailing check digit of a GTIN (EAN-13, UPC-A)
+ * @param {string} code - Numeric code including its check digit
+ * @returns {boolean} True when the check digit matches
+ */
+function isValidGtin(code) {
+  return (
+    /^\d+$/.test(code) &&
+    gtinCheckDigit(code.slice(0, -1)) === Number(code.slice(-1))
+  );
+}
+
+/**
+ * Work out a scanned code's symbology and validate it
+ * Without a format hint, 13 digits read as EAN-13, 12 digits as UPC-A,
+ * dash-separated uppercase segments as a SKU and anything else printable as
+ * Code 128.
+ * @param {string} raw - Scanned code
+ * @param {string} [format] - Symbology reported by the scanner
+ * @returns {Object} { code, format } when valid, otherwise { error }
+ */
+function parseScannedCode(raw, format) {
+  const code = String(raw ?? "").trim();
+  if (!code) return { error: "Scanned code is empty" };
+  if (format && !SCAN_FORMATS.includes(format)) {
+    return { error: `Format must be one of: ${SCAN_FORMATS.join(", ")}` };
+  }
+
+  const detected =
+    format ||
+    (/^\d{13}$/.test(code) && "ean13") ||
+    (/^\d{12}$/.test(code) && "upca") ||
+    (SKU_PATTERN.test(code.toUpperCase()) && "sku") ||
+    "code128";
+
+  switch (detected) {
+    case "ean13":
+    case "upca": {
+      const length = detected === "ean13" ? 13 : 12;
+      if (!new RegExp(`^\\d{${length}}$`).test(code)) {
+        return {
+          error: `${FORMAT_LABELS[detected]} codes have ${length} digits`,
+        };
+      }
+      if (!isValidGtin(code)) {
+        return { error: `Invalid ${FORMAT_LABELS[detected]} check digit` };
+      }
+      return { code, format: detected };
+    }
+    case "sku": {
+      const sku = code.toUpperCase();
+      if (!SKU_PATTERN.test(sku)) {
+        return { error: "SKU is not in the expected format" };
+      }
+      return { code: sku, format: detected };
+    }
+    default: {
+      if (!CODE128_PATTERN.test(code)) {
+        return { error: "Code 128 codes are 1-80 printable ASCII characters" };
+      }
+      return { code, format: detected };
+    }
+  }
+}
+
+/**
+ * Barcodes a product could be stored under for a scanned GTIN
+ * A UPC-A is the same item as the EAN-13 with a leading zero.
+ * @param {string} code - Validated code
+ * @param {string} format - Code format
+ * @returns {Array<string>} Equivalent barcodes
+ */
+function equivalentBarcodes(code, format) {
+  if (format === "upca") return [code, `0${code}`];
+  if (format === "ean13" && code.startsWith("0")) return [code, code.slice(1)];
+  return [code];
+}
+
+/**
+ * Expand bar/space widths into modules (1 = bar, 0 = space)
+ * @param {string} widths - Alternating bar and space widths, bar first
+ * @returns {string} Modules
+ */
+function widthsToModules(widths) {
+  return [...widths]
+    .map((width, index) => (index % 2 ? "0" : "1").repeat(Number(width)))
+    .join("");
+}
+
+/**
+ * Encode text as Code 128 modules
+ * All-digit text of even length uses the denser code set C; anything else
+ * uses code set B.
+ * @param {string} text - Printable ASCII text
+ * @returns {string} Modules (1 = bar, 0 = space), without quiet zones
+ */
+function encodeCode128(text) {
+  if (!CODE128_PATTERN.test(text)) {
+    throw new Error("Code 128 text must be 1-80 printable ASCII characters");
+  }
+
+  const useSetC = /^(\d\d){2,}$/.test(text);
+  const values = useSetC
+    ? text.match(/\d\d/g).map(Number)
+    : [...text].map((char) => char.charCodeAt(0) - 32);
+  const start = useSetC ? CODE128_START_C : CODE128_START_B;
+  const checksum =
+    values.reduce((sum, value, index) => sum + value * (index + 1), start) %
+    103;
+
+  return [start, ...values, checksum, CODE128_STOP]
+    .map((value) => widthsToModules(CODE128_WIDTHS[value]))
+    .join("");
+}
+
+/**
+ * Encode an EAN-13 code as modules
+ * @param {string} code - 13 digits including a valid check digit
+ * @returns {string} Modules (1 = bar, 0 = space), without quiet zones
+ */
+function encodeEan13(code) {
+  if (!/^\d{13}$/.test(code) || !isValidGtin(code)) {
+    throw new Error("EAN-13 codes are 13 digits with a valid check digit");
+  }
+
+  const digits = [...code].map(Number);
+  const right = (digit) =>
+    [...EAN_L_PATTERNS[digit]].map((bit) => (bit === "1" ? "0" : "1")).join("");
+  const left = digits
+    .slice(1, 7)
+    .map((digit, index) =>
+      EAN13_PARITY[digits[0]][index] === "L"
+        ? EAN_L_PATTERNS[digit]
+        : [...right(digit)].reverse().join("")
+    );
+
+  return ["101", ...left, "01010", ...digits.slice(7).map(right), "101"].join(
+    ""
+  );
+}
+
+/**
+ * Choose the barcode printed for a product
+ * Valid EAN-13 and UPC-A barcodes print as EAN-13; other barcodes, or the
+ * SKU when there is none, print as Code 128.
+ * @param {Object} product - Product (barcode, sku)
+ * @returns {Object|null} { format, value, modules } or null with nothing to
+ *   encode
+ */
+function productBarcode(product) {
+  const barcode = product.barcode ? String(product.barcode).trim() : "";
+  if (/^\d{13}$/.test(barcode) && isValidGtin(barcode)) {
+    return { format: "ean13", value: barcode, modules: encodeEan13(barcode) };
+  }
+  if (/^\d{12}$/.test(barcode) && isValidGtin(barcode)) {
+    const ean = `0${barcode}`;
+    return { format: "ean13", value: barcode, modules: encodeEan13(ean) };
+  }
+
+  const value = barcode || product.sku;
+  if (!value || !CODE128_PATTERN.test(value)) return null;
+  return { format: "code128", value, modules: encodeCode128(value) };
+}
+
+module.exports = {
+  SCAN_FORMATS,
+  gtinCheckDigit,
+  isValidGtin,
+  parseScannedCode,
+  equivalentBarcodes,
+  encodeCode128,
+  encodeEan13,
+  productBarcode,
+};
@@ -0,0 +1,110 @@
+/**
+ * CSV Utilities
+ * RFC 4180 helpers shared by data exports and imports
+ */
+
+/**
+ * Escape a single value for a CSV field
+ * Fields containing commas, quotes or line breaks are wrapped in double
+ * quotes, with embedded quotes doubled.
+ * @param {*} value - Value to escape
+ * @returns {string} CSV-safe field
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return "";
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === "object" && !value._bsontype) {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Build a CSV record terminated by CRLF
+ * @param {Array} values - Field values
+ * @returns {string} CSV record
+ */
+function toCsvRow(values) {
+  return `${values.map(escapeCsvValue).join(",")}\r\n`;
+}
+
+/**
+ * Parse RFC 4180 CSV text into records keyed by the header row
+ * Handles quoted fields with embedded commas, quotes and line breaks.
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} Records, one per data row
+ * @throws {Error} Throws error for unterminated quoted fields
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  // Strip UTF-8 byte order mark written by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error("Malformed CSV: unterminated quoted field");
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...dataRows] = rows.filter(
+    (values) => values.length > 1 || values[0] !== ""
+  );
+  const columns = header.map((column) => column.trim());
+
+  return dataRows.map((values) =>
+    columns.reduce((record, column, index) => {
+      record[column] = values[index] !== undefined ? values[index] : "";
+      return record;
+    }, {})
+  );
+}
+
+module.exports = {
+  escapeCsvValue,
+  toCsvRow,
+  parseCsv,
+};
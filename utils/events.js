@@ -0,0 +1,50 @@
+/**
+ * In-process event bus for domain events
+ * DAOs publish events once their writes commit; webhooks and other
+ * listeners subscribe to the bus.
+ */
+const { EventEmitter } = require("events");
+const { randomUUID } = require("crypto");
+
+const EVENT_TYPES = [
+  "stock_level.changed",
+  "transaction.created",
+  "transaction.approved",
+  "product.low_stock",
+  "product.out_of_stock",
+  "supplier.status_changed",
+  "purchase_order.received",
+  "alert.opened",
+  "alert.resolved",
+];
+
+// Every event is emitted under its own type and under "event"
+const ANY_EVENT = "event";
+
+const eventBus = new EventEmitter();
+// One listener per open stream or integration; there is no fixed limit
+eventBus.setMaxListeners(0);
+
+/**
+ * Publish a domain event
+ * @param {string} type - Event type (see EVENT_TYPES)
+ * @param {Object} data - Event payload
+ * @returns {Object} Published event ({ id, type, occurredAt, data })
+ */
+function publishEvent(type, data) {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown event type: ${type}`);
+  }
+
+  const event = { id: randomUUID(), type, occurredAt: new Date(), data };
+  eventBus.emit(type, event);
+  eventBus.emit(ANY_EVENT, event);
+  return event;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  ANY_EVENT,
+  eventBus,
+  publishEvent,
+};
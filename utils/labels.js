@@ -0,0 +1,272 @@
+/**
+ * Barcode and shelf label rendering as SVG and PDF
+ * Labels are laid out once as rectangles and text in points, then drawn by
+ * the SVG or PDF renderer.
+ */
+const PDFDocument = require("pdfkit");
+
+const MM = 72 / 25.4; // Points per millimetre
+
+// Single label size (2.25" x 1.25"), used for SVG and label-printer rolls
+const LABEL_SIZE = { width: 162, height: 90 };
+
+// Multi-up sheets: PDFKit page size, then label size, grid and margins in
+// points
+const LABEL_SHEETS = {
+  // Avery 5160 / 8160 address labels
+  letter: {
+    size: "LETTER",
+    label: { width: 189, height: 72 },
+    columns: 3,
+    rows: 10,
+    margin: { top: 36, left: 13.5 },
+    gap: { column: 9, row: 0 },
+  },
+  // 3 x 8 labels of 70 x 37 mm
+  a4: {
+    size: "A4",
+    label: { width: 70 * MM, height: 37 * MM },
+    columns: 3,
+    rows: 8,
+    margin: { top: 0.5 * MM, left: 0 },
+    gap: { column: 0, row: 0 },
+  },
+};
+
+// Blank modules either side of the bars, as the symbologies require
+const QUIET_ZONE_MODULES = { code128: 10, ean13: 11 };
+
+/**
+ * Shorten text to fit a width, using an average Helvetica glyph width
+ * @param {string} text - Text
+ * @param {number} width - Available width in points
+ * @param {number} size - Font size in points
+ * @returns {string} Text, cut with "..." when too long
+ */
+function fitText(text, width, size) {
+  const maxChars = Math.floor(width / (size * 0.55));
+  const value = String(text ?? "");
+  return value.length <= maxChars
+    ? value
+    : `${value.slice(0, Math.max(maxChars - 3, 1))}...`;
+}
+
+/**
+ * Lay out one label: name, barcode with its digits, SKU and price
+ * @param {Object} label - Label (name, sku, price, barcode { format, value,
+ *   modules })
+ * @param {number} width - Label width in points
+ * @param {number} height - Label height in points
+ * @returns {Object} { bars: [{ x, y, width, height }], texts: [{ x, y,
+ *   size, text, anchor, bold }] } with y at the text baseline
+ */
+function layoutLabel(label, width, height) {
+  const padding = Math.min(width, height) * 0.06;
+  const inner = width - padding * 2;
+  const nameSize = height * 0.12;
+  const smallSize = height * 0.09;
+  const priceSize = height * 0.14;
+
+  const texts = [
+    {
+      x: padding,
+      y: padding + nameSize,
+      size: nameSize,
+      text: fitText(label.name, inner, nameSize),
+      anchor: "start",
+      bold: true,
+    },
+  ];
+  const bars = [];
+
+  const barTop = padding + nameSize * 1.5;
+  const barHeight = height * 0.4;
+  if (label.barcode) {
+    const { modules, format, value } = label.barcode;
+    const quiet = QUIET_ZONE_MODULES[format] || 10;
+    const moduleWidth = inner / (modules.length + quiet * 2);
+    const left = padding + quiet * moduleWidth;
+
+    // One rectangle per run of bar modules
+    for (const run of modules.matchAll(/1+/g)) {
+      bars.push({
+        x: left + run.index * moduleWidth,
+        y: barTop,
+        width: run[0].length * moduleWidth,
+        height: barHeight,
+      });
+    }
+    texts.push({
+      x: width / 2,
+      y: barTop + barHeight + smallSize * 1.1,
+      size: smallSize,
+      text: fitText(value, inner, smallSize),
+      anchor: "middle",
+      bold: false,
+    });
+  }
+
+  const bottom = height - padding;
+  texts.push(
+    {
+      x: padding,
+      y: bottom,
+      size: smallSize,
+      text: fitText(label.sku, inner * 0.6, smallSize),
+      anchor: "start",
+      bold: false,
+    },
+    {
+      x: width - padding,
+      y: bottom,
+      size: priceSize,
+      text: `$${Number(label.price || 0).toFixed(2)}`,
+      anchor: "end",
+      bold: true,
+    }
+  );
+
+  return { bars, texts };
+}
+
+/**
+ * Escape text for use in SVG markup
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+  return String(value).replace(
+    /[<>&"']/g,
+    (char) =>
+      ({
+        "<": "&lt;",
+        ">": "&gt;",
+        "&": "&amp;",
+        '"': "&quot;",
+        "'": "&apos;",
+      }[char])
+  );
+}
+
+/**
+ * Round a coordinate for compact markup
+ * @param {number} value - Coordinate in points
+ * @returns {number} Rounded coordinate
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Render one label as a standalone SVG document
+ * @param {Object} label - Label (name, sku, price, barcode)
+ * @param {Object} size - Label size in points ({ width, height })
+ * @returns {string} SVG markup
+ */
+function renderLabelSvg(label, size = LABEL_SIZE) {
+  const { width, height } = size;
+  const { bars, texts } = layoutLabel(label, width, height);
+
+  const rects = bars.map(
+    (bar) =>
+      `<rect x="${round(bar.x)}" y="${round(bar.y)}" width="${round(
+        bar.width
+      )}" height="${round(bar.height)}"/>`
+  );
+  const lines = texts.map(
+    (text) =>
+      `<text x="${round(text.x)}" y="${round(text.y)}" font-size="${round(
+        text.size
+      )}" text-anchor="${text.anchor}"${
+        text.bold ? ' font-weight="bold"' : ""
+      }>${escapeXml(text.text)}</text>`
+  );
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}pt" height="${height}pt" viewBox="0 0 ${width} ${height}">`,
+    `<rect width="${width}" height="${height}" fill="#fff"/>`,
+    `<g fill="#000">${rects.join("")}</g>`,
+    `<g fill="#000" font-family="Helvetica, Arial, sans-serif">${lines.join(
+      ""
+    )}</g>`,
+    "</svg>",
+  ].join("\n");
+}
+
+/**
+ * Draw a laid out label onto a PDF page
+ * @param {Object} doc - PDFKit document
+ * @param {Object} label - Label (name, sku, price, barcode)
+ * @param {number} x - Left edge in points
+ * @param {number} y - Top edge in points
+ * @param {Object} size - Label size in points ({ width, height })
+ */
+function drawPdfLabel(doc, label, x, y, size) {
+  const { bars, texts } = layoutLabel(label, size.width, size.height);
+
+  bars.forEach((bar) => doc.rect(x + bar.x, y + bar.y, bar.width, bar.height));
+  if (bars.length > 0) doc.fill("#000");
+
+  for (const text of texts) {
+    doc.font(text.bold ? "Helvetica-Bold" : "Helvetica").fontSize(text.size);
+    const textWidth = doc.widthOfString(text.text);
+    const offset = { start: 0, middle: textWidth / 2, end: textWidth }[
+      text.anchor
+    ];
+    // PDFKit positions text by its top; the layout gives the baseline
+    doc.text(text.text, x + text.x - offset, y + text.y - text.size * 0.8, {
+      lineBreak: false,
+    });
+  }
+}
+
+/**
+ * Render labels as a PDF, either multi-up on sheets or one label per page
+ * for label printers ("roll")
+ * @param {Array<Object>} labels - Labels (name, sku, price, barcode)
+ * @param {Object} options - Options (sheet: letter, a4 or roll)
+ * @returns {Object} Ended PDFKit document, readable as a stream
+ */
+function renderLabelPdf(labels, options = {}) {
+  const sheet = LABEL_SHEETS[options.sheet];
+  const doc = new PDFDocument({
+    autoFirstPage: false,
+    margin: 0,
+    info: { Title: "Product labels" },
+  });
+
+  if (!sheet) {
+    for (const label of labels) {
+      doc.addPage({ size: [LABEL_SIZE.width, LABEL_SIZE.height], margin: 0 });
+      drawPdfLabel(doc, label, 0, 0, LABEL_SIZE);
+    }
+  } else {
+    const perPage = sheet.columns * sheet.rows;
+    labels.forEach((label, index) => {
+      const slot = index % perPage;
+      if (slot === 0) doc.addPage({ size: sheet.size, margin: 0 });
+
+      const column = slot % sheet.columns;
+      const row = Math.floor(slot / sheet.columns);
+      drawPdfLabel(
+        doc,
+        label,
+        sheet.margin.left + column * (sheet.label.width + sheet.gap.column),
+        sheet.margin.top + row * (sheet.label.height + sheet.gap.row),
+        sheet.label
+      );
+    });
+  }
+
+  if (labels.length === 0) doc.addPage();
+  doc.end();
+  return doc;
+}
+
+module.exports = {
+  LABEL_SIZE,
+  LABEL_SHEETS,
+  layoutLabel,
+  renderLabelSvg,
+  renderLabelPdf,
+};
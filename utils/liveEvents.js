@@ -0,0 +1,350 @@
+/**
+ * Live feed of stock, transaction and alert events for streaming clients
+ * Stock level and transaction changes come from MongoDB change streams when
+ * the server runs on a replica set, so writes made by other instances are
+ * seen too; otherwise they come from this process's event bus. Alert
+ * transitions always come from the event bus. If a change stream fails the
+ * feed uses the event bus while it retries opening them with backoff.
+ */
+const { EventEmitter } = require("events");
+const { randomUUID } = require("crypto");
+const mongoose = require("mongoose");
+const { InventoryTransaction, StockLevel, Product } = require("../models");
+const { eventBus, ANY_EVENT } = require("./events");
+
+const LIVE_EVENT_TYPES = [
+  "stock_level.changed",
+  "transaction.created",
+  "transaction.approved",
+  "product.low_stock",
+  "product.out_of_stock",
+  "alert.opened",
+  "alert.resolved",
+];
+
+// Event types read from change streams when they are available
+const CHANGE_STREAM_TYPES = [
+  "stock_level.changed",
+  "transaction.created",
+  "transaction.approved",
+];
+
+// Change stream retry delays double from the first to the longest
+const RETRY_FIRST_MS = 1000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+
+const feed = new EventEmitter();
+feed.setMaxListeners(0);
+
+const state = {
+  // "event_bus" until change streams are confirmed open
+  mode: "event_bus",
+  started: false,
+  streams: [],
+  retryTimer: null,
+  // Failed attempts since change streams last delivered a change
+  retries: 0,
+};
+
+/**
+ * Products, warehouses and categories an event concerns, for filtering
+ * @param {string} type - Event type
+ * @param {Object} data - Event payload
+ * @returns {Object} { products, warehouses, categories } as strings
+ */
+function eventScope(type, data) {
+  let products = [];
+  let warehouses = [];
+  let categories = [];
+
+  if (type === "stock_level.changed") {
+    products = [data.product];
+    warehouses = [data.warehouse];
+  } else if (type.startsWith("transaction.")) {
+    products = [data.product];
+    warehouses = [data.location?.warehouse, data.destination?.warehouse];
+  } else if (type.startsWith("product.")) {
+    products = [data.product?.id];
+    warehouses = [data.warehouse];
+    categories = [data.product?.category];
+  } else if (type.startsWith("alert.")) {
+    products = [data.product];
+    warehouses = [data.warehouse];
+  }
+
+  if (data.category) categories.push(data.category);
+
+  const strings = (values) =>
+    values.filter((value) => value != null).map((value) => String(value));
+  return {
+    products: strings(products),
+    warehouses: strings(warehouses).map((value) => value.toUpperCase()),
+    categories: strings(categories),
+  };
+}
+
+/**
+ * Check an event against a client's filters
+ * Each filter given must share at least one value with the event's scope.
+ * @param {Object} event - Live event (with scope)
+ * @param {Object} filters - Filters (products, categories, warehouses)
+ * @returns {boolean} True when the client should receive the event
+ */
+function liveEventMatches(event, filters = {}) {
+  return ["products", "categories", "warehouses"].every((key) => {
+    const wanted = filters[key];
+    if (!wanted || wanted.length === 0) return true;
+    return event.scope[key].some((value) => wanted.includes(value));
+  });
+}
+
+/**
+ * Format an event as a Server-Sent Events message
+ * @param {Object} event - Live event ({ id, type, occurredAt, data })
+ * @returns {string} SSE message
+ */
+function formatSseEvent(event) {
+  const { id, type, occurredAt, data } = event;
+  return `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify({
+    id,
+    type,
+    occurredAt,
+    data,
+  })}\n\n`;
+}
+
+/**
+ * Emit an event to the feed, adding its scope
+ * Products' categories are looked up when the event does not carry them;
+ * if the lookup fails the event is still sent, without a category.
+ * @param {Object} event - Event ({ id, type, occurredAt, data })
+ */
+async function emitLiveEvent(event) {
+  const scope = eventScope(event.type, event.data);
+  if (scope.categories.length === 0 && scope.products.length > 0) {
+    try {
+      const product = await Product.findById(scope.products[0])
+        .select("category")
+        .lean();
+      if (product?.category) scope.categories = [String(product.category)];
+    } catch (error) {
+      console.error(
+        `Category lookup for live event ${event.type} failed:`,
+        error
+      );
+    }
+  }
+  feed.emit(ANY_EVENT, { ...event, scope });
+}
+
+/**
+ * Forward event bus events, skipping those change streams deliver
+ * @param {Object} event - Published event
+ */
+function onBusEvent(event) {
+  if (!LIVE_EVENT_TYPES.includes(event.type)) return;
+  if (
+    state.mode === "change_stream" &&
+    CHANGE_STREAM_TYPES.includes(event.type)
+  ) {
+    return;
+  }
+  emitLiveEvent(event).catch((error) => {
+    console.error(`Live event ${event.type} failed:`, error);
+  });
+}
+
+/**
+ * Translate a change stream event into a live event
+ * @param {string} collection - "transactions" or "stockLevels"
+ * @param {Object} change - Change stream event
+ * @returns {Object|null} Live event, or null when it is not of interest
+ */
+function fromChange(collection, change) {
+  const document = change.fullDocument;
+  if (!document) return null;
+
+  let type = null;
+  if (collection === "transactions") {
+    if (change.operationType === "insert") {
+      type = "transaction.created";
+    } else if (change.updateDescription?.updatedFields?.status === "approved") {
+      type = "transaction.approved";
+    }
+  } else if (
+    change.operationType === "insert" ||
+    change.operationType === "replace" ||
+    "quantity" in (change.updateDescription?.updatedFields || {})
+  ) {
+    type = "stock_level.changed";
+  }
+  if (!type) return null;
+
+  const data =
+    type === "stock_level.changed"
+      ? {
+          product: document.product,
+          warehouse: document.warehouse,
+          quantity: document.quantity,
+          reserved: document.reserved || 0,
+        }
+      : document;
+
+  return {
+    id: randomUUID(),
+    type,
+    // wallTime is reported from MongoDB 6.0
+    occurredAt: change.wallTime || new Date(),
+    data,
+  };
+}
+
+/**
+ * Check whether the connected deployment supports change streams
+ * Only replica sets and sharded clusters do.
+ * @returns {Promise<boolean>} True when change streams can be opened
+ */
+async function supportsChangeStreams() {
+  if (mongoose.connection.readyState !== 1) return false;
+  const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+  return Boolean(hello.setName) || hello.msg === "isdbgrid";
+}
+
+/**
+ * Close any change streams and go back to the event bus
+ */
+function closeChangeStreams() {
+  const streams = state.streams;
+  state.streams = [];
+  state.mode = "event_bus";
+  for (const stream of streams) {
+    stream.close().catch(() => {});
+  }
+}
+
+/**
+ * Open change streams on transactions and stock levels
+ * A stream error switches the feed back to the event bus until a retry
+ * opens them again.
+ */
+function openChangeStreams() {
+  const sources = [
+    ["transactions", InventoryTransaction],
+    ["stockLevels", StockLevel],
+  ];
+
+  state.streams = sources.map(([collection, model]) => {
+    const stream = model.watch(
+      [
+        {
+          $match: { operationType: { $in: ["insert", "update", "replace"] } },
+        },
+      ],
+      { fullDocument: "updateLookup" }
+    );
+    stream.on("change", (change) => {
+      state.retries = 0;
+      const event = fromChange(collection, change);
+      if (!event) return;
+      emitLiveEvent(event).catch((error) => {
+        console.error(`Live event ${event.type} failed:`, error);
+      });
+    });
+    stream.on("error", (error) => {
+      // Streams closed after an earlier failure can still report errors
+      if (!state.streams.includes(stream)) return;
+      console.error("Change stream failed; using the event bus:", error);
+      closeChangeStreams();
+      scheduleChangeStreamRetry();
+    });
+    return stream;
+  });
+  state.mode = "change_stream";
+}
+
+/**
+ * Open change streams when the deployment supports them, retrying later
+ * if opening fails
+ */
+async function connectChangeStreams() {
+  try {
+    if (await supportsChangeStreams()) {
+      openChangeStreams();
+    }
+  } catch (error) {
+    console.error("Change streams unavailable; using the event bus:", error);
+    closeChangeStreams();
+    scheduleChangeStreamRetry();
+  }
+}
+
+/**
+ * Try change streams again after a delay that doubles with each failure
+ */
+function scheduleChangeStreamRetry() {
+  if (!state.started || state.retryTimer) return;
+  const delay = Math.min(RETRY_FIRST_MS * 2 ** state.retries, RETRY_MAX_MS);
+  state.retries += 1;
+  state.retryTimer = setTimeout(() => {
+    state.retryTimer = null;
+    connectChangeStreams();
+  }, delay);
+  // A pending retry must not keep the process alive
+  state.retryTimer.unref();
+}
+
+/**
+ * Start the feed: listen to the event bus and, when supported, open
+ * change streams
+ */
+async function startLiveEvents() {
+  if (state.started) return;
+  state.started = true;
+  eventBus.on(ANY_EVENT, onBusEvent);
+  await connectChangeStreams();
+}
+
+/**
+ * Stop the feed and close any change streams
+ */
+function stopLiveEvents() {
+  if (!state.started) return;
+  state.started = false;
+  eventBus.off(ANY_EVENT, onBusEvent);
+  clearTimeout(state.retryTimer);
+  state.retryTimer = null;
+  state.retries = 0;
+  closeChangeStreams();
+}
+
+/**
+ * Receive live events, starting the feed on first use
+ * @param {Function} listener - Called with each live event
+ * @returns {Function} Unsubscribe function
+ */
+function subscribeLiveEvents(listener) {
+  feed.on(ANY_EVENT, listener);
+  startLiveEvents().catch((error) => {
+    console.error("Error starting live events:", error);
+  });
+  return () => feed.off(ANY_EVENT, listener);
+}
+
+/**
+ * Get where stock and transaction events currently come from
+ * @returns {string} "change_stream" or "event_bus"
+ */
+function getLiveEventsMode() {
+  return state.mode;
+}
+
+module.exports = {
+  LIVE_EVENT_TYPES,
+  eventScope,
+  liveEventMatches,
+  formatSseEvent,
+  fromChange,
+  subscribeLiveEvents,
+  stopLiveEvents,
+  getLiveEventsMode,
+};
@@ -0,0 +1,34 @@
+/**
+ * Helpers for available-to-promise stock
+ */
+
+/**
+ * Aggregation expression for available stock (on hand minus reserved)
+ * Documents written before reservations existed count as nothing reserved.
+ * @param {string} quantityPath - On-hand field path (e.g. "$quantity")
+ * @param {string} reservedPath - Reserved field path
+ * @returns {Object} Aggregation expression
+ */
+function availableQuantity(
+  quantityPath = "$quantity",
+  reservedPath = "$reservedQuantity"
+) {
+  return { $subtract: [quantityPath, { $ifNull: [reservedPath, 0] }] };
+}
+
+/**
+ * Stock status for an available quantity, as the product virtual reports it
+ * @param {number} available - Available stock (on hand minus reserved)
+ * @param {number} lowStockThreshold - Product's low stock threshold
+ * @returns {string} in_stock, low_stock or out_of_stock
+ */
+function stockStatus(available, lowStockThreshold = 0) {
+  if (available <= 0) return "out_of_stock";
+  if (available <= lowStockThreshold) return "low_stock";
+  return "in_stock";
+}
+
+module.exports = {
+  availableQuantity,
+  stockStatus,
+};
@@ -0,0 +1,79 @@
+/**
+ * JWT helpers for access and refresh tokens
+ */
+const jwt = require("jsonwebtoken");
+const { getAuthConfig } = require("../config/auth");
+
+/**
+ * Get the signing secret, refusing to run without one
+ * @returns {string} JWT secret
+ */
+function getSecret() {
+  const { jwtSecret } = getAuthConfig();
+  if (!jwtSecret) {
+    throw new Error("JWT_SECRET is not configured");
+  }
+  return jwtSecret;
+}
+
+/**
+ * Sign a short-lived access token for a user
+ * @param {Object} user - User document
+ * @returns {string} Signed access token
+ */
+function signAccessToken(user) {
+  return jwt.sign({ role: user.role, type: "access" }, getSecret(), {
+    subject: user._id.toString(),
+    expiresIn: getAuthConfig().accessTokenExpire,
+  });
+}
+
+/**
+ * Sign a refresh token for a user
+ * The token version lets logout revoke every refresh token already issued.
+ * @param {Object} user - User document
+ * @returns {string} Signed refresh token
+ */
+function signRefreshToken(user) {
+  return jwt.sign(
+    { type: "refresh", version: user.tokenVersion || 0 },
+    getSecret(),
+    {
+      subject: user._id.toString(),
+      expiresIn: getAuthConfig().refreshTokenExpire,
+    }
+  );
+}
+
+/**
+ * Verify a token and check its type
+ * @param {string} token - Signed token
+ * @param {string} type - Expected token type ('access' or 'refresh')
+ * @returns {Object} Decoded payload
+ */
+function verifyToken(token, type) {
+  let payload;
+  try {
+    payload = jwt.verify(token, getSecret());
+  } catch (error) {
+    const formattedError = new Error(
+      error.name === "TokenExpiredError" ? "Token expired" : "Invalid token"
+    );
+    formattedError.statusCode = 401;
+    throw formattedError;
+  }
+
+  if (payload.type !== type) {
+    const error = new Error("Invalid token");
+    error.statusCode = 401;
+    throw error;
+  }
+
+  return payload;
+}
+
+module.exports = {
+  signAccessToken,
+  signRefreshToken,
+  verifyToken,
+};
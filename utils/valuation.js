@@ -0,0 +1,150 @@
+/**
+ * Inventory Valuation Utilities
+ * Cost layer arithmetic for FIFO, LIFO and weighted-average valuation,
+ * shared by live cost of goods sold and point-in-time valuation reports
+ */
+
+const VALUATION_METHODS = ["fifo", "lifo", "average"];
+
+/**
+ * Round a monetary amount to cents
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+function roundMoney(value) {
+  return Math.round((value + Number.EPSILON) * 100) / 100;
+}
+
+/**
+ * Take units out of cost layers
+ * FIFO consumes the oldest layers first and LIFO the newest. Weighted
+ * average costs the units at the average of everything on hand and
+ * re-prices the remaining layers at that average, so a later receipt
+ * moves the average the way a perpetual moving average does.
+ * @param {Array<Object>} layers - Layers ({ unitCost, remaining }), oldest
+ *   first
+ * @param {number} quantity - Units to take
+ * @param {string} method - Valuation method (fifo, lifo, average)
+ * @returns {Object} Updated layers (same order), cost of the units taken,
+ *   and units no layer covered
+ */
+function consumeLayers(layers, quantity, method) {
+  if (!VALUATION_METHODS.includes(method)) {
+    throw new Error(`Unknown valuation method: ${method}`);
+  }
+
+  const updated = layers.map((layer) => ({ ...layer }));
+  const onHand = updated.reduce((sum, layer) => sum + layer.remaining, 0);
+  const averageCost =
+    onHand > 0
+      ? updated.reduce(
+          (sum, layer) => sum + layer.remaining * layer.unitCost,
+          0
+        ) / onHand
+      : 0;
+
+  const order = updated.map((layer, index) => index);
+  if (method === "lifo") order.reverse();
+
+  let outstanding = quantity;
+  let cost = 0;
+  for (const index of order) {
+    if (outstanding === 0) break;
+    const layer = updated[index];
+    const take = Math.min(layer.remaining, outstanding);
+    if (take === 0) continue;
+
+    layer.remaining -= take;
+    cost += take * (method === "average" ? averageCost : layer.unitCost);
+    outstanding -= take;
+  }
+
+  if (method === "average") {
+    for (const layer of updated) {
+      if (layer.remaining > 0) layer.unitCost = averageCost;
+    }
+  }
+
+  return { layers: updated, cost, unmatched: outstanding };
+}
+
+/**
+ * Replay posted stock movements into per-product valuations
+ * Inflows open a layer at their unit cost, or at the product's latest known
+ * cost when they carry none. Outflows consume layers; stock_out costs count
+ * as cost of goods sold, other outflows as write-offs except supplier
+ * returns, which the supplier credits. Transfers do not change cost and are
+ * ignored.
+ * @param {Array<Object>} movements - Movements (product, type, quantity,
+ *   unitCost, postedAt) in posting order
+ * @param {string} method - Valuation method (fifo, lifo, average)
+ * @param {Object} options - Options (from: only count cost of goods sold and
+ *   write-offs posted on or after this date)
+ * @returns {Map<string, Object>} Valuation keyed by product ID
+ */
+function valueMovements(movements, method, options = {}) {
+  const products = new Map();
+
+  for (const movement of movements) {
+    if (movement.type === "transfer" || !movement.quantity) continue;
+
+    const id = movement.product.toString();
+    if (!products.has(id)) {
+      products.set(id, {
+        layers: [],
+        lastUnitCost: null,
+        costOfGoodsSold: 0,
+        writeOffs: 0,
+        unmatchedQuantity: 0,
+        uncostedQuantity: 0,
+      });
+    }
+    const state = products.get(id);
+
+    if (movement.quantity > 0) {
+      let unitCost = movement.unitCost ?? state.lastUnitCost;
+      if (unitCost == null) {
+        unitCost = 0;
+        state.uncostedQuantity += movement.quantity;
+      }
+      if (movement.unitCost != null) state.lastUnitCost = movement.unitCost;
+      state.layers.push({ unitCost, remaining: movement.quantity });
+      continue;
+    }
+
+    const result = consumeLayers(state.layers, -movement.quantity, method);
+    state.layers = result.layers.filter((layer) => layer.remaining > 0);
+    state.unmatchedQuantity += result.unmatched;
+
+    if (options.from && movement.postedAt < options.from) continue;
+    if (movement.type === "stock_out") {
+      state.costOfGoodsSold += result.cost;
+    } else if (movement.type !== "supplier_return") {
+      state.writeOffs += result.cost;
+    }
+  }
+
+  for (const state of products.values()) {
+    state.quantity = state.layers.reduce(
+      (sum, layer) => sum + layer.remaining,
+      0
+    );
+    state.value = roundMoney(
+      state.layers.reduce(
+        (sum, layer) => sum + layer.remaining * layer.unitCost,
+        0
+      )
+    );
+    state.costOfGoodsSold = roundMoney(state.costOfGoodsSold);
+    state.writeOffs = roundMoney(state.writeOffs);
+  }
+
+  return products;
+}
+
+module.exports = {
+  VALUATION_METHODS,
+  roundMoney,
+  consumeLayers,
+  valueMovements,
+};
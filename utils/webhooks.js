@@ -0,0 +1,71 @@
+/**
+ * Helpers for signing and scheduling webhook deliveries
+ */
+const crypto = require("crypto");
+
+// Longest response body kept on a delivery attempt
+const RESPONSE_BODY_LIMIT = 1000;
+
+/**
+ * Sign a delivery body
+ * Receivers recompute HMAC-SHA256 over "<timestamp>.<body>" with their
+ * secret and compare it with the X-Webhook-Signature header; the timestamp
+ * lets them reject old, replayed requests.
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Unix time in seconds sent with the request
+ * @param {string} body - Raw JSON body
+ * @returns {string} Signature header value ("sha256=<hex>")
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `sha256=${digest}`;
+}
+
+/**
+ * Check a signature header in constant time
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Timestamp header value
+ * @param {string} body - Raw JSON body
+ * @param {string} signature - Signature header value
+ * @returns {boolean} True when the signature matches
+ */
+function verifySignature(secret, timestamp, body, signature) {
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const received = Buffer.from(String(signature || ""));
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+}
+
+/**
+ * Delay before the next attempt after a failed one
+ * @param {number} attemptCount - Attempts made so far (1 after the first)
+ * @param {number} baseSeconds - Delay after the first failure
+ * @returns {number} Delay in milliseconds, doubling with each attempt
+ */
+function retryDelayMs(attemptCount, baseSeconds) {
+  return baseSeconds * 1000 * 2 ** Math.max(attemptCount - 1, 0);
+}
+
+/**
+ * Cut a response body down to the length kept in the delivery log
+ * @param {string} body - Response body
+ * @returns {string} Body, truncated with "..." when too long
+ */
+function truncateResponseBody(body) {
+  const text = String(body ?? "");
+  return text.length <= RESPONSE_BODY_LIMIT
+    ? text
+    : `${text.slice(0, RESPONSE_BODY_LIMIT)}...`;
+}
+
+module.exports = {
+  signPayload,
+  verifySignature,
+  retryDelayMs,
+  truncateResponseBody,
+};